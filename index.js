@@ -6,14 +6,35 @@ import dotenv from 'dotenv';
 // Importar middlewares - CORREGIDO
 import { errorHandler } from './middleware/errorHandler.js';
 import { requestLogger, responseLogger } from './middleware/logging.js';
-import { apiLimiter, authLimiter } from './middleware/rateLimiter.js';
+import { apiLimiter } from './middleware/rateLimiter.js';
 import { authenticateToken } from './middleware/auth.js';
+import { contextoSolicitud } from './middleware/contexto.js';
 
 // Importar rutas
 import authRoutes from './routes/auth.js';
 import gastosRoutes from './routes/gastos.js';
 import metasRoutes from './routes/metas.js';
 import transaccionesRoutes from './routes/transacciones.js';
+import presupuestosRoutes from './routes/presupuestos.js';
+import recurrentesRoutes from './routes/recurrentes.js';
+import cuentasRoutes from './routes/cuentas.js';
+import importacionRoutes from './routes/importacion.js';
+import categoriasRoutes from './routes/categorias.js';
+import reglasRoutes from './routes/reglas.js';
+import adminRoutes from './routes/admin.js';
+import usuariosRoutes from './routes/usuarios.js';
+import notificacionesRoutes from './routes/notificaciones.js';
+import webhooksRoutes from './routes/webhooks.js';
+import tiempoRealRoutes from './routes/tiempoReal.js';
+import hogaresRoutes from './routes/hogares.js';
+import gastosCompartidosRoutes from './routes/gastosCompartidos.js';
+import deudasRoutes from './routes/deudas.js';
+
+// Importar tareas programadas
+import { iniciarProgramadorRecurrentes } from './jobs/recurrentes.js';
+import { iniciarProgramadorEliminaciones } from './jobs/eliminacionCuentas.js';
+import { iniciarProgramadorRecordatorios } from './jobs/recordatorios.js';
+import { iniciarProgramadorWebhooks } from './jobs/webhooks.js';
 
 dotenv.config();
 const app = express();
@@ -25,7 +46,13 @@ mongoose.connect(process.env.MONGODB_URI, {
   retryWrites: true,
   w: 'majority'
 })
-  .then(() => console.log('✅ Conectado a MongoDB Atlas'))
+  .then(() => {
+    console.log('✅ Conectado a MongoDB Atlas');
+    iniciarProgramadorRecurrentes(parseInt(process.env.RECURRENTES_INTERVALO_MS) || 60 * 1000);
+    iniciarProgramadorEliminaciones(parseInt(process.env.ELIMINACION_INTERVALO_MS) || 60 * 60 * 1000);
+    iniciarProgramadorRecordatorios(parseInt(process.env.RECORDATORIOS_INTERVALO_MS) || 5 * 60 * 1000);
+    iniciarProgramadorWebhooks(parseInt(process.env.WEBHOOKS_INTERVALO_MS) || 30 * 1000);
+  })
   .catch(err => {
     console.error('❌ Error al conectar a MongoDB:', err);
     process.exit(1); // Salir si no hay conexión a la DB
@@ -48,21 +75,37 @@ mongoose.connection.on('disconnected', () => {
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(requestLogger);
 app.use(responseLogger);
+app.use(contextoSolicitud);
 
 // Aplicar rate limiting a todas las rutas API
 app.use('/api', apiLimiter);
 
 // Rutas API
-app.use('/api/auth', authLimiter, authRoutes);
+app.use('/api/auth', authRoutes);
 app.use('/api/gastos', authenticateToken, gastosRoutes);
 app.use('/api/metas', authenticateToken, metasRoutes);
+app.use('/api/transacciones/importar', authenticateToken, importacionRoutes);
 app.use('/api/transacciones', authenticateToken, transaccionesRoutes);
+app.use('/api/presupuestos', authenticateToken, presupuestosRoutes);
+app.use('/api/recurrentes', authenticateToken, recurrentesRoutes);
+app.use('/api/cuentas', authenticateToken, cuentasRoutes);
+app.use('/api/categorias', authenticateToken, categoriasRoutes);
+app.use('/api/reglas', authenticateToken, reglasRoutes);
+app.use('/api/admin', authenticateToken, adminRoutes);
+app.use('/api/usuarios', authenticateToken, usuariosRoutes);
+app.use('/api/notificaciones', authenticateToken, notificacionesRoutes);
+app.use('/api/webhooks', authenticateToken, webhooksRoutes);
+app.use('/api/hogares', authenticateToken, hogaresRoutes);
+app.use('/api/gastos-compartidos', authenticateToken, gastosCompartidosRoutes);
+app.use('/api/deudas', authenticateToken, deudasRoutes);
+// Autentica en cada ruta: el stream también acepta un ticket en la query string
+app.use('/api/tiempo-real', tiempoRealRoutes);
 
 // Ruta raíz con información del API
 app.get('/', (req, res) => {
@@ -73,7 +116,20 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       gastos: '/api/gastos',
       metas: '/api/metas',
-      transacciones: '/api/transacciones'
+      transacciones: '/api/transacciones',
+      presupuestos: '/api/presupuestos',
+      recurrentes: '/api/recurrentes',
+      cuentas: '/api/cuentas',
+      categorias: '/api/categorias',
+      reglas: '/api/reglas',
+      admin: '/api/admin',
+      usuarios: '/api/usuarios',
+      notificaciones: '/api/notificaciones',
+      webhooks: '/api/webhooks',
+      hogares: '/api/hogares',
+      gastosCompartidos: '/api/gastos-compartidos',
+      deudas: '/api/deudas',
+      tiempoReal: '/api/tiempo-real'
     },
     environment: process.env.NODE_ENV || 'development'
   });
@@ -0,0 +1,47 @@
+// jobs/eliminacionCuentas.js
+import Usuario from '../models/usuario.js';
+import { eliminarCuentaDefinitivamente } from '../services/portabilidad.js';
+
+let enEjecucion = false;
+
+// Borrar las cuentas cuyo periodo de gracia ya venció
+export async function procesarEliminacionesPendientes(ahora = new Date()) {
+  const pendientes = await Usuario.find({
+    eliminacionProgramada: { $ne: null, $lte: ahora }
+  }).select('_id').limit(50);
+
+  let eliminadas = 0;
+
+  for (const { _id } of pendientes) {
+    try {
+      await eliminarCuentaDefinitivamente(_id);
+      eliminadas++;
+    } catch (error) {
+      console.error(`Error eliminando la cuenta ${_id}:`, error);
+    }
+  }
+
+  return eliminadas;
+}
+
+// Iniciar el programador en proceso
+export function iniciarProgramadorEliminaciones(intervaloMs = 60 * 60 * 1000) {
+  const ejecutar = async () => {
+    if (enEjecucion) return;
+    enEjecucion = true;
+
+    try {
+      const eliminadas = await procesarEliminacionesPendientes();
+      if (eliminadas > 0) {
+        console.log(`🗑️ ${eliminadas} cuentas eliminadas definitivamente`);
+      }
+    } catch (error) {
+      console.error('Error en programador de eliminación de cuentas:', error);
+    } finally {
+      enEjecucion = false;
+    }
+  };
+
+  ejecutar();
+  return setInterval(ejecutar, intervaloMs);
+}
@@ -0,0 +1,117 @@
+// jobs/recordatorios.js
+import Meta from '../models/meta.js';
+import Usuario from '../models/usuario.js';
+import { pronosticarMetas } from '../services/metas.js';
+import { generarMensajeRecordatorio, enviarRecordatorio } from '../services/recordatorios.js';
+import { notificarMetaPorVencer } from '../services/notificaciones.js';
+
+// Días antes de la fecha límite en que se avisa que una meta vence pronto
+const DIAS_AVISO_VENCIMIENTO = 7;
+
+let enEjecucion = false;
+
+// Enviar los recordatorios de metas vencidos y programar el siguiente
+export async function procesarRecordatoriosPendientes(ahora = new Date()) {
+  const pendientes = await Meta.find({
+    estado: 'activa',
+    'recordatorios.proximoRecordatorio': { $ne: null, $lte: ahora }
+  }).limit(100);
+
+  let enviados = 0;
+
+  for (const meta of pendientes) {
+    try {
+      // Los recordatorios atrasados (servidor detenido) se envían una sola vez
+      const programado = meta.recordatorios.proximoRecordatorio;
+      let siguiente = meta.siguienteRecordatorio(programado);
+      while (siguiente && siguiente <= ahora) {
+        siguiente = meta.siguienteRecordatorio(siguiente);
+      }
+
+      // Reclamar el recordatorio de forma atómica para no enviarlo dos veces
+      // si hay varias instancias del servidor ejecutando el programador
+      const reclamada = await Meta.findOneAndUpdate(
+        { _id: meta._id, estado: 'activa', 'recordatorios.proximoRecordatorio': programado },
+        {
+          'recordatorios.proximoRecordatorio': siguiente,
+          'recordatorios.ultimoRecordatorio': ahora
+        },
+        { new: true }
+      );
+
+      if (!reclamada) continue;
+
+      const usuario = await Usuario.findById(meta.usuario).select('nombre email activo');
+      if (!usuario?.activo) continue;
+
+      const pronosticos = await pronosticarMetas(meta.usuario, [reclamada]);
+      const mensaje = generarMensajeRecordatorio(reclamada, pronosticos.get(String(reclamada._id)));
+
+      await enviarRecordatorio(usuario, reclamada, mensaje);
+      enviados++;
+    } catch (error) {
+      console.error(`Error procesando recordatorio de la meta ${meta._id}:`, error);
+    }
+  }
+
+  return enviados;
+}
+
+// Avisar una vez de las metas activas cuya fecha límite está cerca
+export async function avisarMetasPorVencer(ahora = new Date()) {
+  const limite = new Date(ahora.getTime() + DIAS_AVISO_VENCIMIENTO * 24 * 60 * 60 * 1000);
+  const filtros = {
+    estado: 'activa',
+    fechaLimite: { $gt: ahora, $lte: limite },
+    'recordatorios.avisoVencimiento': null
+  };
+
+  const metas = await Meta.find(filtros).limit(100);
+  let avisadas = 0;
+
+  for (const meta of metas) {
+    try {
+      // Reclamar el aviso de forma atómica (varias instancias del servidor)
+      const reclamada = await Meta.findOneAndUpdate(
+        { _id: meta._id, ...filtros },
+        { 'recordatorios.avisoVencimiento': ahora }
+      );
+      if (!reclamada) continue;
+
+      const diasRestantes = Math.ceil((meta.fechaLimite - ahora) / (24 * 60 * 60 * 1000));
+      await notificarMetaPorVencer(meta, diasRestantes);
+      avisadas++;
+    } catch (error) {
+      console.error(`Error avisando vencimiento de la meta ${meta._id}:`, error);
+    }
+  }
+
+  return avisadas;
+}
+
+// Iniciar el programador en proceso
+export function iniciarProgramadorRecordatorios(intervaloMs = 5 * 60 * 1000) {
+  const ejecutar = async () => {
+    if (enEjecucion) return;
+    enEjecucion = true;
+
+    try {
+      const enviados = await procesarRecordatoriosPendientes();
+      if (enviados > 0) {
+        console.log(`⏰ ${enviados} recordatorios de metas enviados`);
+      }
+
+      const avisadas = await avisarMetasPorVencer();
+      if (avisadas > 0) {
+        console.log(`⏳ ${avisadas} metas próximas a vencer avisadas`);
+      }
+    } catch (error) {
+      console.error('Error en programador de recordatorios:', error);
+    } finally {
+      enEjecucion = false;
+    }
+  };
+
+  ejecutar();
+  return setInterval(ejecutar, intervaloMs);
+}
@@ -0,0 +1,102 @@
+// jobs/recurrentes.js
+import Recurrente from '../models/recurrente.js';
+import { crearTransaccion } from '../services/transacciones.js';
+
+let enEjecucion = false;
+
+// Materializar como transacciones reales las ocurrencias vencidas
+export async function procesarRecurrentesPendientes(ahora = new Date()) {
+  const pendientes = await Recurrente.find({
+    estado: 'activa',
+    proximaEjecucion: { $lte: ahora }
+  }).limit(100);
+
+  let creadas = 0;
+
+  for (const recurrente of pendientes) {
+    try {
+      let fecha = recurrente.proximaEjecucion;
+
+      while (fecha && fecha <= ahora) {
+        const fueraDeRango = recurrente.fechaFin && fecha > recurrente.fechaFin;
+        const siguiente = recurrente.siguienteOcurrencia(fecha);
+        const finaliza = fueraDeRango ||
+          (recurrente.fechaFin && siguiente > recurrente.fechaFin);
+
+        // Reclamar la ocurrencia de forma atómica para no duplicarla
+        // si hay varias instancias del servidor ejecutando el programador
+        const reclamada = await Recurrente.findOneAndUpdate(
+          { _id: recurrente._id, estado: 'activa', proximaEjecucion: fecha },
+          {
+            proximaEjecucion: siguiente,
+            ultimaEjecucion: fecha,
+            omitirProxima: false,
+            ...(finaliza && { estado: 'finalizada' })
+          }
+        );
+
+        if (!reclamada) break;
+
+        if (!fueraDeRango && !reclamada.omitirProxima) {
+          try {
+            await crearTransaccion(recurrente.usuario, {
+              tipo: recurrente.tipo,
+              descripcion: recurrente.descripcion,
+              monto: recurrente.monto,
+              categoria: recurrente.categoria,
+              subcategoria: recurrente.subcategoria,
+              metodo_pago: recurrente.metodo_pago,
+              cuenta: recurrente.cuenta,
+              notas: recurrente.notas,
+              fecha,
+              recurrente: recurrente._id
+            });
+          } catch (error) {
+            // Devolver la ocurrencia para reintentarla en la próxima ejecución
+            // en lugar de perderla
+            await Recurrente.updateOne(
+              { _id: recurrente._id, proximaEjecucion: siguiente, ultimaEjecucion: fecha },
+              {
+                proximaEjecucion: fecha,
+                ultimaEjecucion: reclamada.ultimaEjecucion ?? null,
+                omitirProxima: reclamada.omitirProxima,
+                estado: reclamada.estado
+              }
+            );
+            throw error;
+          }
+          creadas++;
+        }
+
+        if (finaliza) break;
+        fecha = siguiente;
+      }
+    } catch (error) {
+      console.error(`Error procesando recurrencia ${recurrente._id}:`, error);
+    }
+  }
+
+  return creadas;
+}
+
+// Iniciar el programador en proceso
+export function iniciarProgramadorRecurrentes(intervaloMs = 60 * 1000) {
+  const ejecutar = async () => {
+    if (enEjecucion) return;
+    enEjecucion = true;
+
+    try {
+      const creadas = await procesarRecurrentesPendientes();
+      if (creadas > 0) {
+        console.log(`🔁 ${creadas} transacciones recurrentes generadas`);
+      }
+    } catch (error) {
+      console.error('Error en programador de recurrentes:', error);
+    } finally {
+      enEjecucion = false;
+    }
+  };
+
+  ejecutar();
+  return setInterval(ejecutar, intervaloMs);
+}
@@ -0,0 +1,47 @@
+// jobs/webhooks.js
+import EntregaWebhook from '../models/entregaWebhook.js';
+import { intentarEntrega } from '../services/webhooks.js';
+
+let enEjecucion = false;
+
+// Enviar las entregas de webhooks cuyo próximo intento ya llegó
+export async function procesarEntregasPendientes(ahora = new Date()) {
+  const pendientes = await EntregaWebhook.find({
+    estado: 'pendiente',
+    proximoIntento: { $lte: ahora }
+  }).select('_id').sort({ proximoIntento: 1 }).limit(100);
+
+  let procesadas = 0;
+
+  for (const { _id } of pendientes) {
+    try {
+      if (await intentarEntrega(_id, ahora)) procesadas++;
+    } catch (error) {
+      console.error(`Error procesando la entrega de webhook ${_id}:`, error);
+    }
+  }
+
+  return procesadas;
+}
+
+// Iniciar el programador en proceso
+export function iniciarProgramadorWebhooks(intervaloMs = 30 * 1000) {
+  const ejecutar = async () => {
+    if (enEjecucion) return;
+    enEjecucion = true;
+
+    try {
+      const procesadas = await procesarEntregasPendientes();
+      if (procesadas > 0) {
+        console.log(`📤 ${procesadas} entregas de webhooks procesadas`);
+      }
+    } catch (error) {
+      console.error('Error en programador de webhooks:', error);
+    } finally {
+      enEjecucion = false;
+    }
+  };
+
+  ejecutar();
+  return setInterval(ejecutar, intervaloMs);
+}
@@ -1,6 +1,6 @@
 // middleware/auth.js
-import jwt from 'jsonwebtoken';
 import Usuario from '../models/usuario.js';
+import { verificarTokenAcceso } from '../services/sesiones.js';
 
 // Middleware mejorado para verificar token JWT
 export const authenticateToken = async (req, res, next) => {
@@ -16,11 +16,8 @@ export const authenticateToken = async (req, res, next) => {
       throw error;
     }
 
-    // Verificar token
-    const decoded = jwt.verify(
-      token, 
-      process.env.JWT_SECRET || 'secreto_super_seguro_cambiar_en_produccion'
-    );
+    // Verificar token y que su sesión no haya sido revocada
+    const decoded = await verificarTokenAcceso(token);
 
     // Verificar que el usuario existe y está activo
     const usuario = await Usuario.findById(decoded.id).select('-contrasena');
@@ -37,7 +34,9 @@ export const authenticateToken = async (req, res, next) => {
       id: usuario._id,
       nombre: usuario.nombre,
       email: usuario.email,
-      fechaRegistro: usuario.fechaRegistro
+      rol: usuario.rol,
+      fechaRegistro: usuario.fechaRegistro,
+      sesion: decoded.sid
     };
 
     next();
@@ -58,10 +57,7 @@ export const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(
-      token, 
-      process.env.JWT_SECRET || 'secreto_super_seguro_cambiar_en_produccion'
-    );
+    const decoded = await verificarTokenAcceso(token);
 
     const usuario = await Usuario.findById(decoded.id).select('-contrasena');
     
@@ -70,7 +66,9 @@ export const optionalAuth = async (req, res, next) => {
         id: usuario._id,
         nombre: usuario.nombre,
         email: usuario.email,
-        fechaRegistro: usuario.fechaRegistro
+        rol: usuario.rol,
+        fechaRegistro: usuario.fechaRegistro,
+        sesion: decoded.sid
       };
     } else {
       req.usuario = null;
@@ -0,0 +1,7 @@
+// middleware/contexto.js
+import { ejecutarConSolicitud } from '../utils/contextoSolicitud.js';
+
+// Hacer disponible la solicitud en los hooks de los modelos (auditoría)
+export const contextoSolicitud = (req, res, next) => {
+  ejecutarConSolicitud(req, next);
+};
@@ -33,6 +33,14 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Error al subir archivos
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      error: err.code === 'LIMIT_FILE_SIZE' ? 'El archivo excede el tamaño permitido' : err.message,
+      codigo: 'UPLOAD_ERROR'
+    });
+  }
+
   // Error de autenticación personalizado
   if (err.name === 'AuthError') {
     return res.status(401).json({
@@ -41,6 +49,22 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Token de acceso vencido: el cliente debe renovarlo con su refresh token
+  if (err.name === 'TokenExpiredError') {
+    return res.status(401).json({
+      error: 'Token expirado',
+      codigo: 'TOKEN_EXPIRED'
+    });
+  }
+
+  // Token de acceso mal formado o con firma inválida
+  if (err.name === 'JsonWebTokenError') {
+    return res.status(401).json({
+      error: 'Token inválido',
+      codigo: 'TOKEN_INVALID'
+    });
+  }
+
   // Error de límite de tasa
   if (err.name === 'RateLimitError') {
     return res.status(429).json({
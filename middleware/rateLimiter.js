@@ -12,6 +12,10 @@ export const apiLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Endpoints que reciben credenciales o envían correos (login, registro,
+// restablecimiento, 2FA): cuentan todas las solicitudes, exitosas o no.
+// Se aplica por endpoint en routes/auth.js; la renovación de sesión y el
+// logout solo tienen el límite general de la API.
 export const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 5, // límite de 5 intentos de autenticación
@@ -8,7 +8,8 @@ export const checkRole = (rolesPermitidos) => {
       });
     }
 
-    // Todavia no hay roles pero se dejan definidos para posibles futuras implementaciones
+    // El rol se lee del usuario en la base de datos (authenticateToken), no del JWT,
+    // para que un cambio de rol se aplique sin esperar a que venza el token
     if (rolesPermitidos.length > 0 && !rolesPermitidos.includes(req.usuario.rol)) {
       return res.status(403).json({
         error: 'No tienes permisos para esta acción',
@@ -0,0 +1,14 @@
+// middleware/upload.js
+import multer from 'multer';
+
+// Archivos de extractos bancarios: se mantienen en memoria (máximo 5 MB)
+export const subirExtracto = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+}).single('archivo');
+
+// Archivos de exportación de FinSmart (JSON) para restaurar una cuenta (máximo 20 MB)
+export const subirArchivoExportacion = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 1 }
+}).single('archivo');
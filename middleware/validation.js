@@ -1,5 +1,6 @@
 // middleware/validation.js
 import { validationResult } from 'express-validator';
+import Categoria from '../models/categoria.js';
 
 export const validateRequest = (req, res, next) => {
   const errors = validationResult(req);
@@ -11,4 +12,27 @@ export const validateRequest = (req, res, next) => {
     });
   }
   next();
-};
\ No newline at end of file
+};
+
+// Validador personalizado: la categoría debe existir y estar activa para el usuario
+export const categoriaDelUsuario = async (valor, { req }) => {
+  if (!(await Categoria.existe(req.usuario.id, valor))) {
+    throw new Error('Categoría inválida');
+  }
+  return true;
+};
+
+// Validador personalizado: la subcategoría debe pertenecer a la categoría indicada
+// en el mismo objeto (ej. `categoria` o `acciones.categoria`)
+export const subcategoriaDelUsuario = async (valor, { req, path }) => {
+  const contenedor = path.split('.').slice(0, -1).reduce((obj, clave) => obj?.[clave], req.body);
+  const categoria = contenedor?.categoria;
+
+  if (!categoria) {
+    throw new Error('Indica la categoría a la que pertenece la subcategoría');
+  }
+  if (!(await Categoria.existe(req.usuario.id, valor, categoria))) {
+    throw new Error('Subcategoría inválida');
+  }
+  return true;
+};
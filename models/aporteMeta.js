@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// Tipos de movimiento del saldo de una meta
+export const TIPOS_APORTE_META = ['aporte', 'retiro', 'asignacion_automatica', 'ajuste'];
+
+// Movimiento del saldo de una meta. El monto lleva signo (los retiros son
+// negativos) y montoActual de la meta es la suma de sus movimientos.
+const aporteMetaSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  meta: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meta',
+    required: [true, 'La meta es obligatoria']
+  },
+  tipo: {
+    type: String,
+    enum: {
+      values: TIPOS_APORTE_META,
+      message: 'El tipo debe ser aporte, retiro, asignacion_automatica o ajuste'
+    },
+    required: [true, 'El tipo de movimiento es obligatorio']
+  },
+  monto: {
+    type: Number,
+    required: [true, 'El monto es obligatorio']
+  },
+  // Transacción que originó el movimiento (el gasto del aporte, el ingreso
+  // asignado automáticamente o el ingreso del retiro)
+  transaccion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaccion'
+  },
+  descripcion: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La descripción no puede exceder 200 caracteres']
+  },
+  fecha: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// El signo del monto debe corresponder al tipo de movimiento
+aporteMetaSchema.pre('validate', function() {
+  if (typeof this.monto !== 'number') return;
+
+  if (['aporte', 'asignacion_automatica'].includes(this.tipo) && this.monto <= 0) {
+    this.invalidate('monto', 'El monto de un aporte debe ser positivo');
+  }
+  if (this.tipo === 'retiro' && this.monto >= 0) {
+    this.invalidate('monto', 'El monto de un retiro debe ser negativo');
+  }
+  if (this.tipo === 'ajuste' && this.monto === 0) {
+    this.invalidate('monto', 'El monto de un ajuste no puede ser 0');
+  }
+});
+
+aporteMetaSchema.index({ meta: 1, fecha: -1 });
+aporteMetaSchema.index({ usuario: 1, fecha: -1 });
+aporteMetaSchema.index({ transaccion: 1 });
+
+export default mongoose.model('AporteMeta', aporteMetaSchema);
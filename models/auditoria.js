@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import { obtenerContexto } from '../utils/contextoSolicitud.js';
+
+export const ACCIONES_AUDITORIA = ['crear', 'actualizar', 'eliminar', 'restaurar'];
+
+// Campos que cambian en cada escritura y no aportan al historial
+const CAMPOS_IGNORADOS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Registro de un cambio en un documento auditado: qué cambió, quién lo hizo y desde dónde
+const auditoriaSchema = new mongoose.Schema({
+  entidad: {
+    type: String,
+    required: true
+  },
+  // Vacío en las operaciones masivas (ver operacionMasiva)
+  documento: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: function() {
+      return !this.operacionMasiva;
+    }
+  },
+  // Usuario dueño del documento (para consultar y borrar su historial)
+  propietario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  },
+  accion: {
+    type: String,
+    enum: ACCIONES_AUDITORIA,
+    required: true
+  },
+  // Diferencias campo a campo; los campos ocultos solo registran que cambiaron
+  cambios: [{
+    _id: false,
+    campo: String,
+    antes: mongoose.Schema.Types.Mixed,
+    despues: mongoose.Schema.Types.Mixed,
+    oculto: Boolean
+  }],
+  // Usuario autenticado que hizo el cambio (null si lo hizo el sistema)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+  origen: {
+    type: String,
+    enum: ['api', 'sistema'],
+    default: 'sistema'
+  },
+  // Actualización o borrado que afectó a demasiados documentos para guardar
+  // sus diferencias uno por uno: se registra el filtro y la actualización
+  operacionMasiva: {
+    _id: false,
+    type: {
+      filtro: mongoose.Schema.Types.Mixed,
+      actualizacion: mongoose.Schema.Types.Mixed,
+      documentos: Number
+    },
+    default: undefined
+  },
+  ruta: String,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: 'fecha', updatedAt: false }
+});
+
+auditoriaSchema.index({ entidad: 1, documento: 1, fecha: -1 });
+auditoriaSchema.index({ propietario: 1, fecha: -1 });
+
+// Historial de un documento del usuario, del cambio más reciente al más antiguo.
+// Se busca por propietario para que sirva también con documentos ya borrados.
+auditoriaSchema.statics.historial = function(entidad, documentoId, propietarioId, { pagina = 1, limite = 20 } = {}) {
+  const filtros = { entidad, documento: documentoId, propietario: propietarioId };
+
+  return Promise.all([
+    this.find(filtros)
+      .select('-entidad -documento -propietario -userAgent -__v')
+      .sort({ fecha: -1, _id: -1 })
+      .skip((pagina - 1) * limite)
+      .limit(limite)
+      .populate('actor', 'nombre rol'),
+    this.countDocuments(filtros)
+  ]);
+};
+
+const Auditoria = mongoose.model('Auditoria', auditoriaSchema);
+export default Auditoria;
+
+// Pasar un documento a un objeto plano con solo tipos JSON (ObjectId y Date como texto)
+const aJSON = documento => (documento ? JSON.parse(JSON.stringify(documento)) : {});
+
+// Aplanar objetos anidados en rutas con puntos; los arreglos se comparan completos
+function aplanar(objeto, prefijo = '', resultado = {}) {
+  for (const [clave, valor] of Object.entries(objeto)) {
+    const ruta = prefijo ? `${prefijo}.${clave}` : clave;
+    if (valor && typeof valor === 'object' && !Array.isArray(valor) && Object.keys(valor).length > 0) {
+      aplanar(valor, ruta, resultado);
+    } else {
+      resultado[ruta] = valor;
+    }
+  }
+  return resultado;
+}
+
+const coincide = (campo, rutas) => rutas.some(ruta => campo === ruta || campo.startsWith(`${ruta}.`));
+
+// Diferencias entre dos versiones de un documento
+export function calcularCambios(antes, despues, { ignorar = [], ocultos = [] } = {}) {
+  const planoAntes = aplanar(aJSON(antes));
+  const planoDespues = aplanar(aJSON(despues));
+  const campos = new Set([...Object.keys(planoAntes), ...Object.keys(planoDespues)]);
+  const cambios = [];
+
+  for (const campo of campos) {
+    if (coincide(campo, [...CAMPOS_IGNORADOS, ...ignorar])) continue;
+
+    const valorAntes = planoAntes[campo] ?? null;
+    const valorDespues = planoDespues[campo] ?? null;
+    if (JSON.stringify(valorAntes) === JSON.stringify(valorDespues)) continue;
+
+    cambios.push(coincide(campo, ocultos)
+      ? { campo, oculto: true }
+      : { campo, antes: valorAntes, despues: valorDespues });
+  }
+
+  return cambios;
+}
+
+// Operaciones de consulta que modifican documentos
+const ACTUALIZACIONES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne'];
+const BORRADOS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const MULTIPLES = ['updateMany', 'deleteMany'];
+
+// Documentos de una operación masiva que se auditan uno por uno; por encima
+// se guarda un único registro con el filtro y la actualización
+export const MAX_DOCUMENTOS_AUDITADOS = 200;
+
+// Campos de primer nivel que toca una actualización (null si no se pueden
+// saber, como en un reemplazo o una actualización con pipeline)
+function camposActualizados(actualizacion) {
+  if (!actualizacion || Array.isArray(actualizacion)) return null;
+
+  const campos = new Set();
+  for (const [clave, valor] of Object.entries(actualizacion)) {
+    const rutas = clave.startsWith('$') ? Object.keys(valor || {}) : [clave];
+    rutas.forEach(ruta => campos.add(ruta.split('.')[0]));
+  }
+  return [...campos];
+}
+
+// Copia de un objeto sin los valores de las rutas ocultas
+function sinOcultos(objeto, ocultos, prefijo = '') {
+  if (!objeto || typeof objeto !== 'object' || Array.isArray(objeto)) return objeto;
+
+  return Object.fromEntries(Object.entries(objeto).map(([clave, valor]) => {
+    if (clave.startsWith('$')) return [clave, sinOcultos(valor, ocultos, prefijo)];
+
+    const ruta = prefijo ? `${prefijo}.${clave}` : clave;
+    return [clave, coincide(ruta, ocultos) ? '[oculto]' : sinOcultos(valor, ocultos, ruta)];
+  }));
+}
+
+// Solo los campos indicados de un documento
+const soloCampos = (documento, campos) =>
+  Object.fromEntries(campos.filter(campo => campo in documento).map(campo => [campo, documento[campo]]));
+
+/**
+ * Plugin que registra en la colección de auditoría cada escritura de un modelo
+ * (save, insertMany y las actualizaciones y borrados por consulta).
+ *
+ * Opciones:
+ * - propietario: campo con el usuario dueño del documento (null: el propio documento)
+ * - campoActivo: campo de borrado lógico; pasarlo a false se registra como 'eliminar'
+ * - ocultos: rutas cuyo valor no se guarda (solo que cambiaron)
+ * - ignorar: rutas que no se registran
+ */
+export function auditoriaPlugin(schema, { propietario = 'usuario', campoActivo, ocultos = [], ignorar = [] } = {}) {
+  const activa = () => !obtenerContexto()?.auditoriaDesactivada;
+
+  const accionDeActualizacion = cambios => {
+    const activo = campoActivo && cambios.find(c => c.campo === campoActivo);
+    if (activo?.despues === false) return 'eliminar';
+    if (activo?.despues === true) return 'restaurar';
+    return 'actualizar';
+  };
+
+  async function registrar(modelo, pares, session) {
+    const req = obtenerContexto()?.req;
+
+    const registros = pares
+      .map(({ antes, despues, accion }) => {
+        const documento = despues || antes;
+        const cambios = calcularCambios(antes, despues, { ignorar, ocultos });
+        if (cambios.length === 0) return null;
+
+        return {
+          entidad: modelo.modelName,
+          documento: documento._id,
+          propietario: propietario ? documento[propietario] : documento._id,
+          accion: accion || accionDeActualizacion(cambios),
+          cambios,
+          actor: req?.usuario?.id || null,
+          origen: req ? 'api' : 'sistema',
+          ruta: req ? `${req.method} ${req.originalUrl.split('?')[0]}` : undefined,
+          ip: req?.ip,
+          userAgent: req?.get('User-Agent')?.slice(0, 500)
+        };
+      })
+      .filter(Boolean);
+
+    if (registros.length === 0) return;
+
+    // Un fallo al auditar no revierte la escritura ya hecha
+    try {
+      await Auditoria.insertMany(registros, { session });
+    } catch (error) {
+      console.error(`Error registrando auditoría de ${modelo.modelName}:`, error);
+    }
+  }
+
+  // Proyección de los campos a comparar (más el dueño, para el registro)
+  const proyeccion = campos => campos && [...new Set([...campos, propietario].filter(Boolean))].join(' ');
+
+  // save(): se lee de la versión guardada solo lo que se va a sobrescribir
+  schema.pre('save', async function() {
+    if (!activa()) return;
+    this.$locals.auditoriaNuevo = this.isNew;
+    this.$locals.auditoriaAntes = null;
+    if (this.isNew) return;
+
+    const campos = [...new Set(this.modifiedPaths().map(ruta => ruta.split('.')[0]))];
+    this.$locals.auditoriaCampos = campos;
+    if (campos.length === 0) return;
+
+    this.$locals.auditoriaAntes = await this.constructor.findById(this._id)
+      .select(proyeccion(campos))
+      .session(this.$session())
+      .lean();
+  });
+
+  schema.post('save', async function() {
+    if (!activa()) return;
+    const { auditoriaNuevo, auditoriaAntes, auditoriaCampos } = this.$locals;
+    if (!auditoriaNuevo && !auditoriaAntes) return;
+
+    const despues = this.toObject();
+    await registrar(this.constructor, [{
+      antes: auditoriaAntes,
+      despues: auditoriaNuevo ? despues : { ...soloCampos(despues, auditoriaCampos), _id: despues._id },
+      accion: auditoriaNuevo ? 'crear' : undefined
+    }], this.$session());
+  });
+
+  schema.post('insertMany', async function(documentos) {
+    if (!activa() || documentos.length === 0) return;
+    await registrar(
+      this,
+      documentos.map(documento => ({ antes: null, despues: documento.toObject(), accion: 'crear' })),
+      documentos[0].$session()
+    );
+  });
+
+  // Registro único de una operación masiva: el filtro, la actualización (sin
+  // valores ocultos) y cuántos documentos cambió
+  async function registrarMasiva(consulta, resultado) {
+    const req = obtenerContexto()?.req;
+    const filtro = aJSON(consulta.getFilter());
+    const duenio = propietario && filtro[propietario];
+
+    try {
+      await Auditoria.create([{
+        entidad: consulta.model.modelName,
+        propietario: typeof duenio === 'string' ? duenio : undefined,
+        accion: BORRADOS.includes(consulta.op) ? 'eliminar' : 'actualizar',
+        operacionMasiva: {
+          filtro: sinOcultos(filtro, ocultos),
+          actualizacion: sinOcultos(aJSON(consulta.getUpdate()), ocultos),
+          documentos: resultado?.modifiedCount ?? resultado?.deletedCount
+        },
+        actor: req?.usuario?.id || null,
+        origen: req ? 'api' : 'sistema',
+        ruta: req ? `${req.method} ${req.originalUrl.split('?')[0]}` : undefined,
+        ip: req?.ip,
+        userAgent: req?.get('User-Agent')?.slice(0, 500)
+      }], { session: consulta.getOptions().session });
+    } catch (error) {
+      console.error(`Error registrando auditoría de ${consulta.model.modelName}:`, error);
+    }
+  }
+
+  // Actualizaciones y borrados por consulta: se leen los documentos afectados
+  // antes y después (en las actualizaciones, solo los campos que cambian)
+  schema.pre([...ACTUALIZACIONES, ...BORRADOS], { document: false, query: true }, async function() {
+    if (!activa()) return;
+    const { session, sort } = this.getOptions();
+
+    this._auditoriaCampos = BORRADOS.includes(this.op) ? null : camposActualizados(this.getUpdate());
+    const seleccion = proyeccion(this._auditoriaCampos);
+
+    if (MULTIPLES.includes(this.op)) {
+      const antes = await this.model.find(this.getFilter())
+        .select(seleccion)
+        .limit(MAX_DOCUMENTOS_AUDITADOS + 1)
+        .session(session)
+        .lean();
+      this._auditoriaMasiva = antes.length > MAX_DOCUMENTOS_AUDITADOS;
+      this._auditoriaAntes = this._auditoriaMasiva ? null : antes;
+      return;
+    }
+
+    this._auditoriaAntes = [
+      await this.model.findOne(this.getFilter()).select(seleccion).sort(sort).session(session).lean()
+    ].filter(Boolean);
+  });
+
+  schema.post([...ACTUALIZACIONES, ...BORRADOS], { document: false, query: true }, async function(resultado) {
+    if (!activa()) return;
+    if (this._auditoriaMasiva) {
+      await registrarMasiva(this, resultado);
+      return;
+    }
+
+    const antes = this._auditoriaAntes;
+    if (!antes?.length) return;
+    const { session } = this.getOptions();
+
+    if (BORRADOS.includes(this.op)) {
+      await registrar(this.model, antes.map(documento => ({ antes: documento, despues: null, accion: 'eliminar' })), session);
+      return;
+    }
+
+    const despues = await this.model.find({ _id: { $in: antes.map(d => d._id) } })
+      .select(proyeccion(this._auditoriaCampos))
+      .session(session)
+      .lean();
+    const porId = new Map(despues.map(documento => [String(documento._id), documento]));
+
+    await registrar(
+      this.model,
+      antes.map(documento => ({ antes: documento, despues: porId.get(String(documento._id)) || null })),
+      session
+    );
+  });
+}
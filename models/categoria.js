@@ -0,0 +1,210 @@
+import mongoose from 'mongoose';
+
+// Categoría usada cuando no se detecta ninguna otra; no se puede archivar ni renombrar
+export const CATEGORIA_POR_DEFECTO = 'otros';
+
+// Categorías del sistema que se crean para cada usuario
+export const CATEGORIAS_PREDETERMINADAS = [
+  {
+    nombre: 'alimentación',
+    icono: '🍽️',
+    color: '#F59E0B',
+    palabrasClave: [
+      'comida', 'restaurante', 'supermercado', 'mercado', 'pizza', 'hamburguesa',
+      'café', 'desayuno', 'almuerzo', 'cena', 'bebida', 'coca cola', 'agua',
+      'pan', 'panadería', 'carnicería', 'verdulería', 'sushi', 'delivery'
+    ]
+  },
+  {
+    nombre: 'transporte',
+    icono: '🚗',
+    color: '#3B82F6',
+    palabrasClave: [
+      'transporte', 'uber', 'taxi', 'bus', 'metro', 'gasolina', 'combustible',
+      'peaje', 'parking', 'estacionamiento', 'motocicleta', 'bicicleta',
+      'avión', 'vuelo', 'tren', 'barco'
+    ]
+  },
+  {
+    nombre: 'entretenimiento',
+    icono: '🎬',
+    color: '#8B5CF6',
+    palabrasClave: [
+      'cine', 'ocio', 'película', 'teatro', 'concierto', 'bar', 'discoteca',
+      'videojuego', 'netflix', 'spotify', 'streaming', 'parque', 'diversión',
+      'gimnasio', 'deporte', 'futbol', 'basquet'
+    ]
+  },
+  {
+    nombre: 'servicios',
+    icono: '💡',
+    color: '#10B981',
+    palabrasClave: [
+      'luz', 'agua', 'internet', 'teléfono', 'gas', 'electricidad',
+      'cable', 'seguro', 'banco', 'notaría', 'abogado', 'contador',
+      'limpieza', 'jardinería', 'reparación'
+    ]
+  },
+  {
+    nombre: 'salud',
+    icono: '🩺',
+    color: '#EF4444',
+    palabrasClave: [
+      'salud', 'medicina', 'doctor', 'médico', 'hospital', 'clínica',
+      'farmacia', 'pastillas', 'vitaminas', 'dentista', 'oftalmólogo',
+      'laboratorio', 'rayos x', 'consulta'
+    ]
+  },
+  {
+    nombre: 'ropa',
+    icono: '👕',
+    color: '#EC4899',
+    palabrasClave: [
+      'ropa', 'zapato', 'camisa', 'pantalón', 'vestido', 'tienda',
+      'boutique', 'zapatería', 'moda', 'accesorios', 'bolso', 'cartera'
+    ]
+  },
+  {
+    nombre: 'educación',
+    icono: '📚',
+    color: '#6366F1',
+    palabrasClave: [
+      'educación', 'colegio', 'universidad', 'curso', 'libro', 'cuaderno',
+      'lápiz', 'material', 'matrícula', 'pensión', 'tutoría'
+    ]
+  },
+  {
+    nombre: 'hogar',
+    icono: '🏠',
+    color: '#14B8A6',
+    palabrasClave: [
+      'hogar', 'casa', 'mueble', 'electrodoméstico', 'decoración',
+      'herramienta', 'pintura', 'construcción', 'alquiler', 'hipoteca'
+    ]
+  },
+  {
+    nombre: CATEGORIA_POR_DEFECTO,
+    icono: '📦',
+    color: '#6B7280',
+    tipo: 'ambos',
+    palabrasClave: []
+  }
+];
+
+const categoriaSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  nombre: {
+    type: String,
+    required: [true, 'El nombre es obligatorio'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'El nombre no puede exceder 50 caracteres']
+  },
+  // Categoría padre: las categorías hijas son las subcategorías
+  padre: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Categoria',
+    default: null
+  },
+  tipo: {
+    type: String,
+    enum: {
+      values: ['gasto', 'ingreso', 'ambos'],
+      message: 'El tipo debe ser gasto, ingreso o ambos'
+    },
+    default: 'gasto'
+  },
+  icono: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'El icono no puede exceder 20 caracteres']
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9A-Fa-f]{6}$/, 'El color debe tener formato hexadecimal (#RRGGBB)']
+  },
+  // Palabras que, presentes en la descripción, asignan esta categoría
+  palabrasClave: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Cada palabra clave puede tener hasta 50 caracteres']
+  }],
+  sistema: {
+    type: Boolean,
+    default: false
+  },
+  archivada: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+categoriaSchema.index({ usuario: 1, padre: 1, nombre: 1 }, { unique: true });
+
+// Crear las categorías del sistema que le falten al usuario
+categoriaSchema.statics.asegurarPredeterminadas = async function(usuarioId) {
+  const operaciones = CATEGORIAS_PREDETERMINADAS.map(({ nombre, ...datos }) => ({
+    updateOne: {
+      filter: { usuario: usuarioId, padre: null, nombre },
+      update: {
+        $setOnInsert: {
+          tipo: 'gasto',
+          ...datos,
+          sistema: true,
+          archivada: false
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  // Dos solicitudes simultáneas de un usuario nuevo pueden crear la misma
+  // categoría a la vez: la que pierde recibe E11000 y la categoría ya existe
+  try {
+    await this.bulkWrite(operaciones, { ordered: false });
+  } catch (error) {
+    const errores = error.writeErrors?.length ? error.writeErrors : [error];
+    if (!errores.every(({ code }) => code === 11000)) throw error;
+  }
+};
+
+// Categorías del usuario (creando las predeterminadas la primera vez).
+// Las definidas por el usuario van primero para que sus palabras clave tengan prioridad.
+categoriaSchema.statics.deUsuario = async function(usuarioId, { incluirArchivadas = false } = {}) {
+  const filtros = { usuario: usuarioId };
+  if (!incluirArchivadas) filtros.archivada = false;
+
+  let categorias = await this.find(filtros).sort({ sistema: 1, _id: 1 });
+
+  if (!categorias.some(c => c.sistema)) {
+    await this.asegurarPredeterminadas(usuarioId);
+    categorias = await this.find(filtros).sort({ sistema: 1, _id: 1 });
+  }
+
+  return categorias;
+};
+
+// Verificar si el usuario tiene una categoría activa con ese nombre.
+// Si se indica `padre`, se busca una subcategoría de esa categoría principal.
+categoriaSchema.statics.existe = async function(usuarioId, nombre, padre) {
+  const categorias = await this.deUsuario(usuarioId);
+  const normalizar = valor => String(valor).trim().toLowerCase();
+  const principal = nombrePrincipal => categorias.find(c => !c.padre && c.nombre === normalizar(nombrePrincipal));
+
+  if (padre === undefined) return Boolean(principal(nombre));
+
+  const categoriaPadre = principal(padre);
+  return Boolean(categoriaPadre) && categorias.some(c =>
+    String(c.padre) === String(categoriaPadre._id) && c.nombre === normalizar(nombre)
+  );
+};
+
+export default mongoose.model('Categoria', categoriaSchema);
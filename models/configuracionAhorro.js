@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+export const MODOS_AHORRO = ['porcentaje', 'monto_fijo'];
+export const ESTRATEGIAS_AHORRO = ['prioridad', 'proporcional', 'fecha_limite', 'pesos'];
+
+// Configuración del ahorro automático de un usuario: qué parte de cada ingreso
+// se reparte entre sus metas activas y cómo. Desactivado hasta que el usuario lo active.
+const configuracionAhorroSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  activo: {
+    type: Boolean,
+    default: false
+  },
+  modo: {
+    type: String,
+    enum: {
+      values: MODOS_AHORRO,
+      message: 'El modo debe ser porcentaje o monto_fijo'
+    },
+    default: 'porcentaje'
+  },
+  porcentaje: {
+    type: Number,
+    min: [0.01, 'El porcentaje debe ser mayor a 0'],
+    max: [100, 'El porcentaje no puede exceder 100'],
+    default: 10
+  },
+  montoFijo: {
+    type: Number,
+    min: [0.01, 'El monto fijo debe ser mayor a 0'],
+    required: [
+      function() { return this.modo === 'monto_fijo'; },
+      'El monto fijo es obligatorio en modo monto_fijo'
+    ]
+  },
+  estrategia: {
+    type: String,
+    enum: {
+      values: ESTRATEGIAS_AHORRO,
+      message: 'La estrategia debe ser prioridad, proporcional, fecha_limite o pesos'
+    },
+    default: 'prioridad'
+  },
+  // Solo para la estrategia `pesos`: parte relativa de cada meta
+  pesos: [{
+    _id: false,
+    meta: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meta',
+      required: true
+    },
+    peso: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Cada peso debe ser mayor a 0']
+    }
+  }],
+  // Ingresos menores a este monto no se reparten
+  ingresoMinimo: {
+    type: Number,
+    min: [0, 'El ingreso mínimo no puede ser negativo'],
+    default: 0
+  },
+  // Categorías de ingreso que cuentan (vacío: todas)
+  categorias: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }]
+}, {
+  timestamps: true
+});
+
+configuracionAhorroSchema.pre('validate', function() {
+  if (this.estrategia === 'pesos' && this.pesos.length === 0) {
+    this.invalidate('pesos', 'La estrategia por pesos requiere al menos una meta con peso');
+  }
+});
+
+configuracionAhorroSchema.index({ usuario: 1 }, { unique: true });
+
+// Configuración del usuario (la predeterminada, desactivada, si nunca la guardó)
+configuracionAhorroSchema.statics.deUsuario = async function(usuarioId) {
+  return (await this.findOne({ usuario: usuarioId })) || new this({ usuario: usuarioId });
+};
+
+// Verificar si un ingreso activa el ahorro automático
+configuracionAhorroSchema.methods.aplicaA = function(transaccion) {
+  return this.activo &&
+    transaccion.tipo === 'ingreso' &&
+    transaccion.monto >= this.ingresoMinimo &&
+    (this.categorias.length === 0 || this.categorias.includes(transaccion.categoria));
+};
+
+export default mongoose.model('ConfiguracionAhorro', configuracionAhorroSchema);
@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import Transaccion from './transacciones.js';
+
+export const TIPOS_CUENTA = ['efectivo', 'corriente', 'ahorro', 'tarjeta_credito', 'billetera_digital', 'inversion', 'otro'];
+
+const cuentaSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  nombre: {
+    type: String,
+    required: [true, 'El nombre es obligatorio'],
+    trim: true,
+    maxlength: [50, 'El nombre no puede exceder 50 caracteres']
+  },
+  tipo: {
+    type: String,
+    enum: {
+      values: TIPOS_CUENTA,
+      message: 'Tipo de cuenta inválido'
+    },
+    default: 'corriente'
+  },
+  moneda: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'La moneda debe ser un código ISO de 3 letras'],
+    default: 'USD'
+  },
+  saldoInicial: {
+    type: Number,
+    default: 0
+  },
+  institucion: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La institución no puede exceder 100 caracteres']
+  },
+  activa: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+cuentaSchema.index({ usuario: 1, nombre: 1 }, { unique: true });
+
+// Efecto de una transacción sobre el saldo de la cuenta indicada:
+// ingresos suman, gastos restan y las transferencias restan en el origen
+// y suman (montoDestino si existe) en el destino
+export function efectoEnCuenta(cuentaId) {
+  return {
+    $switch: {
+      branches: [
+        { case: { $eq: ['$tipo', 'ingreso'] }, then: '$monto' },
+        { case: { $eq: ['$tipo', 'gasto'] }, then: { $multiply: ['$monto', -1] } },
+        {
+          case: { $eq: ['$cuentaDestino', cuentaId] },
+          then: { $ifNull: ['$montoDestino', '$monto'] }
+        }
+      ],
+      default: { $multiply: ['$monto', -1] }
+    }
+  };
+}
+
+// Movimiento neto de cada cuenta del usuario (sin el saldo inicial)
+cuentaSchema.statics.calcularMovimientos = async function(usuarioId, hasta) {
+  const filtros = {
+    usuario: new mongoose.Types.ObjectId(usuarioId),
+    activa: true
+  };
+  if (hasta) filtros.fecha = { $lte: hasta };
+
+  const [salidas, entradas] = await Promise.all([
+    Transaccion.aggregate([
+      { $match: { ...filtros, cuenta: { $ne: null } } },
+      {
+        $group: {
+          _id: '$cuenta',
+          total: {
+            $sum: {
+              $cond: [{ $eq: ['$tipo', 'ingreso'] }, '$monto', { $multiply: ['$monto', -1] }]
+            }
+          }
+        }
+      }
+    ]),
+    Transaccion.aggregate([
+      { $match: { ...filtros, tipo: 'transferencia' } },
+      {
+        $group: {
+          _id: '$cuentaDestino',
+          total: { $sum: { $ifNull: ['$montoDestino', '$monto'] } }
+        }
+      }
+    ])
+  ]);
+
+  const movimientos = {};
+  for (const { _id, total } of [...salidas, ...entradas]) {
+    movimientos[_id] = (movimientos[_id] || 0) + total;
+  }
+  return movimientos;
+};
+
+export default mongoose.model('Cuenta', cuentaSchema);
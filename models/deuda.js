@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import { auditoriaPlugin } from './auditoria.js';
+import { FRECUENCIAS_PAGO, PAGOS_POR_AÑO, calcularCuota } from '../utils/amortizacion.js';
+
+// por_pagar: el usuario pidió prestado; por_cobrar: el usuario prestó
+export const DIRECCIONES_DEUDA = ['por_pagar', 'por_cobrar'];
+
+export const ESTADOS_DEUDA = ['activa', 'pagada', 'cancelada'];
+
+// Préstamo con cuota fija. El saldo, el interés y el total pagado se
+// recalculan a partir de sus pagos (ver services/deudas.js).
+const deudaSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  direccion: {
+    type: String,
+    enum: {
+      values: DIRECCIONES_DEUDA,
+      message: 'La dirección debe ser por_pagar o por_cobrar'
+    },
+    default: 'por_pagar'
+  },
+  titulo: {
+    type: String,
+    required: [true, 'El título es obligatorio'],
+    trim: true,
+    maxlength: [100, 'El título no puede exceder 100 caracteres']
+  },
+  descripcion: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La descripción no puede exceder 500 caracteres']
+  },
+  // Quien prestó o a quien se le prestó (banco, persona, etc.)
+  contraparte: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La contraparte no puede exceder 100 caracteres']
+  },
+  principal: {
+    type: Number,
+    required: [true, 'El monto del préstamo es obligatorio'],
+    min: [0.01, 'El monto del préstamo debe ser mayor a 0']
+  },
+  // Tasa nominal anual en porcentaje
+  tasaInteres: {
+    type: Number,
+    default: 0,
+    min: [0, 'La tasa de interés no puede ser negativa'],
+    max: [1000, 'La tasa de interés no puede exceder 1000%']
+  },
+  // Cantidad de pagos
+  plazo: {
+    type: Number,
+    required: [true, 'El plazo es obligatorio'],
+    min: [1, 'El plazo debe ser de al menos 1 pago'],
+    max: [1200, 'El plazo no puede exceder 1200 pagos']
+  },
+  frecuencia: {
+    type: String,
+    enum: {
+      values: FRECUENCIAS_PAGO,
+      message: 'La frecuencia debe ser semanal, quincenal, mensual, trimestral o anual'
+    },
+    default: 'mensual'
+  },
+  fechaInicio: {
+    type: Date,
+    default: Date.now
+  },
+  // Cuota fija de la tabla de amortización (se calcula al guardar)
+  cuota: {
+    type: Number
+  },
+  estado: {
+    type: String,
+    enum: ESTADOS_DEUDA,
+    default: 'activa'
+  },
+  saldoPendiente: {
+    type: Number,
+    min: [0, 'El saldo pendiente no puede ser negativo']
+  },
+  capitalPagado: {
+    type: Number,
+    default: 0
+  },
+  interesPagado: {
+    type: Number,
+    default: 0
+  },
+  totalPagado: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Cuota equivalente por mes, para el planificador de pagos
+deudaSchema.virtual('cuotaMensual').get(function() {
+  if (typeof this.cuota !== 'number') return null;
+  return Math.round(this.cuota * PAGOS_POR_AÑO[this.frecuencia] / 12 * 100) / 100;
+});
+
+// Virtual para el porcentaje del préstamo ya devuelto
+deudaSchema.virtual('progreso').get(function() {
+  return Math.min((this.capitalPagado / this.principal) * 100, 100);
+});
+
+// Recalcular la cuota si cambian las condiciones del préstamo; una deuda sin
+// pagos empieza con todo el principal pendiente
+deudaSchema.pre('save', function() {
+  if (this.isNew || this.isModified('principal') || this.isModified('tasaInteres') ||
+      this.isModified('plazo') || this.isModified('frecuencia')) {
+    this.cuota = calcularCuota(this.principal, this.tasaInteres, this.plazo, this.frecuencia);
+  }
+  if (this.isNew && this.saldoPendiente === undefined) {
+    this.saldoPendiente = this.principal;
+  }
+});
+
+// Incluir virtuals en JSON
+deudaSchema.set('toJSON', { virtuals: true });
+
+// Índices
+deudaSchema.index({ usuario: 1, estado: 1 });
+deudaSchema.index({ usuario: 1, direccion: 1 });
+
+// Historial de cambios
+deudaSchema.plugin(auditoriaPlugin);
+
+export default mongoose.model('Deuda', deudaSchema);
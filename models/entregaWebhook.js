@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+export const ESTADOS_ENTREGA = ['pendiente', 'entregada', 'fallida'];
+
+// Días que se conserva el registro de una entrega
+const DIAS_RETENCION_ENTREGAS = 30;
+
+// Envío de un evento a un webhook, con el registro de cada intento. Las
+// entregas pendientes se reintentan con espera exponencial (ver services/webhooks.js).
+const entregaWebhookSchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+  evento: {
+    type: String,
+    required: true
+  },
+  // Cuerpo que se envía (el mismo en cada reintento, para que la firma sea verificable)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  estado: {
+    type: String,
+    enum: ESTADOS_ENTREGA,
+    default: 'pendiente'
+  },
+  proximoIntento: {
+    type: Date,
+    default: Date.now
+  },
+  intentos: [{
+    _id: false,
+    fecha: Date,
+    codigo: Number,
+    duracionMs: Number,
+    error: String
+  }],
+  entregadaEn: Date
+}, {
+  timestamps: true
+});
+
+// Los intentos registrados antes de dejar de guardar el cuerpo de la
+// respuesta aún lo tienen hasta que caducan: no se devuelve
+entregaWebhookSchema.set('toJSON', {
+  transform: (documento, json) => {
+    json.intentos?.forEach(intento => delete intento.respuesta);
+    return json;
+  }
+});
+
+entregaWebhookSchema.index({ estado: 1, proximoIntento: 1 });
+entregaWebhookSchema.index({ webhook: 1, createdAt: -1 });
+entregaWebhookSchema.index({ createdAt: 1 }, { expireAfterSeconds: DIAS_RETENCION_ENTREGAS * 24 * 60 * 60 });
+
+export default mongoose.model('EntregaWebhook', entregaWebhookSchema);
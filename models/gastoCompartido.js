@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { METODOS_DIVISION } from '../utils/gastosCompartidos.js';
+
+const participanteSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  // Porcentaje, monto exacto o número de partes, según el método
+  valor: Number,
+  // Parte del gasto que le corresponde
+  monto: {
+    type: Number,
+    required: true,
+    min: [0, 'La parte no puede ser negativa']
+  }
+}, { _id: false });
+
+// Reparto de un gasto entre varias personas: cada participante le debe su
+// parte a quien lo pagó (el autor de la transacción)
+const gastoCompartidoSchema = new mongoose.Schema({
+  transaccion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaccion',
+    required: [true, 'La transacción es obligatoria']
+  },
+  pagador: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El pagador es obligatorio']
+  },
+  // Hogar del gasto, si es compartido (agrupa las deudas para liquidarlas)
+  hogar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hogar',
+    default: null
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+  descripcion: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La descripción no puede exceder 200 caracteres']
+  },
+  monto: {
+    type: Number,
+    required: true,
+    min: [0.01, 'El monto debe ser mayor a 0']
+  },
+  fecha: {
+    type: Date,
+    default: Date.now
+  },
+  metodo: {
+    type: String,
+    enum: {
+      values: METODOS_DIVISION,
+      message: 'El método debe ser igual, porcentaje, exacto o partes'
+    },
+    default: 'igual'
+  },
+  participantes: {
+    type: [participanteSchema],
+    validate: {
+      validator: function(participantes) {
+        return participantes.some(p => String(p.usuario) !== String(this.pagador));
+      },
+      message: 'Incluye al menos a una persona además de quien pagó'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+gastoCompartidoSchema.index({ transaccion: 1 }, { unique: true });
+gastoCompartidoSchema.index({ pagador: 1, fecha: -1 });
+gastoCompartidoSchema.index({ 'participantes.usuario': 1, fecha: -1 });
+gastoCompartidoSchema.index({ hogar: 1 });
+
+export default mongoose.model('GastoCompartido', gastoCompartidoSchema);
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// Roles de los miembros de un hogar: el propietario administra el hogar y sus
+// miembros, el editor registra y modifica datos compartidos y el lector solo los ve
+export const ROLES_HOGAR = ['propietario', 'editor', 'lector'];
+
+// Roles que pueden crear y modificar transacciones y metas del hogar
+export const ROLES_ESCRITURA_HOGAR = ['propietario', 'editor'];
+
+// Máximo de miembros por hogar
+export const MAX_MIEMBROS_HOGAR = 10;
+
+const miembroSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  rol: {
+    type: String,
+    enum: {
+      values: ROLES_HOGAR,
+      message: 'El rol debe ser propietario, editor o lector'
+    },
+    default: 'editor'
+  },
+  unidoEn: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Grupo de usuarios que comparten transacciones y metas (una familia, un piso compartido)
+const hogarSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre es obligatorio'],
+    trim: true,
+    maxlength: [60, 'El nombre no puede exceder 60 caracteres']
+  },
+  descripcion: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La descripción no puede exceder 200 caracteres']
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+  miembros: {
+    type: [miembroSchema],
+    validate: [
+      {
+        validator: miembros => miembros.length <= MAX_MIEMBROS_HOGAR,
+        message: `Un hogar puede tener hasta ${MAX_MIEMBROS_HOGAR} miembros`
+      },
+      {
+        validator: miembros => miembros.filter(m => m.rol === 'propietario').length === 1,
+        message: 'El hogar debe tener exactamente un propietario'
+      }
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+// Miembro correspondiente a un usuario (undefined si no pertenece al hogar)
+hogarSchema.methods.miembro = function(usuarioId) {
+  return this.miembros.find(m => String(m.usuario?._id || m.usuario) === String(usuarioId));
+};
+
+// Rol de un usuario en el hogar (null si no es miembro)
+hogarSchema.methods.rolDe = function(usuarioId) {
+  return this.miembro(usuarioId)?.rol || null;
+};
+
+hogarSchema.methods.puedeEscribir = function(usuarioId) {
+  return ROLES_ESCRITURA_HOGAR.includes(this.rolDe(usuarioId));
+};
+
+// Índices
+hogarSchema.index({ 'miembros.usuario': 1 });
+
+export default mongoose.model('Hogar', hogarSchema);
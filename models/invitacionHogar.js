@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Invitación a un hogar enviada por correo (solo se guarda el hash del token).
+// Se indica el email y no el usuario porque el invitado puede no tener cuenta todavía.
+const invitacionHogarSchema = new mongoose.Schema({
+  hogar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hogar',
+    required: [true, 'El hogar es obligatorio']
+  },
+  email: {
+    type: String,
+    required: [true, 'El email es obligatorio'],
+    lowercase: true,
+    trim: true
+  },
+  rol: {
+    type: String,
+    enum: {
+      values: ['editor', 'lector'],
+      message: 'El rol debe ser editor o lector'
+    },
+    default: 'editor'
+  },
+  invitadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiraEn: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+invitacionHogarSchema.index({ tokenHash: 1 }, { unique: true });
+invitacionHogarSchema.index({ hogar: 1, email: 1 });
+// MongoDB elimina las invitaciones al vencer
+invitacionHogarSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+// El hash del token nunca sale en las respuestas
+invitacionHogarSchema.set('toJSON', {
+  transform: (documento, resultado) => {
+    delete resultado.tokenHash;
+    return resultado;
+  }
+});
+
+export default mongoose.model('InvitacionHogar', invitacionHogarSchema);
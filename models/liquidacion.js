@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { METODOS_PAGO } from './transacciones.js';
+
+// pendiente: la registró quien paga y falta que quien cobra la confirme
+export const ESTADOS_LIQUIDACION = ['pendiente', 'confirmada'];
+
+// Pago entre dos personas para saldar gastos compartidos. Al confirmarse
+// genera un gasto para quien paga y un ingreso para quien cobra.
+const liquidacionSchema = new mongoose.Schema({
+  de: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'Quien paga es obligatorio']
+  },
+  para: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'Quien cobra es obligatorio']
+  },
+  monto: {
+    type: Number,
+    required: [true, 'El monto es obligatorio'],
+    min: [0.01, 'El monto debe ser mayor a 0']
+  },
+  fecha: {
+    type: Date,
+    default: Date.now
+  },
+  nota: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La nota no puede exceder 200 caracteres']
+  },
+  // Hogar en el que se saldan las cuentas (null: entre las dos personas)
+  hogar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hogar',
+    default: null
+  },
+  metodo_pago: {
+    type: String,
+    enum: METODOS_PAGO
+  },
+  estado: {
+    type: String,
+    enum: ESTADOS_LIQUIDACION,
+    default: 'confirmada'
+  },
+  confirmadaEn: Date,
+  registradaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+  // Transacciones generadas: el gasto de quien paga y el ingreso de quien cobra
+  transaccionDe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaccion'
+  },
+  transaccionPara: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaccion'
+  }
+}, {
+  timestamps: true
+});
+
+liquidacionSchema.index({ de: 1, fecha: -1 });
+liquidacionSchema.index({ para: 1, fecha: -1 });
+liquidacionSchema.index({ hogar: 1 });
+liquidacionSchema.index({ para: 1, estado: 1 });
+
+export default mongoose.model('Liquidacion', liquidacionSchema);
@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import { auditoriaPlugin } from './auditoria.js';
+
+// Canales por los que se puede enviar el recordatorio de una meta (ver services/recordatorios.js).
+// Por 'webhook' se envía el evento meta.recordatorio a los webhooks del usuario.
+export const CANALES_RECORDATORIO = ['app', 'email', 'webhook'];
 
 const metaSchema = new mongoose.Schema({
   usuario: {
@@ -6,6 +11,12 @@ const metaSchema = new mongoose.Schema({
     ref: 'Usuario',
     required: [true, 'El usuario es obligatorio']
   },
+  // Hogar con el que se comparte (null: personal, solo la ve su autor)
+  hogar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hogar',
+    default: null
+  },
   titulo: { 
     type: String, 
     required: [true, 'El título es obligatorio'],
@@ -61,7 +72,20 @@ const metaSchema = new mongoose.Schema({
       enum: ['diario', 'semanal', 'mensual', 'nunca'],
       default: 'semanal'
     },
-    proximoRecordatorio: Date
+    proximoRecordatorio: Date,
+    ultimoRecordatorio: Date,
+    // Cuándo se avisó que la fecha límite está cerca (una vez por fecha límite)
+    avisoVencimiento: Date,
+    canales: {
+      type: [{
+        type: String,
+        enum: {
+          values: CANALES_RECORDATORIO,
+          message: 'Los canales deben ser app, email o webhook'
+        }
+      }],
+      default: ['app']
+    }
   }
 }, { 
   timestamps: true 
@@ -80,12 +104,46 @@ metaSchema.virtual('diasRestantes').get(function() {
   return Math.ceil(diferencia / (1000 * 60 * 60 * 24));
 });
 
+// Fecha del siguiente recordatorio a partir de `fechaBase` según la frecuencia
+metaSchema.methods.siguienteRecordatorio = function(fechaBase) {
+  const fecha = new Date(fechaBase);
+
+  switch (this.recordatorios?.frecuencia) {
+    case 'diario':
+      fecha.setDate(fecha.getDate() + 1);
+      break;
+    case 'semanal':
+      fecha.setDate(fecha.getDate() + 7);
+      break;
+    case 'mensual':
+      fecha.setMonth(fecha.getMonth() + 1);
+      break;
+    default:
+      return null;
+  }
+
+  return fecha;
+};
+
+// Programar (o quitar) el próximo recordatorio: solo las metas activas con
+// fecha límite y una frecuencia distinta de 'nunca' tienen recordatorios
+metaSchema.methods.programarRecordatorio = function(desde = new Date()) {
+  this.recordatorios.proximoRecordatorio = this.estado === 'activa' && this.fechaLimite
+    ? this.siguienteRecordatorio(desde)
+    : null;
+};
+
 // Incluir virtuals en JSON
 metaSchema.set('toJSON', { virtuals: true });
 
 // Índices
 metaSchema.index({ usuario: 1, estado: 1 });
 metaSchema.index({ usuario: 1, fechaLimite: 1 });
+metaSchema.index({ hogar: 1, estado: 1 });
+metaSchema.index({ estado: 1, 'recordatorios.proximoRecordatorio': 1 });
+
+// Historial de cambios
+metaSchema.plugin(auditoriaPlugin);
 
 export default mongoose.model('Meta', metaSchema);
 
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+export const TIPOS_NOTIFICACION = [
+  'recordatorio_meta',
+  'meta_completada',
+  'meta_por_vencer',
+  'alerta_presupuesto',
+  'transaccion_grande',
+  'gasto_compartido'
+];
+
+// Aviso dentro de la aplicación para un usuario
+const notificacionSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  tipo: {
+    type: String,
+    enum: {
+      values: TIPOS_NOTIFICACION,
+      message: 'Tipo de notificación inválido'
+    },
+    required: [true, 'El tipo de notificación es obligatorio']
+  },
+  titulo: {
+    type: String,
+    required: [true, 'El título es obligatorio'],
+    trim: true,
+    maxlength: [150, 'El título no puede exceder 150 caracteres']
+  },
+  mensaje: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'El mensaje no puede exceder 1000 caracteres']
+  },
+  // Datos para que el cliente enlace la notificación (ej. { meta })
+  datos: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  leida: {
+    type: Boolean,
+    default: false
+  },
+  leidaEn: Date
+}, {
+  timestamps: true
+});
+
+notificacionSchema.index({ usuario: 1, leida: 1, createdAt: -1 });
+
+export default mongoose.model('Notificacion', notificacionSchema);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Pago de una deuda (o cobro de un préstamo). Cada pago está vinculado a una
+// transacción: un gasto si el usuario debe, un ingreso si le deben. El
+// interés y el capital se reparten al recalcular la deuda.
+const pagoDeudaSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  deuda: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deuda',
+    required: [true, 'La deuda es obligatoria']
+  },
+  transaccion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaccion',
+    required: [true, 'La transacción es obligatoria']
+  },
+  // Si la transacción se creó con el pago (se elimina al eliminarlo) o ya existía
+  transaccionGenerada: {
+    type: Boolean,
+    default: false
+  },
+  monto: {
+    type: Number,
+    required: [true, 'El monto es obligatorio'],
+    min: [0.01, 'El monto debe ser mayor a 0']
+  },
+  fecha: {
+    type: Date,
+    default: Date.now
+  },
+  interes: {
+    type: Number,
+    default: 0
+  },
+  capital: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+pagoDeudaSchema.index({ deuda: 1, fecha: 1 });
+pagoDeudaSchema.index({ transaccion: 1 }, { unique: true });
+pagoDeudaSchema.index({ usuario: 1, fecha: -1 });
+
+export default mongoose.model('PagoDeuda', pagoDeudaSchema);
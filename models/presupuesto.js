@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import Transaccion from './transacciones.js';
+
+// Umbrales (en porcentaje) que disparan alertas de presupuesto
+export const UMBRALES_ALERTA = [80, 100];
+
+const presupuestoSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  categoria: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    required: [true, 'La categoría es obligatoria']
+  },
+  montoLimite: {
+    type: Number,
+    required: [true, 'El monto límite es obligatorio'],
+    min: [1, 'El monto límite debe ser mayor a 0']
+  },
+  notas: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Las notas no pueden exceder 200 caracteres']
+  },
+  activo: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Un único presupuesto mensual por categoría y usuario
+presupuestoSchema.index({ usuario: 1, categoria: 1 }, { unique: true });
+
+// Rango [inicio, fin) del mes al que pertenece una fecha
+export function rangoMensual(fecha = new Date()) {
+  const inicio = new Date(fecha.getFullYear(), fecha.getMonth(), 1);
+  const fin = new Date(fecha.getFullYear(), fecha.getMonth() + 1, 1);
+  return { inicio, fin };
+}
+
+// Nombre del mes de una fecha para los mensajes ("este mes" si es el actual)
+export function nombrePeriodo(fecha, ahora = new Date()) {
+  const { inicio } = rangoMensual(fecha);
+  if (inicio.getTime() === rangoMensual(ahora).inicio.getTime()) return 'este mes';
+  return new Intl.DateTimeFormat('es', { month: 'long', year: 'numeric' }).format(inicio);
+}
+
+// Total gastado por categoría en el mes de la fecha indicada
+presupuestoSchema.statics.gastadoPorCategoria = async function(usuarioId, fecha = new Date()) {
+  const { inicio, fin } = rangoMensual(fecha);
+
+  const totales = await Transaccion.aggregate([
+    {
+      $match: {
+        usuario: new mongoose.Types.ObjectId(usuarioId),
+        tipo: 'gasto',
+        activa: true,
+        fecha: { $gte: inicio, $lt: fin }
+      }
+    },
+    { $group: { _id: '$categoria', total: { $sum: '$monto' } } }
+  ]);
+
+  return totales.reduce((acc, t) => {
+    acc[t._id] = t.total;
+    return acc;
+  }, {});
+};
+
+// Método para calcular el consumo del presupuesto dado lo gastado en el mes
+presupuestoSchema.methods.calcularConsumo = function(gastado = 0) {
+  const porcentajeUsado = (gastado / this.montoLimite) * 100;
+
+  let estado = 'ok';
+  if (porcentajeUsado >= 100) estado = 'excedido';
+  else if (porcentajeUsado >= UMBRALES_ALERTA[0]) estado = 'alerta';
+
+  return {
+    gastado,
+    restante: Math.max(this.montoLimite - gastado, 0),
+    porcentajeUsado: Math.round(porcentajeUsado * 100) / 100,
+    estado
+  };
+};
+
+// Verificar si un nuevo gasto cruza algún umbral del presupuesto de su categoría
+presupuestoSchema.statics.verificarUmbrales = async function(transaccion) {
+  if (transaccion.tipo !== 'gasto') return [];
+
+  const presupuesto = await this.findOne({
+    usuario: transaccion.usuario,
+    categoria: transaccion.categoria,
+    activo: true
+  });
+
+  if (!presupuesto) return [];
+
+  const gastos = await this.gastadoPorCategoria(transaccion.usuario, transaccion.fecha);
+  const gastadoDespues = gastos[transaccion.categoria] || 0;
+  const gastadoAntes = gastadoDespues - transaccion.monto;
+
+  const porcentajeAntes = (gastadoAntes / presupuesto.montoLimite) * 100;
+  const porcentajeDespues = (gastadoDespues / presupuesto.montoLimite) * 100;
+
+  // El gasto cuenta en el mes de su fecha, que puede no ser el actual
+  const fecha = new Date(transaccion.fecha);
+  const periodo = nombrePeriodo(fecha);
+  const enPeriodo = periodo === 'este mes' ? 'este mes' : `en ${periodo}`;
+  const paraPeriodo = periodo === 'este mes' ? 'para este mes' : `en ${periodo}`;
+
+  return UMBRALES_ALERTA
+    .filter(umbral => porcentajeAntes < umbral && porcentajeDespues >= umbral)
+    .map(umbral => ({
+      presupuesto: presupuesto._id,
+      categoria: presupuesto.categoria,
+      umbral,
+      montoLimite: presupuesto.montoLimite,
+      ...presupuesto.calcularConsumo(gastadoDespues),
+      periodo: rangoMensual(fecha),
+      mensaje: umbral >= 100
+        ? `Has excedido tu presupuesto de ${presupuesto.categoria} ${paraPeriodo}`
+        : `Has usado el ${umbral}% de tu presupuesto de ${presupuesto.categoria} ${enPeriodo}`
+    }));
+};
+
+export default mongoose.model('Presupuesto', presupuestoSchema);
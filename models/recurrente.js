@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+
+export const FRECUENCIAS = ['diaria', 'semanal', 'mensual', 'anual'];
+
+// Calcular la siguiente ocurrencia a partir de una fecha dada
+export function calcularSiguienteFecha(fechaBase, frecuencia, diaDelMes) {
+  const fecha = new Date(fechaBase);
+
+  switch (frecuencia) {
+    case 'diaria':
+      fecha.setDate(fecha.getDate() + 1);
+      break;
+    case 'semanal':
+      fecha.setDate(fecha.getDate() + 7);
+      break;
+    case 'mensual':
+    case 'anual': {
+      const meses = frecuencia === 'mensual' ? 1 : 12;
+      const dia = diaDelMes || fecha.getDate();
+      // Ir al día 1 para evitar desbordes (ej. 31 de enero + 1 mes)
+      fecha.setDate(1);
+      fecha.setMonth(fecha.getMonth() + meses);
+      const ultimoDia = new Date(fecha.getFullYear(), fecha.getMonth() + 1, 0).getDate();
+      fecha.setDate(Math.min(dia, ultimoDia));
+      break;
+    }
+    default:
+      return null;
+  }
+
+  return fecha;
+}
+
+const recurrenteSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  tipo: {
+    type: String,
+    enum: {
+      values: ['ingreso', 'gasto'],
+      message: 'El tipo debe ser ingreso o gasto'
+    },
+    required: [true, 'El tipo de transacción es obligatorio']
+  },
+  descripcion: {
+    type: String,
+    required: [true, 'La descripción es obligatoria'],
+    trim: true,
+    maxlength: [200, 'La descripción no puede exceder 200 caracteres']
+  },
+  monto: {
+    type: Number,
+    required: [true, 'El monto es obligatorio'],
+    min: [0.01, 'El monto debe ser mayor a 0']
+  },
+  categoria: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  subcategoria: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'La subcategoría no puede exceder 50 caracteres']
+  },
+  cuenta: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cuenta'
+  },
+  metodo_pago: {
+    type: String,
+    enum: ['efectivo', 'tarjeta_debito', 'tarjeta_credito', 'transferencia', 'otro'],
+    default: 'efectivo'
+  },
+  notas: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+  frecuencia: {
+    type: String,
+    enum: {
+      values: FRECUENCIAS,
+      message: 'La frecuencia debe ser diaria, semanal, mensual o anual'
+    },
+    required: [true, 'La frecuencia es obligatoria']
+  },
+  diaDelMes: {
+    type: Number,
+    min: [1, 'El día del mes debe estar entre 1 y 31'],
+    max: [31, 'El día del mes debe estar entre 1 y 31']
+  },
+  fechaInicio: {
+    type: Date,
+    default: Date.now
+  },
+  fechaFin: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        return !v || v > this.fechaInicio;
+      },
+      message: 'La fecha de fin debe ser posterior a la fecha de inicio'
+    }
+  },
+  proximaEjecucion: Date,
+  ultimaEjecucion: Date,
+  omitirProxima: {
+    type: Boolean,
+    default: false
+  },
+  estado: {
+    type: String,
+    enum: ['activa', 'pausada', 'finalizada'],
+    default: 'activa'
+  }
+}, {
+  timestamps: true
+});
+
+// Calcular la próxima ejecución al crear la recurrencia o cambiar su calendario
+recurrenteSchema.pre('save', function(next) {
+  const reprogramar = this.isNew
+    ? !this.proximaEjecucion
+    : this.isModified('frecuencia') || this.isModified('diaDelMes') || this.isModified('fechaInicio');
+
+  if (reprogramar) {
+    // Al editar no se generan ocurrencias anteriores al momento actual
+    const inicio = this.isNew
+      ? new Date(this.fechaInicio)
+      : new Date(Math.max(this.fechaInicio, Date.now()));
+
+    // Fijar el día del mes para que las ocurrencias no se desplacen
+    if (['mensual', 'anual'].includes(this.frecuencia) && !this.diaDelMes) {
+      this.diaDelMes = inicio.getDate();
+    }
+
+    if (['mensual', 'anual'].includes(this.frecuencia)) {
+      const ultimoDia = new Date(inicio.getFullYear(), inicio.getMonth() + 1, 0).getDate();
+      const candidata = new Date(inicio);
+      candidata.setDate(Math.min(this.diaDelMes, ultimoDia));
+      this.proximaEjecucion = candidata >= inicio
+        ? candidata
+        : calcularSiguienteFecha(candidata, this.frecuencia, this.diaDelMes);
+    } else {
+      this.proximaEjecucion = inicio;
+    }
+  }
+  next();
+});
+
+// Método para calcular la ocurrencia que sigue a proximaEjecucion
+recurrenteSchema.methods.siguienteOcurrencia = function(desde = this.proximaEjecucion) {
+  return calcularSiguienteFecha(desde, this.frecuencia, this.diaDelMes);
+};
+
+// Método para saltar las ocurrencias anteriores a una fecha (ej. al reanudar)
+recurrenteSchema.methods.avanzarHasta = function(fecha = new Date()) {
+  while (this.proximaEjecucion && this.proximaEjecucion < fecha) {
+    this.proximaEjecucion = this.siguienteOcurrencia();
+    this.omitirProxima = false;
+  }
+
+  if (this.fechaFin && this.proximaEjecucion > this.fechaFin) {
+    this.estado = 'finalizada';
+  }
+};
+
+// Método para listar las próximas ocurrencias hasta una fecha límite
+recurrenteSchema.methods.ocurrenciasHasta = function(hasta, maximo = 50) {
+  const ocurrencias = [];
+  if (this.estado === 'finalizada' || !this.proximaEjecucion) return ocurrencias;
+
+  let fecha = new Date(this.proximaEjecucion);
+  let primera = true;
+
+  while (fecha <= hasta && ocurrencias.length < maximo) {
+    if (this.fechaFin && fecha > this.fechaFin) break;
+
+    ocurrencias.push({
+      fecha: new Date(fecha),
+      omitida: primera && this.omitirProxima
+    });
+
+    primera = false;
+    fecha = this.siguienteOcurrencia(fecha);
+  }
+
+  return ocurrencias;
+};
+
+// Índices
+recurrenteSchema.index({ estado: 1, proximaEjecucion: 1 });
+recurrenteSchema.index({ usuario: 1, estado: 1 });
+
+export default mongoose.model('Recurrente', recurrenteSchema);
@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import { METODOS_PAGO } from './transacciones.js';
+import { motivoRegexInsegura } from '../utils/regexSegura.js';
+
+export const MODOS_DESCRIPCION = ['contiene', 'regex'];
+
+// Escapar un texto para usarlo literalmente dentro de una expresión regular
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const reglaSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  nombre: {
+    type: String,
+    required: [true, 'El nombre es obligatorio'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  // Las reglas se evalúan de menor a mayor prioridad y gana la primera que coincide
+  prioridad: {
+    type: Number,
+    default: 100,
+    min: [0, 'La prioridad no puede ser negativa']
+  },
+  activa: {
+    type: Boolean,
+    default: true
+  },
+  condiciones: {
+    descripcion: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'La descripción no puede exceder 200 caracteres']
+    },
+    modoDescripcion: {
+      type: String,
+      enum: {
+        values: MODOS_DESCRIPCION,
+        message: 'El modo de descripción debe ser contiene o regex'
+      },
+      default: 'contiene'
+    },
+    montoMin: {
+      type: Number,
+      min: [0, 'El monto mínimo no puede ser negativo']
+    },
+    montoMax: {
+      type: Number,
+      min: [0, 'El monto máximo no puede ser negativo']
+    },
+    tipo: {
+      type: String,
+      enum: ['ingreso', 'gasto']
+    },
+    metodo_pago: {
+      type: String,
+      enum: METODOS_PAGO
+    }
+  },
+  acciones: {
+    categoria: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    subcategoria: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    etiquetas: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Cada etiqueta puede tener hasta 30 caracteres']
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+reglaSchema.index({ usuario: 1, prioridad: 1 });
+
+// Una regla necesita al menos una condición y una acción coherentes
+reglaSchema.pre('validate', function(next) {
+  const { descripcion, modoDescripcion, montoMin, montoMax, tipo, metodo_pago } = this.condiciones;
+  const { categoria, subcategoria, etiquetas } = this.acciones;
+
+  if (!descripcion && montoMin == null && montoMax == null && !tipo && !metodo_pago) {
+    this.invalidate('condiciones', 'La regla debe tener al menos una condición');
+  }
+
+  if (montoMin != null && montoMax != null && montoMin > montoMax) {
+    this.invalidate('condiciones.montoMax', 'El monto máximo debe ser mayor o igual al mínimo');
+  }
+
+  if (descripcion && modoDescripcion === 'regex') {
+    const motivo = motivoRegexInsegura(descripcion);
+    if (motivo) this.invalidate('condiciones.descripcion', motivo);
+  }
+
+  if (!categoria && etiquetas.length === 0) {
+    this.invalidate('acciones', 'La regla debe asignar una categoría o etiquetas');
+  }
+
+  if (subcategoria && !categoria) {
+    this.invalidate('acciones.subcategoria', 'La subcategoría requiere una categoría');
+  }
+
+  next();
+});
+
+// Expresión regular equivalente a la condición de descripción
+reglaSchema.methods.expresionDescripcion = function() {
+  const { descripcion, modoDescripcion } = this.condiciones;
+  if (!descripcion) return null;
+
+  // Se compila una sola vez por documento. Un patrón guardado antes de
+  // validarlos que resulte inseguro se busca como texto literal.
+  if (!this.$locals.expresion) {
+    const comoRegex = modoDescripcion === 'regex' && !motivoRegexInsegura(descripcion);
+    const patron = comoRegex ? descripcion : escaparRegex(descripcion);
+    this.$locals.expresion = new RegExp(patron, 'i');
+  }
+  return this.$locals.expresion;
+};
+
+// Verificar si una transacción cumple todas las condiciones de la regla
+reglaSchema.methods.cumple = function(transaccion) {
+  const { montoMin, montoMax, tipo, metodo_pago } = this.condiciones;
+  const expresion = this.expresionDescripcion();
+
+  if (tipo && transaccion.tipo !== tipo) return false;
+  if (metodo_pago && transaccion.metodo_pago !== metodo_pago) return false;
+  if (montoMin != null && !(transaccion.monto >= montoMin)) return false;
+  if (montoMax != null && !(transaccion.monto <= montoMax)) return false;
+  if (expresion && !expresion.test(transaccion.descripcion || '')) return false;
+
+  return true;
+};
+
+// Filtro de MongoDB con las transacciones del usuario que cumplen la regla
+reglaSchema.methods.filtroTransacciones = function() {
+  const { montoMin, montoMax, tipo, metodo_pago } = this.condiciones;
+  const expresion = this.expresionDescripcion();
+
+  const filtro = {
+    usuario: this.usuario,
+    activa: true,
+    tipo: tipo || { $in: ['ingreso', 'gasto'] }
+  };
+
+  if (metodo_pago) filtro.metodo_pago = metodo_pago;
+  if (expresion) filtro.descripcion = expresion;
+
+  if (montoMin != null || montoMax != null) {
+    filtro.monto = {};
+    if (montoMin != null) filtro.monto.$gte = montoMin;
+    if (montoMax != null) filtro.monto.$lte = montoMax;
+  }
+
+  return filtro;
+};
+
+// Filtro que además excluye las transacciones que ya tienen el resultado de la regla
+reglaSchema.methods.filtroCambios = function() {
+  const { categoria, subcategoria, etiquetas } = this.acciones;
+  const diferencias = [];
+
+  if (categoria) {
+    diferencias.push({ categoria: { $ne: categoria } });
+    diferencias.push({ subcategoria: subcategoria ? { $ne: subcategoria } : { $nin: [null, ''] } });
+  }
+  if (etiquetas.length > 0) {
+    diferencias.push({ etiquetas: { $not: { $all: etiquetas } } });
+  }
+
+  return { ...this.filtroTransacciones(), $or: diferencias };
+};
+
+// Actualización a aplicar sobre las transacciones que cumplen la regla
+reglaSchema.methods.actualizacion = function() {
+  const { categoria, subcategoria, etiquetas } = this.acciones;
+  const actualizacion = {};
+
+  if (categoria) {
+    actualizacion.$set = { categoria };
+    if (subcategoria) actualizacion.$set.subcategoria = subcategoria;
+    else actualizacion.$unset = { subcategoria: '' };
+  }
+  if (etiquetas.length > 0) {
+    actualizacion.$addToSet = { etiquetas: { $each: etiquetas } };
+  }
+
+  return actualizacion;
+};
+
+export default mongoose.model('Regla', reglaSchema);
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Hashes de refresh tokens ya rotados que se conservan para detectar reutilización
+export const MAX_TOKENS_ANTERIORES = 20;
+
+// Sesión iniciada por un usuario: agrupa la familia de refresh tokens que
+// se van rotando desde el login. Solo se guardan hashes de los tokens.
+const sesionSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  tokensAnteriores: {
+    type: [String],
+    default: []
+  },
+  expiraEn: {
+    type: Date,
+    required: true
+  },
+  ultimoUso: {
+    type: Date,
+    default: Date.now
+  },
+  revocadaEn: {
+    type: Date,
+    default: null
+  },
+  motivoRevocacion: {
+    type: String,
+    enum: ['logout', 'logout_todas', 'reutilizacion', 'cambio_contrasena', 'admin', 'eliminacion_cuenta']
+  },
+  ip: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+sesionSchema.index({ tokenHash: 1 }, { unique: true });
+sesionSchema.index({ tokensAnteriores: 1 });
+sesionSchema.index({ usuario: 1, revocadaEn: 1 });
+// MongoDB elimina las sesiones al vencer
+sesionSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Sesion', sesionSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+export const TIPOS_TOKEN_USUARIO = ['verificacion_email', 'restablecer_contrasena'];
+
+// Token de un solo uso enviado por correo (solo se guarda su hash)
+const tokenUsuarioSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  tipo: {
+    type: String,
+    enum: TIPOS_TOKEN_USUARIO,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiraEn: {
+    type: Date,
+    required: true
+  },
+  usadoEn: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+tokenUsuarioSchema.index({ tokenHash: 1 }, { unique: true });
+tokenUsuarioSchema.index({ usuario: 1, tipo: 1 });
+// MongoDB elimina los tokens al vencer
+tokenUsuarioSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('TokenUsuario', tokenUsuarioSchema);
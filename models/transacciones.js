@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import { CATEGORIA_POR_DEFECTO } from './categoria.js';
+import { auditoriaPlugin } from './auditoria.js';
+
+export const METODOS_PAGO = ['efectivo', 'tarjeta_debito', 'tarjeta_credito', 'transferencia', 'otro'];
 
 const transaccionSchema = new mongoose.Schema({
   usuario: {
@@ -6,14 +10,38 @@ const transaccionSchema = new mongoose.Schema({
     ref: 'Usuario',
     required: [true, 'El usuario es obligatorio']
   },
+  // Hogar con el que se comparte (null: personal, solo la ve su autor)
+  hogar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hogar',
+    default: null
+  },
   tipo: {
     type: String,
     enum: {
-      values: ['ingreso', 'gasto'],
-      message: 'El tipo debe ser ingreso o gasto'
+      values: ['ingreso', 'gasto', 'transferencia'],
+      message: 'El tipo debe ser ingreso, gasto o transferencia'
     },
     required: [true, 'El tipo de transacción es obligatorio']
   },
+  cuenta: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cuenta'
+  },
+  // Solo para transferencias: cuenta que recibe el dinero
+  cuentaDestino: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cuenta',
+    required: [
+      function() { return this.tipo === 'transferencia'; },
+      'La cuenta destino es obligatoria en una transferencia'
+    ]
+  },
+  // Monto acreditado en la cuenta destino si tiene otra moneda
+  montoDestino: {
+    type: Number,
+    min: [0.01, 'El monto destino debe ser mayor a 0']
+  },
   descripcion: {
     type: String,
     required: [true, 'La descripción es obligatoria'],
@@ -35,26 +63,59 @@ const transaccionSchema = new mongoose.Schema({
       message: 'La fecha no puede ser futura'
     }
   },
+  // Nombre de una categoría principal del usuario (ver models/categoria.js)
   categoria: {
     type: String,
-    enum: ['alimentación', 'transporte', 'entretenimiento', 'servicios', 'salud', 'ropa', 'educación', 'hogar', 'otros'],
-    default: 'otros'
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'La categoría no puede exceder 50 caracteres'],
+    default: CATEGORIA_POR_DEFECTO
   },
   subcategoria: {
     type: String,
     trim: true,
+    lowercase: true,
     maxlength: [50, 'La subcategoría no puede exceder 50 caracteres']
   },
   metodo_pago: {
     type: String,
-    enum: ['efectivo', 'tarjeta_debito', 'tarjeta_credito', 'transferencia', 'otro'],
+    enum: METODOS_PAGO,
     default: 'efectivo'
   },
+  // La categoría fue elegida por el usuario (y no asignada automáticamente);
+  // solo estas transacciones entrenan el clasificador
+  categoriaConfirmada: {
+    type: Boolean,
+    default: false
+  },
+  etiquetas: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Cada etiqueta puede tener hasta 30 caracteres']
+  }],
   notas: {
     type: String,
     trim: true,
     maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
   },
+  recurrente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recurrente'
+  },
+  // Identificador del movimiento en el banco (FITID de OFX) para evitar duplicados.
+  // Solo es único dentro de una cuenta, así que se guarda con la cuenta del
+  // banco de la que vino (ACCTID de OFX)
+  idExterno: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'El identificador externo no puede exceder 255 caracteres']
+  },
+  cuentaExterna: {
+    type: String,
+    trim: true,
+    maxlength: [64, 'La cuenta externa no puede exceder 64 caracteres']
+  },
   activa: {
     type: Boolean,
     default: true
@@ -67,6 +128,21 @@ const transaccionSchema = new mongoose.Schema({
 transaccionSchema.index({ usuario: 1, fecha: -1 });
 transaccionSchema.index({ usuario: 1, categoria: 1 });
 transaccionSchema.index({ usuario: 1, tipo: 1 });
+transaccionSchema.index({ usuario: 1, etiquetas: 1 });
+transaccionSchema.index(
+  { usuario: 1, updatedAt: -1 },
+  { partialFilterExpression: { categoriaConfirmada: true } }
+);
+transaccionSchema.index({ usuario: 1, cuenta: 1, fecha: -1 });
+transaccionSchema.index({ usuario: 1, cuentaDestino: 1, fecha: -1 });
+transaccionSchema.index({ hogar: 1, fecha: -1 });
+transaccionSchema.index(
+  { usuario: 1, cuenta: 1, cuentaExterna: 1, idExterno: 1 },
+  { unique: true, partialFilterExpression: { idExterno: { $type: 'string' } } }
+);
+
+// Historial de cambios (el borrado es lógico con `activa`)
+transaccionSchema.plugin(auditoriaPlugin, { campoActivo: 'activa' });
 
 export default mongoose.model('Transaccion', transaccionSchema);
 
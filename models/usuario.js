@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import { auditoriaPlugin } from './auditoria.js';
+import { TIPOS_NOTIFICACION } from './notificacion.js';
+
+// Roles de la plataforma: soporte y admin acceden a /api/admin
+export const ROLES = ['usuario', 'soporte', 'admin'];
 
 const usuarioSchema = new mongoose.Schema({
   nombre: { 
@@ -29,11 +34,67 @@ const usuarioSchema = new mongoose.Schema({
   activo: {
     type: Boolean,
     default: true
+  },
+  rol: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'El rol debe ser usuario, soporte o admin'
+    },
+    default: 'usuario'
+  },
+  emailVerificado: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificadoEn: Date,
+  // Autenticación en dos pasos (TOTP). Los secretos se guardan cifrados y
+  // los códigos de recuperación como hash.
+  dosFactores: {
+    activo: {
+      type: Boolean,
+      default: false
+    },
+    secreto: String,
+    secretoPendiente: String,
+    codigosRecuperacion: {
+      type: [String],
+      default: []
+    },
+    // Último periodo TOTP aceptado, para que un código no se use dos veces
+    ultimoPaso: {
+      type: Number,
+      default: 0
+    },
+    activadoEn: Date
+  },
+  // Qué notificaciones recibe el usuario (todas activas por defecto) y desde qué
+  // monto una transacción se considera grande
+  preferenciasNotificaciones: {
+    tipos: Object.fromEntries(TIPOS_NOTIFICACION.map(tipo => [tipo, { type: Boolean, default: true }])),
+    umbralTransaccionGrande: {
+      type: Number,
+      min: [0.01, 'El umbral debe ser mayor a 0'],
+      default: 1000
+    }
+  },
+  // Borrado de la cuenta solicitado: se ejecuta al vencer el periodo de gracia
+  eliminacionSolicitadaEn: Date,
+  eliminacionProgramada: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+usuarioSchema.index({ rol: 1 });
+usuarioSchema.index({ fechaRegistro: -1 });
+usuarioSchema.index(
+  { eliminacionProgramada: 1 },
+  { partialFilterExpression: { eliminacionProgramada: { $type: 'date' } } }
+);
+
 // Middleware para hash de contraseña antes de guardar
 usuarioSchema.pre('save', async function(next) {
   if (!this.isModified('contrasena')) return next();
@@ -56,8 +117,18 @@ usuarioSchema.methods.compararContrasena = async function(contrasenaIngresada) {
 usuarioSchema.methods.toJSON = function() {
   const usuario = this.toObject();
   delete usuario.contrasena;
+  if (usuario.dosFactores) {
+    usuario.dosFactores = { activo: usuario.dosFactores.activo, activadoEn: usuario.dosFactores.activadoEn };
+  }
   return usuario;
 };
 
+// Historial de cambios de la cuenta, sin guardar contraseñas ni secretos
+usuarioSchema.plugin(auditoriaPlugin, {
+  propietario: null,
+  ocultos: ['contrasena', 'dosFactores.secreto', 'dosFactores.secretoPendiente', 'dosFactores.codigosRecuperacion'],
+  ignorar: ['dosFactores.ultimoPaso']
+});
+
 export default mongoose.model('Usuario', usuarioSchema);
 
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// Eventos a los que se puede suscribir un webhook
+export const EVENTOS_WEBHOOK = [
+  'transaccion.creada',
+  'transaccion.actualizada',
+  'transaccion.eliminada',
+  'meta.completada',
+  'meta.estado_cambiado',
+  'meta.recordatorio',
+  'presupuesto.excedido'
+];
+
+// Dirección de un usuario que recibe por POST los eventos a los que se suscribió
+const webhookSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es obligatorio']
+  },
+  url: {
+    type: String,
+    required: [true, 'La URL es obligatoria'],
+    trim: true,
+    maxlength: [500, 'La URL no puede exceder 500 caracteres'],
+    match: [/^https?:\/\/\S+$/i, 'La URL debe empezar con http:// o https://']
+  },
+  descripcion: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La descripción no puede exceder 200 caracteres']
+  },
+  eventos: {
+    type: [{
+      type: String,
+      enum: {
+        values: EVENTOS_WEBHOOK,
+        message: 'Evento de webhook inválido'
+      }
+    }],
+    validate: {
+      validator: eventos => eventos.length > 0,
+      message: 'Suscríbete al menos a un evento'
+    }
+  },
+  // Secreto para firmar los envíos (cifrado; se muestra solo al crearlo o rotarlo)
+  secreto: {
+    type: String,
+    required: true
+  },
+  activo: {
+    type: Boolean,
+    default: true
+  },
+  // Entregas que agotaron sus reintentos desde el último éxito
+  fallosConsecutivos: {
+    type: Number,
+    default: 0
+  },
+  ultimaEntrega: Date
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ usuario: 1, activo: 1, eventos: 1 });
+
+// El secreto nunca sale en las respuestas
+webhookSchema.set('toJSON', {
+  transform: (documento, resultado) => {
+    delete resultado.secreto;
+    return resultado;
+  }
+});
+
+export default mongoose.model('Webhook', webhookSchema);
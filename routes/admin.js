@@ -0,0 +1,358 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, param, query, validationResult } from 'express-validator';
+import Usuario, { ROLES } from '../models/usuario.js';
+import Transaccion from '../models/transacciones.js';
+import Sesion from '../models/sesion.js';
+import { checkRole } from '../middleware/roleCheck.js';
+import { revocarSesionesUsuario } from '../services/sesiones.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren soporte o admin; algunas solo admin
+router.use(checkRole(['soporte', 'admin']));
+const soloAdmin = checkRole(['admin']);
+
+// Campos de un usuario visibles en la administración (nunca secretos)
+const CAMPOS_USUARIO = 'nombre email rol activo emailVerificado dosFactores.activo eliminacionProgramada fechaRegistro createdAt updatedAt';
+
+// Únicos campos de las transacciones que soporte puede ver
+const CAMPOS_TRANSACCION_SOPORTE = 'fecha tipo monto categoria cuenta activa createdAt';
+
+// Escapar un texto para usarlo literalmente en una expresión regular
+const escaparRegex = texto => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const validacionId = [
+  param('id').isMongoId().withMessage('ID de usuario inválido')
+];
+
+const validacionPaginacion = [
+  query('pagina').optional().isInt({ min: 1 }).withMessage('Página debe ser un número mayor a 0'),
+  query('limite').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100')
+];
+
+// Soporte solo gestiona cuentas de usuarios comunes, y nadie se gestiona a sí mismo
+function puedeGestionar(actor, usuario) {
+  if (usuario._id.equals(actor.id)) return false;
+  return actor.rol === 'admin' || usuario.rol === 'usuario';
+}
+
+// 👥 Listar y buscar usuarios
+router.get('/usuarios', [
+  ...validacionPaginacion,
+  query('buscar').optional().isString().trim().isLength({ max: 100 }).withMessage('Búsqueda inválida'),
+  query('rol').optional().isIn(ROLES).withMessage('Rol inválido'),
+  query('activo').optional().isBoolean().withMessage('Activo debe ser booleano')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { pagina = 1, limite = 20, buscar, rol, activo } = req.query;
+
+    const filtros = {};
+    if (rol) filtros.rol = rol;
+    if (activo !== undefined) filtros.activo = activo === 'true';
+    if (buscar) {
+      const expresion = new RegExp(escaparRegex(buscar), 'i');
+      filtros.$or = [{ nombre: expresion }, { email: expresion }];
+    }
+
+    const skip = (parseInt(pagina) - 1) * parseInt(limite);
+
+    const [usuarios, total] = await Promise.all([
+      Usuario.find(filtros)
+        .select(CAMPOS_USUARIO)
+        .sort({ fechaRegistro: -1 })
+        .skip(skip)
+        .limit(parseInt(limite)),
+      Usuario.countDocuments(filtros)
+    ]);
+
+    res.json({
+      usuarios,
+      paginacion: {
+        paginaActual: parseInt(pagina),
+        totalPaginas: Math.ceil(total / parseInt(limite)),
+        totalElementos: total,
+        elementosPorPagina: parseInt(limite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listando usuarios:', error);
+    res.status(500).json({ error: 'Error interno del servidor al listar usuarios' });
+  }
+});
+
+// 👤 Detalle de un usuario con su actividad
+router.get('/usuarios/:id', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({ error: 'ID inválido', detalles: errores.array() });
+    }
+
+    const usuario = await Usuario.findById(req.params.id).select(CAMPOS_USUARIO);
+    if (!usuario) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const [transacciones, ultimaTransaccion, sesionesActivas] = await Promise.all([
+      Transaccion.countDocuments({ usuario: usuario._id, activa: true }),
+      Transaccion.findOne({ usuario: usuario._id, activa: true }).sort({ fecha: -1 }).select('fecha'),
+      Sesion.countDocuments({ usuario: usuario._id, revocadaEn: null, expiraEn: { $gt: new Date() } })
+    ]);
+
+    res.json({
+      usuario,
+      actividad: {
+        transacciones,
+        ultimaTransaccion: ultimaTransaccion?.fecha || null,
+        sesionesActivas
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo usuario:', error);
+    res.status(500).json({ error: 'Error interno del servidor al obtener usuario' });
+  }
+});
+
+// 📋 Transacciones de un usuario (soporte no ve descripciones ni notas)
+router.get('/usuarios/:id/transacciones', [...validacionId, ...validacionPaginacion], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { pagina = 1, limite = 20 } = req.query;
+    const filtros = { usuario: req.params.id, activa: true };
+    const skip = (parseInt(pagina) - 1) * parseInt(limite);
+
+    let consulta = Transaccion.find(filtros)
+      .sort({ fecha: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limite));
+    if (req.usuario.rol !== 'admin') {
+      consulta = consulta.select(CAMPOS_TRANSACCION_SOPORTE);
+    }
+
+    const [transacciones, total] = await Promise.all([
+      consulta,
+      Transaccion.countDocuments(filtros)
+    ]);
+
+    res.json({
+      transacciones,
+      paginacion: {
+        paginaActual: parseInt(pagina),
+        totalPaginas: Math.ceil(total / parseInt(limite)),
+        totalElementos: total,
+        elementosPorPagina: parseInt(limite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo transacciones del usuario:', error);
+    res.status(500).json({ error: 'Error interno del servidor al obtener transacciones' });
+  }
+});
+
+// 🔒 Activar o desactivar un usuario (desactivar también cierra sus sesiones)
+router.patch('/usuarios/:id/estado', [
+  ...validacionId,
+  body('activo').isBoolean().withMessage('Activo debe ser booleano')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const usuario = await Usuario.findById(req.params.id);
+    if (!usuario) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    if (!puedeGestionar(req.usuario, usuario)) {
+      return res.status(403).json({ error: 'No puedes modificar esta cuenta', codigo: 'FORBIDDEN' });
+    }
+
+    const activo = req.body.activo === true || req.body.activo === 'true';
+    usuario.activo = activo;
+    await usuario.save();
+
+    const sesionesCerradas = activo ? 0 : await revocarSesionesUsuario(usuario._id, 'admin');
+
+    res.json({
+      message: activo ? 'Usuario activado' : 'Usuario desactivado',
+      usuario: { id: usuario._id, email: usuario.email, activo: usuario.activo },
+      sesionesCerradas
+    });
+
+  } catch (error) {
+    console.error('Error cambiando estado del usuario:', error);
+    res.status(500).json({ error: 'Error interno del servidor al cambiar estado del usuario' });
+  }
+});
+
+// 🎖️ Cambiar el rol de un usuario (solo admin)
+router.patch('/usuarios/:id/rol', soloAdmin, [
+  ...validacionId,
+  body('rol').isIn(ROLES).withMessage('Rol inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    if (new mongoose.Types.ObjectId(req.params.id).equals(req.usuario.id)) {
+      return res.status(403).json({ error: 'No puedes cambiar tu propio rol', codigo: 'FORBIDDEN' });
+    }
+
+    const usuario = await Usuario.findByIdAndUpdate(
+      req.params.id,
+      { rol: req.body.rol },
+      { new: true, runValidators: true }
+    ).select(CAMPOS_USUARIO);
+
+    if (!usuario) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    res.json({ message: 'Rol actualizado', usuario });
+
+  } catch (error) {
+    console.error('Error cambiando rol del usuario:', error);
+    res.status(500).json({ error: 'Error interno del servidor al cambiar rol del usuario' });
+  }
+});
+
+// 🚪 Forzar el cierre de todas las sesiones de un usuario
+router.post('/usuarios/:id/cerrar-sesiones', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({ error: 'ID inválido', detalles: errores.array() });
+    }
+
+    const usuario = await Usuario.findById(req.params.id).select('rol');
+    if (!usuario) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    if (!puedeGestionar(req.usuario, usuario)) {
+      return res.status(403).json({ error: 'No puedes modificar esta cuenta', codigo: 'FORBIDDEN' });
+    }
+
+    const sesionesCerradas = await revocarSesionesUsuario(usuario._id, 'admin');
+
+    res.json({
+      message: 'Se cerraron todas las sesiones del usuario',
+      sesionesCerradas
+    });
+
+  } catch (error) {
+    console.error('Error cerrando sesiones del usuario:', error);
+    res.status(500).json({ error: 'Error interno del servidor al cerrar sesiones del usuario' });
+  }
+});
+
+// 📊 Estadísticas agregadas de la plataforma (sin datos de transacciones individuales)
+router.get('/estadisticas', [
+  query('meses').optional().isInt({ min: 1, max: 60 }).withMessage('Meses debe ser entre 1 y 60')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const meses = parseInt(req.query.meses) || 12;
+    const ahora = new Date();
+    const desde = new Date(ahora.getFullYear(), ahora.getMonth() - meses + 1, 1);
+    const mes = campo => ({ $dateToString: { format: '%Y-%m', date: campo } });
+
+    const [usuarios, registros, volumen] = await Promise.all([
+      Usuario.aggregate([
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            activos: { $sum: { $cond: ['$activo', 1, 0] } },
+            emailVerificado: { $sum: { $cond: ['$emailVerificado', 1, 0] } },
+            dosFactores: { $sum: { $cond: ['$dosFactores.activo', 1, 0] } },
+            soporte: { $sum: { $cond: [{ $eq: ['$rol', 'soporte'] }, 1, 0] } },
+            admin: { $sum: { $cond: [{ $eq: ['$rol', 'admin'] }, 1, 0] } }
+          }
+        }
+      ]),
+      Usuario.aggregate([
+        { $match: { fechaRegistro: { $gte: desde } } },
+        { $group: { _id: mes('$fechaRegistro'), registros: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]),
+      // Los montos se suman sin convertir la moneda de cada cuenta
+      Transaccion.aggregate([
+        { $match: { activa: true, fecha: { $gte: desde } } },
+        {
+          $group: {
+            _id: { mes: mes('$fecha'), tipo: '$tipo' },
+            cantidad: { $sum: 1 },
+            total: { $sum: '$monto' },
+            usuarios: { $addToSet: '$usuario' }
+          }
+        },
+        { $project: { cantidad: 1, total: 1, usuarios: { $size: '$usuarios' } } },
+        { $sort: { '_id.mes': 1, '_id.tipo': 1 } }
+      ])
+    ]);
+
+    // Agrupar el volumen por mes con un bloque por tipo de transacción
+    const volumenPorMes = new Map();
+    for (const { _id, cantidad, total, usuarios: usuariosDelTipo } of volumen) {
+      if (!volumenPorMes.has(_id.mes)) volumenPorMes.set(_id.mes, { mes: _id.mes });
+      volumenPorMes.get(_id.mes)[_id.tipo] = {
+        cantidad,
+        total: Math.round(total * 100) / 100,
+        usuarios: usuariosDelTipo
+      };
+    }
+
+    const resumen = usuarios[0] || { total: 0, activos: 0, emailVerificado: 0, dosFactores: 0, soporte: 0, admin: 0 };
+    delete resumen._id;
+
+    res.json({
+      periodo: { desde, hasta: ahora, meses },
+      usuarios: resumen,
+      registrosPorMes: registros.map(r => ({ mes: r._id, registros: r.registros })),
+      transaccionesPorMes: [...volumenPorMes.values()]
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo estadísticas de la plataforma:', error);
+    res.status(500).json({ error: 'Error interno del servidor al obtener estadísticas' });
+  }
+});
+
+export default router;
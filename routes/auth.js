@@ -1,21 +1,42 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
+import bcrypt from 'bcrypt';
 import Usuario from '../models/usuario.js';
 import { body, validationResult } from 'express-validator';
-import rateLimit from 'express-rate-limit';
+import { authenticateToken } from '../middleware/auth.js';
+import { authLimiter } from '../middleware/rateLimiter.js';
+import {
+  crearSesion,
+  renovarSesion,
+  sesionDeRefreshToken,
+  revocarSesion,
+  revocarSesionesUsuario,
+  verificarTokenAcceso
+} from '../services/sesiones.js';
+import {
+  consumirToken,
+  enviarAvisoRegistroExistente,
+  enviarVerificacionEmail,
+  enviarRestablecimientoContrasena,
+  requiereEmailVerificado
+} from '../services/autenticacion.js';
+import {
+  iniciarConfiguracion,
+  confirmarConfiguracion,
+  regenerarCodigosRecuperacion,
+  desactivarDosFactores,
+  generarTokenDesafio,
+  verificarTokenDesafio,
+  verificarSegundoFactor
+} from '../services/dosFactores.js';
 
 const router = express.Router();
 
-// Rate limiting para auth endpoints
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 5, // máximo 5 intentos por IP
-  message: {
-    error: 'Demasiados intentos de autenticación. Intenta nuevamente en 15 minutos.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+// Reglas de una contraseña nueva
+const validacionContrasena = body('contrasena')
+  .isLength({ min: 6 })
+  .withMessage('La contraseña debe tener al menos 6 caracteres')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('La contraseña debe contener al menos: una minúscula, una mayúscula y un número');
 
 // Validaciones para registro
 const validacionRegistro = [
@@ -31,11 +52,7 @@ const validacionRegistro = [
     .normalizeEmail()
     .withMessage('Formato de email inválido'),
   
-  body('contrasena')
-    .isLength({ min: 6 })
-    .withMessage('La contraseña debe tener al menos 6 caracteres')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('La contraseña debe contener al menos: una minúscula, una mayúscula y un número')
+  validacionContrasena
 ];
 
 // Validaciones para login
@@ -50,22 +67,96 @@ const validacionLogin = [
     .withMessage('La contraseña es obligatoria')
 ];
 
-// Función para generar JWT
-const generarToken = (usuario) => {
-  return jwt.sign(
-    { 
-      id: usuario._id, 
-      nombre: usuario.nombre,
-      email: usuario.email
-    },
-    process.env.JWT_SECRET || 'secreto_super_seguro_cambiar_en_produccion',
-    { 
-      expiresIn: '24h',
-      issuer: 'FinSmart',
-      subject: usuario._id.toString()
-    }
-  );
-};
+// Validación del email en los flujos de recuperación
+const validacionEmail = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Formato de email inválido')
+];
+
+// Validación del token recibido por correo
+const validacionTokenCorreo = body('token')
+  .isString()
+  .notEmpty()
+  .withMessage('El token es obligatorio');
+
+// Validaciones para renovar token
+const validacionRefresh = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('El refresh token es obligatorio')
+];
+
+// Validación de un código TOTP de 6 dígitos
+const validacionCodigoTOTP = body('codigo')
+  .isString()
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage('El código debe tener 6 dígitos');
+
+// Validaciones para completar el login con el segundo factor
+const validacionSegundoFactor = [
+  body('tokenDesafio')
+    .isString()
+    .notEmpty()
+    .withMessage('El token de desafío es obligatorio'),
+
+  body('codigo')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('El código debe tener 6 dígitos'),
+
+  body('codigoRecuperacion')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El código de recuperación no puede estar vacío'),
+
+  body()
+    .custom(({ codigo, codigoRecuperacion }) => Boolean(codigo) !== Boolean(codigoRecuperacion))
+    .withMessage('Envía un código de la app autenticadora o un código de recuperación')
+];
+
+// Confirmación de la contraseña actual para operaciones sensibles
+const validacionContrasenaActual = [
+  body('contrasena')
+    .notEmpty()
+    .withMessage('La contraseña es obligatoria')
+];
+
+// Datos del usuario que se devuelven al iniciar sesión
+const datosUsuario = (usuario) => ({
+  id: usuario._id,
+  nombre: usuario.nombre,
+  email: usuario.email,
+  emailVerificado: usuario.emailVerificado,
+  rol: usuario.rol,
+  dosFactoresActivo: Boolean(usuario.dosFactores?.activo),
+  fechaRegistro: usuario.fechaRegistro,
+  // Fecha del borrado definitivo si el usuario pidió eliminar su cuenta
+  eliminacionProgramada: usuario.eliminacionProgramada || null
+});
+
+// Datos del cliente que se guardan con la sesión
+// Respuesta común de los flujos que no deben revelar si un email está registrado
+const MENSAJE_CORREO_ENVIADO = 'Si el correo está registrado, recibirás un mensaje con las instrucciones';
+const MENSAJE_REGISTRO = 'Revisa tu correo para completar el registro';
+
+// En esos flujos el correo se envía sin esperarlo y un fallo solo se registra:
+// la respuesta (y su demora) es la misma exista o no la cuenta
+function enviarEnSegundoPlano(envio, descripcion) {
+  envio.catch(error => console.error(`Error enviando ${descripcion}:`, error));
+}
+
+const datosCliente = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
 
 // 🔐 REGISTRO
 router.post('/register', authLimiter, validacionRegistro, async (req, res) => {
@@ -81,12 +172,17 @@ router.post('/register', authLimiter, validacionRegistro, async (req, res) => {
 
     const { nombre, email, contrasena } = req.body;
 
-    // Verificar si el usuario ya existe
+    // La respuesta no revela si el email ya tenía cuenta: en ese caso se avisa
+    // por correo a su dueño, y en el otro se envía la verificación. La sesión
+    // se inicia después con /login.
     const usuarioExistente = await Usuario.findOne({ email });
     if (usuarioExistente) {
-      return res.status(409).json({ 
-        error: 'El correo electrónico ya está registrado' 
-      });
+      // Igualar la demora del hash de la contraseña de una cuenta nueva
+      await bcrypt.hash(contrasena, 12);
+      if (usuarioExistente.activo) {
+        enviarEnSegundoPlano(enviarAvisoRegistroExistente(usuarioExistente), 'aviso de registro existente');
+      }
+      return res.status(202).json({ message: MENSAJE_REGISTRO });
     }
 
     // Crear nuevo usuario (el hash se hace automáticamente en el modelo)
@@ -98,28 +194,17 @@ router.post('/register', authLimiter, validacionRegistro, async (req, res) => {
 
     await nuevoUsuario.save();
 
-    // Generar token para login automático
-    const token = generarToken(nuevoUsuario);
+    // Un fallo del correo no impide el registro: se puede reenviar después
+    enviarEnSegundoPlano(enviarVerificacionEmail(nuevoUsuario), 'correo de verificación');
 
-    res.status(201).json({
-      message: 'Usuario registrado exitosamente',
-      token,
-      usuario: {
-        id: nuevoUsuario._id,
-        nombre: nuevoUsuario.nombre,
-        email: nuevoUsuario.email,
-        fechaRegistro: nuevoUsuario.fechaRegistro
-      }
-    });
+    res.status(202).json({ message: MENSAJE_REGISTRO });
 
   } catch (error) {
     console.error('Error en registro:', error);
     
-    // Manejo específico de errores de MongoDB
+    // Registro simultáneo con el mismo email: misma respuesta que cualquier otro
     if (error.code === 11000) {
-      return res.status(409).json({ 
-        error: 'El correo electrónico ya está registrado' 
-      });
+      return res.status(202).json({ message: MENSAJE_REGISTRO });
     }
     
     if (error.name === 'ValidationError') {
@@ -165,18 +250,30 @@ router.post('/login', authLimiter, validacionLogin, async (req, res) => {
       });
     }
 
-    // Generar token
-    const token = generarToken(usuario);
+    if (requiereEmailVerificado() && !usuario.emailVerificado) {
+      return res.status(403).json({
+        error: 'Debes verificar tu correo antes de iniciar sesión',
+        codigo: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Con verificación en dos pasos la sesión se inicia en POST /2fa/verify
+    if (usuario.dosFactores?.activo) {
+      return res.json({
+        message: 'Ingresa el código de tu app autenticadora',
+        requiere2FA: true,
+        tokenDesafio: generarTokenDesafio(usuario)
+      });
+    }
+
+    // Iniciar una sesión nueva
+    const { token, refreshToken } = await crearSesion(usuario, datosCliente(req));
 
     res.json({
       message: 'Inicio de sesión exitoso',
       token,
-      usuario: {
-        id: usuario._id,
-        nombre: usuario.nombre,
-        email: usuario.email,
-        fechaRegistro: usuario.fechaRegistro
-      }
+      refreshToken,
+      usuario: datosUsuario(usuario)
     });
 
   } catch (error) {
@@ -196,10 +293,7 @@ router.get('/verify', async (req, res) => {
       return res.status(401).json({ error: 'Token no proporcionado' });
     }
 
-    const decoded = jwt.verify(
-      token, 
-      process.env.JWT_SECRET || 'secreto_super_seguro_cambiar_en_produccion'
-    );
+    const decoded = await verificarTokenAcceso(token);
     
     const usuario = await Usuario.findById(decoded.id).select('-contrasena');
     
@@ -213,6 +307,9 @@ router.get('/verify', async (req, res) => {
         id: usuario._id,
         nombre: usuario.nombre,
         email: usuario.email,
+        emailVerificado: usuario.emailVerificado,
+        rol: usuario.rol,
+        dosFactoresActivo: Boolean(usuario.dosFactores?.activo),
         fechaRegistro: usuario.fechaRegistro
       }
     });
@@ -228,62 +325,388 @@ router.get('/verify', async (req, res) => {
       return res.status(401).json({ error: 'Token expirado' });
     }
 
+    if (error.name === 'AuthError') {
+      return res.status(401).json({ error: error.message, codigo: error.codigo });
+    }
+
     res.status(500).json({ error: 'Error verificando token' });
   }
 });
 
-// 🔄 REFRESH TOKEN
-router.post('/refresh', async (req, res) => {
+// 📧 OLVIDÉ MI CONTRASEÑA
+router.post('/olvide-contrasena', authLimiter, validacionEmail, async (req, res) => {
   try {
-    const { token } = req.body;
-    
-    if (!token) {
-      return res.status(401).json({ error: 'Token requerido' });
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const usuario = await Usuario.findOne({ email: req.body.email, activo: true });
+    if (usuario) {
+      enviarEnSegundoPlano(enviarRestablecimientoContrasena(usuario), 'correo de restablecimiento de contraseña');
+    }
+
+    res.json({ message: MENSAJE_CORREO_ENVIADO });
+
+  } catch (error) {
+    console.error('Error solicitando restablecimiento de contraseña:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor al solicitar restablecimiento' 
+    });
+  }
+});
+
+// 🔑 RESTABLECER CONTRASEÑA (cierra todas las sesiones abiertas)
+router.post('/restablecer-contrasena', authLimiter, [validacionTokenCorreo, validacionContrasena], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const usuarioId = await consumirToken(req.body.token, 'restablecer_contrasena');
+
+    const usuario = await Usuario.findOne({ _id: usuarioId, activo: true });
+    if (!usuario) {
+      return res.status(400).json({ error: 'El enlace es inválido o expiró' });
+    }
+
+    // El hash se hace automáticamente en el modelo. Recibir el enlace prueba
+    // que el usuario controla el correo, así que también queda verificado.
+    usuario.contrasena = req.body.contrasena;
+    if (!usuario.emailVerificado) {
+      usuario.emailVerificado = true;
+      usuario.emailVerificadoEn = new Date();
+    }
+    await usuario.save();
+
+    await revocarSesionesUsuario(usuario._id, 'cambio_contrasena');
+
+    res.json({ message: 'Contraseña restablecida exitosamente. Inicia sesión nuevamente' });
+
+  } catch (error) {
+    console.error('Error restableciendo contraseña:', error);
+
+    if (error.name === 'TokenUsuarioError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ 
+      error: 'Error interno del servidor al restablecer contraseña' 
+    });
+  }
+});
+
+// ✅ VERIFICAR EMAIL
+router.post('/verificar-email', [validacionTokenCorreo], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        detalles: errores.array()
+      });
     }
 
-    const decoded = jwt.verify(
-      token, 
-      process.env.JWT_SECRET || 'secreto_super_seguro_cambiar_en_produccion',
-      { ignoreExpiration: true }
+    const usuarioId = await consumirToken(req.body.token, 'verificacion_email');
+
+    const usuario = await Usuario.findByIdAndUpdate(
+      usuarioId,
+      { emailVerificado: true, emailVerificadoEn: new Date() },
+      { new: true }
     );
-    
-    const usuario = await Usuario.findById(decoded.id);
-    
-    if (!usuario || !usuario.activo) {
-      return res.status(401).json({ error: 'Usuario no válido' });
+
+    if (!usuario) {
+      return res.status(400).json({ error: 'El enlace es inválido o expiró' });
     }
 
-    // Verificar que el token no haya expirado hace más de 7 días
-    const ahora = Math.floor(Date.now() / 1000);
-    const tiempoExpiracion = decoded.exp;
-    const diasDesdeExpiracion = (ahora - tiempoExpiracion) / (24 * 60 * 60);
-    
-    if (diasDesdeExpiracion > 7) {
-      return res.status(401).json({ error: 'Token demasiado antiguo' });
+    res.json({
+      message: 'Correo verificado exitosamente',
+      emailVerificado: true
+    });
+
+  } catch (error) {
+    console.error('Error verificando email:', error);
+
+    if (error.name === 'TokenUsuarioError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ 
+      error: 'Error interno del servidor al verificar email' 
+    });
+  }
+});
+
+// 📧 REENVIAR VERIFICACIÓN DE EMAIL
+router.post('/reenviar-verificacion', authLimiter, validacionEmail, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const usuario = await Usuario.findOne({
+      email: req.body.email,
+      activo: true,
+      emailVerificado: { $ne: true }
+    });
+    if (usuario) {
+      enviarEnSegundoPlano(enviarVerificacionEmail(usuario), 'correo de verificación');
+    }
+
+    res.json({ message: MENSAJE_CORREO_ENVIADO });
+
+  } catch (error) {
+    console.error('Error reenviando verificación de email:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor al reenviar verificación' 
+    });
+  }
+});
+
+// 🔄 REFRESH TOKEN (rotación: cada refresh token se puede usar una sola vez)
+router.post('/refresh', validacionRefresh, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        detalles: errores.array()
+      });
     }
 
-    // Generar nuevo token
-    const nuevoToken = generarToken(usuario);
+    const { token, refreshToken } = await renovarSesion(req.body.refreshToken);
 
     res.json({
       message: 'Token renovado exitosamente',
-      token: nuevoToken
+      token,
+      refreshToken
     });
 
   } catch (error) {
     console.error('Error renovando token:', error);
-    res.status(401).json({ error: 'Error renovando token' });
+
+    if (error.name === 'AuthError') {
+      return res.status(401).json({ error: error.message, codigo: error.codigo });
+    }
+
+    res.status(500).json({ error: 'Error interno del servidor al renovar token' });
+  }
+});
+
+// 🚪 LOGOUT: revoca la sesión del refresh token o, si no se envía, la del token de acceso
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    let sesionId;
+
+    if (typeof refreshToken === 'string' && refreshToken) {
+      sesionId = (await sesionDeRefreshToken(refreshToken))?._id;
+    } else {
+      const token = req.header('Authorization')?.replace('Bearer ', '');
+      if (token) {
+        sesionId = (await verificarTokenAcceso(token)).sid;
+      }
+    }
+
+    if (!sesionId) {
+      return res.status(401).json({ error: 'Sesión no encontrada' });
+    }
+
+    await revocarSesion(sesionId, 'logout');
+
+    res.json({ message: 'Sesión cerrada exitosamente' });
+
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+
+    if (['AuthError', 'JsonWebTokenError', 'TokenExpiredError'].includes(error.name)) {
+      return res.status(401).json({ error: 'Sesión no válida' });
+    }
+
+    res.status(500).json({ error: 'Error interno del servidor al cerrar sesión' });
+  }
+});
+
+// 🚪 LOGOUT EN TODOS LOS DISPOSITIVOS
+router.post('/logout-todas', authenticateToken, async (req, res) => {
+  try {
+    const sesionesCerradas = await revocarSesionesUsuario(req.usuario.id, 'logout_todas');
+
+    res.json({
+      message: 'Se cerraron todas las sesiones',
+      sesionesCerradas
+    });
+
+  } catch (error) {
+    console.error('Error cerrando sesiones:', error);
+    res.status(500).json({ error: 'Error interno del servidor al cerrar sesiones' });
+  }
+});
+
+// 🔐 VERIFICACIÓN EN DOS PASOS: completar el login con el código TOTP o uno de recuperación
+router.post('/2fa/verify', authLimiter, validacionSegundoFactor, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { tokenDesafio, codigo, codigoRecuperacion } = req.body;
+    const usuarioId = verificarTokenDesafio(tokenDesafio);
+
+    const { usuario, usoCodigoRecuperacion, codigosRecuperacionRestantes } =
+      await verificarSegundoFactor(usuarioId, { codigo, codigoRecuperacion });
+
+    const { token, refreshToken } = await crearSesion(usuario, datosCliente(req));
+
+    res.json({
+      message: 'Inicio de sesión exitoso',
+      token,
+      refreshToken,
+      usuario: datosUsuario(usuario),
+      ...(usoCodigoRecuperacion && { codigosRecuperacionRestantes })
+    });
+
+  } catch (error) {
+    console.error('Error verificando segundo factor:', error);
+
+    if (error.name === 'AuthError') {
+      return res.status(401).json({ error: error.message, codigo: error.codigo });
+    }
+
+    res.status(500).json({ error: 'Error interno del servidor al verificar el código' });
+  }
+});
+
+// 🔐 ACTIVAR DOS PASOS (1/2): generar el secreto y la URI otpauth para la app autenticadora
+router.post('/2fa/configurar', authenticateToken, async (req, res) => {
+  try {
+    const usuario = await Usuario.findById(req.usuario.id);
+    const { secreto, otpauthUri } = await iniciarConfiguracion(usuario);
+
+    res.json({
+      message: 'Escanea la URI con tu app autenticadora y confirma con el primer código',
+      secreto,
+      otpauthUri
+    });
+
+  } catch (error) {
+    console.error('Error configurando verificación en dos pasos:', error);
+
+    if (error.name === 'AuthError') {
+      return res.status(409).json({ error: error.message, codigo: error.codigo });
+    }
+
+    res.status(500).json({ error: 'Error interno del servidor al configurar la verificación en dos pasos' });
+  }
+});
+
+// ✅ ACTIVAR DOS PASOS (2/2): confirmar con el primer código y entregar los códigos de recuperación
+router.post('/2fa/confirmar', authenticateToken, [validacionCodigoTOTP], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const usuario = await Usuario.findById(req.usuario.id);
+    const codigosRecuperacion = await confirmarConfiguracion(usuario, req.body.codigo);
+
+    res.json({
+      message: 'Verificación en dos pasos activada. Guarda los códigos de recuperación: no se volverán a mostrar',
+      codigosRecuperacion
+    });
+
+  } catch (error) {
+    console.error('Error confirmando verificación en dos pasos:', error);
+
+    if (error.name === 'AuthError') {
+      const status = error.codigo === 'TWO_FACTOR_ENABLED' ? 409 : 400;
+      return res.status(status).json({ error: error.message, codigo: error.codigo });
+    }
+
+    res.status(500).json({ error: 'Error interno del servidor al confirmar la verificación en dos pasos' });
+  }
+});
+
+// 🔄 REGENERAR CÓDIGOS DE RECUPERACIÓN (requiere la contraseña)
+router.post('/2fa/codigos-recuperacion', authenticateToken, authLimiter, validacionContrasenaActual, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const usuario = await Usuario.findById(req.usuario.id);
+    if (!(await usuario.compararContrasena(req.body.contrasena))) {
+      return res.status(401).json({ error: 'Contraseña incorrecta' });
+    }
+
+    if (!usuario.dosFactores?.activo) {
+      return res.status(400).json({ error: 'La verificación en dos pasos no está activada' });
+    }
+
+    const codigosRecuperacion = await regenerarCodigosRecuperacion(usuario._id);
+
+    res.json({
+      message: 'Códigos de recuperación regenerados. Los anteriores ya no son válidos',
+      codigosRecuperacion
+    });
+
+  } catch (error) {
+    console.error('Error regenerando códigos de recuperación:', error);
+    res.status(500).json({ error: 'Error interno del servidor al regenerar los códigos de recuperación' });
   }
 });
 
-// 🚪 LOGOUT (opcional - principalmente para invalidar tokens en el cliente)
-router.post('/logout', (req, res) => {
-  // En un sistema con JWT stateless, el logout se maneja principalmente en el cliente
-  // Aquí podrías implementar una lista negra de tokens si fuera necesario
-  res.json({ 
-    message: 'Sesión cerrada exitosamente',
-    instruccion: 'Elimina el token del almacenamiento local del cliente'
-  });
+// 🔓 DESACTIVAR DOS PASOS (requiere la contraseña)
+router.post('/2fa/desactivar', authenticateToken, authLimiter, validacionContrasenaActual, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const usuario = await Usuario.findById(req.usuario.id);
+    if (!(await usuario.compararContrasena(req.body.contrasena))) {
+      return res.status(401).json({ error: 'Contraseña incorrecta' });
+    }
+
+    if (!usuario.dosFactores?.activo) {
+      return res.status(400).json({ error: 'La verificación en dos pasos no está activada' });
+    }
+
+    await desactivarDosFactores(usuario._id);
+
+    res.json({ message: 'Verificación en dos pasos desactivada' });
+
+  } catch (error) {
+    console.error('Error desactivando verificación en dos pasos:', error);
+    res.status(500).json({ error: 'Error interno del servidor al desactivar la verificación en dos pasos' });
+  }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,326 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Categoria, { CATEGORIA_POR_DEFECTO } from '../models/categoria.js';
+import { propagarRenombre } from '../services/categorias.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para crear/actualizar categoría
+const validacionCategoria = [
+  body('nombre')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('El nombre debe tener entre 2 y 50 caracteres'),
+
+  body('tipo')
+    .optional()
+    .isIn(['gasto', 'ingreso', 'ambos'])
+    .withMessage('El tipo debe ser gasto, ingreso o ambos'),
+
+  body('icono')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('El icono no puede exceder 20 caracteres'),
+
+  body('color')
+    .optional()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('El color debe tener formato hexadecimal (#RRGGBB)'),
+
+  body('palabrasClave')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Las palabras clave deben ser una lista de hasta 100 elementos'),
+
+  body('palabrasClave.*')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Cada palabra clave debe tener entre 2 y 50 caracteres')
+];
+
+// Armar el árbol de categorías principales con sus subcategorías
+function construirArbol(categorias) {
+  const principales = categorias.filter(c => !c.padre);
+
+  return principales.map(principal => ({
+    ...principal.toJSON(),
+    subcategorias: categorias.filter(c => String(c.padre) === String(principal._id))
+  }));
+}
+
+// Respuesta común para errores al guardar una categoría
+function responderErrorGuardado(res, error, mensaje) {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'Ya existe una categoría con ese nombre'
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ error: 'ID de categoría inválido' });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Datos de categoría inválidos',
+      detalles: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({ error: mensaje });
+}
+
+// 🏷️ Listar categorías con sus subcategorías
+router.get('/', [
+  query('incluirArchivadas').optional().isBoolean().withMessage('incluirArchivadas debe ser verdadero o falso'),
+  query('tipo').optional().isIn(['gasto', 'ingreso']).withMessage('El tipo debe ser gasto o ingreso')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { incluirArchivadas, tipo } = req.query;
+
+    const categorias = await Categoria.deUsuario(req.usuario.id, {
+      incluirArchivadas: incluirArchivadas === 'true'
+    });
+
+    // Las subcategorías comparten el tipo de su categoría principal
+    let arbol = construirArbol(categorias);
+    if (tipo) {
+      arbol = arbol.filter(c => c.tipo === tipo || c.tipo === 'ambos');
+    }
+
+    res.json({ categorias: arbol });
+
+  } catch (error) {
+    console.error('Error obteniendo categorías:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener categorías'
+    });
+  }
+});
+
+// 🏷️ Crear nueva categoría o subcategoría
+router.post('/', [
+  ...validacionCategoria,
+  body('padre').optional({ values: 'null' }).isMongoId().withMessage('Categoría padre inválida')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { nombre, padre, tipo, icono, color, palabrasClave } = req.body;
+
+    // Solo hay un nivel de subcategorías
+    let categoriaPadre = null;
+    if (padre) {
+      categoriaPadre = await Categoria.findOne({
+        _id: padre,
+        usuario: req.usuario.id,
+        padre: null,
+        archivada: false
+      });
+
+      if (!categoriaPadre) {
+        return res.status(404).json({
+          error: 'Categoría padre no encontrada'
+        });
+      }
+    }
+
+    const nuevaCategoria = new Categoria({
+      nombre,
+      padre: categoriaPadre?._id ?? null,
+      tipo: categoriaPadre ? categoriaPadre.tipo : tipo,
+      icono,
+      color,
+      palabrasClave,
+      usuario: req.usuario.id
+    });
+
+    const categoriaGuardada = await nuevaCategoria.save();
+
+    res.status(201).json({
+      message: 'Categoría creada exitosamente',
+      categoria: categoriaGuardada
+    });
+
+  } catch (error) {
+    console.error('Error creando categoría:', error);
+    responderErrorGuardado(res, error, 'Error interno del servidor al crear categoría');
+  }
+});
+
+// 🏷️ Actualizar una categoría (renombrarla actualiza las transacciones, presupuestos y recurrencias)
+router.put('/:id', validacionCategoria, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const categoria = await Categoria.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!categoria) {
+      return res.status(404).json({
+        error: 'Categoría no encontrada'
+      });
+    }
+
+    const { nombre, tipo, icono, color, palabrasClave } = req.body;
+    const nombreAnterior = categoria.nombre;
+
+    if (categoria.sistema && nombreAnterior === CATEGORIA_POR_DEFECTO &&
+        nombre.toLowerCase() !== CATEGORIA_POR_DEFECTO) {
+      return res.status(400).json({
+        error: `La categoría "${CATEGORIA_POR_DEFECTO}" no se puede renombrar`
+      });
+    }
+
+    // Conservar los campos que no se envían
+    const cambios = Object.entries({ nombre, icono, color, palabrasClave })
+      .filter(([, valor]) => valor !== undefined);
+    categoria.set(Object.fromEntries(cambios));
+    // El tipo de una subcategoría siempre es el de su categoría principal
+    if (!categoria.padre && tipo) categoria.tipo = tipo;
+
+    const categoriaActualizada = await categoria.save();
+
+    if (categoriaActualizada.nombre !== nombreAnterior) {
+      await propagarRenombre(req.usuario.id, categoriaActualizada, nombreAnterior);
+    }
+
+    if (!categoria.padre && tipo) {
+      await Categoria.updateMany(
+        { usuario: req.usuario.id, padre: categoria._id },
+        { tipo: categoriaActualizada.tipo }
+      );
+    }
+
+    res.json({
+      message: 'Categoría actualizada exitosamente',
+      categoria: categoriaActualizada
+    });
+
+  } catch (error) {
+    console.error('Error actualizando categoría:', error);
+    responderErrorGuardado(res, error, 'Error interno del servidor al actualizar categoría');
+  }
+});
+
+// 🏷️ Archivar una categoría y sus subcategorías (las transacciones conservan su categoría)
+router.delete('/:id', async (req, res) => {
+  try {
+    const categoria = await Categoria.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id,
+      archivada: false
+    });
+
+    if (!categoria) {
+      return res.status(404).json({
+        error: 'Categoría no encontrada'
+      });
+    }
+
+    if (categoria.sistema && categoria.nombre === CATEGORIA_POR_DEFECTO) {
+      return res.status(400).json({
+        error: `La categoría "${CATEGORIA_POR_DEFECTO}" no se puede archivar`
+      });
+    }
+
+    categoria.archivada = true;
+    const categoriaArchivada = await categoria.save();
+
+    await Categoria.updateMany(
+      { usuario: req.usuario.id, padre: categoria._id },
+      { archivada: true }
+    );
+
+    res.json({
+      message: 'Categoría archivada exitosamente',
+      categoria: categoriaArchivada
+    });
+
+  } catch (error) {
+    console.error('Error archivando categoría:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de categoría inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al archivar categoría'
+    });
+  }
+});
+
+// 🏷️ Restaurar una categoría archivada
+router.patch('/:id/restaurar', async (req, res) => {
+  try {
+    const categoria = await Categoria.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id,
+      archivada: true
+    });
+
+    if (!categoria) {
+      return res.status(404).json({
+        error: 'Categoría no encontrada'
+      });
+    }
+
+    if (categoria.padre) {
+      const padreActivo = await Categoria.exists({ _id: categoria.padre, archivada: false });
+      if (!padreActivo) {
+        return res.status(400).json({
+          error: 'Restaura primero la categoría principal'
+        });
+      }
+    }
+
+    categoria.archivada = false;
+    const categoriaRestaurada = await categoria.save();
+
+    res.json({
+      message: 'Categoría restaurada exitosamente',
+      categoria: categoriaRestaurada
+    });
+
+  } catch (error) {
+    console.error('Error restaurando categoría:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de categoría inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al restaurar categoría'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,454 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
+import Cuenta, { TIPOS_CUENTA, efectoEnCuenta } from '../models/cuenta.js';
+import Transaccion from '../models/transacciones.js';
+import { crearTransferencia } from '../services/transacciones.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para crear/actualizar cuenta
+const validacionCuenta = [
+  body('nombre')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('El nombre debe tener entre 2 y 50 caracteres'),
+
+  body('tipo')
+    .optional()
+    .isIn(TIPOS_CUENTA)
+    .withMessage('Tipo de cuenta inválido'),
+
+  body('moneda')
+    .optional()
+    .isISO4217()
+    .withMessage('La moneda debe ser un código ISO 4217 válido'),
+
+  body('saldoInicial')
+    .optional()
+    .isFloat()
+    .withMessage('El saldo inicial debe ser numérico'),
+
+  body('institucion')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La institución no puede exceder 100 caracteres'),
+
+  body('activa')
+    .optional()
+    .isBoolean()
+    .withMessage('Activa debe ser verdadero o falso')
+];
+
+// Validaciones para transferencias
+const validacionTransferencia = [
+  body('cuentaOrigen')
+    .isMongoId()
+    .withMessage('Cuenta origen inválida'),
+
+  body('cuentaDestino')
+    .isMongoId()
+    .withMessage('Cuenta destino inválida'),
+
+  body('monto')
+    .isFloat({ min: 0.01 })
+    .withMessage('El monto debe ser mayor a 0'),
+
+  body('montoDestino')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('El monto destino debe ser mayor a 0'),
+
+  body('fecha')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato de fecha inválido'),
+
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('La descripción debe tener entre 3 y 200 caracteres')
+];
+
+// Agregar saldo actual a una cuenta
+function conSaldo(cuenta, movimientos) {
+  return {
+    ...cuenta.toJSON(),
+    saldoActual: cuenta.saldoInicial + (movimientos[cuenta._id] || 0)
+  };
+}
+
+// 🏦 Crear nueva cuenta
+router.post('/', validacionCuenta, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { nombre, tipo, moneda, saldoInicial, institucion } = req.body;
+
+    const nuevaCuenta = new Cuenta({
+      nombre,
+      tipo,
+      moneda,
+      saldoInicial,
+      institucion,
+      usuario: req.usuario.id
+    });
+
+    const cuentaGuardada = await nuevaCuenta.save();
+
+    res.status(201).json({
+      message: 'Cuenta creada exitosamente',
+      cuenta: { ...cuentaGuardada.toJSON(), saldoActual: cuentaGuardada.saldoInicial }
+    });
+
+  } catch (error) {
+    console.error('Error creando cuenta:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Ya existe una cuenta con ese nombre'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos de cuenta inválidos',
+        detalles: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al crear cuenta'
+    });
+  }
+});
+
+// 🏦 Listar cuentas con saldos
+router.get('/', [
+  query('incluirArchivadas').optional().isBoolean().withMessage('incluirArchivadas debe ser verdadero o falso')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const filtros = { usuario: req.usuario.id };
+    if (req.query.incluirArchivadas !== 'true') filtros.activa = true;
+
+    const [cuentas, movimientos] = await Promise.all([
+      Cuenta.find(filtros).sort({ activa: -1, nombre: 1 }),
+      Cuenta.calcularMovimientos(req.usuario.id)
+    ]);
+
+    const detalle = cuentas.map(cuenta => conSaldo(cuenta, movimientos));
+
+    // Totales agrupados por moneda
+    const totalesPorMoneda = detalle
+      .filter(c => c.activa)
+      .reduce((acc, c) => {
+        acc[c.moneda] = (acc[c.moneda] || 0) + c.saldoActual;
+        return acc;
+      }, {});
+
+    res.json({
+      cuentas: detalle,
+      totalesPorMoneda
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo cuentas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener cuentas'
+    });
+  }
+});
+
+// 🏦 Transferir dinero entre cuentas
+router.post('/transferencias', validacionTransferencia, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const transferencia = await crearTransferencia(req.usuario.id, req.body);
+
+    res.status(201).json({
+      message: 'Transferencia realizada exitosamente',
+      transferencia
+    });
+
+  } catch (error) {
+    console.error('Error creando transferencia:', error);
+
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    if (error.name === 'TransferenciaError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos de transferencia inválidos',
+        detalles: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al crear transferencia'
+    });
+  }
+});
+
+// 🏦 Obtener cuenta por ID
+router.get('/:id', async (req, res) => {
+  try {
+    const cuenta = await Cuenta.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!cuenta) {
+      return res.status(404).json({
+        error: 'Cuenta no encontrada'
+      });
+    }
+
+    const movimientos = await Cuenta.calcularMovimientos(req.usuario.id);
+
+    res.json(conSaldo(cuenta, movimientos));
+
+  } catch (error) {
+    console.error('Error obteniendo cuenta:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de cuenta inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener cuenta'
+    });
+  }
+});
+
+// 🏦 Movimientos de una cuenta con saldo acumulado
+router.get('/:id/movimientos', [
+  query('pagina').optional().isInt({ min: 1 }).withMessage('Página debe ser un número mayor a 0'),
+  query('limite').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const cuenta = await Cuenta.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!cuenta) {
+      return res.status(404).json({
+        error: 'Cuenta no encontrada'
+      });
+    }
+
+    const { pagina = 1, limite = 20 } = req.query;
+    const skip = (parseInt(pagina) - 1) * parseInt(limite);
+
+    const filtros = {
+      usuario: new mongoose.Types.ObjectId(req.usuario.id),
+      activa: true,
+      $or: [{ cuenta: cuenta._id }, { cuentaDestino: cuenta._id }]
+    };
+
+    const [movimientos, total] = await Promise.all([
+      Transaccion.aggregate([
+        { $match: filtros },
+        { $addFields: { efecto: efectoEnCuenta(cuenta._id) } },
+        {
+          $setWindowFields: {
+            sortBy: { fecha: 1, createdAt: 1 },
+            output: {
+              saldo: {
+                $sum: '$efecto',
+                window: { documents: ['unbounded', 'current'] }
+              }
+            }
+          }
+        },
+        { $sort: { fecha: -1, createdAt: -1 } },
+        { $skip: skip },
+        { $limit: parseInt(limite) }
+      ]),
+      Transaccion.countDocuments(filtros)
+    ]);
+
+    res.json({
+      cuenta: cuenta._id,
+      saldoInicial: cuenta.saldoInicial,
+      movimientos: movimientos.map(m => ({ ...m, saldo: cuenta.saldoInicial + m.saldo })),
+      paginacion: {
+        paginaActual: parseInt(pagina),
+        totalPaginas: Math.ceil(total / parseInt(limite)),
+        totalElementos: total,
+        elementosPorPagina: parseInt(limite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo movimientos de cuenta:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de cuenta inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener movimientos'
+    });
+  }
+});
+
+// 🏦 Actualizar una cuenta
+router.put('/:id', validacionCuenta, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { nombre, tipo, moneda, saldoInicial, institucion, activa } = req.body;
+
+    // Cambiar la moneda de una cuenta con movimientos reinterpretaría todos sus montos
+    if (moneda !== undefined) {
+      const cuenta = await Cuenta.findOne({ _id: req.params.id, usuario: req.usuario.id }).select('moneda');
+      if (!cuenta) {
+        return res.status(404).json({
+          error: 'Cuenta no encontrada'
+        });
+      }
+
+      const cambiaMoneda = String(moneda).trim().toUpperCase() !== cuenta.moneda;
+      if (cambiaMoneda && await Transaccion.exists({ $or: [{ cuenta: cuenta._id }, { cuentaDestino: cuenta._id }] })) {
+        return res.status(409).json({
+          error: 'No se puede cambiar la moneda de una cuenta con transacciones'
+        });
+      }
+    }
+
+    const cuentaActualizada = await Cuenta.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        usuario: req.usuario.id
+      },
+      { nombre, tipo, moneda, saldoInicial, institucion, activa },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!cuentaActualizada) {
+      return res.status(404).json({
+        error: 'Cuenta no encontrada'
+      });
+    }
+
+    const movimientos = await Cuenta.calcularMovimientos(req.usuario.id);
+
+    res.json({
+      message: 'Cuenta actualizada exitosamente',
+      cuenta: conSaldo(cuentaActualizada, movimientos)
+    });
+
+  } catch (error) {
+    console.error('Error actualizando cuenta:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Ya existe una cuenta con ese nombre'
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de cuenta inválido' });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos de cuenta inválidos',
+        detalles: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al actualizar cuenta'
+    });
+  }
+});
+
+// 🏦 Archivar una cuenta (sus transacciones se conservan)
+router.delete('/:id', async (req, res) => {
+  try {
+    const cuentaArchivada = await Cuenta.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        usuario: req.usuario.id,
+        activa: true
+      },
+      { activa: false },
+      { new: true }
+    );
+
+    if (!cuentaArchivada) {
+      return res.status(404).json({
+        error: 'Cuenta no encontrada'
+      });
+    }
+
+    res.json({
+      message: 'Cuenta archivada exitosamente',
+      cuenta: cuentaArchivada
+    });
+
+  } catch (error) {
+    console.error('Error archivando cuenta:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de cuenta inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al archivar cuenta'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,528 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, param, query, validationResult } from 'express-validator';
+import Deuda, { DIRECCIONES_DEUDA } from '../models/deuda.js';
+import PagoDeuda from '../models/pagoDeuda.js';
+import { METODOS_PAGO } from '../models/transacciones.js';
+import { FRECUENCIAS_PAGO, calcularAmortizacion } from '../utils/amortizacion.js';
+import {
+  recalcularDeuda,
+  estadoDeuda,
+  registrarPago,
+  eliminarPago,
+  planificarPagoDeudas
+} from '../services/deudas.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para crear/actualizar deuda
+const validacionDeuda = [
+  body('direccion')
+    .optional()
+    .isIn(DIRECCIONES_DEUDA)
+    .withMessage('La dirección debe ser por_pagar o por_cobrar'),
+  body('titulo')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El título debe tener entre 1 y 100 caracteres'),
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La descripción no puede exceder 500 caracteres'),
+  body('contraparte')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La contraparte no puede exceder 100 caracteres'),
+  body('principal')
+    .isFloat({ min: 0.01 })
+    .withMessage('El monto del préstamo debe ser mayor a 0')
+    .toFloat(),
+  body('tasaInteres')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('La tasa de interés debe estar entre 0 y 1000')
+    .toFloat(),
+  body('plazo')
+    .isInt({ min: 1, max: 1200 })
+    .withMessage('El plazo debe ser entre 1 y 1200 pagos')
+    .toInt(),
+  body('frecuencia')
+    .optional()
+    .isIn(FRECUENCIAS_PAGO)
+    .withMessage(`Frecuencia inválida. Disponibles: ${FRECUENCIAS_PAGO.join(', ')}`),
+  body('fechaInicio')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato de fecha inválido')
+];
+
+const CAMPOS_DEUDA = ['direccion', 'titulo', 'descripcion', 'contraparte', 'principal', 'tasaInteres', 'plazo', 'frecuencia', 'fechaInicio'];
+
+const validacionId = [
+  param('id').isMongoId().withMessage('ID de deuda inválido')
+];
+
+const validacionPaginacion = [
+  query('pagina').optional().isInt({ min: 1 }).withMessage('Página debe ser un número mayor a 0'),
+  query('limite').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100')
+];
+
+// Respuesta común para los errores de deudas
+function responderErrorDeuda(res, error, mensaje) {
+  if (error.name === 'DeudaError') {
+    return res.status(400).json({ error: error.message, ...error.datos });
+  }
+
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({ error: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Datos de deuda inválidos',
+      detalles: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({ error: mensaje });
+}
+
+const datosDeuda = datos => Object.fromEntries(
+  CAMPOS_DEUDA.filter(campo => datos[campo] !== undefined).map(campo => [campo, datos[campo]])
+);
+
+// 💳 Registrar una deuda o un préstamo otorgado
+router.post('/', validacionDeuda, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const deuda = await Deuda.create({ ...datosDeuda(req.body), usuario: req.usuario.id });
+
+    res.status(201).json({
+      message: 'Deuda registrada exitosamente',
+      deuda
+    });
+
+  } catch (error) {
+    console.error('Error creando deuda:', error);
+    responderErrorDeuda(res, error, 'Error interno del servidor al registrar la deuda');
+  }
+});
+
+// 💳 Listar deudas con lo pendiente por pagar y por cobrar
+router.get('/', [
+  query('estado').optional().isIn(['activa', 'pagada', 'cancelada']).withMessage('Estado inválido'),
+  query('direccion').optional().isIn(DIRECCIONES_DEUDA).withMessage('Dirección inválida'),
+  ...validacionPaginacion
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { estado, direccion, pagina = 1, limite = 20 } = req.query;
+    const filtros = { usuario: req.usuario.id };
+    if (estado) filtros.estado = estado;
+    if (direccion) filtros.direccion = direccion;
+
+    const [deudas, total, pendientes] = await Promise.all([
+      Deuda.find(filtros)
+        .sort({ estado: 1, createdAt: -1 })
+        .skip((parseInt(pagina) - 1) * parseInt(limite))
+        .limit(parseInt(limite)),
+      Deuda.countDocuments(filtros),
+      Deuda.aggregate([
+        { $match: { usuario: new mongoose.Types.ObjectId(req.usuario.id), estado: 'activa' } },
+        { $group: { _id: '$direccion', saldo: { $sum: '$saldoPendiente' }, cantidad: { $sum: 1 } } }
+      ])
+    ]);
+
+    const pendiente = direccionBuscada => pendientes.find(({ _id }) => _id === direccionBuscada);
+
+    res.json({
+      deudas,
+      resumen: {
+        totalPorPagar: Math.round((pendiente('por_pagar')?.saldo || 0) * 100) / 100,
+        totalPorCobrar: Math.round((pendiente('por_cobrar')?.saldo || 0) * 100) / 100,
+        deudasActivas: pendiente('por_pagar')?.cantidad || 0,
+        prestamosActivos: pendiente('por_cobrar')?.cantidad || 0
+      },
+      paginacion: {
+        paginaActual: parseInt(pagina),
+        totalPaginas: Math.ceil(total / parseInt(limite)),
+        totalElementos: total,
+        elementosPorPagina: parseInt(limite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo deudas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener deudas'
+    });
+  }
+});
+
+// 📉 Planificador: bola de nieve (menor saldo primero) vs. avalancha (mayor tasa primero)
+router.get('/planificador', [
+  query('pagoExtra')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El pago extra debe ser mayor o igual a 0')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    res.json(await planificarPagoDeudas(req.usuario.id, { pagoExtra: parseFloat(req.query.pagoExtra) || 0 }));
+
+  } catch (error) {
+    console.error('Error planificando pago de deudas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al planificar el pago de deudas'
+    });
+  }
+});
+
+// 💳 Obtener una deuda con su situación actual
+router.get('/:id', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const deuda = await Deuda.findOne({ _id: req.params.id, usuario: req.usuario.id });
+
+    if (!deuda) {
+      return res.status(404).json({ error: 'Deuda no encontrada' });
+    }
+
+    res.json({
+      deuda,
+      estadoActual: await estadoDeuda(deuda)
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo deuda:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener la deuda'
+    });
+  }
+});
+
+// 💳 Actualizar una deuda (si cambian las condiciones se recalcula con los pagos ya hechos)
+router.put('/:id', validacionId, validacionDeuda, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const deuda = await Deuda.findOne({ _id: req.params.id, usuario: req.usuario.id });
+
+    if (!deuda) {
+      return res.status(404).json({ error: 'Deuda no encontrada' });
+    }
+
+    // Con pagos registrados no se cambia la dirección (sus transacciones son de un tipo)
+    if (req.body.direccion && req.body.direccion !== deuda.direccion &&
+        await PagoDeuda.exists({ deuda: deuda._id })) {
+      return res.status(400).json({
+        error: 'No se puede cambiar la dirección de una deuda con pagos registrados'
+      });
+    }
+
+    deuda.set(datosDeuda(req.body));
+    await deuda.save();
+
+    res.json({
+      message: 'Deuda actualizada exitosamente',
+      deuda: await recalcularDeuda(deuda._id)
+    });
+
+  } catch (error) {
+    console.error('Error actualizando deuda:', error);
+    responderErrorDeuda(res, error, 'Error interno del servidor al actualizar la deuda');
+  }
+});
+
+// 💳 Eliminar una deuda: sus pagos se borran y las transacciones se conservan
+router.delete('/:id', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const deudaEliminada = await Deuda.findOneAndDelete({ _id: req.params.id, usuario: req.usuario.id });
+
+    if (!deudaEliminada) {
+      return res.status(404).json({ error: 'Deuda no encontrada' });
+    }
+
+    await PagoDeuda.deleteMany({ deuda: deudaEliminada._id });
+
+    res.json({
+      message: 'Deuda eliminada exitosamente',
+      deuda: deudaEliminada
+    });
+
+  } catch (error) {
+    console.error('Error eliminando deuda:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al eliminar la deuda'
+    });
+  }
+});
+
+// 📅 Tabla de amortización según las condiciones del préstamo
+router.get('/:id/amortizacion', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const deuda = await Deuda.findOne({ _id: req.params.id, usuario: req.usuario.id });
+
+    if (!deuda) {
+      return res.status(404).json({ error: 'Deuda no encontrada' });
+    }
+
+    // Una cuota se considera cubierta cuando el capital pagado alcanza su saldo
+    const tabla = calcularAmortizacion(deuda).map(fila => ({
+      ...fila,
+      cubierta: deuda.saldoPendiente <= fila.saldo
+    }));
+
+    res.json({
+      deuda: {
+        _id: deuda._id,
+        titulo: deuda.titulo,
+        principal: deuda.principal,
+        tasaInteres: deuda.tasaInteres,
+        plazo: deuda.plazo,
+        frecuencia: deuda.frecuencia,
+        cuota: deuda.cuota
+      },
+      resumen: {
+        totalIntereses: Math.round(tabla.reduce((acc, fila) => acc + fila.interes, 0) * 100) / 100,
+        totalAPagar: Math.round(tabla.reduce((acc, fila) => acc + fila.cuota, 0) * 100) / 100,
+        fechaUltimoPago: tabla.at(-1)?.fecha || null,
+        saldoPendiente: deuda.saldoPendiente,
+        capitalPagado: deuda.capitalPagado,
+        interesPagado: deuda.interesPagado
+      },
+      tabla
+    });
+
+  } catch (error) {
+    console.error('Error calculando amortización:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al calcular la amortización'
+    });
+  }
+});
+
+// 💳 Cancelar una deuda o reactivarla (pasa a pagada sola al saldarse)
+router.patch('/:id/estado', [
+  ...validacionId,
+  body('estado')
+    .isIn(['activa', 'cancelada'])
+    .withMessage('El estado debe ser activa o cancelada')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const deuda = await Deuda.findOneAndUpdate(
+      { _id: req.params.id, usuario: req.usuario.id },
+      { estado: req.body.estado },
+      { new: true }
+    );
+
+    if (!deuda) {
+      return res.status(404).json({ error: 'Deuda no encontrada' });
+    }
+
+    res.json({
+      message: 'Estado actualizado exitosamente',
+      // Una deuda reactivada sin saldo queda como pagada
+      deuda: await recalcularDeuda(deuda._id)
+    });
+
+  } catch (error) {
+    console.error('Error cambiando estado de deuda:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al cambiar el estado'
+    });
+  }
+});
+
+// 💸 Registrar un pago (crea la transacción o vincula una existente)
+router.post('/:id/pagos', [
+  ...validacionId,
+  body('transaccion')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de transacción inválido'),
+  body('monto')
+    .if(body('transaccion').not().exists())
+    .isFloat({ min: 0.01 })
+    .withMessage('El monto debe ser mayor a 0')
+    .toFloat(),
+  body('fecha')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato de fecha inválido')
+    .custom(valor => new Date(valor) <= new Date())
+    .withMessage('La fecha no puede ser futura'),
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('La descripción debe tener entre 1 y 200 caracteres'),
+  body('metodo_pago')
+    .optional()
+    .isIn(METODOS_PAGO)
+    .withMessage('Método de pago inválido'),
+  body('cuenta')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de cuenta inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { deuda, pago, transaccion } = await registrarPago(req.usuario.id, req.params.id, req.body);
+
+    res.status(201).json({
+      message: deuda.estado === 'pagada' ? '¡Deuda saldada!' : 'Pago registrado exitosamente',
+      pago,
+      deuda,
+      transaccion
+    });
+
+  } catch (error) {
+    console.error('Error registrando pago de deuda:', error);
+    responderErrorDeuda(res, error, 'Error interno del servidor al registrar el pago');
+  }
+});
+
+// 💸 Pagos de una deuda con el interés y el capital de cada uno
+router.get('/:id/pagos', [
+  ...validacionId,
+  ...validacionPaginacion
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { pagina = 1, limite = 20 } = req.query;
+    const filtros = { deuda: req.params.id, usuario: req.usuario.id };
+
+    const [pagos, total] = await Promise.all([
+      PagoDeuda.find(filtros)
+        .sort({ fecha: -1, _id: -1 })
+        .skip((parseInt(pagina) - 1) * parseInt(limite))
+        .limit(parseInt(limite))
+        .populate('transaccion', 'descripcion monto fecha tipo cuenta activa'),
+      PagoDeuda.countDocuments(filtros)
+    ]);
+
+    res.json({
+      pagos,
+      paginacion: {
+        paginaActual: parseInt(pagina),
+        totalPaginas: Math.ceil(total / parseInt(limite)),
+        totalElementos: total,
+        elementosPorPagina: parseInt(limite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo pagos de deuda:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener pagos'
+    });
+  }
+});
+
+// 💸 Eliminar un pago (si generó su transacción, también se elimina)
+router.delete('/:id/pagos/:pagoId', [
+  ...validacionId,
+  param('pagoId').isMongoId().withMessage('ID de pago inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { deuda } = await eliminarPago(req.usuario.id, req.params.id, req.params.pagoId);
+
+    res.json({
+      message: 'Pago eliminado exitosamente',
+      deuda
+    });
+
+  } catch (error) {
+    console.error('Error eliminando pago de deuda:', error);
+    responderErrorDeuda(res, error, 'Error interno del servidor al eliminar el pago');
+  }
+});
+
+export default router;
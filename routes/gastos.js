@@ -1,25 +1,15 @@
 import express from 'express';
 import Transaccion from '../models/transacciones.js';
+import { clasificarCategoria } from '../services/categorias.js';
 
 const router = express.Router();
 
-// Función para clasificar automáticamente
-function clasificarCategoria(desc) {
-  const texto = desc.toLowerCase();
-  if (texto.includes('comida') || texto.includes('restaurante')) return 'alimentación';
-  if (texto.includes('transporte') || texto.includes('uber') || texto.includes('taxi')) return 'transporte';
-  if (texto.includes('cine') || texto.includes('ocio') || texto.includes('pelicula')) return 'entretenimiento';
-  if (texto.includes('luz') || texto.includes('agua') || texto.includes('internet')) return 'servicios';
-  if (texto.includes('salud') || texto.includes('medicina')) return 'salud';
-  if (texto.includes('ropa') || texto.includes('zapato')) return 'ropa';
-  return 'otros';
-}
-
 // 🔹 Crear nueva transacción
 router.post('/', async (req, res) => {
   try {
-    const categoriaDetectada = clasificarCategoria(req.body.descripcion);
-    const nueva = new Transaccion({...req.body, categoria: categoriaDetectada, usuario: req.usuario.id});
+    const nueva = new Transaccion({...req.body, usuario: req.usuario.id});
+    const { categoria: categoriaDetectada } = await clasificarCategoria(req.usuario.id, nueva);
+    nueva.categoria = categoriaDetectada;
     const guardada = await nueva.save();
     res.status(201).json(guardada);
   } catch (err) {
@@ -40,7 +30,7 @@ router.get('/', async (req, res) => {
 // 🔹 Actualizar una transacción
 router.put('/:id', async (req, res) => {
   try {
-    const categoriaDetectada = clasificarCategoria(req.body.descripcion);
+    const { categoria: categoriaDetectada } = await clasificarCategoria(req.usuario.id, req.body);
     const actualizada = await Transaccion.findByIdAndUpdate(
       req.params.id,
       { ...req.body, categoria: categoriaDetectada },
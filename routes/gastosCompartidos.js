@@ -0,0 +1,404 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import GastoCompartido from '../models/gastoCompartido.js';
+import Liquidacion, { ESTADOS_LIQUIDACION } from '../models/liquidacion.js';
+import { METODOS_PAGO } from '../models/transacciones.js';
+import { METODOS_DIVISION } from '../utils/gastosCompartidos.js';
+import {
+  dividirGasto,
+  actualizarDivision,
+  eliminarDivision,
+  saldosDelUsuario,
+  sugerirLiquidaciones,
+  registrarLiquidacion,
+  confirmarLiquidacion,
+  anularLiquidacion
+} from '../services/gastosCompartidos.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones del reparto de un gasto
+const validacionDivision = [
+  body('metodo')
+    .optional()
+    .isIn(METODOS_DIVISION)
+    .withMessage(`Método inválido. Disponibles: ${METODOS_DIVISION.join(', ')}`),
+  body('participantes')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Indica entre 1 y 20 participantes'),
+  body('participantes.*.usuario')
+    .isMongoId()
+    .withMessage('ID de participante inválido'),
+  body('participantes.*.valor')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El valor de cada participante debe ser mayor o igual a 0')
+    .toFloat()
+];
+
+const validacionPaginacion = [
+  query('pagina').optional().isInt({ min: 1 }).withMessage('Página debe ser un número mayor a 0'),
+  query('limite').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100')
+];
+
+const validacionId = [
+  param('id').isMongoId().withMessage('ID inválido')
+];
+
+// Respuesta común para los errores de gastos compartidos
+function responderErrorGastoCompartido(res, error, mensaje) {
+  if (['GastoCompartidoError', 'DivisionError'].includes(error.name)) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (error.name === 'PermisoHogarError') {
+    return res.status(403).json({ error: error.message });
+  }
+
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({ error: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Datos inválidos',
+      detalles: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({ error: mensaje });
+}
+
+const poblarGasto = gasto => gasto.populate([
+  { path: 'pagador', select: 'nombre email' },
+  { path: 'participantes.usuario', select: 'nombre email' }
+]);
+
+// 🧾 Dividir un gasto entre varias personas
+router.post('/', [
+  body('transaccion')
+    .isMongoId()
+    .withMessage('ID de transacción inválido'),
+  ...validacionDivision
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const gasto = await dividirGasto(req.usuario.id, req.body);
+
+    res.status(201).json({
+      message: 'Gasto dividido exitosamente',
+      gastoCompartido: await poblarGasto(gasto)
+    });
+
+  } catch (error) {
+    console.error('Error dividiendo gasto:', error);
+    responderErrorGastoCompartido(res, error, 'Error interno del servidor al dividir el gasto');
+  }
+});
+
+// 🧾 Listar los gastos divididos en los que participa el usuario
+router.get('/', [
+  query('hogar').optional().isMongoId().withMessage('Hogar inválido'),
+  ...validacionPaginacion
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { hogar, pagina = 1, limite = 20 } = req.query;
+    const filtros = { $or: [{ pagador: req.usuario.id }, { 'participantes.usuario': req.usuario.id }] };
+    if (hogar) filtros.hogar = hogar;
+
+    const [gastos, total] = await Promise.all([
+      GastoCompartido.find(filtros)
+        .sort({ fecha: -1, _id: -1 })
+        .skip((parseInt(pagina) - 1) * parseInt(limite))
+        .limit(parseInt(limite))
+        .populate('pagador', 'nombre email')
+        .populate('participantes.usuario', 'nombre email'),
+      GastoCompartido.countDocuments(filtros)
+    ]);
+
+    res.json({
+      gastosCompartidos: gastos,
+      paginacion: {
+        paginaActual: parseInt(pagina),
+        totalPaginas: Math.ceil(total / parseInt(limite)),
+        totalElementos: total,
+        elementosPorPagina: parseInt(limite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo gastos compartidos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener gastos compartidos'
+    });
+  }
+});
+
+// ⚖️ Saldo con cada persona (positivo: te debe; negativo: le debes)
+router.get('/saldos', async (req, res) => {
+  try {
+    res.json(await saldosDelUsuario(req.usuario.id));
+
+  } catch (error) {
+    console.error('Error obteniendo saldos compartidos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener saldos'
+    });
+  }
+});
+
+// ⚖️ Transferencias sugeridas para saldar cuentas (de un hogar o del usuario)
+router.get('/liquidaciones/sugeridas', [
+  query('hogar').optional().isMongoId().withMessage('Hogar inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    res.json(await sugerirLiquidaciones(req.usuario.id, { hogar: req.query.hogar }));
+
+  } catch (error) {
+    console.error('Error sugiriendo liquidaciones:', error);
+    responderErrorGastoCompartido(res, error, 'Error interno del servidor al sugerir liquidaciones');
+  }
+});
+
+// 💸 Registrar un pago para saldar cuentas. Si lo registra quien cobra se generan
+// las transacciones de cada persona; si lo registra quien paga queda pendiente
+// hasta que quien cobra lo confirme.
+router.post('/liquidaciones', [
+  body('de').isMongoId().withMessage('Quien paga es inválido'),
+  body('para').isMongoId().withMessage('Quien cobra es inválido'),
+  body('monto').isFloat({ min: 0.01 }).withMessage('El monto debe ser mayor a 0').toFloat(),
+  body('fecha').optional().isISO8601().withMessage('Formato de fecha inválido'),
+  body('nota').optional().trim().isLength({ max: 200 }).withMessage('La nota no puede exceder 200 caracteres'),
+  body('hogar').optional({ values: 'null' }).isMongoId().withMessage('Hogar inválido'),
+  body('metodo_pago')
+    .optional()
+    .isIn(METODOS_PAGO)
+    .withMessage('Método de pago inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { liquidacion, transaccionDe, transaccionPara } = await registrarLiquidacion(req.usuario, req.body);
+
+    res.status(201).json({
+      message: liquidacion.estado === 'pendiente'
+        ? 'Pago registrado: queda pendiente hasta que quien cobra lo confirme'
+        : 'Pago registrado exitosamente',
+      liquidacion,
+      // Cada persona ve solo la transacción que le corresponde
+      transaccion: String(req.usuario.id) === String(liquidacion.de) ? transaccionDe : transaccionPara
+    });
+
+  } catch (error) {
+    console.error('Error registrando liquidación:', error);
+    responderErrorGastoCompartido(res, error, 'Error interno del servidor al registrar el pago');
+  }
+});
+
+// 💸 Pagos registrados en los que participa el usuario
+router.get('/liquidaciones', [
+  query('hogar').optional().isMongoId().withMessage('Hogar inválido'),
+  query('estado').optional().isIn(ESTADOS_LIQUIDACION).withMessage('Estado inválido'),
+  ...validacionPaginacion
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { hogar, estado, pagina = 1, limite = 20 } = req.query;
+    const filtros = { $or: [{ de: req.usuario.id }, { para: req.usuario.id }] };
+    if (hogar) filtros.hogar = hogar;
+    if (estado) filtros.estado = estado === 'confirmada' ? { $ne: 'pendiente' } : estado;
+
+    const [liquidaciones, total] = await Promise.all([
+      Liquidacion.find(filtros)
+        .sort({ fecha: -1, _id: -1 })
+        .skip((parseInt(pagina) - 1) * parseInt(limite))
+        .limit(parseInt(limite))
+        .populate('de', 'nombre email')
+        .populate('para', 'nombre email'),
+      Liquidacion.countDocuments(filtros)
+    ]);
+
+    res.json({
+      liquidaciones,
+      paginacion: {
+        paginaActual: parseInt(pagina),
+        totalPaginas: Math.ceil(total / parseInt(limite)),
+        totalElementos: total,
+        elementosPorPagina: parseInt(limite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo liquidaciones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener pagos'
+    });
+  }
+});
+
+// 💸 Confirmar un pago pendiente (solo quien cobra)
+router.post('/liquidaciones/:id/confirmar', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { liquidacion, transaccionPara } = await confirmarLiquidacion(req.usuario, req.params.id);
+
+    res.json({
+      message: 'Pago confirmado exitosamente',
+      liquidacion,
+      transaccion: transaccionPara
+    });
+
+  } catch (error) {
+    console.error('Error confirmando liquidación:', error);
+    responderErrorGastoCompartido(res, error, 'Error interno del servidor al confirmar el pago');
+  }
+});
+
+// 💸 Anular un pago: uno pendiente lo retira cualquiera de los dos; uno
+// confirmado solo quien cobró (elimina las transacciones que generó)
+router.delete('/liquidaciones/:id', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const liquidacion = await anularLiquidacion(req.usuario.id, req.params.id);
+
+    res.json({
+      message: 'Pago anulado exitosamente',
+      liquidacion
+    });
+
+  } catch (error) {
+    console.error('Error anulando liquidación:', error);
+    responderErrorGastoCompartido(res, error, 'Error interno del servidor al anular el pago');
+  }
+});
+
+// 🧾 Obtener un gasto dividido
+router.get('/:id', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const gasto = await GastoCompartido.findOne({
+      _id: req.params.id,
+      $or: [{ pagador: req.usuario.id }, { 'participantes.usuario': req.usuario.id }]
+    });
+
+    if (!gasto) {
+      return res.status(404).json({ error: 'Gasto compartido no encontrado' });
+    }
+
+    res.json({ gastoCompartido: await poblarGasto(gasto) });
+
+  } catch (error) {
+    console.error('Error obteniendo gasto compartido:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener el gasto compartido'
+    });
+  }
+});
+
+// 🧾 Cambiar el método o los participantes de un gasto dividido
+router.put('/:id', validacionId, validacionDivision, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const gasto = await actualizarDivision(req.usuario.id, req.params.id, req.body);
+
+    res.json({
+      message: 'División actualizada exitosamente',
+      gastoCompartido: await poblarGasto(gasto)
+    });
+
+  } catch (error) {
+    console.error('Error actualizando gasto compartido:', error);
+    responderErrorGastoCompartido(res, error, 'Error interno del servidor al actualizar la división');
+  }
+});
+
+// 🧾 Quitar la división de un gasto (la transacción se conserva)
+router.delete('/:id', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    await eliminarDivision(req.usuario.id, req.params.id);
+
+    res.json({ message: 'División eliminada exitosamente' });
+
+  } catch (error) {
+    console.error('Error eliminando gasto compartido:', error);
+    responderErrorGastoCompartido(res, error, 'Error interno del servidor al eliminar la división');
+  }
+});
+
+export default router;
@@ -0,0 +1,341 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import Hogar, { ROLES_HOGAR } from '../models/hogar.js';
+import InvitacionHogar from '../models/invitacionHogar.js';
+import {
+  obtenerHogar,
+  crearHogar,
+  invitarAHogar,
+  aceptarInvitacion,
+  cambiarRolMiembro,
+  quitarMiembro,
+  eliminarHogar
+} from '../services/hogares.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para crear/actualizar hogar
+const validacionHogar = [
+  body('nombre')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('El nombre debe tener entre 1 y 60 caracteres'),
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La descripción no puede exceder 200 caracteres')
+];
+
+const validacionId = [
+  param('id').isMongoId().withMessage('ID de hogar inválido')
+];
+
+// Respuesta común para los errores de hogares
+function responderErrorHogar(res, error, mensaje) {
+  if (error.name === 'HogarError') {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (error.name === 'PermisoHogarError') {
+    return res.status(403).json({ error: error.message });
+  }
+
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({ error: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Datos de hogar inválidos',
+      detalles: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({ error: mensaje });
+}
+
+// Hogar con los datos de sus miembros y el rol del usuario
+async function detalleHogar(hogar, usuarioId) {
+  await hogar.populate('miembros.usuario', 'nombre email');
+  return { ...hogar.toJSON(), miRol: hogar.rolDe(usuarioId) };
+}
+
+// 🏠 Crear un hogar (quien lo crea es su propietario)
+router.post('/', validacionHogar, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const hogar = await crearHogar(req.usuario.id, req.body);
+
+    res.status(201).json({
+      message: 'Hogar creado exitosamente',
+      hogar: await detalleHogar(hogar, req.usuario.id)
+    });
+
+  } catch (error) {
+    console.error('Error creando hogar:', error);
+    responderErrorHogar(res, error, 'Error interno del servidor al crear hogar');
+  }
+});
+
+// 🏠 Listar los hogares del usuario
+router.get('/', async (req, res) => {
+  try {
+    const hogares = await Hogar.find({ 'miembros.usuario': req.usuario.id })
+      .sort({ createdAt: 1 })
+      .populate('miembros.usuario', 'nombre email');
+
+    res.json({
+      hogares: hogares.map(hogar => ({ ...hogar.toJSON(), miRol: hogar.rolDe(req.usuario.id) }))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo hogares:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener hogares'
+    });
+  }
+});
+
+// ✉️ Aceptar una invitación con el token recibido por correo
+router.post('/invitaciones/aceptar', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('El token es obligatorio')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const hogar = await aceptarInvitacion(req.usuario, req.body.token);
+
+    res.json({
+      message: `Te uniste al hogar "${hogar.nombre}"`,
+      hogar: await detalleHogar(hogar, req.usuario.id)
+    });
+
+  } catch (error) {
+    console.error('Error aceptando invitación a hogar:', error);
+    responderErrorHogar(res, error, 'Error interno del servidor al aceptar la invitación');
+  }
+});
+
+// 🏠 Obtener un hogar (el propietario ve además las invitaciones pendientes)
+router.get('/:id', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const hogar = await obtenerHogar(req.usuario.id, req.params.id);
+    const detalle = await detalleHogar(hogar, req.usuario.id);
+
+    if (detalle.miRol === 'propietario') {
+      detalle.invitaciones = await InvitacionHogar.find({ hogar: hogar._id, expiraEn: { $gt: new Date() } })
+        .sort({ createdAt: -1 });
+    }
+
+    res.json({ hogar: detalle });
+
+  } catch (error) {
+    console.error('Error obteniendo hogar:', error);
+    responderErrorHogar(res, error, 'Error interno del servidor al obtener hogar');
+  }
+});
+
+// 🏠 Actualizar nombre o descripción
+router.put('/:id', validacionId, validacionHogar, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const hogar = await obtenerHogar(req.usuario.id, req.params.id, 'administracion');
+    hogar.nombre = req.body.nombre;
+    if (req.body.descripcion !== undefined) hogar.descripcion = req.body.descripcion;
+    await hogar.save();
+
+    res.json({
+      message: 'Hogar actualizado exitosamente',
+      hogar: await detalleHogar(hogar, req.usuario.id)
+    });
+
+  } catch (error) {
+    console.error('Error actualizando hogar:', error);
+    responderErrorHogar(res, error, 'Error interno del servidor al actualizar hogar');
+  }
+});
+
+// 🏠 Eliminar un hogar: sus transacciones y metas vuelven a ser personales de sus autores
+router.delete('/:id', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const hogar = await obtenerHogar(req.usuario.id, req.params.id, 'administracion');
+    await eliminarHogar(hogar);
+
+    res.json({ message: 'Hogar eliminado exitosamente' });
+
+  } catch (error) {
+    console.error('Error eliminando hogar:', error);
+    responderErrorHogar(res, error, 'Error interno del servidor al eliminar hogar');
+  }
+});
+
+// ✉️ Invitar a alguien por email (tenga cuenta o no)
+router.post('/:id/invitaciones', [
+  ...validacionId,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Email inválido'),
+  body('rol')
+    .optional()
+    .isIn(['editor', 'lector'])
+    .withMessage('El rol debe ser editor o lector')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const hogar = await obtenerHogar(req.usuario.id, req.params.id, 'administracion');
+    const invitacion = await invitarAHogar(hogar, req.usuario, req.body);
+
+    res.status(201).json({
+      message: `Invitación enviada a ${invitacion.email}`,
+      invitacion
+    });
+
+  } catch (error) {
+    console.error('Error invitando a hogar:', error);
+    responderErrorHogar(res, error, 'Error interno del servidor al enviar la invitación');
+  }
+});
+
+// ✉️ Cancelar una invitación pendiente
+router.delete('/:id/invitaciones/:invitacionId', [
+  ...validacionId,
+  param('invitacionId').isMongoId().withMessage('ID de invitación inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const hogar = await obtenerHogar(req.usuario.id, req.params.id, 'administracion');
+    const invitacion = await InvitacionHogar.findOneAndDelete({ _id: req.params.invitacionId, hogar: hogar._id });
+
+    if (!invitacion) {
+      return res.status(404).json({ error: 'Invitación no encontrada' });
+    }
+
+    res.json({ message: 'Invitación cancelada exitosamente' });
+
+  } catch (error) {
+    console.error('Error cancelando invitación a hogar:', error);
+    responderErrorHogar(res, error, 'Error interno del servidor al cancelar la invitación');
+  }
+});
+
+// 👥 Cambiar el rol de un miembro (asignar propietario transfiere la propiedad)
+router.patch('/:id/miembros/:usuarioId', [
+  ...validacionId,
+  param('usuarioId').isMongoId().withMessage('ID de usuario inválido'),
+  body('rol')
+    .isIn(ROLES_HOGAR)
+    .withMessage('El rol debe ser propietario, editor o lector')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const hogar = await obtenerHogar(req.usuario.id, req.params.id, 'administracion');
+    await cambiarRolMiembro(hogar, req.usuario.id, req.params.usuarioId, req.body.rol);
+
+    res.json({
+      message: 'Rol actualizado exitosamente',
+      hogar: await detalleHogar(hogar, req.usuario.id)
+    });
+
+  } catch (error) {
+    console.error('Error cambiando rol en hogar:', error);
+    responderErrorHogar(res, error, 'Error interno del servidor al cambiar el rol');
+  }
+});
+
+// 👥 Quitar a un miembro, o salir del hogar si es uno mismo
+router.delete('/:id/miembros/:usuarioId', [
+  ...validacionId,
+  param('usuarioId').isMongoId().withMessage('ID de usuario inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const esUnoMismo = req.params.usuarioId === String(req.usuario.id);
+    const hogar = await obtenerHogar(req.usuario.id, req.params.id, esUnoMismo ? 'lectura' : 'administracion');
+    const restante = await quitarMiembro(hogar, req.params.usuarioId);
+
+    res.json({
+      message: esUnoMismo ? 'Saliste del hogar' : 'Miembro quitado del hogar',
+      // Si el propietario era el único miembro, el hogar se elimina
+      hogarEliminado: !restante
+    });
+
+  } catch (error) {
+    console.error('Error quitando miembro de hogar:', error);
+    responderErrorHogar(res, error, 'Error interno del servidor al quitar al miembro');
+  }
+});
+
+export default router;
@@ -0,0 +1,188 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { subirExtracto } from '../middleware/upload.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { verificarCuenta } from '../services/transacciones.js';
+import {
+  CONVENCIONES_SIGNO,
+  FORMATOS_IMPORTACION,
+  detectarFormato,
+  movimientosDesdeArchivo,
+  prepararImportacion,
+  resumirImportacion,
+  confirmarImportacion
+} from '../services/importacion.js';
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Determinar el formato del archivo si el cliente no lo indica
+const resolverFormato = (req, res, next) => {
+  if (!req.body.formato && req.file) {
+    req.body.formato = detectarFormato(
+      req.file.originalname,
+      req.file.buffer.toString('utf8', 0, 2048)
+    );
+  }
+  next();
+};
+
+// Validaciones del formato y del mapeo de columnas (llega como JSON en un campo multipart).
+// El mapeo solo es obligatorio para CSV; en QIF admite formatoFecha y separadorDecimal.
+const esCSV = body('formato').not().isIn(['ofx', 'qif']);
+
+const validacionImportacion = [
+  body('formato')
+    .optional()
+    .isIn(FORMATOS_IMPORTACION)
+    .withMessage('El formato debe ser csv, ofx o qif'),
+
+  body('mapeo')
+    .optional()
+    .customSanitizer(valor => {
+      if (typeof valor !== 'string') return valor;
+      try {
+        return JSON.parse(valor);
+      } catch {
+        return null;
+      }
+    })
+    .isObject()
+    .withMessage('El mapeo debe ser un objeto JSON'),
+
+  body('mapeo.fecha')
+    .if(esCSV)
+    .exists()
+    .withMessage('El mapeo debe indicar la columna de fecha'),
+
+  body('mapeo.descripcion')
+    .if(esCSV)
+    .exists()
+    .withMessage('El mapeo debe indicar la columna de descripción'),
+
+  body('mapeo.convencionSigno')
+    .optional()
+    .isIn(CONVENCIONES_SIGNO)
+    .withMessage('Convención de signo inválida'),
+
+  body('mapeo.separadorDecimal')
+    .optional()
+    .isIn(['.', ','])
+    .withMessage('El separador decimal debe ser punto o coma'),
+
+  body('mapeo.formatoFecha')
+    .optional()
+    .isIn(['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'])
+    .withMessage('Formato de fecha inválido'),
+
+  body('mapeo.delimitador')
+    .optional()
+    .isIn([',', ';', '\t', '|'])
+    .withMessage('Delimitador inválido'),
+
+  body('mapeo.tieneEncabezado')
+    .optional()
+    .isBoolean()
+    .withMessage('tieneEncabezado debe ser verdadero o falso'),
+
+  body('codificacion')
+    .optional()
+    .isIn(['utf8', 'latin1'])
+    .withMessage('La codificación debe ser utf8 o latin1'),
+
+  body('cuenta')
+    .optional()
+    .isMongoId()
+    .withMessage('Cuenta inválida')
+];
+
+// Leer el archivo subido y preparar sus filas para importar
+async function procesarArchivo(req) {
+  const { formato, mapeo = {}, codificacion = 'utf8', cuenta } = req.body;
+
+  if (!req.file) {
+    const error = new Error('Debes adjuntar el archivo en el campo "archivo"');
+    error.name = 'ImportacionError';
+    throw error;
+  }
+
+  if (cuenta) {
+    await verificarCuenta(req.usuario.id, cuenta);
+  }
+
+  const texto = req.file.buffer.toString(codificacion);
+  const movimientos = movimientosDesdeArchivo(texto, formato, mapeo);
+
+  return prepararImportacion(req.usuario.id, movimientos, { cuenta });
+}
+
+// Respuesta común para errores de importación
+function responderError(res, error, mensaje) {
+  if (error.name === 'ImportacionError') {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({ error: error.message });
+  }
+
+  // Otra importación simultánea insertó los mismos movimientos
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'Algunos movimientos ya fueron importados' });
+  }
+
+  res.status(500).json({ error: mensaje });
+}
+
+// 📥 Vista previa de la importación de CSV, OFX o QIF (no guarda nada)
+router.post('/vista-previa', subirExtracto, resolverFormato, validacionImportacion, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const filas = await procesarArchivo(req);
+
+    res.json({
+      resumen: resumirImportacion(filas),
+      filas
+    });
+
+  } catch (error) {
+    console.error('Error en vista previa de importación:', error);
+    responderError(res, error, 'Error interno del servidor al previsualizar importación');
+  }
+});
+
+// 📥 Importar transacciones (todo o nada)
+router.post('/', subirExtracto, resolverFormato, validacionImportacion, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const filas = await procesarArchivo(req);
+    const reporte = await confirmarImportacion(filas);
+
+    res.status(201).json({
+      message: 'Importación completada exitosamente',
+      reporte
+    });
+
+  } catch (error) {
+    console.error('Error importando transacciones:', error);
+    responderError(res, error, 'Error interno del servidor al importar transacciones');
+  }
+});
+
+export default router;
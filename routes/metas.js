@@ -1,8 +1,22 @@
 import express from 'express';
-import { body, query, validationResult } from 'express-validator';
-import Meta from '../models/meta.js';
+import { body, param, query, validationResult } from 'express-validator';
+import Meta, { CANALES_RECORDATORIO } from '../models/meta.js';
 import Transaccion from '../models/transacciones.js';
+import Auditoria from '../models/auditoria.js';
+import AporteMeta, { TIPOS_APORTE_META } from '../models/aporteMeta.js';
+import ConfiguracionAhorro, { MODOS_AHORRO, ESTRATEGIAS_AHORRO } from '../models/configuracionAhorro.js';
+import {
+  aportarAMeta,
+  retirarDeMeta,
+  ajustarSaldoMeta,
+  recalcularMeta,
+  pronosticarMetas
+} from '../services/metas.js';
+import { emitirEvento } from '../services/webhooks.js';
+import { publicarMeta } from '../services/tiempoReal.js';
+import { AMBITOS, conAcceso, filtroAcceso, obtenerHogar } from '../services/hogares.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { categoriaDelUsuario } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -44,9 +58,85 @@ const validacionMeta = [
   body('prioridad')
     .optional()
     .isIn(['baja', 'media', 'alta'])
-    .withMessage('Prioridad inválida')
+    .withMessage('Prioridad inválida'),
+
+  // El saldo no se guarda directamente: se registra como un ajuste
+  body('montoActual')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El monto actual no puede ser negativo'),
+
+  body('recordatorios.frecuencia')
+    .optional()
+    .isIn(['diario', 'semanal', 'mensual', 'nunca'])
+    .withMessage('Frecuencia de recordatorio inválida'),
+
+  body('recordatorios.canales')
+    .optional()
+    .isArray()
+    .withMessage('Los canales deben ser una lista'),
+
+  body('recordatorios.canales.*')
+    .isIn(CANALES_RECORDATORIO)
+    .withMessage('Los canales deben ser app, email o webhook'),
+
+  // Hogar con el que se comparte (null para que sea personal)
+  body('hogar')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Hogar inválido')
+];
+
+// Campos que se pueden cambiar al actualizar una meta (el saldo y los
+// recordatorios se tratan aparte)
+const CAMPOS_EDITABLES = ['titulo', 'descripcion', 'montoObjetivo', 'fechaLimite', 'categoria', 'prioridad', 'hogar'];
+
+// Ámbito de las consultas: personal, de los hogares del usuario o ambos
+const validacionAmbito = [
+  query('ambito').optional().isIn(AMBITOS).withMessage('El ámbito debe ser personal, hogar o todos'),
+  query('hogar').optional().isMongoId().withMessage('Hogar inválido')
 ];
 
+// Validaciones para aportar o retirar dinero de una meta
+const validacionMovimiento = [
+  body('monto')
+    .isFloat({ min: 0.01 })
+    .withMessage('El monto debe ser mayor a 0'),
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La descripción no puede exceder 200 caracteres')
+];
+
+// Respuesta común para errores de los movimientos de una meta
+function responderErrorMovimiento(res, error, mensaje) {
+  if (error.name === 'MetaError') {
+    return res.status(400).json({ error: error.message, ...error.datos });
+  }
+
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({ error: error.message });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ error: 'ID de meta inválido' });
+  }
+
+  res.status(500).json({ error: mensaje });
+}
+
+// Respuesta para los errores de acceso a un hogar
+function responderErrorHogar(res, error) {
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({ error: error.message });
+  }
+
+  if (error.name === 'PermisoHogarError') {
+    return res.status(403).json({ error: error.message });
+  }
+}
+
 // 🎯 Crear nueva meta
 router.post('/', validacionMeta, async (req, res) => {
   try {
@@ -58,33 +148,44 @@ router.post('/', validacionMeta, async (req, res) => {
       });
     }
 
-    // Verificar límite de metas activas (máximo 10)
+    // Para compartirla con un hogar hay que ser propietario o editor
+    if (req.body.hogar) {
+      await obtenerHogar(req.usuario.id, req.body.hogar, 'escritura');
+    }
+
+    // Verificar límite de metas activas (máximo 10 personales y 10 por hogar)
     const metasActivas = await Meta.countDocuments({
-      usuario: req.usuario.id,
+      ...(req.body.hogar ? { hogar: req.body.hogar } : { usuario: req.usuario.id, hogar: null }),
       estado: 'activa'
     });
 
     if (metasActivas >= 10) {
       return res.status(400).json({
-        error: 'Has alcanzado el límite máximo de 10 metas activas'
+        error: req.body.hogar
+          ? 'El hogar alcanzó el límite máximo de 10 metas activas'
+          : 'Has alcanzado el límite máximo de 10 metas activas'
       });
     }
 
+    const { montoActual, ...datosMeta } = req.body;
+
     const nuevaMeta = new Meta({
-      ...req.body,
+      ...datosMeta,
       usuario: req.usuario.id
     });
 
     // Configurar recordatorio automático si se especifica fecha límite
-    if (nuevaMeta.fechaLimite && nuevaMeta.recordatorios.frecuencia !== 'nunca') {
-      nuevaMeta.recordatorios.proximoRecordatorio = calcularProximoRecordatorio(
-        new Date(),
-        nuevaMeta.recordatorios.frecuencia
-      );
+    nuevaMeta.programarRecordatorio();
+
+    let metaGuardada = await nuevaMeta.save();
+
+    // Dinero ya ahorrado al crear la meta
+    if (montoActual > 0) {
+      ({ meta: metaGuardada } = await ajustarSaldoMeta(metaGuardada, parseFloat(montoActual), 'Saldo inicial'));
     }
 
-    const metaGuardada = await nuevaMeta.save();
     await metaGuardada.populate('usuario', 'nombre email');
+    publicarMeta('meta.creada', metaGuardada, 0);
 
     res.status(201).json({
       message: 'Meta creada exitosamente',
@@ -93,6 +194,8 @@ router.post('/', validacionMeta, async (req, res) => {
 
   } catch (error) {
     console.error('Error creando meta:', error);
+
+    if (responderErrorHogar(res, error)) return;
     
     if (error.name === 'ValidationError') {
       return res.status(400).json({
@@ -112,7 +215,8 @@ router.get('/', [
   query('estado').optional().isIn(['activa', 'completada', 'pausada', 'cancelada']).withMessage('Estado inválido'),
   query('categoria').optional().isString().withMessage('Categoría debe ser texto'),
   query('pagina').optional().isInt({ min: 1 }).withMessage('Página debe ser un número mayor a 0'),
-  query('limite').optional().isInt({ min: 1, max: 50 }).withMessage('Límite debe ser entre 1 y 50')
+  query('limite').optional().isInt({ min: 1, max: 50 }).withMessage('Límite debe ser entre 1 y 50'),
+  ...validacionAmbito
 ], async (req, res) => {
   try {
     const errores = validationResult(req);
@@ -126,14 +230,18 @@ router.get('/', [
     const {
       estado,
       categoria,
+      ambito,
+      hogar,
       pagina = 1,
       limite = 10
     } = req.query;
 
-    // Construir filtros
-    const filtros = { usuario: req.usuario.id };
-    if (estado) filtros.estado = estado;
-    if (categoria) filtros.categoria = categoria;
+    // Construir filtros (metas personales y de los hogares según el ámbito)
+    const acceso = await filtroAcceso(req.usuario.id, { ambito, hogar });
+    const condiciones = {};
+    if (estado) condiciones.estado = estado;
+    if (categoria) condiciones.categoria = categoria;
+    const filtros = { $and: [acceso, condiciones] };
 
     // Configurar paginación
     const skip = (parseInt(pagina) - 1) * parseInt(limite);
@@ -155,7 +263,7 @@ router.get('/', [
 
     // Calcular estadísticas generales
     const estadisticas = await Meta.aggregate([
-      { $match: { usuario: req.usuario.id } },
+      { $match: acceso },
       {
         $group: {
           _id: '$estado',
@@ -186,6 +294,9 @@ router.get('/', [
 
   } catch (error) {
     console.error('Error obteniendo metas:', error);
+
+    if (responderErrorHogar(res, error)) return;
+
     res.status(500).json({ 
       error: 'Error interno del servidor al obtener metas' 
     });
@@ -195,10 +306,9 @@ router.get('/', [
 // 🎯 Obtener meta por ID
 router.get('/:id', async (req, res) => {
   try {
-    const meta = await Meta.findOne({
-      _id: req.params.id,
-      usuario: req.usuario.id
-    }).populate('usuario', 'nombre email');
+    const meta = await Meta.findOne(
+      await conAcceso(req.usuario.id, { _id: req.params.id })
+    ).populate('usuario', 'nombre email');
 
     if (!meta) {
       return res.status(404).json({ 
@@ -208,7 +318,7 @@ router.get('/:id', async (req, res) => {
 
     // Obtener transacciones relacionadas (opcional)
     const transaccionesRelacionadas = await Transaccion.find({
-      usuario: req.usuario.id,
+      ...(meta.hogar ? { hogar: meta.hogar } : { usuario: req.usuario.id, hogar: null }),
       tipo: 'ingreso',
       fecha: { $gte: meta.fechaInicio },
       activa: true
@@ -232,6 +342,92 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// 📈 Pronóstico de una meta: fecha estimada, ahorro requerido y estado
+router.get('/:id/pronostico', [
+  param('id').isMongoId().withMessage('ID de meta inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const meta = await Meta.findOne(await conAcceso(req.usuario.id, { _id: req.params.id }));
+    if (!meta) {
+      return res.status(404).json({ error: 'Meta no encontrada' });
+    }
+
+    const pronosticos = await pronosticarMetas(req.usuario.id, [meta]);
+
+    res.json({
+      meta: { _id: meta._id, titulo: meta.titulo, estado: meta.estado },
+      pronostico: pronosticos.get(String(meta._id))
+    });
+
+  } catch (error) {
+    console.error('Error calculando pronóstico de meta:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al calcular el pronóstico'
+    });
+  }
+});
+
+// 🕓 Historial de cambios de una meta (incluso si ya fue eliminada)
+router.get('/:id/historial', [
+  param('id').isMongoId().withMessage('ID de meta inválido'),
+  query('pagina').optional().isInt({ min: 1 }).withMessage('Página debe ser un número mayor a 0'),
+  query('limite').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const pagina = parseInt(req.query.pagina) || 1;
+    const limite = parseInt(req.query.limite) || 20;
+
+    // El historial se guarda a nombre del autor; los miembros del hogar también lo
+    // ven. Si la meta ya fue eliminada, solo su autor.
+    const meta = await Meta.findOne(await conAcceso(req.usuario.id, { _id: req.params.id }))
+      .select('usuario')
+      .lean();
+
+    const [historial, total] = await Auditoria.historial(
+      'Meta',
+      req.params.id,
+      meta?.usuario || req.usuario.id,
+      { pagina, limite }
+    );
+
+    if (total === 0) {
+      return res.status(404).json({ error: 'No hay historial para esta meta' });
+    }
+
+    res.json({
+      historial,
+      paginacion: {
+        paginaActual: pagina,
+        totalPaginas: Math.ceil(total / limite),
+        totalElementos: total,
+        elementosPorPagina: limite
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo historial de meta:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor al obtener historial' 
+    });
+  }
+});
+
 // 🎯 Actualizar una meta
 router.put('/:id', validacionMeta, async (req, res) => {
   try {
@@ -243,17 +439,44 @@ router.put('/:id', validacionMeta, async (req, res) => {
       });
     }
 
-    const metaActualizada = await Meta.findOneAndUpdate(
-      { 
-        _id: req.params.id, 
-        usuario: req.usuario.id
-      },
-      req.body,
+    // Solo los campos editables: el autor y el estado no se cambian desde aquí
+    const { montoActual, recordatorios } = req.body;
+    const cambios = Object.fromEntries(
+      CAMPOS_EDITABLES.filter(campo => req.body[campo] !== undefined).map(campo => [campo, req.body[campo]])
+    );
+
+    if (cambios.hogar) {
+      await obtenerHogar(req.usuario.id, cambios.hogar, 'escritura');
+    }
+
+    const filtro = await conAcceso(req.usuario.id, { _id: req.params.id }, { permiso: 'escritura' });
+
+    // Solo quien la creó decide con qué hogar se comparte
+    if (cambios.hogar !== undefined) {
+      const anterior = await Meta.findOne(filtro).select('usuario hogar').lean();
+      if (anterior && String(anterior.hogar) !== String(cambios.hogar) &&
+          String(anterior.usuario) !== String(req.usuario.id)) {
+        return res.status(403).json({
+          error: 'Solo quien creó la meta puede cambiar con qué hogar se comparte'
+        });
+      }
+    }
+
+    // Los campos del recordatorio se actualizan uno a uno para no perder los demás
+    for (const [campo, valor] of Object.entries(recordatorios || {})) {
+      if (['frecuencia', 'canales'].includes(campo)) {
+        cambios[`recordatorios.${campo}`] = valor;
+      }
+    }
+
+    let metaActualizada = await Meta.findOneAndUpdate(
+      filtro,
+      cambios,
       { 
         new: true, 
         runValidators: true 
       }
-    ).populate('usuario', 'nombre email');
+    );
 
     if (!metaActualizada) {
       return res.status(404).json({ 
@@ -261,13 +484,30 @@ router.put('/:id', validacionMeta, async (req, res) => {
       });
     }
 
-    // Verificar si la meta se completó
-    if (metaActualizada.montoActual >= metaActualizada.montoObjetivo && 
-        metaActualizada.estado === 'activa') {
-      metaActualizada.estado = 'completada';
+    // El saldo no cambia con la actualización (solo con el ajuste de abajo)
+    const montoAnterior = metaActualizada.montoActual;
+
+    // Si cambió la frecuencia o la fecha límite, el recordatorio se reprograma desde hoy
+    // (y con una fecha límite nueva se vuelve a avisar cuando esté cerca)
+    if (recordatorios?.frecuencia !== undefined || cambios.fechaLimite !== undefined) {
+      metaActualizada.programarRecordatorio();
+      if (cambios.fechaLimite !== undefined) {
+        metaActualizada.recordatorios.avisoVencimiento = undefined;
+      }
       await metaActualizada.save();
     }
 
+    // Un saldo indicado a mano queda registrado como ajuste; si no, se recalcula
+    // el estado por si cambió el objetivo
+    if (montoActual !== undefined) {
+      ({ meta: metaActualizada } = await ajustarSaldoMeta(metaActualizada, parseFloat(montoActual)));
+    } else {
+      metaActualizada = await recalcularMeta(metaActualizada._id);
+    }
+
+    await metaActualizada.populate('usuario', 'nombre email');
+    publicarMeta('meta.actualizada', metaActualizada, montoAnterior);
+
     res.json({
       message: 'Meta actualizada exitosamente',
       meta: metaActualizada
@@ -279,6 +519,8 @@ router.put('/:id', validacionMeta, async (req, res) => {
     if (error.name === 'CastError') {
       return res.status(400).json({ error: 'ID de meta inválido' });
     }
+
+    if (responderErrorHogar(res, error)) return;
     
     if (error.name === 'ValidationError') {
       return res.status(400).json({
@@ -294,16 +536,7 @@ router.put('/:id', validacionMeta, async (req, res) => {
 });
 
 // 🎯 Agregar dinero a una meta
-router.post('/:id/agregar', [
-  body('monto')
-    .isFloat({ min: 0.01 })
-    .withMessage('El monto debe ser mayor a 0'),
-  body('descripcion')
-    .optional()
-    .trim()
-    .isLength({ max: 200 })
-    .withMessage('La descripción no puede exceder 200 caracteres')
-], async (req, res) => {
+router.post('/:id/agregar', validacionMovimiento, async (req, res) => {
   try {
     const errores = validationResult(req);
     if (!errores.isEmpty()) {
@@ -313,62 +546,116 @@ router.post('/:id/agregar', [
       });
     }
 
-    const { monto, descripcion = 'Aporte a meta' } = req.body;
+    const { meta, aporte, transaccion } = await aportarAMeta(req.usuario.id, req.params.id, {
+      monto: parseFloat(req.body.monto),
+      descripcion: req.body.descripcion
+    });
 
-    const meta = await Meta.findOne({
-      _id: req.params.id,
-      usuario: req.usuario.id,
-      estado: 'activa'
+    res.json({
+      message: meta.estado === 'completada' ? 
+        '¡Felicitaciones! Has completado tu meta' : 
+        'Dinero agregado exitosamente a la meta',
+      meta,
+      aporte,
+      transaccion
     });
 
-    if (!meta) {
-      return res.status(404).json({ 
-        error: 'Meta activa no encontrada' 
+  } catch (error) {
+    console.error('Error agregando dinero a meta:', error);
+    responderErrorMovimiento(res, error, 'Error interno del servidor al agregar dinero');
+  }
+});
+
+// 🎯 Retirar dinero de una meta (reabre una meta completada si queda por debajo del objetivo)
+router.post('/:id/retirar', validacionMovimiento, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
       });
     }
 
-    // Verificar que no exceda el objetivo
-    if (meta.montoActual + monto > meta.montoObjetivo) {
+    const { meta, aporte, transaccion } = await retirarDeMeta(req.usuario.id, req.params.id, {
+      monto: parseFloat(req.body.monto),
+      descripcion: req.body.descripcion
+    });
+
+    res.json({
+      message: 'Dinero retirado exitosamente de la meta',
+      meta,
+      aporte,
+      transaccion
+    });
+
+  } catch (error) {
+    console.error('Error retirando dinero de meta:', error);
+    responderErrorMovimiento(res, error, 'Error interno del servidor al retirar dinero');
+  }
+});
+
+// 🎯 Movimientos del saldo de una meta
+router.get('/:id/aportes', [
+  param('id').isMongoId().withMessage('ID de meta inválido'),
+  query('tipo').optional().isIn(TIPOS_APORTE_META).withMessage('Tipo de movimiento inválido'),
+  query('pagina').optional().isInt({ min: 1 }).withMessage('Página debe ser un número mayor a 0'),
+  query('limite').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
       return res.status(400).json({
-        error: 'El monto excede el objetivo de la meta',
-        montoMaximo: meta.montoObjetivo - meta.montoActual
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
       });
     }
 
-    // Actualizar meta
-    meta.montoActual += monto;
-    
-    // Verificar si se completó
-    if (meta.montoActual >= meta.montoObjetivo) {
-      meta.estado = 'completada';
+    const { tipo, pagina = 1, limite = 20 } = req.query;
+
+    const meta = await Meta.findOne(await conAcceso(req.usuario.id, { _id: req.params.id }));
+    if (!meta) {
+      return res.status(404).json({ 
+        error: 'Meta no encontrada' 
+      });
     }
 
-    await meta.save();
+    const filtros = { meta: meta._id };
+    if (tipo) filtros.tipo = tipo;
 
-    // Crear transacción de registro
-    const nuevaTransaccion = new Transaccion({
-      usuario: req.usuario.id,
-      tipo: 'gasto', // Se considera gasto porque sale del dinero disponible
-      descripcion: `${descripcion} - ${meta.titulo}`,
-      monto: monto,
-      categoria: 'otros',
-      subcategoria: 'ahorro_meta'
-    });
+    const skip = (parseInt(pagina) - 1) * parseInt(limite);
 
-    await nuevaTransaccion.save();
+    const [aportes, total, totalesPorTipo] = await Promise.all([
+      AporteMeta.find(filtros)
+        .sort({ fecha: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limite))
+        .populate('transaccion', 'tipo descripcion monto fecha activa'),
+      AporteMeta.countDocuments(filtros),
+      AporteMeta.aggregate([
+        { $match: { meta: meta._id } },
+        { $group: { _id: '$tipo', total: { $sum: '$monto' }, cantidad: { $sum: 1 } } }
+      ])
+    ]);
 
     res.json({
-      message: meta.estado === 'completada' ? 
-        '¡Felicitaciones! Has completado tu meta' : 
-        'Dinero agregado exitosamente a la meta',
-      meta,
-      transaccion: nuevaTransaccion
+      aportes,
+      paginacion: {
+        paginaActual: parseInt(pagina),
+        totalPaginas: Math.ceil(total / parseInt(limite)),
+        totalElementos: total,
+        elementosPorPagina: parseInt(limite)
+      },
+      totales: totalesPorTipo.reduce((acc, { _id, total, cantidad }) => {
+        acc[_id] = { total: Math.round(total * 100) / 100, cantidad };
+        return acc;
+      }, {})
     });
 
   } catch (error) {
-    console.error('Error agregando dinero a meta:', error);
+    console.error('Error obteniendo aportes de meta:', error);
     res.status(500).json({ 
-      error: 'Error interno del servidor al agregar dinero' 
+      error: 'Error interno del servidor al obtener aportes' 
     });
   }
 });
@@ -388,13 +675,8 @@ router.patch('/:id/estado', [
       });
     }
 
-    const meta = await Meta.findOneAndUpdate(
-      { 
-        _id: req.params.id, 
-        usuario: req.usuario.id
-      },
-      { estado: req.body.estado },
-      { new: true }
+    const meta = await Meta.findOne(
+      await conAcceso(req.usuario.id, { _id: req.params.id }, { permiso: 'escritura' })
     );
 
     if (!meta) {
@@ -403,6 +685,24 @@ router.patch('/:id/estado', [
       });
     }
 
+    const estadoAnterior = meta.estado;
+    meta.estado = req.body.estado;
+
+    // Solo las metas activas reciben recordatorios: al reactivar se programa y al
+    // pausar, completar o cancelar se quita
+    if (meta.estado !== 'activa' || !meta.recordatorios.proximoRecordatorio) {
+      meta.programarRecordatorio();
+    }
+
+    if (meta.isModified()) {
+      await meta.save();
+    }
+
+    if (meta.estado !== estadoAnterior) {
+      publicarMeta('meta.actualizada', meta);
+      await emitirEvento(req.usuario.id, 'meta.estado_cambiado', { meta, estadoAnterior });
+    }
+
     res.json({
       message: `Meta ${req.body.estado} exitosamente`,
       meta
@@ -419,10 +719,9 @@ router.patch('/:id/estado', [
 // 🎯 Eliminar una meta
 router.delete('/:id', async (req, res) => {
   try {
-    const metaEliminada = await Meta.findOneAndDelete({
-      _id: req.params.id,
-      usuario: req.usuario.id
-    });
+    const metaEliminada = await Meta.findOneAndDelete(
+      await conAcceso(req.usuario.id, { _id: req.params.id }, { permiso: 'escritura' })
+    );
 
     if (!metaEliminada) {
       return res.status(404).json({ 
@@ -430,6 +729,25 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    // Los movimientos se borran con la meta, y con ellos los gastos de sus
+    // aportes y los ingresos de sus retiros. Los ingresos repartidos
+    // automáticamente se conservan: solo dejan de ir a la meta.
+    const transaccionesMovimientos = await AporteMeta.find({
+      meta: metaEliminada._id,
+      tipo: { $in: ['aporte', 'retiro'] },
+      transaccion: { $ne: null }
+    }).distinct('transaccion');
+    if (transaccionesMovimientos.length > 0) {
+      await Transaccion.updateMany({ _id: { $in: transaccionesMovimientos }, activa: true }, { activa: false });
+    }
+    await AporteMeta.deleteMany({ meta: metaEliminada._id });
+    // Una meta de hogar puede estar en la configuración de varios miembros
+    await ConfiguracionAhorro.updateMany(
+      { 'pesos.meta': metaEliminada._id },
+      { $pull: { pesos: { meta: metaEliminada._id } } }
+    );
+    publicarMeta('meta.eliminada', metaEliminada);
+
     res.json({ 
       message: 'Meta eliminada exitosamente',
       meta: metaEliminada
@@ -449,9 +767,18 @@ router.delete('/:id', async (req, res) => {
 });
 
 // 🎯 Obtener dashboard de metas
-router.get('/dashboard/resumen', async (req, res) => {
+router.get('/dashboard/resumen', validacionAmbito, async (req, res) => {
   try {
-    const metas = await Meta.find({ usuario: req.usuario.id });
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const acceso = await filtroAcceso(req.usuario.id, req.query);
+    const metas = await Meta.find(acceso);
     
     const resumen = {
       total: metas.length,
@@ -461,7 +788,10 @@ router.get('/dashboard/resumen', async (req, res) => {
       canceladas: metas.filter(m => m.estado === 'cancelada').length,
       montoTotalObjetivos: metas.reduce((acc, m) => acc + m.montoObjetivo, 0),
       montoTotalAhorrado: metas.reduce((acc, m) => acc + m.montoActual, 0),
-      progresoGeneral: 0
+      progresoGeneral: 0,
+      enCamino: 0,
+      enRiesgo: 0,
+      atrasadas: 0
     };
 
     if (resumen.montoTotalObjetivos > 0) {
@@ -473,43 +803,169 @@ router.get('/dashboard/resumen', async (req, res) => {
     fechaLimite.setDate(fechaLimite.getDate() + 30);
 
     const metasProximasVencer = await Meta.find({
-      usuario: req.usuario.id,
-      estado: 'activa',
-      fechaLimite: { $lte: fechaLimite }
+      $and: [acceso, { estado: 'activa', fechaLimite: { $lte: fechaLimite } }]
     }).sort({ fechaLimite: 1 });
 
+    // Pronóstico de las metas activas
+    const metasActivas = metas.filter(m => m.estado === 'activa');
+    const pronosticosPorMeta = await pronosticarMetas(req.usuario.id, metasActivas);
+
+    const pronosticos = metasActivas.map(meta => {
+      const pronostico = pronosticosPorMeta.get(String(meta._id));
+      if (pronostico.estado === 'en_camino') resumen.enCamino++;
+      if (pronostico.estado === 'en_riesgo') resumen.enRiesgo++;
+      if (pronostico.estado === 'atrasada') resumen.atrasadas++;
+
+      return {
+        meta: { _id: meta._id, titulo: meta.titulo, fechaLimite: meta.fechaLimite },
+        ...pronostico
+      };
+    });
+
     res.json({
       resumen,
-      metasProximasVencer
+      metasProximasVencer,
+      pronosticos
     });
 
   } catch (error) {
     console.error('Error obteniendo dashboard de metas:', error);
+
+    if (responderErrorHogar(res, error)) return;
+
     res.status(500).json({ 
       error: 'Error interno del servidor al obtener dashboard' 
     });
   }
 });
 
-// Función auxiliar para calcular próximo recordatorio
-function calcularProximoRecordatorio(fechaBase, frecuencia) {
-  const fecha = new Date(fechaBase);
-  
-  switch (frecuencia) {
-    case 'diario':
-      fecha.setDate(fecha.getDate() + 1);
-      break;
-    case 'semanal':
-      fecha.setDate(fecha.getDate() + 7);
-      break;
-    case 'mensual':
-      fecha.setMonth(fecha.getMonth() + 1);
-      break;
-    default:
-      return null;
+// Validaciones para la configuración del ahorro automático
+const validacionConfiguracionAhorro = [
+  body('activo')
+    .optional()
+    .isBoolean()
+    .withMessage('activo debe ser verdadero o falso'),
+
+  body('modo')
+    .optional()
+    .isIn(MODOS_AHORRO)
+    .withMessage('El modo debe ser porcentaje o monto_fijo'),
+
+  body('porcentaje')
+    .optional()
+    .isFloat({ min: 0.01, max: 100 })
+    .withMessage('El porcentaje debe estar entre 0.01 y 100'),
+
+  body('montoFijo')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0.01 })
+    .withMessage('El monto fijo debe ser mayor a 0'),
+
+  body('estrategia')
+    .optional()
+    .isIn(ESTRATEGIAS_AHORRO)
+    .withMessage('Estrategia inválida'),
+
+  body('pesos')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('pesos debe ser una lista de hasta 50 metas')
+    .custom(async (pesos, { req }) => {
+      const ids = pesos.map(({ meta }) => String(meta));
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('Cada meta puede aparecer una sola vez en pesos');
+      }
+      const propias = await Meta.countDocuments(
+        await conAcceso(req.usuario.id, { _id: { $in: ids } }, { permiso: 'escritura' })
+      );
+      if (propias !== ids.length) {
+        throw new Error('Todas las metas de pesos deben ser tuyas o de un hogar donde puedas editar');
+      }
+      return true;
+    }),
+
+  body('pesos.*.meta')
+    .isMongoId()
+    .withMessage('ID de meta inválido'),
+
+  body('pesos.*.peso')
+    .isFloat({ min: 0.01 })
+    .withMessage('Cada peso debe ser mayor a 0'),
+
+  body('ingresoMinimo')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El ingreso mínimo no puede ser negativo'),
+
+  body('categorias')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('categorias debe ser una lista'),
+
+  body('categorias.*')
+    .trim()
+    .toLowerCase()
+    .custom(categoriaDelUsuario)
+];
+
+// ⚙️ Obtener la configuración del ahorro automático
+router.get('/configuracion/ahorro-automatico', async (req, res) => {
+  try {
+    const configuracion = await ConfiguracionAhorro.deUsuario(req.usuario.id);
+    await configuracion.populate('pesos.meta', 'titulo estado');
+
+    res.json({ configuracion });
+
+  } catch (error) {
+    console.error('Error obteniendo configuración de ahorro automático:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener la configuración de ahorro automático'
+    });
   }
-  
-  return fecha;
-}
+});
+
+// ⚙️ Actualizar la configuración del ahorro automático (se crea si no existe)
+router.put('/configuracion/ahorro-automatico', validacionConfiguracionAhorro, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const configuracion = await ConfiguracionAhorro.deUsuario(req.usuario.id);
+    const campos = ['activo', 'modo', 'porcentaje', 'montoFijo', 'estrategia', 'pesos', 'ingresoMinimo', 'categorias'];
+
+    for (const campo of campos) {
+      if (req.body[campo] !== undefined) {
+        configuracion.set(campo, req.body[campo]);
+      }
+    }
+
+    await configuracion.save();
+    await configuracion.populate('pesos.meta', 'titulo estado');
+
+    res.json({
+      message: 'Configuración de ahorro automático actualizada',
+      configuracion
+    });
+
+  } catch (error) {
+    console.error('Error actualizando configuración de ahorro automático:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Configuración de ahorro automático inválida',
+        detalles: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al actualizar la configuración de ahorro automático'
+    });
+  }
+});
 
 export default router;
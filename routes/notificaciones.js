@@ -0,0 +1,216 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Notificacion, { TIPOS_NOTIFICACION } from '../models/notificacion.js';
+import Usuario from '../models/usuario.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// 🔔 Listar notificaciones (las más recientes primero) con el total sin leer
+router.get('/', [
+  query('leida').optional().isBoolean().withMessage('leida debe ser true o false'),
+  query('tipo').optional().isIn(TIPOS_NOTIFICACION).withMessage('Tipo de notificación inválido'),
+  query('pagina').optional().isInt({ min: 1 }).withMessage('Página debe ser un número mayor a 0'),
+  query('limite').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { leida, tipo, pagina = 1, limite = 20 } = req.query;
+
+    const filtros = { usuario: req.usuario.id };
+    if (leida !== undefined) filtros.leida = leida === 'true';
+    if (tipo) filtros.tipo = tipo;
+
+    const [notificaciones, total, noLeidas] = await Promise.all([
+      Notificacion.find(filtros)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(pagina) - 1) * parseInt(limite))
+        .limit(parseInt(limite)),
+      Notificacion.countDocuments(filtros),
+      Notificacion.countDocuments({ usuario: req.usuario.id, leida: false })
+    ]);
+
+    res.json({
+      notificaciones,
+      noLeidas,
+      paginacion: {
+        paginaActual: parseInt(pagina),
+        totalPaginas: Math.ceil(total / parseInt(limite)),
+        totalElementos: total,
+        elementosPorPagina: parseInt(limite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo notificaciones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener notificaciones'
+    });
+  }
+});
+
+// ⚙️ Preferencias: qué tipos de notificación recibir
+router.get('/preferencias', async (req, res) => {
+  try {
+    const usuario = await Usuario.findById(req.usuario.id).select('preferenciasNotificaciones');
+
+    res.json({ preferencias: usuario.preferenciasNotificaciones });
+
+  } catch (error) {
+    console.error('Error obteniendo preferencias de notificaciones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener preferencias'
+    });
+  }
+});
+
+router.put('/preferencias', [
+  body('tipos')
+    .optional()
+    .isObject()
+    .withMessage('tipos debe ser un objeto { tipo: true/false }')
+    .custom(tipos => {
+      const invalidos = Object.keys(tipos).filter(tipo => !TIPOS_NOTIFICACION.includes(tipo));
+      if (invalidos.length > 0) {
+        throw new Error(`Tipos de notificación inválidos: ${invalidos.join(', ')}`);
+      }
+      return true;
+    }),
+  body('tipos.*')
+    .isBoolean({ strict: true })
+    .withMessage('Cada tipo debe ser true o false'),
+  body('umbralTransaccionGrande')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('El umbral debe ser mayor a 0')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const usuario = await Usuario.findById(req.usuario.id);
+
+    for (const [tipo, activo] of Object.entries(req.body.tipos || {})) {
+      usuario.set(`preferenciasNotificaciones.tipos.${tipo}`, activo);
+    }
+    if (req.body.umbralTransaccionGrande !== undefined) {
+      usuario.preferenciasNotificaciones.umbralTransaccionGrande = parseFloat(req.body.umbralTransaccionGrande);
+    }
+
+    await usuario.save();
+
+    res.json({
+      message: 'Preferencias actualizadas exitosamente',
+      preferencias: usuario.preferenciasNotificaciones
+    });
+
+  } catch (error) {
+    console.error('Error actualizando preferencias de notificaciones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al actualizar preferencias'
+    });
+  }
+});
+
+// ✅ Marcar todas como leídas
+router.patch('/leer-todas', async (req, res) => {
+  try {
+    const resultado = await Notificacion.updateMany(
+      { usuario: req.usuario.id, leida: false },
+      { leida: true, leidaEn: new Date() }
+    );
+
+    res.json({
+      message: 'Notificaciones marcadas como leídas',
+      actualizadas: resultado.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Error marcando notificaciones como leídas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al marcar notificaciones'
+    });
+  }
+});
+
+// ✅ Marcar una notificación como leída (o no leída)
+router.patch('/:id/leida', [
+  param('id').isMongoId().withMessage('ID de notificación inválido'),
+  body('leida').optional().isBoolean().withMessage('leida debe ser true o false')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const leida = req.body.leida === undefined ? true : String(req.body.leida) === 'true';
+
+    const notificacion = await Notificacion.findOneAndUpdate(
+      { _id: req.params.id, usuario: req.usuario.id },
+      leida ? { leida, leidaEn: new Date() } : { leida, $unset: { leidaEn: '' } },
+      { new: true }
+    );
+
+    if (!notificacion) {
+      return res.status(404).json({ error: 'Notificación no encontrada' });
+    }
+
+    res.json({ notificacion });
+
+  } catch (error) {
+    console.error('Error actualizando notificación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al actualizar notificación'
+    });
+  }
+});
+
+// 🗑️ Eliminar una notificación
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('ID de notificación inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const notificacion = await Notificacion.findOneAndDelete({ _id: req.params.id, usuario: req.usuario.id });
+
+    if (!notificacion) {
+      return res.status(404).json({ error: 'Notificación no encontrada' });
+    }
+
+    res.json({ message: 'Notificación eliminada exitosamente' });
+
+  } catch (error) {
+    console.error('Error eliminando notificación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al eliminar notificación'
+    });
+  }
+});
+
+export default router;
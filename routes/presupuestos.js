@@ -0,0 +1,280 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Presupuesto from '../models/presupuesto.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { categoriaDelUsuario } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para crear/actualizar presupuesto
+const validacionPresupuesto = [
+  body('categoria')
+    .custom(categoriaDelUsuario),
+
+  body('montoLimite')
+    .isFloat({ min: 1 })
+    .withMessage('El monto límite debe ser mayor a 0'),
+
+  body('notas')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Las notas no pueden exceder 200 caracteres'),
+
+  body('activo')
+    .optional()
+    .isBoolean()
+    .withMessage('Activo debe ser verdadero o falso')
+];
+
+// Validaciones para el mes consultado
+const validacionPeriodo = [
+  query('mes').optional().isInt({ min: 1, max: 12 }).withMessage('Mes debe ser entre 1 y 12'),
+  query('año').optional().isInt({ min: 2000, max: 2100 }).withMessage('Año inválido')
+];
+
+// 💰 Crear nuevo presupuesto
+router.post('/', validacionPresupuesto, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { categoria, montoLimite, notas, activo } = req.body;
+
+    const nuevoPresupuesto = new Presupuesto({
+      categoria,
+      montoLimite,
+      notas,
+      activo,
+      usuario: req.usuario.id
+    });
+
+    const presupuestoGuardado = await nuevoPresupuesto.save();
+
+    res.status(201).json({
+      message: 'Presupuesto creado exitosamente',
+      presupuesto: presupuestoGuardado
+    });
+
+  } catch (error) {
+    console.error('Error creando presupuesto:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Ya existe un presupuesto para esta categoría'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos de presupuesto inválidos',
+        detalles: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al crear presupuesto'
+    });
+  }
+});
+
+// 💰 Listar presupuestos con su consumo del mes
+router.get('/', validacionPeriodo, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const hoy = new Date();
+    const { mes = hoy.getMonth() + 1, año = hoy.getFullYear() } = req.query;
+    const fechaPeriodo = new Date(parseInt(año), parseInt(mes) - 1, 1);
+
+    const [presupuestos, gastos] = await Promise.all([
+      Presupuesto.find({ usuario: req.usuario.id }).sort({ categoria: 1 }),
+      Presupuesto.gastadoPorCategoria(req.usuario.id, fechaPeriodo)
+    ]);
+
+    const detalle = presupuestos.map(presupuesto => ({
+      ...presupuesto.toJSON(),
+      ...presupuesto.calcularConsumo(gastos[presupuesto.categoria] || 0)
+    }));
+
+    const activos = detalle.filter(p => p.activo);
+    const totalLimite = activos.reduce((acc, p) => acc + p.montoLimite, 0);
+    const totalGastado = activos.reduce((acc, p) => acc + p.gastado, 0);
+
+    res.json({
+      mes: parseInt(mes),
+      año: parseInt(año),
+      presupuestos: detalle,
+      resumen: {
+        totalLimite,
+        totalGastado,
+        totalRestante: Math.max(totalLimite - totalGastado, 0),
+        excedidos: activos.filter(p => p.estado === 'excedido').length,
+        enAlerta: activos.filter(p => p.estado === 'alerta').length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo presupuestos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener presupuestos'
+    });
+  }
+});
+
+// 💰 Obtener presupuesto por ID
+router.get('/:id', validacionPeriodo, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const presupuesto = await Presupuesto.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!presupuesto) {
+      return res.status(404).json({
+        error: 'Presupuesto no encontrado'
+      });
+    }
+
+    const hoy = new Date();
+    const { mes = hoy.getMonth() + 1, año = hoy.getFullYear() } = req.query;
+    const gastos = await Presupuesto.gastadoPorCategoria(
+      req.usuario.id,
+      new Date(parseInt(año), parseInt(mes) - 1, 1)
+    );
+
+    res.json({
+      ...presupuesto.toJSON(),
+      ...presupuesto.calcularConsumo(gastos[presupuesto.categoria] || 0)
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo presupuesto:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de presupuesto inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener presupuesto'
+    });
+  }
+});
+
+// 💰 Actualizar un presupuesto
+router.put('/:id', validacionPresupuesto, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { categoria, montoLimite, notas, activo } = req.body;
+
+    const presupuestoActualizado = await Presupuesto.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        usuario: req.usuario.id
+      },
+      { categoria, montoLimite, notas, activo },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!presupuestoActualizado) {
+      return res.status(404).json({
+        error: 'Presupuesto no encontrado'
+      });
+    }
+
+    res.json({
+      message: 'Presupuesto actualizado exitosamente',
+      presupuesto: presupuestoActualizado
+    });
+
+  } catch (error) {
+    console.error('Error actualizando presupuesto:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Ya existe un presupuesto para esta categoría'
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de presupuesto inválido' });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos de presupuesto inválidos',
+        detalles: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al actualizar presupuesto'
+    });
+  }
+});
+
+// 💰 Eliminar un presupuesto
+router.delete('/:id', async (req, res) => {
+  try {
+    const presupuestoEliminado = await Presupuesto.findOneAndDelete({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!presupuestoEliminado) {
+      return res.status(404).json({
+        error: 'Presupuesto no encontrado'
+      });
+    }
+
+    res.json({
+      message: 'Presupuesto eliminado exitosamente',
+      presupuesto: presupuestoEliminado
+    });
+
+  } catch (error) {
+    console.error('Error eliminando presupuesto:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de presupuesto inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al eliminar presupuesto'
+    });
+  }
+});
+
+export default router;
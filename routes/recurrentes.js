@@ -0,0 +1,464 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Recurrente, { FRECUENCIAS } from '../models/recurrente.js';
+import { verificarCuenta } from '../services/transacciones.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { categoriaDelUsuario, subcategoriaDelUsuario } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Campos editables de una recurrencia
+const CAMPOS_RECURRENTE = [
+  'tipo', 'descripcion', 'monto', 'categoria', 'subcategoria', 'metodo_pago',
+  'cuenta', 'notas', 'frecuencia', 'diaDelMes', 'fechaInicio', 'fechaFin'
+];
+
+// Validaciones para crear/actualizar recurrencia
+const validacionRecurrente = [
+  body('tipo')
+    .isIn(['ingreso', 'gasto'])
+    .withMessage('El tipo debe ser ingreso o gasto'),
+
+  body('descripcion')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('La descripción debe tener entre 3 y 200 caracteres'),
+
+  body('monto')
+    .isFloat({ min: 0.01 })
+    .withMessage('El monto debe ser mayor a 0'),
+
+  body('categoria')
+    .optional()
+    .custom(categoriaDelUsuario),
+
+  body('subcategoria')
+    .optional()
+    .custom(subcategoriaDelUsuario),
+
+  body('metodo_pago')
+    .optional()
+    .isIn(['efectivo', 'tarjeta_debito', 'tarjeta_credito', 'transferencia', 'otro'])
+    .withMessage('Método de pago inválido'),
+
+  body('cuenta')
+    .optional()
+    .isMongoId()
+    .withMessage('Cuenta inválida'),
+
+  body('frecuencia')
+    .isIn(FRECUENCIAS)
+    .withMessage('La frecuencia debe ser diaria, semanal, mensual o anual'),
+
+  body('diaDelMes')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('El día del mes debe estar entre 1 y 31'),
+
+  body('fechaInicio')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato de fecha de inicio inválido'),
+
+  body('fechaFin')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Formato de fecha de fin inválido')
+];
+
+// Extraer solo los campos permitidos del body
+function extraerCampos(datos) {
+  return CAMPOS_RECURRENTE.reduce((acc, campo) => {
+    if (datos[campo] !== undefined) acc[campo] = datos[campo];
+    return acc;
+  }, {});
+}
+
+// 🔁 Crear nueva recurrencia
+router.post('/', validacionRecurrente, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    if (req.body.cuenta) {
+      await verificarCuenta(req.usuario.id, req.body.cuenta);
+    }
+
+    const nuevaRecurrente = new Recurrente({
+      ...extraerCampos(req.body),
+      usuario: req.usuario.id
+    });
+
+    const recurrenteGuardada = await nuevaRecurrente.save();
+
+    res.status(201).json({
+      message: 'Transacción recurrente creada exitosamente',
+      recurrente: recurrenteGuardada
+    });
+
+  } catch (error) {
+    console.error('Error creando recurrencia:', error);
+
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos de recurrencia inválidos',
+        detalles: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al crear recurrencia'
+    });
+  }
+});
+
+// 🔁 Listar recurrencias
+router.get('/', [
+  query('estado').optional().isIn(['activa', 'pausada', 'finalizada']).withMessage('Estado inválido'),
+  query('tipo').optional().isIn(['ingreso', 'gasto']).withMessage('Tipo inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { estado, tipo } = req.query;
+
+    const filtros = { usuario: req.usuario.id };
+    if (estado) filtros.estado = estado;
+    if (tipo) filtros.tipo = tipo;
+
+    const recurrentes = await Recurrente.find(filtros).sort({ estado: 1, proximaEjecucion: 1 });
+
+    res.json({ recurrentes });
+
+  } catch (error) {
+    console.error('Error obteniendo recurrencias:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener recurrencias'
+    });
+  }
+});
+
+// 🔁 Listar próximas ocurrencias
+router.get('/proximas', [
+  query('dias').optional().isInt({ min: 1, max: 366 }).withMessage('Días debe ser entre 1 y 366')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { dias = 30 } = req.query;
+    const hasta = new Date();
+    hasta.setDate(hasta.getDate() + parseInt(dias));
+
+    const recurrentes = await Recurrente.find({
+      usuario: req.usuario.id,
+      estado: 'activa'
+    });
+
+    const proximas = recurrentes
+      .flatMap(recurrente => recurrente.ocurrenciasHasta(hasta).map(ocurrencia => ({
+        recurrente: recurrente._id,
+        tipo: recurrente.tipo,
+        descripcion: recurrente.descripcion,
+        monto: recurrente.monto,
+        categoria: recurrente.categoria,
+        ...ocurrencia
+      })))
+      .sort((a, b) => a.fecha - b.fecha);
+
+    const pendientes = proximas.filter(o => !o.omitida);
+
+    res.json({
+      desde: new Date(),
+      hasta,
+      proximas,
+      totales: {
+        ingresos: pendientes.filter(o => o.tipo === 'ingreso').reduce((acc, o) => acc + o.monto, 0),
+        gastos: pendientes.filter(o => o.tipo === 'gasto').reduce((acc, o) => acc + o.monto, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo próximas ocurrencias:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener próximas ocurrencias'
+    });
+  }
+});
+
+// 🔁 Obtener recurrencia por ID
+router.get('/:id', async (req, res) => {
+  try {
+    const recurrente = await Recurrente.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!recurrente) {
+      return res.status(404).json({
+        error: 'Recurrencia no encontrada'
+      });
+    }
+
+    res.json(recurrente);
+
+  } catch (error) {
+    console.error('Error obteniendo recurrencia:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de recurrencia inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener recurrencia'
+    });
+  }
+});
+
+// 🔁 Actualizar una recurrencia
+router.put('/:id', validacionRecurrente, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const recurrente = await Recurrente.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!recurrente) {
+      return res.status(404).json({
+        error: 'Recurrencia no encontrada'
+      });
+    }
+
+    if (req.body.cuenta) {
+      await verificarCuenta(req.usuario.id, req.body.cuenta);
+    }
+
+    // Se guarda como documento para que se recalcule la próxima ejecución
+    recurrente.set(extraerCampos(req.body));
+    await recurrente.save();
+
+    res.json({
+      message: 'Recurrencia actualizada exitosamente',
+      recurrente
+    });
+
+  } catch (error) {
+    console.error('Error actualizando recurrencia:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de recurrencia inválido' });
+    }
+
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos de recurrencia inválidos',
+        detalles: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al actualizar recurrencia'
+    });
+  }
+});
+
+// 🔁 Pausar una recurrencia
+router.patch('/:id/pausar', async (req, res) => {
+  try {
+    const recurrente = await Recurrente.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        usuario: req.usuario.id,
+        estado: 'activa'
+      },
+      { estado: 'pausada' },
+      { new: true }
+    );
+
+    if (!recurrente) {
+      return res.status(404).json({
+        error: 'Recurrencia activa no encontrada'
+      });
+    }
+
+    res.json({
+      message: 'Recurrencia pausada exitosamente',
+      recurrente
+    });
+
+  } catch (error) {
+    console.error('Error pausando recurrencia:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de recurrencia inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al pausar recurrencia'
+    });
+  }
+});
+
+// 🔁 Reanudar una recurrencia pausada
+router.patch('/:id/reanudar', async (req, res) => {
+  try {
+    const recurrente = await Recurrente.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id,
+      estado: 'pausada'
+    });
+
+    if (!recurrente) {
+      return res.status(404).json({
+        error: 'Recurrencia pausada no encontrada'
+      });
+    }
+
+    // Las ocurrencias vencidas durante la pausa no se generan
+    recurrente.estado = 'activa';
+    recurrente.avanzarHasta(new Date());
+    await recurrente.save();
+
+    res.json({
+      message: recurrente.estado === 'finalizada'
+        ? 'La recurrencia ya alcanzó su fecha de fin'
+        : 'Recurrencia reanudada exitosamente',
+      recurrente
+    });
+
+  } catch (error) {
+    console.error('Error reanudando recurrencia:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de recurrencia inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al reanudar recurrencia'
+    });
+  }
+});
+
+// 🔁 Omitir (o dejar de omitir) la próxima ocurrencia
+router.post('/:id/omitir', [
+  body('omitir')
+    .optional()
+    .isBoolean()
+    .withMessage('Omitir debe ser verdadero o falso')
+    .toBoolean()
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { omitir = true } = req.body;
+
+    const recurrente = await Recurrente.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        usuario: req.usuario.id,
+        estado: { $ne: 'finalizada' }
+      },
+      { omitirProxima: omitir },
+      { new: true }
+    );
+
+    if (!recurrente) {
+      return res.status(404).json({
+        error: 'Recurrencia no encontrada'
+      });
+    }
+
+    res.json({
+      message: omitir
+        ? 'La próxima ocurrencia será omitida'
+        : 'La próxima ocurrencia se generará normalmente',
+      recurrente
+    });
+
+  } catch (error) {
+    console.error('Error omitiendo ocurrencia:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de recurrencia inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al omitir ocurrencia'
+    });
+  }
+});
+
+// 🔁 Eliminar una recurrencia (las transacciones ya generadas se conservan)
+router.delete('/:id', async (req, res) => {
+  try {
+    const recurrenteEliminada = await Recurrente.findOneAndDelete({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!recurrenteEliminada) {
+      return res.status(404).json({
+        error: 'Recurrencia no encontrada'
+      });
+    }
+
+    res.json({
+      message: 'Recurrencia eliminada exitosamente',
+      recurrente: recurrenteEliminada
+    });
+
+  } catch (error) {
+    console.error('Error eliminando recurrencia:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de recurrencia inválido' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al eliminar recurrencia'
+    });
+  }
+});
+
+export default router;
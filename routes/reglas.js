@@ -0,0 +1,366 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Regla, { MODOS_DESCRIPCION } from '../models/regla.js';
+import { METODOS_PAGO } from '../models/transacciones.js';
+import { simularRegla, aplicarRegla } from '../services/reglas.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { categoriaDelUsuario, subcategoriaDelUsuario } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Campos editables de una regla
+const CAMPOS_REGLA = ['nombre', 'prioridad', 'activa', 'condiciones', 'acciones'];
+
+// Validaciones para crear/actualizar/simular regla
+const validacionRegla = [
+  body('nombre')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+
+  body('prioridad')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('La prioridad debe ser un entero mayor o igual a 0'),
+
+  body('activa')
+    .optional()
+    .isBoolean()
+    .withMessage('Activa debe ser verdadero o falso'),
+
+  body('condiciones')
+    .isObject()
+    .withMessage('Las condiciones deben ser un objeto'),
+
+  body('condiciones.descripcion')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('La descripción debe tener entre 1 y 200 caracteres'),
+
+  body('condiciones.modoDescripcion')
+    .optional()
+    .isIn(MODOS_DESCRIPCION)
+    .withMessage('El modo de descripción debe ser contiene o regex'),
+
+  body(['condiciones.montoMin', 'condiciones.montoMax'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Los montos deben ser números mayores o iguales a 0'),
+
+  body('condiciones.tipo')
+    .optional()
+    .isIn(['ingreso', 'gasto'])
+    .withMessage('El tipo debe ser ingreso o gasto'),
+
+  body('condiciones.metodo_pago')
+    .optional()
+    .isIn(METODOS_PAGO)
+    .withMessage('Método de pago inválido'),
+
+  body('acciones')
+    .isObject()
+    .withMessage('Las acciones deben ser un objeto'),
+
+  body('acciones.categoria')
+    .optional()
+    .custom(categoriaDelUsuario),
+
+  body('acciones.subcategoria')
+    .optional()
+    .custom(subcategoriaDelUsuario),
+
+  body('acciones.etiquetas')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Las etiquetas deben ser una lista de hasta 20 elementos'),
+
+  body('acciones.etiquetas.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Cada etiqueta debe tener entre 1 y 30 caracteres')
+];
+
+// Validación del tamaño de la simulación
+const validacionSimulacion = [
+  query('limite').optional().isInt({ min: 1, max: 200 }).withMessage('Límite debe ser entre 1 y 200')
+];
+
+// Tomar solo los campos editables del cuerpo
+function datosRegla(cuerpo) {
+  return Object.fromEntries(
+    CAMPOS_REGLA.filter(campo => cuerpo[campo] !== undefined).map(campo => [campo, cuerpo[campo]])
+  );
+}
+
+// Respuesta común para errores de validación del modelo
+function responderError(res, error, mensaje) {
+  if (error.name === 'CastError') {
+    return res.status(400).json({ error: 'ID de regla inválido' });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Datos de regla inválidos',
+      detalles: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({ error: mensaje });
+}
+
+// 🧭 Crear nueva regla de categorización
+router.post('/', validacionRegla, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const nuevaRegla = new Regla({
+      ...datosRegla(req.body),
+      usuario: req.usuario.id
+    });
+
+    const reglaGuardada = await nuevaRegla.save();
+
+    res.status(201).json({
+      message: 'Regla creada exitosamente',
+      regla: reglaGuardada
+    });
+
+  } catch (error) {
+    console.error('Error creando regla:', error);
+    responderError(res, error, 'Error interno del servidor al crear regla');
+  }
+});
+
+// 🧭 Listar reglas en orden de evaluación
+router.get('/', async (req, res) => {
+  try {
+    const reglas = await Regla.find({ usuario: req.usuario.id }).sort({ prioridad: 1, _id: 1 });
+
+    res.json({ reglas });
+
+  } catch (error) {
+    console.error('Error obteniendo reglas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener reglas'
+    });
+  }
+});
+
+// 🧭 Simular una regla sin guardarla
+router.post('/simular', validacionSimulacion, validacionRegla, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const regla = new Regla({
+      ...datosRegla(req.body),
+      usuario: req.usuario.id
+    });
+
+    await regla.validate();
+
+    const simulacion = await simularRegla(regla, parseInt(req.query.limite) || 50);
+
+    res.json(simulacion);
+
+  } catch (error) {
+    console.error('Error simulando regla:', error);
+    responderError(res, error, 'Error interno del servidor al simular regla');
+  }
+});
+
+// 🧭 Reordenar reglas: la prioridad sigue el orden de la lista de IDs
+router.patch('/orden', [
+  body('reglas').isArray({ min: 1 }).withMessage('Indica la lista de reglas en el orden deseado'),
+  body('reglas.*').isMongoId().withMessage('ID de regla inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    await Regla.bulkWrite(req.body.reglas.map((id, i) => ({
+      updateOne: {
+        filter: { _id: id, usuario: req.usuario.id },
+        update: { prioridad: (i + 1) * 10 }
+      }
+    })));
+
+    const reglas = await Regla.find({ usuario: req.usuario.id }).sort({ prioridad: 1, _id: 1 });
+
+    res.json({
+      message: 'Reglas reordenadas exitosamente',
+      reglas
+    });
+
+  } catch (error) {
+    console.error('Error reordenando reglas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al reordenar reglas'
+    });
+  }
+});
+
+// 🧭 Obtener regla por ID
+router.get('/:id', async (req, res) => {
+  try {
+    const regla = await Regla.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!regla) {
+      return res.status(404).json({
+        error: 'Regla no encontrada'
+      });
+    }
+
+    res.json(regla);
+
+  } catch (error) {
+    console.error('Error obteniendo regla:', error);
+    responderError(res, error, 'Error interno del servidor al obtener regla');
+  }
+});
+
+// 🧭 Simular una regla guardada sobre el historial (no modifica nada)
+router.get('/:id/simulacion', validacionSimulacion, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const regla = await Regla.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!regla) {
+      return res.status(404).json({
+        error: 'Regla no encontrada'
+      });
+    }
+
+    const simulacion = await simularRegla(regla, parseInt(req.query.limite) || 50);
+
+    res.json(simulacion);
+
+  } catch (error) {
+    console.error('Error simulando regla:', error);
+    responderError(res, error, 'Error interno del servidor al simular regla');
+  }
+});
+
+// 🧭 Aplicar una regla a las transacciones existentes
+router.post('/:id/aplicar', async (req, res) => {
+  try {
+    const regla = await Regla.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!regla) {
+      return res.status(404).json({
+        error: 'Regla no encontrada'
+      });
+    }
+
+    const resultado = await aplicarRegla(regla);
+
+    res.json({
+      message: 'Regla aplicada al historial exitosamente',
+      ...resultado
+    });
+
+  } catch (error) {
+    console.error('Error aplicando regla:', error);
+    responderError(res, error, 'Error interno del servidor al aplicar regla');
+  }
+});
+
+// 🧭 Actualizar una regla
+router.put('/:id', validacionRegla, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const regla = await Regla.findOne({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!regla) {
+      return res.status(404).json({
+        error: 'Regla no encontrada'
+      });
+    }
+
+    regla.set(datosRegla(req.body));
+    const reglaActualizada = await regla.save();
+
+    res.json({
+      message: 'Regla actualizada exitosamente',
+      regla: reglaActualizada
+    });
+
+  } catch (error) {
+    console.error('Error actualizando regla:', error);
+    responderError(res, error, 'Error interno del servidor al actualizar regla');
+  }
+});
+
+// 🧭 Eliminar una regla (las transacciones ya clasificadas no cambian)
+router.delete('/:id', async (req, res) => {
+  try {
+    const reglaEliminada = await Regla.findOneAndDelete({
+      _id: req.params.id,
+      usuario: req.usuario.id
+    });
+
+    if (!reglaEliminada) {
+      return res.status(404).json({
+        error: 'Regla no encontrada'
+      });
+    }
+
+    res.json({
+      message: 'Regla eliminada exitosamente',
+      regla: reglaEliminada
+    });
+
+  } catch (error) {
+    console.error('Error eliminando regla:', error);
+    responderError(res, error, 'Error interno del servidor al eliminar regla');
+  }
+});
+
+export default router;
@@ -0,0 +1,105 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { eventosDesde, generarTicket, suscribir, verificarSesionStream, verificarTicket } from '../services/tiempoReal.js';
+
+const router = express.Router();
+
+// Conexiones abiertas a la vez por usuario (pestañas y dispositivos)
+const MAX_CONEXIONES_USUARIO = 5;
+const INTERVALO_LATIDO_MS = 25 * 1000;
+
+const conexionesPorUsuario = new Map();
+
+// El stream acepta el token de acceso en Authorization (clientes con fetch) o un
+// ticket en la query string (EventSource del navegador, que no envía encabezados)
+const autenticarStream = async (req, res, next) => {
+  if (!req.query.ticket) return authenticateToken(req, res, next);
+
+  try {
+    req.usuario = await verificarTicket(req.query.ticket);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// 🎟️ Ticket de un minuto para abrir el stream con EventSource
+router.post('/ticket', authenticateToken, (req, res) => {
+  res.json({
+    ticket: generarTicket(req.usuario.id, req.usuario.sesion),
+    expiraEn: 60
+  });
+});
+
+// 📡 Stream de eventos del usuario (Server-Sent Events). Al reconectar, el
+// navegador envía Last-Event-ID y se reenvían los eventos perdidos; si ya no se
+// pueden recuperar se envía `sincronizar` para que el cliente recargue los datos.
+router.get('/eventos', autenticarStream, (req, res) => {
+  const usuarioId = String(req.usuario.id);
+  const conexiones = conexionesPorUsuario.get(usuarioId) || 0;
+
+  if (conexiones >= MAX_CONEXIONES_USUARIO) {
+    return res.status(429).json({
+      error: `Máximo ${MAX_CONEXIONES_USUARIO} conexiones en tiempo real abiertas a la vez`
+    });
+  }
+  conexionesPorUsuario.set(usuarioId, conexiones + 1);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const enviar = ({ id, evento, datos }) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${evento}\ndata: ${JSON.stringify(datos)}\n\n`);
+  };
+
+  res.write('retry: 5000\n\n');
+
+  // Reenviar lo que se perdió desde el último evento recibido
+  const ultimoId = req.get('Last-Event-ID') || req.query.ultimoId;
+  if (ultimoId) {
+    const { eventos, completo } = eventosDesde(usuarioId, ultimoId);
+    if (completo) {
+      eventos.forEach(enviar);
+    } else {
+      enviar({ evento: 'sincronizar', datos: { motivo: 'Hay cambios que no se pudieron recuperar' } });
+    }
+  }
+
+  enviar({ evento: 'conectado', datos: { usuario: usuarioId, fecha: new Date() } });
+
+  const cancelarSuscripcion = suscribir(usuarioId, enviar);
+
+  // En cada latido se revisa la sesión: si se cerró, se avisa y se corta el stream
+  const latido = setInterval(async () => {
+    try {
+      await verificarSesionStream(usuarioId, req.usuario.sesion);
+      if (!res.writableEnded) res.write(': latido\n\n');
+    } catch (error) {
+      if (error.name !== 'AuthError') {
+        console.error('Error verificando la sesión del stream:', error);
+        return;
+      }
+      if (res.writableEnded) return;
+      enviar({ evento: 'sesion_cerrada', datos: { codigo: error.codigo } });
+      res.end();
+    }
+  }, INTERVALO_LATIDO_MS);
+
+  req.on('close', () => {
+    clearInterval(latido);
+    cancelarSuscripcion();
+
+    const restantes = (conexionesPorUsuario.get(usuarioId) || 1) - 1;
+    if (restantes > 0) {
+      conexionesPorUsuario.set(usuarioId, restantes);
+    } else {
+      conexionesPorUsuario.delete(usuarioId);
+    }
+  });
+});
+
+export default router;
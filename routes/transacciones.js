@@ -1,67 +1,29 @@
 import express from 'express';
-import { body, query, validationResult } from 'express-validator';
-import Transaccion from '../models/transacciones.js';
-import Meta from '../models/meta.js';
+import mongoose from 'mongoose';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { body, param, query, validationResult } from 'express-validator';
+import Transaccion, { METODOS_PAGO } from '../models/transacciones.js';
+import Cuenta from '../models/cuenta.js';
+import Categoria from '../models/categoria.js';
+import Auditoria from '../models/auditoria.js';
+import { crearTransaccion, verificarCuenta } from '../services/transacciones.js';
+import { emitirEvento } from '../services/webhooks.js';
+import { publicarTransaccion } from '../services/tiempoReal.js';
+import { AMBITOS, conAcceso, filtroAcceso, obtenerHogar } from '../services/hogares.js';
+import { sincronizarDivision } from '../services/gastosCompartidos.js';
+import { sincronizarPagoDeuda } from '../services/deudas.js';
+import { sincronizarAporteMeta } from '../services/metas.js';
+import { clasificarCategoria, sugerirCategorias } from '../services/categorias.js';
+import { FORMATOS_EXPORTACION, crearFormateador } from '../utils/exportacion.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { categoriaDelUsuario, subcategoriaDelUsuario } from '../middleware/validation.js';
 
 const router = express.Router();
 
 // Aplicar autenticación a todas las rutas
 router.use(authenticateToken);
 
-// Función mejorada para clasificar automáticamente
-function clasificarCategoria(descripcion) {
-  const texto = descripcion.toLowerCase().trim();
-  
-  const categorias = {
-    'alimentación': [
-      'comida', 'restaurante', 'supermercado', 'mercado', 'pizza', 'hamburguesa',
-      'café', 'desayuno', 'almuerzo', 'cena', 'bebida', 'coca cola', 'agua',
-      'pan', 'panadería', 'carnicería', 'verdulería', 'sushi', 'delivery'
-    ],
-    'transporte': [
-      'transporte', 'uber', 'taxi', 'bus', 'metro', 'gasolina', 'combustible',
-      'peaje', 'parking', 'estacionamiento', 'motocicleta', 'bicicleta',
-      'avión', 'vuelo', 'tren', 'barco'
-    ],
-    'entretenimiento': [
-      'cine', 'ocio', 'película', 'teatro', 'concierto', 'bar', 'discoteca',
-      'videojuego', 'netflix', 'spotify', 'streaming', 'parque', 'diversión',
-      'gimnasio', 'deporte', 'futbol', 'basquet'
-    ],
-    'servicios': [
-      'luz', 'agua', 'internet', 'teléfono', 'gas', 'electricidad',
-      'cable', 'seguro', 'banco', 'notaría', 'abogado', 'contador',
-      'limpieza', 'jardinería', 'reparación'
-    ],
-    'salud': [
-      'salud', 'medicina', 'doctor', 'médico', 'hospital', 'clínica',
-      'farmacia', 'pastillas', 'vitaminas', 'dentista', 'oftalmólogo',
-      'laboratorio', 'rayos x', 'consulta'
-    ],
-    'ropa': [
-      'ropa', 'zapato', 'camisa', 'pantalón', 'vestido', 'tienda',
-      'boutique', 'zapatería', 'moda', 'accesorios', 'bolso', 'cartera'
-    ],
-    'educación': [
-      'educación', 'colegio', 'universidad', 'curso', 'libro', 'cuaderno',
-      'lápiz', 'material', 'matrícula', 'pensión', 'tutoría'
-    ],
-    'hogar': [
-      'hogar', 'casa', 'mueble', 'electrodoméstico', 'decoración',
-      'herramienta', 'pintura', 'construcción', 'alquiler', 'hipoteca'
-    ]
-  };
-
-  for (const [categoria, palabras] of Object.entries(categorias)) {
-    if (palabras.some(palabra => texto.includes(palabra))) {
-      return categoria;
-    }
-  }
-  
-  return 'otros';
-}
-
 // Validaciones para crear transacción
 const validacionTransaccion = [
   body('tipo')
@@ -84,15 +46,107 @@ const validacionTransaccion = [
   
   body('categoria')
     .optional()
-    .isIn(['alimentación', 'transporte', 'entretenimiento', 'servicios', 'salud', 'ropa', 'educación', 'hogar', 'otros'])
-    .withMessage('Categoría inválida'),
+    .custom(categoriaDelUsuario),
+
+  body('subcategoria')
+    .optional()
+    .custom(subcategoriaDelUsuario),
   
   body('metodo_pago')
     .optional()
     .isIn(['efectivo', 'tarjeta_debito', 'tarjeta_credito', 'transferencia', 'otro'])
-    .withMessage('Método de pago inválido')
+    .withMessage('Método de pago inválido'),
+
+  body('etiquetas')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Las etiquetas deben ser una lista de hasta 20 elementos'),
+
+  body('etiquetas.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Cada etiqueta debe tener entre 1 y 30 caracteres'),
+
+  body('cuenta')
+    .optional()
+    .isMongoId()
+    .withMessage('Cuenta inválida'),
+
+  // Hogar con el que se comparte (null para que sea personal)
+  body('hogar')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Hogar inválido')
+];
+
+// Campos que se pueden cambiar al actualizar una transacción
+const CAMPOS_EDITABLES = [
+  'tipo', 'descripcion', 'monto', 'fecha', 'categoria', 'subcategoria',
+  'metodo_pago', 'etiquetas', 'notas', 'cuenta', 'hogar'
+];
+
+// Ámbito de las consultas: personal, de los hogares del usuario o ambos
+const validacionAmbito = [
+  query('ambito').optional().isIn(AMBITOS).withMessage('El ámbito debe ser personal, hogar o todos'),
+  query('hogar').optional().isMongoId().withMessage('Hogar inválido')
+];
+
+// Respuesta para los errores de acceso a un hogar
+function responderErrorHogar(res, error) {
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({ error: error.message });
+  }
+
+  if (error.name === 'PermisoHogarError') {
+    return res.status(403).json({ error: error.message });
+  }
+}
+
+// Validaciones de los filtros de listado (compartidas con la exportación)
+const validacionFiltros = [
+  query('tipo').optional().isIn(['ingreso', 'gasto', 'transferencia']).withMessage('Tipo inválido'),
+  query('categoria').optional().isString().withMessage('Categoría debe ser texto'),
+  query('subcategoria').optional().isString().withMessage('Subcategoría debe ser texto'),
+  query('etiqueta').optional().isString().withMessage('Etiqueta debe ser texto'),
+  query('cuenta').optional().isMongoId().withMessage('Cuenta inválida'),
+  query('fecha_desde').optional().isISO8601().withMessage('Fecha desde inválida'),
+  query('fecha_hasta').optional().isISO8601().withMessage('Fecha hasta inválida'),
+  ...validacionAmbito
 ];
 
+// Construir los filtros de consulta a partir de la query string (incluye las
+// transacciones de los hogares del usuario según el ámbito)
+async function construirFiltros(usuarioId, { tipo, categoria, subcategoria, etiqueta, cuenta, fecha_desde, fecha_hasta, buscar, ambito, hogar }) {
+  const filtros = { 
+    activa: true
+  };
+
+  if (tipo) filtros.tipo = tipo;
+  // Se guardan en minúsculas (ver models/transacciones.js)
+  if (categoria) filtros.categoria = String(categoria).trim().toLowerCase();
+  if (subcategoria) filtros.subcategoria = String(subcategoria).trim().toLowerCase();
+  if (etiqueta) filtros.etiquetas = etiqueta;
+
+  // Una cuenta participa como origen o como destino de una transferencia
+  if (cuenta) {
+    const cuentaId = new mongoose.Types.ObjectId(cuenta);
+    filtros.$or = [{ cuenta: cuentaId }, { cuentaDestino: cuentaId }];
+  }
+  
+  if (fecha_desde || fecha_hasta) {
+    filtros.fecha = {};
+    if (fecha_desde) filtros.fecha.$gte = new Date(fecha_desde);
+    if (fecha_hasta) filtros.fecha.$lte = new Date(fecha_hasta);
+  }
+
+  if (buscar) {
+    filtros.descripcion = { $regex: buscar, $options: 'i' };
+  }
+
+  return conAcceso(usuarioId, filtros, { ambito, hogar });
+}
+
 // 🔹 Crear nueva transacción
 router.post('/', validacionTransaccion, async (req, res) => {
   try {
@@ -104,35 +158,31 @@ router.post('/', validacionTransaccion, async (req, res) => {
       });
     }
 
-    const { descripcion, categoria, ...otrosDatos } = req.body;
-    
-    // Clasificar automáticamente si no se proporciona categoría
-    const categoriaFinal = categoria || clasificarCategoria(descripcion);
-    
-    const nuevaTransaccion = new Transaccion({
-      ...otrosDatos,
-      descripcion,
-      categoria: categoriaFinal,
-      usuario: req.usuario.id
-    });
-
-    const transaccionGuardada = await nuevaTransaccion.save();
-    
-    // Si es un ingreso, actualizar metas activas automáticamente
-    if (transaccionGuardada.tipo === 'ingreso') {
-      await actualizarMetasConIngreso(req.usuario.id, transaccionGuardada.monto);
-    }
+    const { transaccion: transaccionGuardada, alertasPresupuesto, asignacionesAhorro } = await crearTransaccion(
+      req.usuario.id,
+      req.body
+    );
 
     await transaccionGuardada.populate('usuario', 'nombre email');
 
     res.status(201).json({
       message: 'Transacción creada exitosamente',
-      transaccion: transaccionGuardada
+      transaccion: transaccionGuardada,
+      alertasPresupuesto,
+      asignacionesAhorro
     });
 
   } catch (error) {
     console.error('Error creando transacción:', error);
     
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    if (error.name === 'PermisoHogarError') {
+      return res.status(403).json({ error: error.message });
+    }
+
     if (error.name === 'ValidationError') {
       return res.status(400).json({
         error: 'Datos de transacción inválidos',
@@ -146,14 +196,61 @@ router.post('/', validacionTransaccion, async (req, res) => {
   }
 });
 
+// 🔹 Sugerir categorías para una transacción (no guarda nada)
+router.post('/sugerir-categoria', [
+  body('descripcion')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('La descripción debe tener entre 1 y 200 caracteres'),
+
+  body('monto')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El monto debe ser numérico'),
+
+  body('tipo')
+    .optional()
+    .isIn(['ingreso', 'gasto'])
+    .withMessage('El tipo debe ser ingreso o gasto'),
+
+  body('metodo_pago')
+    .optional()
+    .isIn(METODOS_PAGO)
+    .withMessage('Método de pago inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { descripcion, monto, tipo, metodo_pago } = req.body;
+
+    const sugerencia = await sugerirCategorias(req.usuario.id, {
+      descripcion,
+      monto: monto !== undefined ? parseFloat(monto) : undefined,
+      tipo,
+      metodo_pago
+    });
+
+    res.json(sugerencia);
+
+  } catch (error) {
+    console.error('Error sugiriendo categoría:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor al sugerir categoría' 
+    });
+  }
+});
+
 // 🔹 Listar transacciones con filtros y paginación
 router.get('/', [
   query('pagina').optional().isInt({ min: 1 }).withMessage('Página debe ser un número mayor a 0'),
   query('limite').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100'),
-  query('tipo').optional().isIn(['ingreso', 'gasto']).withMessage('Tipo inválido'),
-  query('categoria').optional().isString().withMessage('Categoría debe ser texto'),
-  query('fecha_desde').optional().isISO8601().withMessage('Fecha desde inválida'),
-  query('fecha_hasta').optional().isISO8601().withMessage('Fecha hasta inválida')
+  ...validacionFiltros
 ], async (req, res) => {
   try {
     const errores = validationResult(req);
@@ -164,34 +261,10 @@ router.get('/', [
       });
     }
 
-    const {
-      pagina = 1,
-      limite = 20,
-      tipo,
-      categoria,
-      fecha_desde,
-      fecha_hasta,
-      buscar
-    } = req.query;
+    const { pagina = 1, limite = 20 } = req.query;
 
     // Construir filtros
-    const filtros = { 
-      usuario: req.usuario.id,
-      activa: true
-    };
-
-    if (tipo) filtros.tipo = tipo;
-    if (categoria) filtros.categoria = categoria;
-    
-    if (fecha_desde || fecha_hasta) {
-      filtros.fecha = {};
-      if (fecha_desde) filtros.fecha.$gte = new Date(fecha_desde);
-      if (fecha_hasta) filtros.fecha.$lte = new Date(fecha_hasta);
-    }
-
-    if (buscar) {
-      filtros.descripcion = { $regex: buscar, $options: 'i' };
-    }
+    const filtros = await construirFiltros(req.usuario.id, req.query);
 
     // Configurar paginación
     const skip = (parseInt(pagina) - 1) * parseInt(limite);
@@ -208,7 +281,7 @@ router.get('/', [
 
     // Calcular estadísticas
     const estadisticas = await Transaccion.aggregate([
-      { $match: { ...filtros, usuario: req.usuario.id } },
+      { $match: filtros },
       {
         $group: {
           _id: '$tipo',
@@ -240,20 +313,110 @@ router.get('/', [
 
   } catch (error) {
     console.error('Error obteniendo transacciones:', error);
+
+    if (responderErrorHogar(res, error)) return;
+
     res.status(500).json({ 
       error: 'Error interno del servidor al obtener transacciones' 
     });
   }
 });
 
+// 🔹 Exportar transacciones (CSV, Excel u OFX) con los mismos filtros del listado.
+// Se lee desde un cursor y se escribe en streaming para no cargar todo en memoria.
+router.get('/exportar', [
+  query('formato').optional().isIn(FORMATOS_EXPORTACION).withMessage('El formato debe ser csv, excel u ofx'),
+  query('locale')
+    .optional()
+    .custom(valor => Intl.getCanonicalLocales(valor).length > 0)
+    .withMessage('Locale inválido'),
+  query('zona_horaria')
+    .optional()
+    .custom(valor => Boolean(new Intl.DateTimeFormat('en', { timeZone: valor })))
+    .withMessage('Zona horaria inválida'),
+  ...validacionFiltros
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { formato = 'csv', locale, zona_horaria, cuenta, fecha_desde, fecha_hasta } = req.query;
+    const filtros = await construirFiltros(req.usuario.id, req.query);
+
+    // Nombres de las cuentas para la columna "Cuenta"
+    const cuentasUsuario = await Cuenta.find({ usuario: req.usuario.id })
+      .select('nombre moneda saldoInicial')
+      .lean();
+    const cuentaExportada = cuenta && cuentasUsuario.find(c => String(c._id) === cuenta);
+
+    // En OFX el saldo final es el de la cuenta exportada, si se indicó una
+    let saldo;
+    if (formato === 'ofx' && cuentaExportada) {
+      const movimientos = await Cuenta.calcularMovimientos(req.usuario.id);
+      saldo = cuentaExportada.saldoInicial + (movimientos[cuentaExportada._id] || 0);
+    }
+
+    const formateador = crearFormateador(formato, {
+      locale,
+      zonaHoraria: zona_horaria,
+      cuentas: Object.fromEntries(cuentasUsuario.map(c => [c._id, c.nombre])),
+      cuenta,
+      moneda: cuentaExportada?.moneda,
+      saldo,
+      desde: fecha_desde ? new Date(fecha_desde) : undefined,
+      hasta: fecha_hasta ? new Date(fecha_hasta) : undefined
+    });
+
+    const cursor = Transaccion.find(filtros)
+      .sort({ fecha: -1, createdAt: -1 })
+      .lean()
+      .cursor();
+
+    async function* generarContenido() {
+      try {
+        yield formateador.encabezado();
+        for await (const transaccion of cursor) {
+          yield formateador.fila(transaccion);
+        }
+        yield formateador.pie();
+      } finally {
+        await cursor.close();
+      }
+    }
+
+    const nombreArchivo = `transacciones-${new Date().toISOString().slice(0, 10)}.${formateador.extension}`;
+    res.setHeader('Content-Type', formateador.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+
+    await pipeline(Readable.from(generarContenido()), res);
+
+  } catch (error) {
+    console.error('Error exportando transacciones:', error);
+
+    // Si ya se envió parte del archivo no se puede responder con JSON
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    if (responderErrorHogar(res, error)) return;
+
+    res.status(500).json({ 
+      error: 'Error interno del servidor al exportar transacciones' 
+    });
+  }
+});
+
 // 🔹 Obtener transacción por ID
 router.get('/:id', async (req, res) => {
   try {
-    const transaccion = await Transaccion.findOne({
-      _id: req.params.id,
-      usuario: req.usuario.id,
-      activa: true
-    }).populate('usuario', 'nombre email');
+    const transaccion = await Transaccion.findOne(
+      await conAcceso(req.usuario.id, { _id: req.params.id, activa: true })
+    ).populate('usuario', 'nombre email');
 
     if (!transaccion) {
       return res.status(404).json({ 
@@ -276,6 +439,58 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// 🕓 Historial de cambios de una transacción (incluye la eliminación)
+router.get('/:id/historial', [
+  param('id').isMongoId().withMessage('ID de transacción inválido'),
+  query('pagina').optional().isInt({ min: 1 }).withMessage('Página debe ser un número mayor a 0'),
+  query('limite').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const pagina = parseInt(req.query.pagina) || 1;
+    const limite = parseInt(req.query.limite) || 20;
+
+    // El historial se guarda a nombre del autor; los miembros del hogar también lo ven
+    const transaccion = await Transaccion.findOne(await conAcceso(req.usuario.id, { _id: req.params.id }))
+      .select('usuario')
+      .lean();
+
+    const [historial, total] = await Auditoria.historial(
+      'Transaccion',
+      req.params.id,
+      transaccion?.usuario || req.usuario.id,
+      { pagina, limite }
+    );
+
+    if (total === 0) {
+      return res.status(404).json({ error: 'No hay historial para esta transacción' });
+    }
+
+    res.json({
+      historial,
+      paginacion: {
+        paginaActual: pagina,
+        totalPaginas: Math.ceil(total / limite),
+        totalElementos: total,
+        elementosPorPagina: limite
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo historial de transacción:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor al obtener historial' 
+    });
+  }
+});
+
 // 🔹 Actualizar una transacción
 router.put('/:id', validacionTransaccion, async (req, res) => {
   try {
@@ -287,21 +502,70 @@ router.put('/:id', validacionTransaccion, async (req, res) => {
       });
     }
 
-    const { descripcion, categoria, ...otrosDatos } = req.body;
-    
-    // Clasificar automáticamente si no se proporciona categoría
-    const categoriaFinal = categoria || clasificarCategoria(descripcion);
+    // Solo los campos editables: el autor, el borrado lógico y los datos de la
+    // importación no se cambian desde aquí
+    const { descripcion, categoria, ...otrosDatos } = Object.fromEntries(
+      CAMPOS_EDITABLES.filter(campo => req.body[campo] !== undefined).map(campo => [campo, req.body[campo]])
+    );
+
+    if (otrosDatos.hogar) {
+      await obtenerHogar(req.usuario.id, otrosDatos.hogar, 'escritura');
+    }
     
+    // Clasificar automáticamente (reglas y palabras clave) si no se proporciona categoría
+    const clasificacion = categoria
+      ? { categoria }
+      : await clasificarCategoria(req.usuario.id, new Transaccion({ ...otrosDatos, descripcion }));
+
+    // Las transferencias no se editan como ingresos o gastos
+    const filtro = await conAcceso(req.usuario.id, {
+      _id: req.params.id,
+      tipo: { $ne: 'transferencia' },
+      activa: true
+    }, { permiso: 'escritura' });
+
+    // Versión anterior, para informar en tiempo real cómo cambian las estadísticas
+    const transaccionAnterior = await Transaccion.findOne(filtro).lean();
+
+    if (!transaccionAnterior) {
+      return res.status(404).json({ 
+        error: 'Transacción no encontrada' 
+      });
+    }
+
+    // Solo quien la registró decide con qué hogar se comparte
+    if (otrosDatos.hogar !== undefined &&
+        String(otrosDatos.hogar) !== String(transaccionAnterior.hogar) &&
+        String(transaccionAnterior.usuario) !== String(req.usuario.id)) {
+      return res.status(403).json({
+        error: 'Solo quien registró la transacción puede cambiar con qué hogar se comparte'
+      });
+    }
+
+    // La cuenta es del autor (su saldo se calcula con sus transacciones): otro
+    // miembro del hogar no la cambia
+    const cambiaCuenta = otrosDatos.cuenta !== undefined &&
+      String(otrosDatos.cuenta) !== String(transaccionAnterior.cuenta);
+    if (cambiaCuenta && String(transaccionAnterior.usuario) !== String(req.usuario.id)) {
+      return res.status(403).json({
+        error: 'Solo quien registró la transacción puede cambiar su cuenta'
+      });
+    }
+
+    if (cambiaCuenta && otrosDatos.cuenta) {
+      await verificarCuenta(req.usuario.id, otrosDatos.cuenta);
+    }
+
     const transaccionActualizada = await Transaccion.findOneAndUpdate(
-      { 
-        _id: req.params.id, 
-        usuario: req.usuario.id,
-        activa: true
-      },
+      filtro,
       { 
         ...otrosDatos,
         descripcion,
-        categoria: categoriaFinal
+        categoria: clasificacion.categoria,
+        subcategoria: otrosDatos.subcategoria || clasificacion.subcategoria,
+        etiquetas: otrosDatos.etiquetas || clasificacion.etiquetas,
+        // Una categoría elegida por el usuario entrena su clasificador
+        categoriaConfirmada: Boolean(categoria)
       },
       { 
         new: true, 
@@ -315,6 +579,16 @@ router.put('/:id', validacionTransaccion, async (req, res) => {
       });
     }
 
+    // Si el gasto estaba dividido, se reparte el monto nuevo
+    await sincronizarDivision(transaccionActualizada);
+    // Si era el pago de una deuda, el pago toma el monto y la fecha nuevos
+    await sincronizarPagoDeuda(transaccionActualizada);
+    // Si era un aporte, retiro o ingreso repartido entre metas, sus saldos se ajustan
+    await sincronizarAporteMeta(transaccionActualizada, { montoAnterior: transaccionAnterior.monto });
+
+    publicarTransaccion('transaccion.actualizada', { antes: transaccionAnterior, despues: transaccionActualizada });
+    await emitirEvento(req.usuario.id, 'transaccion.actualizada', { transaccion: transaccionActualizada });
+
     res.json({
       message: 'Transacción actualizada exitosamente',
       transaccion: transaccionActualizada
@@ -326,6 +600,14 @@ router.put('/:id', validacionTransaccion, async (req, res) => {
     if (error.name === 'CastError') {
       return res.status(400).json({ error: 'ID de transacción inválido' });
     }
+
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    if (error.name === 'PermisoHogarError') {
+      return res.status(403).json({ error: error.message });
+    }
     
     if (error.name === 'ValidationError') {
       return res.status(400).json({
@@ -344,11 +626,7 @@ router.put('/:id', validacionTransaccion, async (req, res) => {
 router.delete('/:id', async (req, res) => {
   try {
     const transaccionEliminada = await Transaccion.findOneAndUpdate(
-      { 
-        _id: req.params.id, 
-        usuario: req.usuario.id,
-        activa: true
-      },
+      await conAcceso(req.usuario.id, { _id: req.params.id, activa: true }, { permiso: 'escritura' }),
       { activa: false },
       { new: true }
     );
@@ -359,6 +637,13 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    await sincronizarDivision(transaccionEliminada);
+    await sincronizarPagoDeuda(transaccionEliminada);
+    await sincronizarAporteMeta(transaccionEliminada);
+
+    publicarTransaccion('transaccion.eliminada', { antes: transaccionEliminada });
+    await emitirEvento(req.usuario.id, 'transaccion.eliminada', { transaccion: transaccionEliminada });
+
     res.json({ 
       message: 'Transacción eliminada exitosamente',
       transaccion: transaccionEliminada
@@ -377,17 +662,28 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// 🔹 Obtener resumen por categorías
-router.get('/resumen/categorias', async (req, res) => {
+// 🔹 Obtener resumen por categorías (o por subcategorías de una categoría)
+router.get('/resumen/categorias', validacionAmbito, async (req, res) => {
   try {
-    const { fecha_desde, fecha_hasta, tipo } = req.query;
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { fecha_desde, fecha_hasta, tipo, categoria, ambito, hogar } = req.query;
     
     const filtros = { 
-      usuario: req.usuario.id,
       activa: true
     };
 
-    if (tipo) filtros.tipo = tipo;
+    // Las transferencias no son ingresos ni gastos
+    filtros.tipo = tipo || { $ne: 'transferencia' };
+
+    // Con una categoría, el resumen se desglosa por sus subcategorías
+    if (categoria) filtros.categoria = String(categoria).trim().toLowerCase();
     
     if (fecha_desde || fecha_hasta) {
       filtros.fecha = {};
@@ -395,26 +691,51 @@ router.get('/resumen/categorias', async (req, res) => {
       if (fecha_hasta) filtros.fecha.$lte = new Date(fecha_hasta);
     }
 
-    const resumen = await Transaccion.aggregate([
-      { $match: filtros },
-      {
-        $group: {
-          _id: '$categoria',
-          total: { $sum: '$monto' },
-          cantidad: { $sum: 1 },
-          promedio: { $avg: '$monto' }
-        }
-      },
-      { $sort: { total: -1 } }
+    const [resumen, categorias] = await Promise.all([
+      Transaccion.aggregate([
+        { $match: await conAcceso(req.usuario.id, filtros, { ambito, hogar }) },
+        {
+          $group: {
+            _id: categoria ? '$subcategoria' : '$categoria',
+            total: { $sum: '$monto' },
+            cantidad: { $sum: 1 },
+            promedio: { $avg: '$monto' }
+          }
+        },
+        { $sort: { total: -1 } }
+      ]),
+      Categoria.deUsuario(req.usuario.id, { incluirArchivadas: true })
     ]);
 
+    // Agregar icono y color de cada categoría; sin subcategoría se usan los de la principal
+    const principal = categorias.find(c => !c.padre && c.nombre === filtros.categoria);
+    const porNombre = new Map(
+      categorias
+        .filter(c => categoria ? principal && String(c.padre) === String(principal._id) : !c.padre)
+        .map(c => [c.nombre, c])
+    );
+
+    const resumenConDetalle = resumen.map(item => {
+      const detalle = porNombre.get(item._id) || principal;
+      return {
+        ...item,
+        icono: detalle?.icono,
+        color: detalle?.color,
+        archivada: detalle?.archivada ?? false
+      };
+    });
+
     res.json({
-      resumenCategorias: resumen,
+      categoria: filtros.categoria,
+      resumenCategorias: resumenConDetalle,
       totalGeneral: resumen.reduce((acc, cat) => acc + cat.total, 0)
     });
 
   } catch (error) {
     console.error('Error obteniendo resumen por categorías:', error);
+
+    if (responderErrorHogar(res, error)) return;
+
     res.status(500).json({ 
       error: 'Error interno del servidor al obtener resumen' 
     });
@@ -422,14 +743,23 @@ router.get('/resumen/categorias', async (req, res) => {
 });
 
 // 🔹 Obtener tendencias mensuales
-router.get('/tendencias/mensuales', async (req, res) => {
+router.get('/tendencias/mensuales', validacionAmbito, async (req, res) => {
   try {
-    const { año = new Date().getFullYear() } = req.query;
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Parámetros de consulta inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const { año = new Date().getFullYear(), ambito, hogar } = req.query;
+    const acceso = await filtroAcceso(req.usuario.id, { ambito, hogar });
 
     const tendencias = await Transaccion.aggregate([
       {
         $match: {
-          usuario: req.usuario.id,
+          ...acceso,
           activa: true,
           fecha: {
             $gte: new Date(`${año}-01-01`),
@@ -483,41 +813,13 @@ router.get('/tendencias/mensuales', async (req, res) => {
 
   } catch (error) {
     console.error('Error obteniendo tendencias mensuales:', error);
+
+    if (responderErrorHogar(res, error)) return;
+
     res.status(500).json({ 
       error: 'Error interno del servidor al obtener tendencias' 
     });
   }
 });
 
-// Función auxiliar para actualizar metas con ingresos
-async function actualizarMetasConIngreso(usuarioId, montoIngreso) {
-  try {
-    // Obtener metas activas del usuario
-    const metasActivas = await Meta.find({
-      usuario: usuarioId,
-      estado: 'activa'
-    }).sort({ prioridad: -1, fechaLimite: 1 });
-
-    // Distribuir el ingreso entre las metas según prioridad
-    let montoRestante = montoIngreso * 0.1; // 10% del ingreso para metas
-
-    for (const meta of metasActivas) {
-      if (montoRestante <= 0) break;
-      
-      const montoFaltante = meta.montoObjetivo - meta.montoActual;
-      if (montoFaltante <= 0) continue;
-
-      const montoAAgregar = Math.min(montoRestante, montoFaltante);
-      
-      await Meta.findByIdAndUpdate(meta._id, {
-        $inc: { montoActual: montoAAgregar }
-      });
-
-      montoRestante -= montoAAgregar;
-    }
-  } catch (error) {
-    console.error('Error actualizando metas:', error);
-  }
-}
-
 export default router;
\ No newline at end of file
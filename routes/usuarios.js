@@ -0,0 +1,140 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Usuario from '../models/usuario.js';
+import { subirArchivoExportacion } from '../middleware/upload.js';
+import { revocarSesionesUsuario } from '../services/sesiones.js';
+import {
+  exportarDatosUsuario,
+  importarDatosUsuario,
+  programarEliminacion,
+  enviarAvisoEliminacion,
+  cancelarEliminacion
+} from '../services/portabilidad.js';
+
+const router = express.Router();
+
+// 📦 Exportar todos los datos del usuario en un archivo JSON versionado
+router.get('/me/exportar', async (req, res) => {
+  try {
+    const archivo = await exportarDatosUsuario(req.usuario.id);
+
+    const nombreArchivo = `finsmart-${new Date().toISOString().slice(0, 10)}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+    res.json(archivo);
+
+  } catch (error) {
+    console.error('Error exportando datos del usuario:', error);
+    res.status(500).json({ error: 'Error interno del servidor al exportar los datos' });
+  }
+});
+
+// 📥 Restaurar un archivo exportado en esta cuenta (debe ser una cuenta sin datos)
+router.post('/me/importar', subirArchivoExportacion, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Debes adjuntar el archivo en el campo "archivo"' });
+    }
+
+    let archivo;
+    try {
+      archivo = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch {
+      return res.status(400).json({ error: 'El archivo no es un JSON válido' });
+    }
+
+    const importados = await importarDatosUsuario(req.usuario.id, archivo);
+
+    res.status(201).json({
+      message: 'Datos importados exitosamente',
+      importados
+    });
+
+  } catch (error) {
+    console.error('Error importando datos del usuario:', error);
+
+    if (error.name === 'ImportacionError') {
+      const status = error.codigo === 'ACCOUNT_NOT_EMPTY' ? 409 : 400;
+      return res.status(status).json({ error: error.message, codigo: error.codigo });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'El archivo contiene datos inválidos',
+        detalles: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'El archivo contiene registros duplicados' });
+    }
+
+    res.status(500).json({ error: 'Error interno del servidor al importar los datos' });
+  }
+});
+
+// 🗑️ Solicitar la eliminación de la cuenta (requiere la contraseña).
+// Se cierran todas las sesiones y los datos se borran al terminar el periodo de gracia.
+router.delete('/me', [
+  body('contrasena')
+    .notEmpty()
+    .withMessage('La contraseña es obligatoria')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const usuario = await Usuario.findById(req.usuario.id);
+    if (!(await usuario.compararContrasena(req.body.contrasena))) {
+      return res.status(401).json({ error: 'Contraseña incorrecta' });
+    }
+
+    if (usuario.eliminacionProgramada) {
+      return res.status(409).json({
+        error: 'La eliminación de la cuenta ya está programada',
+        eliminacionProgramada: usuario.eliminacionProgramada
+      });
+    }
+
+    const eliminacionProgramada = await programarEliminacion(usuario);
+    await revocarSesionesUsuario(usuario._id, 'eliminacion_cuenta');
+
+    try {
+      await enviarAvisoEliminacion(usuario);
+    } catch (errorCorreo) {
+      console.error('Error enviando aviso de eliminación de cuenta:', errorCorreo);
+    }
+
+    res.json({
+      message: 'Tu cuenta se eliminará definitivamente al terminar el periodo de gracia. ' +
+        'Inicia sesión antes de esa fecha si quieres cancelarlo',
+      eliminacionProgramada
+    });
+
+  } catch (error) {
+    console.error('Error solicitando eliminación de cuenta:', error);
+    res.status(500).json({ error: 'Error interno del servidor al eliminar la cuenta' });
+  }
+});
+
+// ↩️ Cancelar la eliminación programada de la cuenta
+router.post('/me/cancelar-eliminacion', async (req, res) => {
+  try {
+    const cancelada = await cancelarEliminacion(req.usuario.id);
+    if (!cancelada) {
+      return res.status(400).json({ error: 'La cuenta no tiene una eliminación programada' });
+    }
+
+    res.json({ message: 'Eliminación de la cuenta cancelada' });
+
+  } catch (error) {
+    console.error('Error cancelando eliminación de cuenta:', error);
+    res.status(500).json({ error: 'Error interno del servidor al cancelar la eliminación' });
+  }
+});
+
+export default router;
@@ -0,0 +1,383 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Webhook, { EVENTOS_WEBHOOK } from '../models/webhook.js';
+import EntregaWebhook, { ESTADOS_ENTREGA } from '../models/entregaWebhook.js';
+import {
+  generarSecretoWebhook,
+  cifrarSecretoWebhook,
+  enviarEventoPrueba,
+  intentarEntrega
+} from '../services/webhooks.js';
+import { verificarUrlSaliente } from '../services/httpSaliente.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Máximo de webhooks por usuario
+const MAX_WEBHOOKS = 10;
+
+// Validaciones para crear/actualizar webhook
+const validacionWebhook = (opcional = false) => [
+  body('url')
+    .if((valor, { req }) => !opcional || req.body.url !== undefined)
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL inválida (debe empezar con http:// o https://)')
+    .bail()
+    .custom(verificarUrlSaliente),
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La descripción no puede exceder 200 caracteres'),
+  body('eventos')
+    .if((valor, { req }) => !opcional || req.body.eventos !== undefined)
+    .isArray({ min: 1 })
+    .withMessage('Suscríbete al menos a un evento'),
+  body('eventos.*')
+    .isIn(EVENTOS_WEBHOOK)
+    .withMessage(`Evento inválido. Disponibles: ${EVENTOS_WEBHOOK.join(', ')}`),
+  body('activo')
+    .optional()
+    .isBoolean()
+    .withMessage('activo debe ser verdadero o falso')
+];
+
+const validacionId = [
+  param('id').isMongoId().withMessage('ID de webhook inválido')
+];
+
+// 📡 Eventos disponibles
+router.get('/eventos', (req, res) => {
+  res.json({ eventos: EVENTOS_WEBHOOK });
+});
+
+// 📡 Registrar un webhook. El secreto de firma solo se muestra en esta respuesta.
+router.post('/', validacionWebhook(), async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const cantidad = await Webhook.countDocuments({ usuario: req.usuario.id });
+    if (cantidad >= MAX_WEBHOOKS) {
+      return res.status(400).json({
+        error: `Has alcanzado el límite máximo de ${MAX_WEBHOOKS} webhooks`
+      });
+    }
+
+    const secreto = generarSecretoWebhook();
+    const webhook = await Webhook.create({
+      usuario: req.usuario.id,
+      url: req.body.url,
+      descripcion: req.body.descripcion,
+      eventos: [...new Set(req.body.eventos)],
+      activo: req.body.activo ?? true,
+      secreto: cifrarSecretoWebhook(secreto)
+    });
+
+    res.status(201).json({
+      message: 'Webhook registrado exitosamente. Guarda el secreto: no se volverá a mostrar',
+      webhook,
+      secreto
+    });
+
+  } catch (error) {
+    console.error('Error registrando webhook:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos de webhook inválidos',
+        detalles: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al registrar webhook'
+    });
+  }
+});
+
+// 📡 Listar webhooks
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ usuario: req.usuario.id }).sort({ createdAt: -1 });
+    res.json({ webhooks });
+
+  } catch (error) {
+    console.error('Error obteniendo webhooks:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener webhooks'
+    });
+  }
+});
+
+// 📡 Reintentar ahora una entrega pendiente o fallida
+router.post('/entregas/:id/reintentar', [
+  param('id').isMongoId().withMessage('ID de entrega inválido')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const pendiente = await EntregaWebhook.findOneAndUpdate(
+      { _id: req.params.id, usuario: req.usuario.id, estado: { $ne: 'entregada' } },
+      { estado: 'pendiente', proximoIntento: new Date() }
+    );
+
+    if (!pendiente) {
+      return res.status(404).json({ error: 'Entrega no encontrada o ya entregada' });
+    }
+
+    const entrega = await intentarEntrega(pendiente._id);
+
+    res.json({
+      message: entrega?.estado === 'entregada' ? 'Entrega enviada exitosamente' : 'La entrega sigue pendiente',
+      entrega
+    });
+
+  } catch (error) {
+    console.error('Error reintentando entrega de webhook:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al reintentar la entrega'
+    });
+  }
+});
+
+// 📡 Obtener un webhook
+router.get('/:id', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, usuario: req.usuario.id });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    res.json({ webhook });
+
+  } catch (error) {
+    console.error('Error obteniendo webhook:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener webhook'
+    });
+  }
+});
+
+// 📡 Actualizar URL, eventos, descripción o estado
+router.put('/:id', validacionId, validacionWebhook(true), async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, usuario: req.usuario.id });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    const { url, descripcion, eventos, activo } = req.body;
+    if (url !== undefined) webhook.url = url;
+    if (descripcion !== undefined) webhook.descripcion = descripcion;
+    if (eventos !== undefined) webhook.eventos = [...new Set(eventos)];
+    if (activo !== undefined) webhook.activo = activo;
+
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook actualizado exitosamente',
+      webhook
+    });
+
+  } catch (error) {
+    console.error('Error actualizando webhook:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos de webhook inválidos',
+        detalles: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor al actualizar webhook'
+    });
+  }
+});
+
+// 📡 Eliminar un webhook y su registro de entregas
+router.delete('/:id', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, usuario: req.usuario.id });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    await EntregaWebhook.deleteMany({ webhook: webhook._id });
+
+    res.json({ message: 'Webhook eliminado exitosamente' });
+
+  } catch (error) {
+    console.error('Error eliminando webhook:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al eliminar webhook'
+    });
+  }
+});
+
+// 🧪 Enviar un evento de prueba (un solo intento, sin reintentos)
+router.post('/:id/probar', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, usuario: req.usuario.id });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    const entrega = await enviarEventoPrueba(webhook);
+    const [intento] = entrega.intentos;
+
+    res.json({
+      message: entrega.estado === 'entregada'
+        ? 'Evento de prueba entregado'
+        : 'El receptor no aceptó el evento de prueba',
+      exito: entrega.estado === 'entregada',
+      intento,
+      entrega
+    });
+
+  } catch (error) {
+    console.error('Error enviando evento de prueba:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al enviar el evento de prueba'
+    });
+  }
+});
+
+// 🔑 Generar un secreto de firma nuevo (el anterior deja de valer)
+router.post('/:id/rotar-secreto', validacionId, async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const secreto = generarSecretoWebhook();
+    const webhook = await Webhook.findOneAndUpdate(
+      { _id: req.params.id, usuario: req.usuario.id },
+      { secreto: cifrarSecretoWebhook(secreto) },
+      { new: true }
+    );
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    res.json({
+      message: 'Secreto actualizado. Guárdalo: no se volverá a mostrar',
+      webhook,
+      secreto
+    });
+
+  } catch (error) {
+    console.error('Error rotando secreto de webhook:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al rotar el secreto'
+    });
+  }
+});
+
+// 📜 Registro de entregas de un webhook
+router.get('/:id/entregas', [
+  ...validacionId,
+  query('estado').optional().isIn(ESTADOS_ENTREGA).withMessage('Estado inválido'),
+  query('evento').optional().isString().withMessage('Evento debe ser texto'),
+  query('pagina').optional().isInt({ min: 1 }).withMessage('Página debe ser un número mayor a 0'),
+  query('limite').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100')
+], async (req, res) => {
+  try {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: errores.array()
+      });
+    }
+
+    const webhook = await Webhook.exists({ _id: req.params.id, usuario: req.usuario.id });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    const { estado, evento, pagina = 1, limite = 20 } = req.query;
+    const filtros = { webhook: req.params.id };
+    if (estado) filtros.estado = estado;
+    if (evento) filtros.evento = evento;
+
+    const [entregas, total] = await Promise.all([
+      EntregaWebhook.find(filtros)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(pagina) - 1) * parseInt(limite))
+        .limit(parseInt(limite)),
+      EntregaWebhook.countDocuments(filtros)
+    ]);
+
+    res.json({
+      entregas,
+      paginacion: {
+        paginaActual: parseInt(pagina),
+        totalPaginas: Math.ceil(total / parseInt(limite)),
+        totalElementos: total,
+        elementosPorPagina: parseInt(limite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo entregas de webhook:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor al obtener entregas'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,36 @@
+// scripts/asignarRol.js
+// Asigna un rol a un usuario por email. Sirve para crear el primer admin,
+// ya que desde la API solo un admin puede cambiar roles.
+// Uso: npm run usuarios:rol -- <email> <usuario|soporte|admin>
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Usuario, { ROLES } from '../models/usuario.js';
+
+dotenv.config();
+
+async function asignarRol(email, rol) {
+  if (!email || !ROLES.includes(rol)) {
+    throw new Error(`Uso: npm run usuarios:rol -- <email> <${ROLES.join('|')}>`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const usuario = await Usuario.findOneAndUpdate(
+    { email: email.trim().toLowerCase() },
+    { rol },
+    { new: true }
+  );
+
+  if (!usuario) {
+    throw new Error(`No existe un usuario con el email ${email}`);
+  }
+
+  console.log(`✅ ${usuario.email} ahora tiene el rol ${usuario.rol}`);
+}
+
+asignarRol(process.argv[2], process.argv[3])
+  .catch(error => {
+    console.error('❌ Error asignando rol:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
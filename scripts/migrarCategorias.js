@@ -0,0 +1,108 @@
+// scripts/migrarCategorias.js
+// Migra los valores de texto de categoria/subcategoria a la colección de categorías:
+// crea las predeterminadas de cada usuario y una categoría propia por cada valor
+// usado en transacciones, presupuestos o recurrencias que no exista todavía.
+// Es idempotente: se puede ejecutar varias veces sin duplicar categorías.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Usuario from '../models/usuario.js';
+import Categoria from '../models/categoria.js';
+import Transaccion from '../models/transacciones.js';
+import Presupuesto from '../models/presupuesto.js';
+import Recurrente from '../models/recurrente.js';
+
+dotenv.config();
+
+const normalizar = valor => String(valor).trim().toLowerCase();
+
+// Normalizar las subcategorías existentes (ahora se guardan en minúsculas)
+async function normalizarSubcategorias() {
+  const actualizacion = [{ $set: { subcategoria: { $toLower: { $trim: { input: '$subcategoria' } } } } }];
+  await Promise.all([
+    Transaccion.updateMany({ subcategoria: { $type: 'string' } }, actualizacion),
+    Recurrente.updateMany({ subcategoria: { $type: 'string' } }, actualizacion)
+  ]);
+}
+
+// Pares categoría/subcategoría usados por el usuario
+async function valoresEnUso(usuarioId) {
+  const [transacciones, recurrentes, presupuestos] = await Promise.all([
+    Transaccion.aggregate([
+      { $match: { usuario: usuarioId } },
+      { $group: { _id: { categoria: '$categoria', subcategoria: '$subcategoria' } } }
+    ]),
+    Recurrente.aggregate([
+      { $match: { usuario: usuarioId, categoria: { $type: 'string' } } },
+      { $group: { _id: { categoria: '$categoria', subcategoria: '$subcategoria' } } }
+    ]),
+    Presupuesto.distinct('categoria', { usuario: usuarioId })
+  ]);
+
+  return [
+    ...transacciones.map(t => t._id),
+    ...recurrentes.map(r => r._id),
+    ...presupuestos.map(categoria => ({ categoria }))
+  ].filter(valor => valor.categoria);
+}
+
+async function migrarUsuario(usuarioId) {
+  const existentes = await Categoria.deUsuario(usuarioId, { incluirArchivadas: true });
+  const principales = new Map(existentes.filter(c => !c.padre).map(c => [c.nombre, c]));
+  const subcategorias = new Set(existentes.filter(c => c.padre).map(c => `${c.padre}|${c.nombre}`));
+  let creadas = 0;
+
+  for (const { categoria, subcategoria } of await valoresEnUso(usuarioId)) {
+    const nombre = normalizar(categoria);
+
+    if (!principales.has(nombre)) {
+      principales.set(nombre, await Categoria.create({ usuario: usuarioId, nombre, tipo: 'ambos' }));
+      creadas++;
+    }
+
+    if (!subcategoria) continue;
+
+    const padre = principales.get(nombre);
+    const clave = `${padre._id}|${normalizar(subcategoria)}`;
+
+    if (!subcategorias.has(clave)) {
+      await Categoria.create({
+        usuario: usuarioId,
+        nombre: normalizar(subcategoria),
+        padre: padre._id,
+        tipo: padre.tipo
+      });
+      subcategorias.add(clave);
+      creadas++;
+    }
+  }
+
+  return creadas;
+}
+
+async function migrar() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Conectado a MongoDB');
+
+  await normalizarSubcategorias();
+
+  let usuarios = 0;
+  let categorias = 0;
+
+  for await (const usuario of Usuario.find().select('_id').cursor()) {
+    try {
+      categorias += await migrarUsuario(usuario._id);
+      usuarios++;
+    } catch (error) {
+      console.error(`❌ Error migrando categorías del usuario ${usuario._id}:`, error.message);
+    }
+  }
+
+  console.log(`✅ Migración completada: ${usuarios} usuarios, ${categorias} categorías creadas`);
+}
+
+migrar()
+  .catch(error => {
+    console.error('❌ Error en la migración de categorías:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,34 @@
+// scripts/migrarIdsExternos.js
+// Reemplaza el índice único { usuario, idExterno } de las transacciones por
+// { usuario, cuenta, cuentaExterna, idExterno }: el FITID de OFX solo es único
+// dentro de una cuenta, y el índice anterior rechazaba importar a una cuenta
+// un movimiento con el mismo identificador que otro de una cuenta distinta.
+// Es idempotente: se puede ejecutar varias veces.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Transaccion from '../models/transacciones.js';
+
+dotenv.config();
+
+const INDICE_ANTERIOR = 'usuario_1_idExterno_1';
+
+async function migrar() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Conectado a MongoDB');
+
+  const indices = await Transaccion.collection.indexes();
+  if (indices.some(indice => indice.name === INDICE_ANTERIOR)) {
+    await Transaccion.collection.dropIndex(INDICE_ANTERIOR);
+    console.log(`✅ Índice ${INDICE_ANTERIOR} eliminado`);
+  }
+
+  await Transaccion.createIndexes();
+  console.log('✅ Migración completada: índices de transacciones actualizados');
+}
+
+migrar()
+  .catch(error => {
+    console.error('❌ Error en la migración de identificadores externos:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
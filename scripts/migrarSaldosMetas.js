@@ -0,0 +1,35 @@
+// scripts/migrarSaldosMetas.js
+// Registra como ajuste inicial el saldo de las metas creadas antes del registro
+// de movimientos (AporteMeta), para que aparezca en su historial de aportes.
+// Es idempotente: las metas que ya tienen movimientos no se tocan.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Meta from '../models/meta.js';
+import { asegurarSaldoInicial } from '../services/metas.js';
+
+dotenv.config();
+
+async function migrar() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Conectado a MongoDB');
+
+  let metas = 0;
+
+  for await (const meta of Meta.find({ montoActual: { $gt: 0 } }).cursor()) {
+    try {
+      await asegurarSaldoInicial(meta);
+      metas++;
+    } catch (error) {
+      console.error(`❌ Error migrando el saldo de la meta ${meta._id}:`, error.message);
+    }
+  }
+
+  console.log(`✅ Migración completada: ${metas} metas revisadas`);
+}
+
+migrar()
+  .catch(error => {
+    console.error('❌ Error en la migración de saldos de metas:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
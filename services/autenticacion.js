@@ -0,0 +1,94 @@
+// services/autenticacion.js
+import TokenUsuario from '../models/tokenUsuario.js';
+import { enviarCorreo } from './mailer.js';
+import { generarTokenAleatorio, hashToken } from '../utils/tokens.js';
+
+// Horas de validez de cada tipo de token
+const VIGENCIA_TOKEN_HORAS = {
+  verificacion_email: 48,
+  restablecer_contrasena: 1
+};
+
+// Exigir el email verificado para iniciar sesión (REQUERIR_EMAIL_VERIFICADO=true)
+export const requiereEmailVerificado = () => process.env.REQUERIR_EMAIL_VERIFICADO === 'true';
+
+// URL del cliente web donde el usuario completa cada flujo
+export const urlCliente = ruta => `${process.env.APP_URL || 'http://localhost:5173'}${ruta}`;
+
+// Emitir un token de un solo uso; invalida los anteriores del mismo tipo
+export async function emitirToken(usuarioId, tipo) {
+  const token = generarTokenAleatorio(32);
+
+  await TokenUsuario.deleteMany({ usuario: usuarioId, tipo, usadoEn: null });
+  await TokenUsuario.create({
+    usuario: usuarioId,
+    tipo,
+    tokenHash: hashToken(token),
+    expiraEn: new Date(Date.now() + VIGENCIA_TOKEN_HORAS[tipo] * 60 * 60 * 1000)
+  });
+
+  return token;
+}
+
+// Consumir un token: lo marca como usado y devuelve el ID del usuario
+export async function consumirToken(token, tipo) {
+  const registro = await TokenUsuario.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      tipo,
+      usadoEn: null,
+      expiraEn: { $gt: new Date() }
+    },
+    { usadoEn: new Date() }
+  );
+
+  if (!registro) {
+    const error = new Error('El enlace es inválido o expiró');
+    error.name = 'TokenUsuarioError';
+    throw error;
+  }
+
+  return registro.usuario;
+}
+
+// Enviar el correo para verificar la dirección de email
+export async function enviarVerificacionEmail(usuario) {
+  const token = await emitirToken(usuario._id, 'verificacion_email');
+  const enlace = urlCliente(`/verificar-email?token=${token}`);
+
+  await enviarCorreo({
+    para: usuario.email,
+    asunto: 'Verifica tu correo en FinSmart',
+    texto: `Hola ${usuario.nombre}:\n\n` +
+      `Confirma tu dirección de correo abriendo este enlace:\n${enlace}\n\n` +
+      `El enlace vence en ${VIGENCIA_TOKEN_HORAS.verificacion_email} horas.`
+  });
+}
+
+// Avisar al dueño de una cuenta que alguien intentó registrarse con su email
+export async function enviarAvisoRegistroExistente(usuario) {
+  await enviarCorreo({
+    para: usuario.email,
+    asunto: 'Ya tienes una cuenta en FinSmart',
+    texto: `Hola ${usuario.nombre}:\n\n` +
+      'Alguien intentó crear una cuenta en FinSmart con este correo, pero ya tienes una. ' +
+      `Si fuiste tú, inicia sesión aquí:\n${urlCliente('/login')}\n\n` +
+      `Si olvidaste tu contraseña, puedes restablecerla aquí:\n${urlCliente('/olvide-contrasena')}\n\n` +
+      'Si no fuiste tú, ignora este correo: tu cuenta no cambió.'
+  });
+}
+
+// Enviar el correo para restablecer la contraseña
+export async function enviarRestablecimientoContrasena(usuario) {
+  const token = await emitirToken(usuario._id, 'restablecer_contrasena');
+  const enlace = urlCliente(`/restablecer-contrasena?token=${token}`);
+
+  await enviarCorreo({
+    para: usuario.email,
+    asunto: 'Restablece tu contraseña de FinSmart',
+    texto: `Hola ${usuario.nombre}:\n\n` +
+      `Recibimos una solicitud para restablecer tu contraseña. Ábrela aquí:\n${enlace}\n\n` +
+      `El enlace vence en ${VIGENCIA_TOKEN_HORAS.restablecer_contrasena} hora y solo se puede usar una vez. ` +
+      'Si no fuiste tú, ignora este correo.'
+  });
+}
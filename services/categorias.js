@@ -0,0 +1,190 @@
+// services/categorias.js
+import Categoria, { CATEGORIA_POR_DEFECTO } from '../models/categoria.js';
+import Transaccion from '../models/transacciones.js';
+import Presupuesto from '../models/presupuesto.js';
+import Recurrente from '../models/recurrente.js';
+import Regla from '../models/regla.js';
+import { obtenerModelo, MIN_EJEMPLOS_MODELO } from './clasificador.js';
+import { caracteristicas, conocePalabras, predecir } from '../utils/bayes.js';
+
+// Confianza mínima del modelo para asignar su categoría sin intervención del usuario
+export const UMBRAL_CONFIANZA_MODELO = 0.6;
+
+// Confianza informada cuando la categoría viene de palabras clave o es la por defecto
+const CONFIANZA_PALABRAS_CLAVE = 0.5;
+const CONFIANZA_POR_DEFECTO = 0.1;
+
+// Preparar la clasificación del usuario. El orden de decisión es:
+// 1. sus reglas (por prioridad),
+// 2. el modelo entrenado con sus correcciones, si tiene datos y confianza suficientes,
+// 3. las palabras clave de sus categorías activas.
+async function prepararClasificacion(usuarioId) {
+  const [categorias, reglas, modelo] = await Promise.all([
+    Categoria.deUsuario(usuarioId),
+    Regla.find({ usuario: usuarioId, activa: true }).sort({ prioridad: 1, _id: 1 }),
+    obtenerModelo(usuarioId)
+  ]);
+
+  const principales = categorias.filter(c => !c.padre);
+  const porId = new Map(principales.map(c => [String(c._id), c]));
+  const nombresActivos = new Set(principales.map(c => c.nombre));
+  const usarModelo = modelo.totalEjemplos >= MIN_EJEMPLOS_MODELO;
+
+  // Categorías que admite cada tipo de transacción
+  const nombresPorTipo = tipo => new Set(
+    principales.filter(c => !tipo || c.tipo === 'ambos' || c.tipo === tipo).map(c => c.nombre)
+  );
+  const validasPorTipo = {
+    gasto: nombresPorTipo('gasto'),
+    ingreso: nombresPorTipo('ingreso'),
+    todas: nombresActivos
+  };
+
+  // Las subcategorías se evalúan antes que su categoría por ser más específicas
+  const candidatas = [
+    ...categorias.filter(c => c.padre && porId.has(String(c.padre))),
+    ...principales
+  ];
+
+  const porPalabrasClave = (descripcion, tipo) => {
+    const texto = (descripcion || '').toLowerCase().trim();
+
+    for (const categoria of candidatas) {
+      const principal = categoria.padre ? porId.get(String(categoria.padre)) : categoria;
+      if (tipo && principal.tipo !== 'ambos' && principal.tipo !== tipo) continue;
+
+      if (categoria.palabrasClave.some(palabra => texto.includes(palabra))) {
+        return {
+          categoria: principal.nombre,
+          subcategoria: categoria.padre ? categoria.nombre : undefined,
+          confianza: CONFIANZA_PALABRAS_CLAVE,
+          fuente: 'palabras_clave'
+        };
+      }
+    }
+
+    return { categoria: CATEGORIA_POR_DEFECTO, confianza: CONFIANZA_POR_DEFECTO, fuente: 'defecto' };
+  };
+
+  // Predicciones del modelo ordenadas por probabilidad; sin palabras conocidas en la
+  // descripción el modelo solo repetiría las categorías más frecuentes
+  const predicciones = transaccion => {
+    if (!usarModelo) return [];
+
+    const lista = caracteristicas(transaccion);
+    if (!conocePalabras(modelo, lista)) return [];
+
+    return predecir(modelo, lista, validasPorTipo[transaccion.tipo] || validasPorTipo.todas);
+  };
+
+  const clasificar = transaccion => {
+    // Se ignoran las reglas que apuntan a categorías archivadas
+    const regla = reglas.find(r =>
+      (!r.acciones.categoria || nombresActivos.has(r.acciones.categoria)) && r.cumple(transaccion)
+    );
+    const etiquetas = regla?.acciones.etiquetas.length > 0 ? [...regla.acciones.etiquetas] : undefined;
+
+    if (regla?.acciones.categoria) {
+      return {
+        categoria: regla.acciones.categoria,
+        subcategoria: regla.acciones.subcategoria,
+        etiquetas,
+        confianza: 1,
+        fuente: 'regla'
+      };
+    }
+
+    const [mejor] = predicciones(transaccion);
+    if (mejor && mejor.probabilidad >= UMBRAL_CONFIANZA_MODELO) {
+      return { categoria: mejor.etiqueta, etiquetas, confianza: mejor.probabilidad, fuente: 'modelo' };
+    }
+
+    return { ...porPalabrasClave(transaccion.descripcion, transaccion.tipo), etiquetas };
+  };
+
+  // Categoría elegida más alternativas del modelo, sin repetir
+  const sugerir = (transaccion, cantidad) => {
+    const elegida = clasificar(transaccion);
+    const sugerencias = [{
+      categoria: elegida.categoria,
+      subcategoria: elegida.subcategoria,
+      confianza: elegida.confianza
+    }];
+
+    for (const { etiqueta, probabilidad } of predicciones(transaccion)) {
+      if (sugerencias.length >= cantidad) break;
+      if (etiqueta !== elegida.categoria) {
+        sugerencias.push({ categoria: etiqueta, confianza: probabilidad });
+      }
+    }
+
+    return {
+      ...elegida,
+      sugerencias,
+      ejemplosEntrenamiento: modelo.totalEjemplos
+    };
+  };
+
+  return { clasificar, sugerir };
+}
+
+// Clasificador síncrono del usuario, para clasificar muchas transacciones de una vez
+export async function obtenerClasificador(usuarioId) {
+  const { clasificar } = await prepararClasificacion(usuarioId);
+  return clasificar;
+}
+
+// Clasificar una transacción con las reglas, el modelo y las categorías del usuario
+export async function clasificarCategoria(usuarioId, transaccion) {
+  const clasificar = await obtenerClasificador(usuarioId);
+  return clasificar(transaccion);
+}
+
+// Sugerir categorías para una transacción con su nivel de confianza
+export async function sugerirCategorias(usuarioId, transaccion, cantidad = 3) {
+  const { sugerir } = await prepararClasificacion(usuarioId);
+  return sugerir(transaccion, cantidad);
+}
+
+// Propagar el cambio de nombre de una categoría a los datos que la referencian por nombre
+export async function propagarRenombre(usuarioId, categoria, nombreAnterior) {
+  if (!categoria.padre) {
+    await Promise.all([
+      Transaccion.updateMany(
+        { usuario: usuarioId, categoria: nombreAnterior },
+        { categoria: categoria.nombre }
+      ),
+      Presupuesto.updateMany(
+        { usuario: usuarioId, categoria: nombreAnterior },
+        { categoria: categoria.nombre }
+      ),
+      Recurrente.updateMany(
+        { usuario: usuarioId, categoria: nombreAnterior },
+        { categoria: categoria.nombre }
+      ),
+      Regla.updateMany(
+        { usuario: usuarioId, 'acciones.categoria': nombreAnterior },
+        { 'acciones.categoria': categoria.nombre }
+      )
+    ]);
+    return;
+  }
+
+  // Las subcategorías solo se renombran dentro de su categoría principal
+  const padre = await Categoria.findById(categoria.padre);
+
+  await Promise.all([
+    Transaccion.updateMany(
+      { usuario: usuarioId, categoria: padre.nombre, subcategoria: nombreAnterior },
+      { subcategoria: categoria.nombre }
+    ),
+    Recurrente.updateMany(
+      { usuario: usuarioId, categoria: padre.nombre, subcategoria: nombreAnterior },
+      { subcategoria: categoria.nombre }
+    ),
+    Regla.updateMany(
+      { usuario: usuarioId, 'acciones.categoria': padre.nombre, 'acciones.subcategoria': nombreAnterior },
+      { 'acciones.subcategoria': categoria.nombre }
+    )
+  ]);
+}
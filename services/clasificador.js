@@ -0,0 +1,59 @@
+// services/clasificador.js
+import Transaccion from '../models/transacciones.js';
+import { caracteristicas, entrenar } from '../utils/bayes.js';
+
+// Ejemplos confirmados necesarios para confiar en el modelo del usuario
+export const MIN_EJEMPLOS_MODELO = 20;
+
+// Máximo de transacciones (las más recientes) usadas para entrenar
+const MAX_EJEMPLOS_MODELO = 5000;
+
+// Modelos entrenados en memoria por usuario; se reentrenan cuando cambia su historial
+const MAX_MODELOS_EN_CACHE = 500;
+const modelos = new Map();
+
+// Firma del historial confirmado: cambia con cada alta, edición o baja
+async function firmaHistorial(usuarioId) {
+  const filtro = { usuario: usuarioId, categoriaConfirmada: true };
+
+  const [ultima, total] = await Promise.all([
+    Transaccion.findOne(filtro).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+    Transaccion.countDocuments(filtro)
+  ]);
+
+  return `${total}|${ultima?.updatedAt?.getTime() ?? 0}`;
+}
+
+// Obtener el modelo naive Bayes del usuario, entrenado con las categorías que eligió
+// él mismo (no con las asignadas automáticamente, para no reforzar errores)
+export async function obtenerModelo(usuarioId) {
+  const clave = String(usuarioId);
+  const firma = await firmaHistorial(usuarioId);
+
+  const enCache = modelos.get(clave);
+  if (enCache?.firma === firma) return enCache.modelo;
+
+  const historial = await Transaccion.find({
+    usuario: usuarioId,
+    activa: true,
+    categoriaConfirmada: true,
+    tipo: { $in: ['ingreso', 'gasto'] }
+  })
+    .sort({ updatedAt: -1 })
+    .limit(MAX_EJEMPLOS_MODELO)
+    .select('descripcion monto metodo_pago tipo categoria')
+    .lean();
+
+  const modelo = entrenar(historial.map(transaccion => ({
+    caracteristicas: caracteristicas(transaccion),
+    etiqueta: transaccion.categoria
+  })));
+
+  modelos.delete(clave);
+  modelos.set(clave, { firma, modelo });
+  if (modelos.size > MAX_MODELOS_EN_CACHE) {
+    modelos.delete(modelos.keys().next().value);
+  }
+
+  return modelo;
+}
@@ -0,0 +1,272 @@
+// services/deudas.js
+// Deudas y préstamos: cada pago queda vinculado a una transacción y el saldo,
+// el interés y el capital pagados se recalculan a partir de los pagos
+import mongoose from 'mongoose';
+import Deuda from '../models/deuda.js';
+import PagoDeuda from '../models/pagoDeuda.js';
+import Transaccion from '../models/transacciones.js';
+import { verificarCuenta } from './transacciones.js';
+import { publicarTransaccion } from './tiempoReal.js';
+import { aplicarPagos, calcularAmortizacion, compararEstrategias } from '../utils/amortizacion.js';
+
+function errorDeuda(mensaje, datos = {}) {
+  const error = new Error(mensaje);
+  error.name = 'DeudaError';
+  error.datos = datos;
+  return error;
+}
+
+function errorNoEncontrada(mensaje) {
+  const error = new Error(mensaje);
+  error.name = 'NotFoundError';
+  return error;
+}
+
+// Ejecutar `fn` en una transacción de MongoDB (todo o nada)
+async function enTransaccion(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let resultado;
+    await session.withTransaction(async () => {
+      resultado = await fn(session);
+    });
+    return resultado;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Si el usuario debe, sus pagos son gastos; si le deben, los cobros son ingresos
+const tipoDePago = deuda => (deuda.direccion === 'por_pagar' ? 'gasto' : 'ingreso');
+
+/**
+ * Recalcular el saldo de una deuda aplicando sus pagos en orden de fecha
+ * (primero el interés devengado, luego el capital). Una deuda activa sin
+ * saldo pasa a pagada y una pagada con saldo vuelve a activa.
+ */
+export async function recalcularDeuda(deudaId, session = null) {
+  const deuda = await Deuda.findById(deudaId).session(session);
+  if (!deuda) return null;
+
+  const pagos = await PagoDeuda.find({ deuda: deuda._id }).sort({ fecha: 1, _id: 1 }).session(session);
+  const estado = aplicarPagos(deuda, pagos.map(pago => ({ _id: pago._id, monto: pago.monto, fecha: pago.fecha })));
+
+  const cambios = estado.pagos
+    .filter(({ _id, interes, capital }) => {
+      const pago = pagos.find(p => p._id.equals(_id));
+      return pago.interes !== interes || pago.capital !== capital;
+    })
+    .map(({ _id, interes, capital }) => ({
+      updateOne: { filter: { _id }, update: { interes, capital } }
+    }));
+  if (cambios.length > 0) {
+    await PagoDeuda.bulkWrite(cambios, { session });
+  }
+
+  deuda.set({
+    saldoPendiente: estado.saldoPendiente,
+    capitalPagado: estado.capitalPagado,
+    interesPagado: estado.interesPagado,
+    totalPagado: estado.totalPagado
+  });
+
+  if (deuda.estado === 'activa' && estado.saldoPendiente === 0) {
+    deuda.estado = 'pagada';
+  } else if (deuda.estado === 'pagada' && estado.saldoPendiente > 0) {
+    deuda.estado = 'activa';
+  }
+
+  if (deuda.isModified()) {
+    await deuda.save({ session });
+  }
+
+  return deuda;
+}
+
+/**
+ * Situación de una deuda hoy: lo pagado, el interés devengado desde el último
+ * pago y la próxima cuota de la tabla de amortización.
+ */
+export async function estadoDeuda(deuda, hoy = new Date()) {
+  const pagos = await PagoDeuda.find({ deuda: deuda._id }).select('monto fecha').lean();
+  const { saldoPendiente, capitalPagado, interesPagado, totalPagado, interesPendiente } = aplicarPagos(deuda, pagos, hoy);
+
+  const proximoPago = deuda.estado === 'activa'
+    ? calcularAmortizacion(deuda).find(fila => fila.fecha > hoy) || null
+    : null;
+
+  return {
+    saldoPendiente,
+    capitalPagado,
+    interesPagado,
+    totalPagado,
+    interesPendiente,
+    // Lo necesario para saldar la deuda hoy
+    montoParaSaldar: Math.round((saldoPendiente + interesPendiente) * 100) / 100,
+    pagosRegistrados: pagos.length,
+    proximoPago: proximoPago && { numero: proximoPago.numero, fecha: proximoPago.fecha, cuota: proximoPago.cuota }
+  };
+}
+
+/**
+ * Registrar un pago de una deuda activa. Con `transaccion` se vincula una
+ * transacción existente del tipo correspondiente (su monto y fecha son los
+ * del pago); sin ella se crea la transacción con el pago.
+ */
+export async function registrarPago(usuarioId, deudaId, { monto, fecha, transaccion: transaccionId, descripcion, metodo_pago, cuenta }) {
+  if (cuenta) await verificarCuenta(usuarioId, cuenta);
+
+  const resultado = await enTransaccion(async session => {
+    const deuda = await Deuda.findOne({ _id: deudaId, usuario: usuarioId }).session(session);
+    if (!deuda) throw errorNoEncontrada('Deuda no encontrada');
+    if (deuda.estado !== 'activa') {
+      throw errorDeuda(`La deuda está ${deuda.estado}; solo se registran pagos de deudas activas`);
+    }
+
+    let transaccion = null;
+    if (transaccionId) {
+      transaccion = await Transaccion.findOne({ _id: transaccionId, usuario: usuarioId, activa: true }).session(session);
+      if (!transaccion) throw errorNoEncontrada('Transacción no encontrada');
+
+      if (transaccion.tipo !== tipoDePago(deuda)) {
+        throw errorDeuda(`La transacción debe ser un ${tipoDePago(deuda)} para esta deuda`);
+      }
+      if (await PagoDeuda.exists({ transaccion: transaccion._id }).session(session)) {
+        throw errorDeuda('La transacción ya está vinculada a un pago de deuda');
+      }
+
+      monto = transaccion.monto;
+      fecha = transaccion.fecha;
+    }
+    fecha = fecha ? new Date(fecha) : new Date();
+
+    // El pago no puede superar lo que se debe a esa fecha
+    const pagos = await PagoDeuda.find({ deuda: deuda._id }).select('monto fecha').lean().session(session);
+    const simulado = aplicarPagos(deuda, [...pagos, { nuevo: true, monto, fecha }]);
+    const excedente = simulado.pagos.find(pago => pago.nuevo).excedente;
+    if (excedente > 0) {
+      throw errorDeuda('El monto excede lo que queda por pagar de la deuda', {
+        montoMaximo: Math.round((monto - excedente) * 100) / 100
+      });
+    }
+
+    const transaccionGenerada = !transaccion;
+    if (transaccionGenerada) {
+      // Se crea directamente (sin crearTransaccion) para que un cobro no se
+      // reparta entre las metas de ahorro
+      [transaccion] = await Transaccion.create([{
+        usuario: usuarioId,
+        tipo: tipoDePago(deuda),
+        descripcion: (descripcion || `${deuda.direccion === 'por_pagar' ? 'Pago de deuda' : 'Cobro de préstamo'} - ${deuda.titulo}`).slice(0, 200),
+        monto,
+        fecha,
+        cuenta,
+        metodo_pago,
+        categoria: 'otros',
+        subcategoria: deuda.direccion === 'por_pagar' ? 'pago_deuda' : 'cobro_deuda'
+      }], { session });
+    }
+
+    const [pago] = await PagoDeuda.create([{
+      usuario: usuarioId,
+      deuda: deuda._id,
+      transaccion: transaccion._id,
+      transaccionGenerada,
+      monto,
+      fecha
+    }], { session });
+
+    return {
+      deuda: await recalcularDeuda(deuda._id, session),
+      pago: await PagoDeuda.findById(pago._id).session(session),
+      transaccion,
+      transaccionGenerada
+    };
+  });
+
+  if (resultado.transaccionGenerada) {
+    publicarTransaccion('transaccion.creada', { despues: resultado.transaccion });
+  }
+
+  return resultado;
+}
+
+// Eliminar un pago: la transacción que generó se elimina con él y una
+// transacción vinculada se conserva
+export async function eliminarPago(usuarioId, deudaId, pagoId) {
+  const resultado = await enTransaccion(async session => {
+    const pago = await PagoDeuda.findOneAndDelete({ _id: pagoId, deuda: deudaId, usuario: usuarioId }, { session });
+    if (!pago) throw errorNoEncontrada('Pago no encontrado');
+
+    const transaccion = pago.transaccionGenerada
+      ? await Transaccion.findOneAndUpdate(
+        { _id: pago.transaccion, activa: true },
+        { activa: false },
+        { new: true, session }
+      )
+      : null;
+
+    return { pago, transaccion, deuda: await recalcularDeuda(deudaId, session) };
+  });
+
+  if (resultado.transaccion) {
+    publicarTransaccion('transaccion.eliminada', { antes: resultado.transaccion });
+  }
+
+  return resultado;
+}
+
+// Mantener el pago al día cuando se edita o elimina su transacción: si deja
+// de estar activa o cambia de tipo el pago se borra; si no, toma su monto y fecha
+export async function sincronizarPagoDeuda(transaccion) {
+  const pago = await PagoDeuda.findOne({ transaccion: transaccion._id });
+  if (!pago) return null;
+
+  const deuda = await Deuda.findById(pago.deuda).select('direccion');
+  if (!transaccion.activa || !deuda || transaccion.tipo !== tipoDePago(deuda)) {
+    await pago.deleteOne();
+  } else if (pago.monto !== transaccion.monto || pago.fecha.getTime() !== new Date(transaccion.fecha).getTime()) {
+    pago.set({ monto: transaccion.monto, fecha: transaccion.fecha });
+    await pago.save();
+  } else {
+    return null;
+  }
+
+  return recalcularDeuda(pago.deuda);
+}
+
+/**
+ * Comparar bola de nieve y avalancha para las deudas activas que el usuario
+ * debe. Cada deuda aporta su cuota convertida a mensual y `pagoExtra` se
+ * suma cada mes a la deuda que indica la estrategia.
+ */
+export async function planificarPagoDeudas(usuarioId, { pagoExtra = 0 } = {}) {
+  const deudas = await Deuda.find({
+    usuario: usuarioId,
+    direccion: 'por_pagar',
+    estado: 'activa',
+    saldoPendiente: { $gt: 0 }
+  }).sort({ createdAt: 1 });
+
+  const resumen = deudas.map(deuda => ({
+    id: deuda._id,
+    titulo: deuda.titulo,
+    saldo: deuda.saldoPendiente,
+    tasaInteres: deuda.tasaInteres,
+    pagoMensual: deuda.cuotaMensual
+  }));
+
+  const pagoMensualMinimo = Math.round(resumen.reduce((acc, deuda) => acc + deuda.pagoMensual, 0) * 100) / 100;
+
+  if (resumen.length === 0) {
+    return { deudas: [], pagoExtra, pagoMensualMinimo, pagoMensualTotal: pagoExtra, comparacion: null };
+  }
+
+  return {
+    deudas: resumen,
+    pagoExtra,
+    pagoMensualMinimo,
+    pagoMensualTotal: Math.round((pagoMensualMinimo + pagoExtra) * 100) / 100,
+    comparacion: compararEstrategias(resumen, { pagoExtra })
+  };
+}
@@ -0,0 +1,174 @@
+// services/dosFactores.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Usuario from '../models/usuario.js';
+import { errorAuth, secretoJWT } from './sesiones.js';
+import { cifrar, descifrar } from '../utils/cifrado.js';
+import { hashToken } from '../utils/tokens.js';
+import { generarSecreto, verificarCodigo, uriOtpauth } from '../utils/totp.js';
+
+// Cantidad de códigos de recuperación que se entregan al activar
+export const CANTIDAD_CODIGOS_RECUPERACION = 10;
+
+// El token de desafío solo sirve para completar el login con el segundo factor
+const AUDIENCIA_DESAFIO = 'FinSmart:2fa';
+const DURACION_DESAFIO = '5m';
+
+// Clave para cifrar los secretos TOTP (se lee en cada uso, como el resto de la configuración)
+const claveCifrado = () => process.env.CLAVE_CIFRADO_2FA || secretoJWT();
+
+// Normalizar un código de recuperación: sin guiones ni espacios y en mayúsculas
+const normalizarCodigoRecuperacion = codigo => String(codigo).toUpperCase().replace(/[\s-]/g, '');
+
+// Códigos de recuperación de un solo uso (formato XXXXX-XXXXX) y sus hashes
+export function generarCodigosRecuperacion() {
+  const codigos = Array.from({ length: CANTIDAD_CODIGOS_RECUPERACION }, () => {
+    const texto = crypto.randomBytes(8).toString('hex').slice(0, 10).toUpperCase();
+    return `${texto.slice(0, 5)}-${texto.slice(5)}`;
+  });
+
+  return {
+    codigos,
+    hashes: codigos.map(codigo => hashToken(normalizarCodigoRecuperacion(codigo)))
+  };
+}
+
+// Paso 1 de la activación: generar un secreto pendiente de confirmar
+export async function iniciarConfiguracion(usuario) {
+  if (usuario.dosFactores?.activo) {
+    throw errorAuth('La verificación en dos pasos ya está activada', 'TWO_FACTOR_ENABLED');
+  }
+
+  const secreto = generarSecreto();
+  await Usuario.updateOne(
+    { _id: usuario._id },
+    { 'dosFactores.secretoPendiente': cifrar(secreto, claveCifrado()) }
+  );
+
+  return {
+    secreto,
+    otpauthUri: uriOtpauth(secreto, usuario.email)
+  };
+}
+
+// Paso 2 de la activación: confirmar con el primer código de la app y
+// devolver los códigos de recuperación (solo se muestran esta vez)
+export async function confirmarConfiguracion(usuario, codigo) {
+  if (usuario.dosFactores?.activo) {
+    throw errorAuth('La verificación en dos pasos ya está activada', 'TWO_FACTOR_ENABLED');
+  }
+  if (!usuario.dosFactores?.secretoPendiente) {
+    throw errorAuth('Primero inicia la configuración de la verificación en dos pasos', 'TWO_FACTOR_NOT_STARTED');
+  }
+
+  const secreto = descifrar(usuario.dosFactores.secretoPendiente, claveCifrado());
+  const paso = verificarCodigo(secreto, codigo);
+  if (paso === null) {
+    throw errorAuth('Código de verificación inválido', 'CODE_INVALID');
+  }
+
+  const { codigos, hashes } = generarCodigosRecuperacion();
+  await Usuario.updateOne(
+    { _id: usuario._id },
+    {
+      $set: {
+        'dosFactores.activo': true,
+        'dosFactores.secreto': usuario.dosFactores.secretoPendiente,
+        'dosFactores.codigosRecuperacion': hashes,
+        'dosFactores.ultimoPaso': paso,
+        'dosFactores.activadoEn': new Date()
+      },
+      $unset: { 'dosFactores.secretoPendiente': '' }
+    }
+  );
+
+  return codigos;
+}
+
+// Reemplazar los códigos de recuperación (invalida los anteriores)
+export async function regenerarCodigosRecuperacion(usuarioId) {
+  const { codigos, hashes } = generarCodigosRecuperacion();
+  await Usuario.updateOne(
+    { _id: usuarioId, 'dosFactores.activo': true },
+    { 'dosFactores.codigosRecuperacion': hashes }
+  );
+  return codigos;
+}
+
+// Desactivar la verificación en dos pasos y borrar sus secretos
+export async function desactivarDosFactores(usuarioId) {
+  await Usuario.updateOne(
+    { _id: usuarioId },
+    {
+      $set: { 'dosFactores.activo': false, 'dosFactores.codigosRecuperacion': [], 'dosFactores.ultimoPaso': 0 },
+      $unset: { 'dosFactores.secreto': '', 'dosFactores.secretoPendiente': '', 'dosFactores.activadoEn': '' }
+    }
+  );
+}
+
+// Token de corta duración que emite el login cuando falta el segundo factor
+export function generarTokenDesafio(usuario) {
+  return jwt.sign(
+    { id: usuario._id, tipo: 'desafio_2fa' },
+    secretoJWT(),
+    {
+      expiresIn: DURACION_DESAFIO,
+      issuer: 'FinSmart',
+      audience: AUDIENCIA_DESAFIO,
+      subject: usuario._id.toString()
+    }
+  );
+}
+
+// Verificar un token de desafío y devolver el ID del usuario
+export function verificarTokenDesafio(token) {
+  try {
+    const decoded = jwt.verify(token, secretoJWT(), { audience: AUDIENCIA_DESAFIO });
+    if (decoded.tipo !== 'desafio_2fa') throw new Error('Tipo de token incorrecto');
+    return decoded.id;
+  } catch {
+    throw errorAuth('El desafío de inicio de sesión es inválido o expiró. Inicia sesión nuevamente', 'CHALLENGE_INVALID');
+  }
+}
+
+// Comprobar el segundo factor con un código TOTP o uno de recuperación.
+// Las actualizaciones son atómicas para que ningún código se acepte dos veces.
+// Devuelve el usuario actualizado y si se consumió un código de recuperación.
+export async function verificarSegundoFactor(usuarioId, { codigo, codigoRecuperacion }) {
+  const usuario = await Usuario.findOne({ _id: usuarioId, activo: true, 'dosFactores.activo': true });
+  if (!usuario) {
+    throw errorAuth('El desafío de inicio de sesión es inválido o expiró. Inicia sesión nuevamente', 'CHALLENGE_INVALID');
+  }
+
+  let actualizado = null;
+
+  if (codigo) {
+    const secreto = descifrar(usuario.dosFactores.secreto, claveCifrado());
+    const paso = verificarCodigo(secreto, codigo);
+
+    if (paso !== null) {
+      actualizado = await Usuario.findOneAndUpdate(
+        { _id: usuario._id, 'dosFactores.ultimoPaso': { $lt: paso } },
+        { 'dosFactores.ultimoPaso': paso },
+        { new: true }
+      );
+    }
+  } else if (codigoRecuperacion) {
+    const hash = hashToken(normalizarCodigoRecuperacion(codigoRecuperacion));
+    actualizado = await Usuario.findOneAndUpdate(
+      { _id: usuario._id, 'dosFactores.codigosRecuperacion': hash },
+      { $pull: { 'dosFactores.codigosRecuperacion': hash } },
+      { new: true }
+    );
+  }
+
+  if (!actualizado) {
+    throw errorAuth('Código de verificación inválido', 'CODE_INVALID');
+  }
+
+  return {
+    usuario: actualizado,
+    usoCodigoRecuperacion: !codigo,
+    codigosRecuperacionRestantes: actualizado.dosFactores.codigosRecuperacion.length
+  };
+}
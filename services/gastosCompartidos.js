@@ -0,0 +1,374 @@
+// services/gastosCompartidos.js
+// Gastos divididos entre varias personas, saldos entre ellas y liquidaciones.
+// Un gasto solo se puede dividir con personas con las que se comparte un hogar.
+import mongoose from 'mongoose';
+import GastoCompartido from '../models/gastoCompartido.js';
+import Liquidacion from '../models/liquidacion.js';
+import Transaccion from '../models/transacciones.js';
+import Usuario from '../models/usuario.js';
+import { conAcceso, obtenerHogar, compartenHogar } from './hogares.js';
+import { notificarGastoCompartido, notificarLiquidacion } from './notificaciones.js';
+import { publicarTransaccion } from './tiempoReal.js';
+import {
+  dividirMonto,
+  saldosPorPersona,
+  saldosNetos,
+  sugerirTransferencias
+} from '../utils/gastosCompartidos.js';
+
+function errorGastoCompartido(mensaje) {
+  const error = new Error(mensaje);
+  error.name = 'GastoCompartidoError';
+  return error;
+}
+
+function errorNoEncontrado(mensaje) {
+  const error = new Error(mensaje);
+  error.name = 'NotFoundError';
+  return error;
+}
+
+const redondear = monto => Math.round(monto * 100) / 100;
+
+// Gastos divididos y pagos en los que participa el usuario
+const filtroDivisionesDe = usuarioId => ({ $or: [{ pagador: usuarioId }, { 'participantes.usuario': usuarioId }] });
+const filtroLiquidacionesDe = usuarioId => ({ $or: [{ de: usuarioId }, { para: usuarioId }] });
+
+// Solo los pagos confirmados por quien cobra cuentan en los saldos
+const CONFIRMADAS = { estado: { $ne: 'pendiente' } };
+
+// Nombre y email de varias personas (Map de ID a datos)
+async function datosPersonas(ids) {
+  const usuarios = await Usuario.find({ _id: { $in: ids } }).select('nombre email').lean();
+  return new Map(usuarios.map(usuario => [String(usuario._id), usuario]));
+}
+
+// Calcular las partes de un gasto verificando que todos compartan hogar con quien pagó
+async function aplicarDivision(gasto, { metodo = 'igual', participantes }) {
+  const ids = participantes.map(p => String(p.usuario));
+  if (new Set(ids).size !== ids.length) {
+    throw errorGastoCompartido('Cada persona puede aparecer una sola vez');
+  }
+
+  const otros = ids.filter(id => id !== String(gasto.pagador));
+  if (!(await compartenHogar(gasto.pagador, otros, gasto.hogar))) {
+    throw errorGastoCompartido(gasto.hogar
+      ? 'Todos los participantes deben ser miembros del hogar del gasto'
+      : 'Solo puedes dividir gastos con personas con las que compartes un hogar');
+  }
+
+  gasto.metodo = metodo;
+  gasto.participantes = dividirMonto(gasto.monto, metodo, participantes);
+  return gasto;
+}
+
+// Obtener un gasto dividido cuya transacción el usuario puede modificar
+async function gastoEditable(usuarioId, gastoId) {
+  const gasto = await GastoCompartido.findById(gastoId);
+  const transaccion = gasto && await Transaccion.exists(
+    await conAcceso(usuarioId, { _id: gasto.transaccion }, { permiso: 'escritura' })
+  );
+
+  if (!transaccion) throw errorNoEncontrado('Gasto compartido no encontrado');
+  return gasto;
+}
+
+// Dividir un gasto registrado. Quien pagó es el autor de la transacción.
+export async function dividirGasto(usuarioId, { transaccion: transaccionId, metodo, participantes }) {
+  const transaccion = await Transaccion.findOne(await conAcceso(
+    usuarioId,
+    { _id: transaccionId, tipo: 'gasto', activa: true },
+    { permiso: 'escritura' }
+  ));
+  if (!transaccion) throw errorNoEncontrado('Gasto no encontrado');
+
+  if (await GastoCompartido.exists({ transaccion: transaccion._id })) {
+    throw errorGastoCompartido('Este gasto ya está dividido: actualiza la división existente');
+  }
+
+  const gasto = new GastoCompartido({
+    transaccion: transaccion._id,
+    pagador: transaccion.usuario,
+    hogar: transaccion.hogar,
+    creadoPor: usuarioId,
+    descripcion: transaccion.descripcion,
+    monto: transaccion.monto,
+    fecha: transaccion.fecha
+  });
+
+  await aplicarDivision(gasto, { metodo, participantes });
+  await gasto.save();
+  await notificarGastoCompartido(gasto);
+
+  return gasto;
+}
+
+// Cambiar el método o los participantes de un gasto dividido
+export async function actualizarDivision(usuarioId, gastoId, datos) {
+  const gasto = await gastoEditable(usuarioId, gastoId);
+  await aplicarDivision(gasto, datos);
+  return gasto.save();
+}
+
+// Quitar la división de un gasto (la transacción se conserva)
+export async function eliminarDivision(usuarioId, gastoId) {
+  const gasto = await gastoEditable(usuarioId, gastoId);
+  await gasto.deleteOne();
+  return gasto;
+}
+
+// Mantener la división al día cuando cambia su transacción: si se elimina o
+// deja de ser un gasto se quita, y si cambia el monto se vuelve a repartir (un
+// reparto por montos exactos pasa a ser proporcional a los montos anteriores)
+export async function sincronizarDivision(transaccion) {
+  const gasto = await GastoCompartido.findOne({ transaccion: transaccion._id });
+  if (!gasto) return null;
+
+  if (!transaccion.activa || transaccion.tipo !== 'gasto') {
+    await gasto.deleteOne();
+    return null;
+  }
+
+  gasto.set({ descripcion: transaccion.descripcion, fecha: transaccion.fecha, hogar: transaccion.hogar });
+
+  if (gasto.monto !== transaccion.monto) {
+    const metodo = gasto.metodo === 'exacto' ? 'partes' : gasto.metodo;
+    const participantes = gasto.participantes.map(({ usuario, valor, monto }) => ({
+      usuario,
+      valor: gasto.metodo === 'exacto' ? monto : valor
+    }));
+
+    gasto.monto = transaccion.monto;
+    gasto.metodo = metodo;
+    gasto.participantes = dividirMonto(gasto.monto, metodo, participantes);
+  }
+
+  return gasto.save();
+}
+
+/**
+ * Saldo del usuario con cada persona con la que comparte gastos, contando
+ * todos los gastos divididos y pagos entre ambos (de cualquier hogar).
+ * Positivo: la otra persona le debe; negativo: el usuario le debe.
+ */
+export async function saldosDelUsuario(usuarioId) {
+  const [divisiones, liquidaciones] = await Promise.all([
+    GastoCompartido.find(filtroDivisionesDe(usuarioId)).select('pagador participantes').lean(),
+    Liquidacion.find({ ...filtroLiquidacionesDe(usuarioId), ...CONFIRMADAS }).select('de para monto').lean()
+  ]);
+
+  const saldos = [...saldosPorPersona(usuarioId, divisiones, liquidaciones)].filter(([, saldo]) => saldo !== 0);
+  const personas = await datosPersonas(saldos.map(([id]) => id));
+
+  const teDeben = redondear(saldos.filter(([, saldo]) => saldo > 0).reduce((acc, [, saldo]) => acc + saldo, 0));
+  const debes = redondear(saldos.filter(([, saldo]) => saldo < 0).reduce((acc, [, saldo]) => acc - saldo, 0));
+
+  return {
+    saldos: saldos
+      .map(([id, saldo]) => ({ usuario: personas.get(id) || { _id: id }, saldo }))
+      .sort((a, b) => Math.abs(b.saldo) - Math.abs(a.saldo)),
+    teDeben,
+    debes,
+    balance: redondear(teDeben - debes)
+  };
+}
+
+/**
+ * Transferencias sugeridas para saldar cuentas. Con un hogar se simplifican
+ * las deudas de todos sus miembros por los gastos y pagos del hogar (alguien
+ * puede terminar pagándole a quien no le debía directamente); sin hogar, una
+ * transferencia por cada persona con la que el usuario tiene saldo.
+ */
+export async function sugerirLiquidaciones(usuarioId, { hogar } = {}) {
+  let transferencias;
+  let netos = null;
+
+  if (hogar) {
+    await obtenerHogar(usuarioId, hogar);
+    const [divisiones, liquidaciones] = await Promise.all([
+      GastoCompartido.find({ hogar }).select('pagador participantes').lean(),
+      Liquidacion.find({ hogar, ...CONFIRMADAS }).select('de para monto').lean()
+    ]);
+
+    netos = saldosNetos(divisiones, liquidaciones);
+    transferencias = sugerirTransferencias(netos);
+  } else {
+    const { saldos } = await saldosDelUsuario(usuarioId);
+    transferencias = saldos.map(({ usuario, saldo }) => (saldo > 0
+      ? { de: String(usuario._id), para: String(usuarioId), monto: saldo }
+      : { de: String(usuarioId), para: String(usuario._id), monto: -saldo }));
+  }
+
+  const ids = new Set([...transferencias.flatMap(t => [t.de, t.para]), ...(netos?.keys() || [])]);
+  const personas = await datosPersonas([...ids]);
+  const persona = id => personas.get(String(id)) || { _id: id };
+
+  return {
+    transferencias: transferencias.map(({ de, para, monto }) => ({ de: persona(de), para: persona(para), monto })),
+    ...(netos && {
+      saldosNetos: [...netos]
+        .filter(([, saldo]) => saldo !== 0)
+        .map(([id, saldo]) => ({ usuario: persona(id), saldo }))
+    })
+  };
+}
+
+// Lo máximo que `de` puede pagarle a `para`. Sin hogar, lo que le debe
+// directamente; en un hogar, lo que `de` debe en el hogar y lo que le deben a
+// `para` (los pagos sugeridos pueden saldar deudas indirectas).
+async function montoMaximoLiquidacion(de, para, hogar) {
+  if (hogar) {
+    const [divisiones, liquidaciones] = await Promise.all([
+      GastoCompartido.find({ hogar }).select('pagador participantes').lean(),
+      Liquidacion.find({ hogar, ...CONFIRMADAS }).select('de para monto').lean()
+    ]);
+    const netos = saldosNetos(divisiones, liquidaciones);
+    return redondear(Math.max(0, Math.min(-(netos.get(String(de)) || 0), netos.get(String(para)) || 0)));
+  }
+
+  const [divisiones, liquidaciones] = await Promise.all([
+    GastoCompartido.find(filtroDivisionesDe(para)).select('pagador participantes').lean(),
+    Liquidacion.find({ ...filtroLiquidacionesDe(para), ...CONFIRMADAS }).select('de para monto').lean()
+  ]);
+  return Math.max(0, saldosPorPersona(para, divisiones, liquidaciones).get(String(de)) || 0);
+}
+
+async function verificarMontoLiquidacion({ de, para, monto, hogar }) {
+  const maximo = await montoMaximoLiquidacion(de, para, hogar);
+  if (maximo === 0) {
+    throw errorGastoCompartido('No hay saldo pendiente que saldar entre estas personas');
+  }
+  if (monto > maximo) {
+    throw errorGastoCompartido(`El monto excede el saldo pendiente ($${maximo.toFixed(2)})`);
+  }
+}
+
+// Confirmar un pago: se crean un gasto para quien paga y un ingreso para
+// quien cobra, todo o nada
+async function confirmarConTransacciones(liquidacion) {
+  const personas = await datosPersonas([liquidacion.de, liquidacion.para]);
+  const nombre = id => personas.get(String(id))?.nombre || 'otra persona';
+  const { de, para, monto, fecha, metodo_pago } = liquidacion;
+  const datosComunes = { monto, fecha, categoria: 'otros', subcategoria: 'liquidacion', metodo_pago };
+
+  let resultado;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const [transaccionDe, transaccionPara] = await Transaccion.create([
+        { ...datosComunes, usuario: de, tipo: 'gasto', descripcion: `Pago de gastos compartidos a ${nombre(para)}`.slice(0, 200) },
+        { ...datosComunes, usuario: para, tipo: 'ingreso', descripcion: `Pago de gastos compartidos de ${nombre(de)}`.slice(0, 200) }
+      ], { session, ordered: true });
+
+      liquidacion.set({
+        estado: 'confirmada',
+        confirmadaEn: new Date(),
+        transaccionDe: transaccionDe._id,
+        transaccionPara: transaccionPara._id
+      });
+      await liquidacion.save({ session });
+
+      resultado = { liquidacion, transaccionDe, transaccionPara };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  publicarTransaccion('transaccion.creada', { despues: resultado.transaccionDe });
+  publicarTransaccion('transaccion.creada', { despues: resultado.transaccionPara });
+
+  return resultado;
+}
+
+// Registrar un pago entre dos personas (una de ellas el usuario) por hasta el
+// saldo pendiente. Si lo registra quien cobra queda confirmado; si lo registra
+// quien paga queda pendiente hasta que quien cobra lo confirme.
+export async function registrarLiquidacion(usuario, { de, para, monto, fecha = new Date(), nota, hogar = null, metodo_pago }) {
+  const yo = String(usuario.id);
+  if (![String(de), String(para)].includes(yo)) {
+    throw errorGastoCompartido('Solo puedes registrar pagos en los que participas');
+  }
+  if (String(de) === String(para)) {
+    throw errorGastoCompartido('Quien paga y quien cobra deben ser personas distintas');
+  }
+
+  const otro = String(de) === yo ? para : de;
+  if (hogar) await obtenerHogar(usuario.id, hogar, 'escritura');
+  if (!(await compartenHogar(usuario.id, [otro], hogar))) {
+    throw errorGastoCompartido(hogar
+      ? 'La otra persona no es miembro del hogar'
+      : 'Solo puedes registrar pagos con personas con las que compartes un hogar');
+  }
+
+  await verificarMontoLiquidacion({ de, para, monto, hogar });
+
+  const liquidacion = new Liquidacion({
+    de,
+    para,
+    monto,
+    fecha,
+    nota,
+    hogar,
+    metodo_pago,
+    estado: String(para) === yo ? 'confirmada' : 'pendiente',
+    registradaPor: usuario.id
+  });
+
+  let resultado;
+  if (liquidacion.estado === 'pendiente') {
+    await liquidacion.save();
+    resultado = { liquidacion, transaccionDe: null, transaccionPara: null };
+  } else {
+    resultado = await confirmarConTransacciones(liquidacion);
+  }
+
+  await notificarLiquidacion(resultado.liquidacion, otro, usuario);
+  return resultado;
+}
+
+// Confirmar un pago pendiente: solo quien cobra, y por hasta el saldo actual
+export async function confirmarLiquidacion(usuario, liquidacionId) {
+  const liquidacion = await Liquidacion.findOne({ _id: liquidacionId, para: usuario.id, estado: 'pendiente' });
+  if (!liquidacion) throw errorNoEncontrado('Pago pendiente no encontrado');
+
+  if (liquidacion.hogar) await obtenerHogar(usuario.id, liquidacion.hogar, 'escritura');
+  await verificarMontoLiquidacion(liquidacion);
+
+  const resultado = await confirmarConTransacciones(liquidacion);
+  await notificarLiquidacion(resultado.liquidacion, liquidacion.de, usuario);
+
+  return resultado;
+}
+
+// Anular un pago: uno pendiente lo puede retirar cualquiera de los dos; uno
+// confirmado solo quien cobró, y sus dos transacciones se eliminan
+export async function anularLiquidacion(usuarioId, liquidacionId) {
+  const liquidacion = await Liquidacion.findOneAndDelete({
+    _id: liquidacionId,
+    $or: [
+      { estado: 'pendiente', ...filtroLiquidacionesDe(usuarioId) },
+      { ...CONFIRMADAS, para: usuarioId }
+    ]
+  });
+  if (!liquidacion) throw errorNoEncontrado('Pago no encontrado');
+
+  for (const id of [liquidacion.transaccionDe, liquidacion.transaccionPara].filter(Boolean)) {
+    const transaccion = await Transaccion.findOneAndUpdate({ _id: id, activa: true }, { activa: false }, { new: true });
+    if (transaccion) publicarTransaccion('transaccion.eliminada', { antes: transaccion });
+  }
+
+  return liquidacion;
+}
+
+// Al eliminar una cuenta: se borran los gastos que pagó y sus pagos, y deja de
+// figurar en los gastos que pagaron otros
+export async function eliminarGastosCompartidosDeUsuario(usuarioId) {
+  await Promise.all([
+    GastoCompartido.deleteMany({ pagador: usuarioId }),
+    GastoCompartido.updateMany(
+      { 'participantes.usuario': usuarioId },
+      { $pull: { participantes: { usuario: usuarioId } } }
+    ),
+    Liquidacion.deleteMany(filtroLiquidacionesDe(usuarioId))
+  ]);
+}
@@ -0,0 +1,266 @@
+// services/hogares.js
+// Hogares compartidos: membresía, permisos por rol e invitaciones por correo.
+// Las transacciones y metas con `hogar` las ven todos sus miembros; las que
+// tienen `hogar: null` son personales y solo las ve su autor.
+import mongoose from 'mongoose';
+import Hogar, { ROLES_ESCRITURA_HOGAR, MAX_MIEMBROS_HOGAR } from '../models/hogar.js';
+import InvitacionHogar from '../models/invitacionHogar.js';
+import Usuario from '../models/usuario.js';
+import Transaccion from '../models/transacciones.js';
+import Meta from '../models/meta.js';
+import { enviarCorreo } from './mailer.js';
+import { urlCliente } from './autenticacion.js';
+import { generarTokenAleatorio, hashToken } from '../utils/tokens.js';
+
+// Días de validez de una invitación
+const VIGENCIA_INVITACION_DIAS = 7;
+
+// Ámbitos de consulta: solo lo personal, solo lo de los hogares o ambos
+export const AMBITOS = ['personal', 'hogar', 'todos'];
+
+// Roles que alcanzan para cada permiso
+const ROLES_POR_PERMISO = {
+  lectura: ['propietario', 'editor', 'lector'],
+  escritura: ROLES_ESCRITURA_HOGAR,
+  administracion: ['propietario']
+};
+
+function errorHogar(mensaje) {
+  const error = new Error(mensaje);
+  error.name = 'HogarError';
+  return error;
+}
+
+function errorPermiso(mensaje) {
+  const error = new Error(mensaje);
+  error.name = 'PermisoHogarError';
+  return error;
+}
+
+function errorNoEncontrado(mensaje) {
+  const error = new Error(mensaje);
+  error.name = 'NotFoundError';
+  return error;
+}
+
+const aObjectId = id => new mongoose.Types.ObjectId(String(id));
+
+// IDs de los hogares del usuario en los que tiene al menos el permiso indicado
+export async function hogaresDelUsuario(usuarioId, permiso = 'lectura') {
+  const hogares = await Hogar.find({
+    miembros: { $elemMatch: { usuario: usuarioId, rol: { $in: ROLES_POR_PERMISO[permiso] } } }
+  }).select('_id').lean();
+
+  return hogares.map(hogar => hogar._id);
+}
+
+// Obtener un hogar verificando que el usuario sea miembro con el permiso
+// indicado. A quien no es miembro se le responde como si no existiera.
+export async function obtenerHogar(usuarioId, hogarId, permiso = 'lectura') {
+  const hogar = mongoose.isValidObjectId(hogarId) ? await Hogar.findById(hogarId) : null;
+  const rol = hogar?.rolDe(usuarioId);
+
+  if (!rol) throw errorNoEncontrado('Hogar no encontrado');
+
+  if (!ROLES_POR_PERMISO[permiso].includes(rol)) {
+    throw errorPermiso(permiso === 'administracion'
+      ? 'Solo el propietario puede administrar el hogar'
+      : 'Tu rol en el hogar no permite modificar sus datos');
+  }
+
+  return hogar;
+}
+
+/**
+ * Filtro de MongoDB con los documentos (transacciones o metas) a los que el
+ * usuario tiene acceso:
+ * - personal: los suyos que no están en ningún hogar
+ * - hogar: los de sus hogares (o solo los de `hogar`, si se indica)
+ * - todos: ambos
+ * Con permiso 'escritura' se excluyen los hogares donde el usuario es lector.
+ * Se combina con otros filtros en un `$and` porque puede usar `$or`.
+ */
+export async function filtroAcceso(usuarioId, { ambito = 'todos', hogar, permiso = 'lectura' } = {}) {
+  const personal = { usuario: aObjectId(usuarioId), hogar: null };
+
+  if (hogar) {
+    await obtenerHogar(usuarioId, hogar, permiso);
+    return { hogar: aObjectId(hogar) };
+  }
+
+  if (ambito === 'personal') return personal;
+
+  const compartidos = { hogar: { $in: await hogaresDelUsuario(usuarioId, permiso) } };
+  return ambito === 'hogar' ? compartidos : { $or: [personal, compartidos] };
+}
+
+// Verificar que todas las personas sean miembros del hogar indicado o, sin
+// hogar, que cada una comparta al menos un hogar con el usuario
+export async function compartenHogar(usuarioId, otrosIds, hogarId = null) {
+  const hogares = await Hogar.find(hogarId ? { _id: hogarId } : { 'miembros.usuario': usuarioId })
+    .select('miembros.usuario')
+    .lean();
+
+  const conocidos = new Set(hogares.flatMap(hogar => hogar.miembros.map(m => String(m.usuario))));
+  return otrosIds.every(id => conocidos.has(String(id)));
+}
+
+// Filtro de acceso junto con otras condiciones
+export async function conAcceso(usuarioId, filtros = {}, opciones = {}) {
+  return { $and: [await filtroAcceso(usuarioId, opciones), filtros] };
+}
+
+// Crear un hogar con el usuario como propietario
+export async function crearHogar(usuarioId, { nombre, descripcion }) {
+  return Hogar.create({
+    nombre,
+    descripcion,
+    creadoPor: usuarioId,
+    miembros: [{ usuario: usuarioId, rol: 'propietario' }]
+  });
+}
+
+// Invitar por correo a una persona (tenga cuenta o no). Una invitación nueva
+// al mismo email reemplaza a la anterior.
+export async function invitarAHogar(hogar, invitador, { email, rol = 'editor' }) {
+  const emailNormalizado = email.trim().toLowerCase();
+
+  const yaEsMiembro = await Usuario.exists({
+    email: emailNormalizado,
+    _id: { $in: hogar.miembros.map(m => m.usuario) }
+  });
+  if (yaEsMiembro) {
+    throw errorHogar('Esa persona ya es miembro del hogar');
+  }
+  if (hogar.miembros.length >= MAX_MIEMBROS_HOGAR) {
+    throw errorHogar(`Un hogar puede tener hasta ${MAX_MIEMBROS_HOGAR} miembros`);
+  }
+
+  const token = generarTokenAleatorio(32);
+
+  await InvitacionHogar.deleteMany({ hogar: hogar._id, email: emailNormalizado });
+  const invitacion = await InvitacionHogar.create({
+    hogar: hogar._id,
+    email: emailNormalizado,
+    rol,
+    invitadoPor: invitador.id,
+    tokenHash: hashToken(token),
+    expiraEn: new Date(Date.now() + VIGENCIA_INVITACION_DIAS * 24 * 60 * 60 * 1000)
+  });
+
+  const enlace = urlCliente(`/hogares/unirse?token=${token}`);
+  await enviarCorreo({
+    para: emailNormalizado,
+    asunto: `${invitador.nombre} te invitó a "${hogar.nombre}" en FinSmart`,
+    texto: `Hola:\n\n` +
+      `${invitador.nombre} te invitó a compartir las finanzas del hogar "${hogar.nombre}" como ${rol}.\n` +
+      `Para aceptar, inicia sesión (o crea tu cuenta con este correo) y abre este enlace:\n${enlace}\n\n` +
+      `La invitación vence en ${VIGENCIA_INVITACION_DIAS} días.`
+  });
+
+  return invitacion;
+}
+
+// Aceptar una invitación: solo puede hacerlo el usuario con el email invitado
+export async function aceptarInvitacion(usuario, token) {
+  const invitacion = await InvitacionHogar.findOne({
+    tokenHash: hashToken(token),
+    expiraEn: { $gt: new Date() }
+  });
+
+  if (!invitacion) {
+    throw errorHogar('La invitación es inválida o expiró');
+  }
+  if (invitacion.email !== usuario.email.toLowerCase()) {
+    throw errorHogar('La invitación fue enviada a otro correo');
+  }
+
+  const hogar = await Hogar.findById(invitacion.hogar);
+  if (!hogar) {
+    await invitacion.deleteOne();
+    throw errorHogar('El hogar ya no existe');
+  }
+
+  if (!hogar.miembro(usuario.id)) {
+    hogar.miembros.push({ usuario: usuario.id, rol: invitacion.rol });
+    await hogar.save();
+  }
+
+  await invitacion.deleteOne();
+  return hogar;
+}
+
+// Cambiar el rol de un miembro. Asignar 'propietario' transfiere la propiedad:
+// el propietario actual pasa a ser editor.
+export async function cambiarRolMiembro(hogar, propietarioId, usuarioId, rol) {
+  const miembro = hogar.miembro(usuarioId);
+  if (!miembro) throw errorNoEncontrado('Miembro no encontrado');
+
+  if (String(usuarioId) === String(propietarioId)) {
+    throw errorHogar('Para dejar de ser propietario, transfiere la propiedad a otro miembro');
+  }
+
+  if (rol === 'propietario') {
+    hogar.miembro(propietarioId).rol = 'editor';
+  }
+  miembro.rol = rol;
+
+  return hogar.save();
+}
+
+// Quitar a un miembro (o salir del hogar, si es uno mismo). El propietario no
+// puede salir mientras haya otros miembros: antes debe transferir la propiedad.
+// Lo que registró en el hogar vuelve a su cuenta personal.
+export async function quitarMiembro(hogar, usuarioId) {
+  const miembro = hogar.miembro(usuarioId);
+  if (!miembro) throw errorNoEncontrado('Miembro no encontrado');
+
+  if (miembro.rol === 'propietario') {
+    if (hogar.miembros.length > 1) {
+      throw errorHogar('Transfiere la propiedad a otro miembro antes de salir del hogar');
+    }
+    return eliminarHogar(hogar);
+  }
+
+  hogar.miembros = hogar.miembros.filter(m => m !== miembro);
+  await hogar.save();
+
+  // Lo que registró en el hogar vuelve a ser personal para que lo siga viendo
+  // (como al eliminar el hogar)
+  await Promise.all([
+    Transaccion.updateMany({ hogar: hogar._id, usuario: usuarioId }, { hogar: null }),
+    Meta.updateMany({ hogar: hogar._id, usuario: usuarioId }, { hogar: null })
+  ]);
+
+  return hogar;
+}
+
+// Eliminar un hogar: sus transacciones y metas vuelven a ser personales de quien las creó
+export async function eliminarHogar(hogar) {
+  await Promise.all([
+    Transaccion.updateMany({ hogar: hogar._id }, { hogar: null }),
+    Meta.updateMany({ hogar: hogar._id }, { hogar: null }),
+    InvitacionHogar.deleteMany({ hogar: hogar._id })
+  ]);
+  await hogar.deleteOne();
+  return null;
+}
+
+// Quitar al usuario de todos sus hogares (al eliminar la cuenta). Si era el
+// propietario, la propiedad pasa al miembro más antiguo.
+export async function salirDeTodosLosHogares(usuarioId) {
+  const hogares = await Hogar.find({ 'miembros.usuario': usuarioId });
+
+  for (const hogar of hogares) {
+    const miembro = hogar.miembro(usuarioId);
+    const restantes = hogar.miembros
+      .filter(m => m !== miembro)
+      .sort((a, b) => a.unidoEn - b.unidoEn);
+
+    if (miembro.rol === 'propietario' && restantes.length > 0) {
+      restantes[0].rol = 'propietario';
+      miembro.rol = 'editor';
+    }
+    await quitarMiembro(hogar, usuarioId);
+  }
+}
@@ -0,0 +1,131 @@
+// services/httpSaliente.js
+// Envíos HTTP a URLs elegidas por los usuarios (webhooks y recordatorios).
+// Para que no sirvan de puente hacia la red interna, solo se aceptan destinos
+// con direcciones públicas, no se siguen redirecciones y no se lee la respuesta.
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Permitir destinos locales o privados, solo para desarrollo y pruebas con un
+// receptor local (WEBHOOKS_PERMITIR_DESTINOS_LOCALES=true)
+export const permitirDestinosLocales = () => process.env.WEBHOOKS_PERMITIR_DESTINOS_LOCALES === 'true';
+
+// Rangos de loopback, redes privadas, enlace local, multidifusión y reservados
+const direccionesInternas = new net.BlockList();
+for (const [red, prefijo] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  direccionesInternas.addSubnet(red, prefijo, 'ipv4');
+}
+for (const [red, prefijo] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  direccionesInternas.addSubnet(red, prefijo, 'ipv6');
+}
+
+function errorUrlSaliente(mensaje) {
+  const error = new Error(mensaje);
+  error.name = 'UrlSalienteError';
+  return error;
+}
+
+// Si una IP es interna (las IPv4 mapeadas en IPv6 se revisan como IPv4)
+export function esDireccionInterna(direccion) {
+  const mapeada = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(direccion);
+  if (mapeada) return esDireccionInterna(mapeada[1]);
+
+  const version = net.isIP(direccion);
+  if (version === 0) return true;
+  return direccionesInternas.check(direccion, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+function verificarDirecciones(direcciones) {
+  if (!permitirDestinosLocales() && direcciones.some(({ address }) => esDireccionInterna(address))) {
+    throw errorUrlSaliente('La URL no puede apuntar a una dirección local o de una red privada');
+  }
+}
+
+/**
+ * Validar que una URL use http(s) y que su host resuelva solo a direcciones
+ * públicas. Lanza UrlSalienteError si no.
+ */
+export async function verificarUrlSaliente(url) {
+  let destino;
+  try {
+    destino = new URL(url);
+  } catch {
+    throw errorUrlSaliente('URL inválida');
+  }
+  if (!['http:', 'https:'].includes(destino.protocol)) {
+    throw errorUrlSaliente('La URL debe empezar con http:// o https://');
+  }
+
+  const host = destino.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    return verificarDirecciones([{ address: host }]);
+  }
+
+  let direcciones;
+  try {
+    direcciones = await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw errorUrlSaliente(`No se pudo resolver el dominio ${host}`);
+  }
+  verificarDirecciones(direcciones);
+}
+
+// Resolver el host al conectar y rechazar direcciones internas: así un DNS
+// que cambia de respuesta después de la validación no abre la red interna
+function lookupSeguro(hostname, opciones, callback) {
+  dns.lookup(hostname, { ...opciones, all: true }, (error, direcciones) => {
+    if (error) return callback(error);
+
+    try {
+      verificarDirecciones(direcciones);
+    } catch (errorDestino) {
+      return callback(errorDestino);
+    }
+
+    if (opciones.all) return callback(null, direcciones);
+    callback(null, direcciones[0].address, direcciones[0].family);
+  });
+}
+
+/**
+ * Enviar un POST a una URL externa. Las redirecciones no se siguen (cuentan
+ * como respuesta no exitosa) y el cuerpo de la respuesta se descarta.
+ *
+ * @returns {Promise<{ codigo: number, exito: boolean }>}
+ */
+export async function postSaliente(url, { headers = {}, cuerpo = '', timeoutMs = 10 * 1000 } = {}) {
+  await verificarUrlSaliente(url);
+
+  const destino = new URL(url);
+  const cliente = destino.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const solicitud = cliente.request(destino, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(cuerpo) },
+      lookup: lookupSeguro
+    }, respuesta => {
+      clearTimeout(temporizador);
+      respuesta.resume();
+      resolve({ codigo: respuesta.statusCode, exito: respuesta.statusCode >= 200 && respuesta.statusCode < 300 });
+    });
+
+    const temporizador = setTimeout(() => {
+      const error = new Error('Tiempo de espera agotado');
+      error.name = 'TimeoutError';
+      solicitud.destroy(error);
+    }, timeoutMs);
+
+    solicitud.on('error', error => {
+      clearTimeout(temporizador);
+      reject(error);
+    });
+    solicitud.end(cuerpo);
+  });
+}
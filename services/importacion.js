@@ -0,0 +1,261 @@
+// services/importacion.js
+import mongoose from 'mongoose';
+import Transaccion from '../models/transacciones.js';
+import { obtenerClasificador } from './categorias.js';
+import { publicarTransaccionesCreadas } from './tiempoReal.js';
+import { parsearCSV, parsearFecha, parsearMonto } from '../utils/csv.js';
+import { parsearOFX, esOFX } from '../utils/ofx.js';
+import { parsearQIF, esQIF } from '../utils/qif.js';
+
+// Máximo de filas aceptadas por archivo
+export const MAX_FILAS_IMPORTACION = 5000;
+
+export const CONVENCIONES_SIGNO = ['negativo_es_gasto', 'positivo_es_gasto', 'columnas_separadas'];
+
+export const FORMATOS_IMPORTACION = ['csv', 'ofx', 'qif'];
+
+// Resolver una referencia de columna (nombre de encabezado o índice)
+function indiceColumna(referencia, encabezados) {
+  if (referencia === undefined || referencia === null || referencia === '') return -1;
+  if (Number.isInteger(referencia)) return referencia;
+  if (/^\d+$/.test(String(referencia))) return parseInt(referencia);
+
+  const buscado = String(referencia).trim().toLowerCase();
+  return encabezados.findIndex(e => e.trim().toLowerCase() === buscado);
+}
+
+// Convertir un CSV en movimientos normalizados según el mapeo de columnas.
+// El monto resultante lleva signo: negativo = gasto, positivo = ingreso.
+export function movimientosDesdeCSV(texto, mapeo) {
+  const {
+    delimitador,
+    tieneEncabezado = true,
+    separadorDecimal = '.',
+    formatoFecha = 'YYYY-MM-DD',
+    convencionSigno = 'negativo_es_gasto'
+  } = mapeo;
+
+  const filas = parsearCSV(texto, delimitador || undefined);
+  const encabezados = tieneEncabezado ? (filas.shift() || []) : [];
+
+  const columnas = {
+    fecha: indiceColumna(mapeo.fecha, encabezados),
+    descripcion: indiceColumna(mapeo.descripcion, encabezados),
+    monto: indiceColumna(mapeo.monto, encabezados),
+    debito: indiceColumna(mapeo.debito, encabezados),
+    credito: indiceColumna(mapeo.credito, encabezados)
+  };
+
+  const faltantes = ['fecha', 'descripcion']
+    .concat(convencionSigno === 'columnas_separadas' ? ['debito', 'credito'] : ['monto'])
+    .filter(campo => columnas[campo] < 0);
+
+  if (faltantes.length > 0) {
+    const error = new Error(`Columnas no encontradas en el archivo: ${faltantes.join(', ')}`);
+    error.name = 'ImportacionError';
+    throw error;
+  }
+
+  return filas.map((fila, i) => {
+    let monto;
+
+    if (convencionSigno === 'columnas_separadas') {
+      const debito = parsearMonto(fila[columnas.debito], separadorDecimal);
+      const credito = parsearMonto(fila[columnas.credito], separadorDecimal);
+      monto = (isNaN(credito) ? 0 : Math.abs(credito)) - (isNaN(debito) ? 0 : Math.abs(debito));
+    } else {
+      monto = parsearMonto(fila[columnas.monto], separadorDecimal);
+      if (convencionSigno === 'positivo_es_gasto') monto = -monto;
+    }
+
+    return {
+      fila: i + 1 + (tieneEncabezado ? 1 : 0),
+      fecha: parsearFecha(fila[columnas.fecha], formatoFecha),
+      descripcion: (fila[columnas.descripcion] || '').trim().replace(/\s+/g, ' '),
+      monto
+    };
+  });
+}
+
+// Detectar el formato por la extensión del archivo o por su contenido
+export function detectarFormato(nombreArchivo = '', texto = '') {
+  const extension = nombreArchivo.split('.').pop().toLowerCase();
+  if (FORMATOS_IMPORTACION.includes(extension)) return extension;
+  if (esOFX(texto)) return 'ofx';
+  if (esQIF(texto)) return 'qif';
+  return 'csv';
+}
+
+// Convertir un archivo en movimientos normalizados según su formato
+export function movimientosDesdeArchivo(texto, formato, mapeo = {}) {
+  switch (formato) {
+    case 'ofx':
+      return parsearOFX(texto);
+    case 'qif':
+      return parsearQIF(texto, mapeo);
+    default:
+      return movimientosDesdeCSV(texto, mapeo);
+  }
+}
+
+// Clave de un identificador externo: el FITID solo es único dentro de una cuenta
+const claveIdExterno = ({ cuentaExterna, idExterno }) => `${cuentaExterna || ''}|${idExterno}`;
+
+// Clave para detectar duplicados: mismo día, monto y descripción
+function claveDuplicado(fecha, monto, descripcion) {
+  return [
+    fecha.toISOString().slice(0, 10),
+    Math.abs(monto).toFixed(2),
+    descripcion.trim().toLowerCase().replace(/\s+/g, ' ')
+  ].join('|');
+}
+
+// Preparar movimientos para importar: validar, clasificar y marcar duplicados
+export async function prepararImportacion(usuarioId, movimientos, opciones = {}) {
+  if (movimientos.length > MAX_FILAS_IMPORTACION) {
+    const error = new Error(`El archivo excede el máximo de ${MAX_FILAS_IMPORTACION} filas`);
+    error.name = 'ImportacionError';
+    throw error;
+  }
+
+  // Cargar las categorías una sola vez para clasificar todas las filas
+  const clasificar = await obtenerClasificador(usuarioId);
+
+  const filas = movimientos.map(movimiento => {
+    const errores = [];
+    if (!movimiento.fecha) errores.push('Fecha inválida');
+    if (isNaN(movimiento.monto) || movimiento.monto === 0) errores.push('Monto inválido');
+    if (!movimiento.descripcion) errores.push('Descripción vacía');
+
+    if (errores.length > 0) {
+      return { fila: movimiento.fila, estado: 'invalida', errores };
+    }
+
+    const descripcion = movimiento.descripcion.slice(0, 200);
+    const tipo = movimiento.monto < 0 ? 'gasto' : 'ingreso';
+    const transaccion = {
+      usuario: usuarioId,
+      tipo,
+      descripcion,
+      monto: Math.round(Math.abs(movimiento.monto) * 100) / 100,
+      fecha: movimiento.fecha,
+      metodo_pago: 'transferencia',
+      cuenta: opciones.cuenta,
+      idExterno: movimiento.idExterno,
+      cuentaExterna: movimiento.idExterno ? movimiento.cuentaExterna : undefined
+    };
+    const { categoria, subcategoria, etiquetas } = clasificar(transaccion);
+    Object.assign(transaccion, { categoria, subcategoria, etiquetas });
+
+    // Reutilizar las validaciones del modelo (ej. fecha futura)
+    const errorValidacion = new Transaccion(transaccion).validateSync();
+    if (errorValidacion) {
+      return {
+        fila: movimiento.fila,
+        estado: 'invalida',
+        errores: Object.values(errorValidacion.errors).map(err => err.message)
+      };
+    }
+
+    return { fila: movimiento.fila, estado: 'valida', transaccion };
+  });
+
+  const validas = filas.filter(f => f.estado === 'valida');
+  if (validas.length === 0) return filas;
+
+  // Buscar transacciones existentes en el rango de fechas del archivo
+  const fechas = validas.map(f => f.transaccion.fecha.getTime());
+  const desde = new Date(Math.min(...fechas));
+  const hasta = new Date(Math.max(...fechas) + 24 * 60 * 60 * 1000);
+
+  // Los identificadores externos se comparan también con transacciones eliminadas
+  // para que reimportar un archivo no restaure lo que el usuario borró. Solo
+  // cuentan los de la misma cuenta: otro banco puede repetir el mismo FITID
+  const idsExternos = validas.map(f => f.transaccion.idExterno).filter(Boolean);
+
+  const [existentes, conIdExterno] = await Promise.all([
+    Transaccion.find({
+      usuario: usuarioId,
+      activa: true,
+      fecha: { $gte: desde, $lt: hasta }
+    }).select('fecha monto descripcion').lean(),
+    idsExternos.length > 0
+      ? Transaccion.find({
+        usuario: usuarioId,
+        cuenta: opciones.cuenta || null,
+        idExterno: { $in: idsExternos }
+      }).select('cuentaExterna idExterno').lean()
+      : []
+  ]);
+
+  const idsVistos = new Set(conIdExterno.map(claveIdExterno));
+
+  // Contar ocurrencias para no descartar movimientos legítimamente repetidos
+  const disponibles = new Map();
+  for (const existente of existentes) {
+    const clave = claveDuplicado(existente.fecha, existente.monto, existente.descripcion);
+    disponibles.set(clave, (disponibles.get(clave) || 0) + 1);
+  }
+
+  for (const fila of validas) {
+    const { fecha, monto, descripcion, idExterno } = fila.transaccion;
+
+    if (idExterno) {
+      const claveExterna = claveIdExterno(fila.transaccion);
+      if (idsVistos.has(claveExterna)) {
+        fila.estado = 'duplicada';
+        continue;
+      }
+      idsVistos.add(claveExterna);
+    }
+
+    const clave = claveDuplicado(fecha, monto, descripcion);
+    const cantidad = disponibles.get(clave) || 0;
+
+    if (cantidad > 0) {
+      disponibles.set(clave, cantidad - 1);
+      fila.estado = 'duplicada';
+    }
+  }
+
+  return filas;
+}
+
+// Resumen de filas por estado
+export function resumirImportacion(filas) {
+  return {
+    total: filas.length,
+    validas: filas.filter(f => f.estado === 'valida').length,
+    duplicadas: filas.filter(f => f.estado === 'duplicada').length,
+    invalidas: filas.filter(f => f.estado === 'invalida').length
+  };
+}
+
+// Insertar las filas válidas en una única transacción de MongoDB (todo o nada)
+export async function confirmarImportacion(filas) {
+  const documentos = filas.filter(f => f.estado === 'valida').map(f => f.transaccion);
+  let insertadas = [];
+
+  if (documentos.length > 0) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        insertadas = await Transaccion.insertMany(documentos, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  if (insertadas.length > 0) {
+    publicarTransaccionesCreadas(insertadas[0].usuario, insertadas);
+  }
+
+  return {
+    insertadas: insertadas.length,
+    omitidas: filas.filter(f => f.estado === 'duplicada').map(f => f.fila),
+    invalidas: filas
+      .filter(f => f.estado === 'invalida')
+      .map(({ fila, errores }) => ({ fila, errores }))
+  };
+}
@@ -0,0 +1,81 @@
+// services/mailer.js
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Transporte SMTP (producción)
+function transporteSMTP() {
+  const transporte = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    nombre: 'smtp',
+    enviar: mensaje => transporte.sendMail(mensaje)
+  };
+}
+
+// Transporte a archivos JSON (desarrollo y pruebas): un archivo por correo
+function transporteArchivo() {
+  const directorio = process.env.MAIL_DIRECTORIO || path.join(process.cwd(), 'correos');
+
+  return {
+    nombre: 'archivo',
+    enviar: async mensaje => {
+      await fs.mkdir(directorio, { recursive: true });
+      const archivo = path.join(directorio, `${Date.now()}-${mensaje.to.replace(/[^\w.@-]/g, '_')}.json`);
+      await fs.writeFile(archivo, JSON.stringify({ ...mensaje, fecha: new Date() }, null, 2));
+      return { archivo };
+    }
+  };
+}
+
+// Transporte a la consola (desarrollo)
+function transporteConsola() {
+  return {
+    nombre: 'consola',
+    enviar: async mensaje => {
+      console.log(`📧 Correo para ${mensaje.to}: ${mensaje.subject}\n${mensaje.text}`);
+      return {};
+    }
+  };
+}
+
+// Transporte configurado con MAIL_TRANSPORTE (por defecto smtp en producción y consola en desarrollo)
+let transporteActual = null;
+
+export function obtenerTransporte() {
+  const nombre = process.env.MAIL_TRANSPORTE ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'consola');
+
+  if (transporteActual?.nombre !== nombre) {
+    switch (nombre) {
+      case 'smtp':
+        transporteActual = transporteSMTP();
+        break;
+      case 'archivo':
+        transporteActual = transporteArchivo();
+        break;
+      default:
+        transporteActual = transporteConsola();
+    }
+  }
+
+  return transporteActual;
+}
+
+// Enviar un correo con el transporte configurado
+export async function enviarCorreo({ para, asunto, texto, html }) {
+  return obtenerTransporte().enviar({
+    from: process.env.MAIL_FROM || 'FinSmart <no-responder@finsmart.app>',
+    to: para,
+    subject: asunto,
+    text: texto,
+    html
+  });
+}
@@ -0,0 +1,350 @@
+// services/metas.js
+// Saldo de las metas: cada cambio se registra como un movimiento (AporteMeta)
+// y montoActual se recalcula a partir de ellos
+import mongoose from 'mongoose';
+import Meta from '../models/meta.js';
+import AporteMeta from '../models/aporteMeta.js';
+import Transaccion from '../models/transacciones.js';
+import ConfiguracionAhorro from '../models/configuracionAhorro.js';
+import { calcularAsignaciones, montoAhorro } from '../utils/asignacionAhorro.js';
+import { pronosticarMeta, VENTANA_PRONOSTICO_DIAS } from '../utils/pronosticoMetas.js';
+import { conAcceso } from './hogares.js';
+import { notificarMetaCompletada } from './notificaciones.js';
+import { emitirEvento } from './webhooks.js';
+import { publicarMeta, publicarTransaccion } from './tiempoReal.js';
+
+const redondear = monto => Math.round(monto * 100) / 100;
+
+function errorMeta(mensaje, datos = {}) {
+  const error = new Error(mensaje);
+  error.name = 'MetaError';
+  error.datos = datos;
+  return error;
+}
+
+function errorNoEncontrada(mensaje) {
+  const error = new Error(mensaje);
+  error.name = 'NotFoundError';
+  return error;
+}
+
+// Ejecutar `fn` en una transacción de MongoDB (todo o nada)
+async function enTransaccion(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let resultado;
+    await session.withTransaction(async () => {
+      resultado = await fn(session);
+    });
+    return resultado;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Las metas creadas antes del registro de movimientos tienen saldo sin
+// movimientos: se registra como un ajuste inicial para no perderlo (al escribir
+// en la meta o con scripts/migrarSaldosMetas.js)
+export async function asegurarSaldoInicial(meta, session = null) {
+  if (!(meta.montoActual > 0)) return;
+  if (await AporteMeta.exists({ meta: meta._id }).session(session)) return;
+
+  await AporteMeta.create([{
+    usuario: meta.usuario,
+    meta: meta._id,
+    tipo: 'ajuste',
+    monto: meta.montoActual,
+    descripcion: 'Saldo anterior al registro de aportes',
+    fecha: meta.createdAt || new Date()
+  }], { session });
+}
+
+// Recalcular montoActual con la suma de los movimientos y actualizar el estado:
+// una meta activa que llega al objetivo se completa y una completada que queda
+// por debajo se reabre
+export async function recalcularMeta(metaId, session = null) {
+  const meta = await Meta.findById(metaId).session(session);
+  if (!meta) return null;
+
+  await asegurarSaldoInicial(meta, session);
+
+  const [resultado] = await AporteMeta.aggregate([
+    { $match: { meta: meta._id } },
+    { $group: { _id: null, total: { $sum: '$monto' } } }
+  ]).session(session);
+
+  meta.montoActual = Math.max(0, redondear(resultado?.total || 0));
+
+  const estadoAnterior = meta.estado;
+  const completada = meta.estado === 'activa' && meta.montoActual >= meta.montoObjetivo;
+  if (completada) {
+    meta.estado = 'completada';
+  } else if (meta.estado === 'completada' && meta.montoActual < meta.montoObjetivo) {
+    meta.estado = 'activa';
+  }
+
+  if (meta.isModified()) {
+    await meta.save({ session });
+  }
+
+  if (completada) {
+    await notificarMetaCompletada(meta, { session });
+    await emitirEvento(meta.usuario, 'meta.completada', { meta }, { session });
+  }
+  if (meta.estado !== estadoAnterior) {
+    await emitirEvento(meta.usuario, 'meta.estado_cambiado', { meta, estadoAnterior }, { session });
+  }
+
+  return meta;
+}
+
+// Registrar un movimiento y recalcular el saldo de la meta
+export async function registrarMovimiento(meta, { tipo, monto, descripcion, transaccion, fecha }, session = null) {
+  await asegurarSaldoInicial(meta, session);
+
+  const [aporte] = await AporteMeta.create([{
+    usuario: meta.usuario,
+    meta: meta._id,
+    tipo,
+    monto: redondear(monto),
+    descripcion,
+    transaccion,
+    fecha
+  }], { session });
+
+  return {
+    aporte,
+    meta: await recalcularMeta(meta._id, session)
+  };
+}
+
+// Informar en tiempo real un aporte o retiro ya confirmado
+function publicarMovimiento(resultado) {
+  publicarTransaccion('transaccion.creada', { despues: resultado.transaccion });
+  publicarMeta('meta.actualizada', resultado.meta, resultado.meta.montoActual - resultado.aporte.monto);
+  return resultado;
+}
+
+// Aportar a una meta activa: sale del dinero disponible como un gasto
+export async function aportarAMeta(usuarioId, metaId, { monto, descripcion = 'Aporte a meta' }) {
+  return enTransaccion(async session => {
+    const filtro = await conAcceso(usuarioId, { _id: metaId, estado: 'activa' }, { permiso: 'escritura' });
+    const meta = await Meta.findOne(filtro).session(session);
+    if (!meta) throw errorNoEncontrada('Meta activa no encontrada');
+
+    const montoMaximo = redondear(meta.montoObjetivo - meta.montoActual);
+    if (monto > montoMaximo) {
+      throw errorMeta('El monto excede el objetivo de la meta', { montoMaximo });
+    }
+
+    const [transaccion] = await Transaccion.create([{
+      usuario: usuarioId,
+      tipo: 'gasto', // Se considera gasto porque sale del dinero disponible
+      descripcion: `${descripcion} - ${meta.titulo}`,
+      monto,
+      categoria: 'otros',
+      subcategoria: 'ahorro_meta'
+    }], { session });
+
+    const resultado = await registrarMovimiento(meta, {
+      tipo: 'aporte',
+      monto,
+      descripcion,
+      transaccion: transaccion._id
+    }, session);
+
+    return { ...resultado, transaccion };
+  }).then(publicarMovimiento);
+}
+
+// Retirar dinero de una meta: vuelve al dinero disponible como un ingreso.
+// Si la meta estaba completada y queda por debajo del objetivo, se reabre.
+export async function retirarDeMeta(usuarioId, metaId, { monto, descripcion = 'Retiro de meta' }) {
+  return enTransaccion(async session => {
+    const filtro = await conAcceso(usuarioId, { _id: metaId }, { permiso: 'escritura' });
+    const meta = await Meta.findOne(filtro).session(session);
+    if (!meta) throw errorNoEncontrada('Meta no encontrada');
+
+    if (monto > meta.montoActual) {
+      throw errorMeta('El monto excede el saldo de la meta', { saldoDisponible: meta.montoActual });
+    }
+
+    // Se crea directamente (sin crearTransaccion) para que el ingreso no se
+    // vuelva a repartir entre las metas
+    const [transaccion] = await Transaccion.create([{
+      usuario: usuarioId,
+      tipo: 'ingreso',
+      descripcion: `${descripcion} - ${meta.titulo}`,
+      monto,
+      categoria: 'otros',
+      subcategoria: 'retiro_meta'
+    }], { session });
+
+    const resultado = await registrarMovimiento(meta, {
+      tipo: 'retiro',
+      monto: -monto,
+      descripcion,
+      transaccion: transaccion._id
+    }, session);
+
+    return { ...resultado, transaccion };
+  }).then(publicarMovimiento);
+}
+
+// Tipo de transacción que respalda cada tipo de movimiento
+const TIPO_TRANSACCION_APORTE = { aporte: 'gasto', retiro: 'ingreso', asignacion_automatica: 'ingreso' };
+
+// Mantener los movimientos de metas al día con la transacción que los originó
+// (tras editarla o eliminarla): si se elimina o cambia de tipo se borran; si
+// cambia el monto, el aporte o retiro toma el nuevo y la asignación automática
+// se escala en proporción al ingreso. Devuelve las metas recalculadas.
+export async function sincronizarAporteMeta(transaccion, { montoAnterior } = {}) {
+  const aportes = await AporteMeta.find({ transaccion: transaccion._id });
+  const metasAfectadas = new Set();
+
+  for (const aporte of aportes) {
+    if (!transaccion.activa || transaccion.tipo !== TIPO_TRANSACCION_APORTE[aporte.tipo]) {
+      await aporte.deleteOne();
+      metasAfectadas.add(String(aporte.meta));
+      continue;
+    }
+
+    let monto = aporte.monto;
+    if (aporte.tipo === 'aporte') monto = transaccion.monto;
+    if (aporte.tipo === 'retiro') monto = -transaccion.monto;
+    if (aporte.tipo === 'asignacion_automatica' && montoAnterior > 0) {
+      monto = redondear(aporte.monto * transaccion.monto / montoAnterior);
+    }
+
+    const fecha = aporte.tipo === 'asignacion_automatica' ? new Date(transaccion.fecha) : aporte.fecha;
+    if (monto === aporte.monto && fecha.getTime() === aporte.fecha.getTime()) continue;
+
+    // Una asignación que al escalarse queda en 0 ya no aporta nada
+    if (monto === 0) {
+      await aporte.deleteOne();
+    } else {
+      aporte.set({ monto, fecha });
+      await aporte.save();
+    }
+    metasAfectadas.add(String(aporte.meta));
+  }
+
+  const metas = [];
+  for (const metaId of metasAfectadas) {
+    const meta = await recalcularMeta(metaId);
+    if (!meta) continue;
+    publicarMeta('meta.actualizada', meta);
+    metas.push(meta);
+  }
+
+  return metas;
+}
+
+// Corregir el saldo de una meta a un valor exacto con un movimiento de ajuste
+export async function ajustarSaldoMeta(meta, montoNuevo, descripcion = 'Ajuste manual del saldo') {
+  const diferencia = redondear(montoNuevo - meta.montoActual);
+  if (diferencia === 0) return { aporte: null, meta };
+
+  return registrarMovimiento(meta, { tipo: 'ajuste', monto: diferencia, descripcion });
+}
+
+// Calcular el reparto de un ingreso según la configuración de ahorro del usuario
+// (sin guardar nada). Devuelve [] si el ingreso no activa el ahorro automático.
+export async function planificarAhorro(usuarioId, transaccion, configuracion) {
+  configuracion ??= await ConfiguracionAhorro.deUsuario(usuarioId);
+  if (!configuracion.aplicaA(transaccion)) return [];
+
+  // Las metas de un hogar solo reciben ahorro automático si el usuario les asignó un peso
+  const metasActivas = await Meta.find(await conAcceso(usuarioId, {
+    estado: 'activa',
+    $or: [{ hogar: null }, { _id: { $in: configuracion.pesos.map(({ meta }) => meta) } }]
+  }, { permiso: 'escritura' }));
+  return calcularAsignaciones(montoAhorro(transaccion.monto, configuracion), metasActivas, configuracion);
+}
+
+// Repartir parte de un ingreso entre las metas activas según la configuración
+// de ahorro automático del usuario. Devuelve las asignaciones realizadas.
+export async function asignarIngresoAMetas(usuarioId, transaccion) {
+  const asignaciones = [];
+
+  try {
+    const plan = await planificarAhorro(usuarioId, transaccion);
+
+    for (const { meta, monto } of plan) {
+      const { aporte, meta: metaActualizada } = await registrarMovimiento(meta, {
+        tipo: 'asignacion_automatica',
+        monto,
+        descripcion: `Asignación automática de "${transaccion.descripcion}"`.slice(0, 200),
+        transaccion: transaccion._id,
+        fecha: transaccion.fecha
+      });
+
+      publicarMeta('meta.actualizada', metaActualizada, metaActualizada.montoActual - aporte.monto);
+
+      asignaciones.push({
+        meta: { _id: metaActualizada._id, titulo: metaActualizada.titulo },
+        monto,
+        aporte: aporte._id,
+        montoActual: metaActualizada.montoActual,
+        estado: metaActualizada.estado
+      });
+    }
+  } catch (error) {
+    console.error('Error actualizando metas:', error);
+  }
+
+  return asignaciones;
+}
+
+// Meses de transacciones que se promedian para estimar la capacidad de ahorro
+const MESES_INGRESO_NETO = 3;
+
+// Ingresos menos gastos del usuario por mes en los últimos meses. Los aportes
+// y retiros de metas no cuentan: son ahorro, no consumo.
+export async function ingresoNetoMensual(usuarioId, meses = MESES_INGRESO_NETO) {
+  const desde = new Date();
+  desde.setMonth(desde.getMonth() - meses);
+
+  const totales = await Transaccion.aggregate([
+    {
+      $match: {
+        usuario: new mongoose.Types.ObjectId(usuarioId),
+        activa: true,
+        tipo: { $in: ['ingreso', 'gasto'] },
+        fecha: { $gte: desde },
+        subcategoria: { $nin: ['ahorro_meta', 'retiro_meta'] }
+      }
+    },
+    { $group: { _id: '$tipo', total: { $sum: '$monto' } } }
+  ]);
+
+  const total = tipo => totales.find(t => t._id === tipo)?.total || 0;
+  return redondear((total('ingreso') - total('gasto')) / meses);
+}
+
+// Pronóstico de varias metas del usuario (Map de id de meta a pronóstico)
+export async function pronosticarMetas(usuarioId, metas) {
+  const resultado = new Map();
+  if (metas.length === 0) return resultado;
+
+  const desde = new Date(Date.now() - VENTANA_PRONOSTICO_DIAS * 24 * 60 * 60 * 1000);
+
+  // Los ajustes corrigen el saldo y no reflejan un hábito de ahorro
+  const [movimientos, ingresoNeto] = await Promise.all([
+    AporteMeta.find({
+      meta: { $in: metas.map(meta => meta._id) },
+      tipo: { $ne: 'ajuste' },
+      fecha: { $gte: desde }
+    }).select('meta fecha monto').lean(),
+    ingresoNetoMensual(usuarioId)
+  ]);
+
+  for (const meta of metas) {
+    resultado.set(String(meta._id), pronosticarMeta(meta, {
+      movimientos: movimientos.filter(movimiento => String(movimiento.meta) === String(meta._id)),
+      ingresoNetoMensual: ingresoNeto
+    }));
+  }
+
+  return resultado;
+}
@@ -0,0 +1,109 @@
+// services/notificaciones.js
+// Creación de notificaciones en la aplicación respetando las preferencias del usuario
+import Notificacion from '../models/notificacion.js';
+import Usuario from '../models/usuario.js';
+
+// Crear una notificación si el usuario tiene activado su tipo. Un fallo se
+// registra y no interrumpe la operación que la originó.
+export async function notificar(usuarioId, { tipo, titulo, mensaje, datos = {} }, { session = null } = {}) {
+  try {
+    const usuario = await Usuario.findById(usuarioId)
+      .select('preferenciasNotificaciones')
+      .session(session);
+
+    if (!usuario || usuario.preferenciasNotificaciones?.tipos?.[tipo] === false) {
+      return null;
+    }
+
+    const [notificacion] = await Notificacion.create([{ usuario: usuarioId, tipo, titulo, mensaje, datos }], { session });
+    return notificacion;
+  } catch (error) {
+    console.error(`Error creando notificación ${tipo}:`, error);
+    return null;
+  }
+}
+
+export function notificarMetaCompletada(meta, opciones) {
+  return notificar(meta.usuario, {
+    tipo: 'meta_completada',
+    titulo: `¡Completaste tu meta "${meta.titulo}"!`,
+    mensaje: `Alcanzaste los $${meta.montoObjetivo.toFixed(2)} que te propusiste.`,
+    datos: { meta: meta._id }
+  }, opciones);
+}
+
+export function notificarMetaPorVencer(meta, diasRestantes) {
+  const faltante = Math.max(0, meta.montoObjetivo - meta.montoActual);
+
+  return notificar(meta.usuario, {
+    tipo: 'meta_por_vencer',
+    titulo: `Tu meta "${meta.titulo}" vence pronto`,
+    mensaje: `Quedan ${diasRestantes} días y te faltan $${faltante.toFixed(2)}.`,
+    datos: { meta: meta._id, diasRestantes, faltante }
+  });
+}
+
+// Avisos de una transacción recién creada: alertas de presupuesto y montos grandes
+export async function notificarTransaccion(transaccion, alertasPresupuesto = []) {
+  for (const alerta of alertasPresupuesto) {
+    await notificar(transaccion.usuario, {
+      tipo: 'alerta_presupuesto',
+      titulo: alerta.umbral >= 100 ? 'Presupuesto excedido' : 'Alerta de presupuesto',
+      mensaje: alerta.mensaje,
+      datos: { presupuesto: alerta.presupuesto, categoria: alerta.categoria, umbral: alerta.umbral, transaccion: transaccion._id }
+    });
+  }
+
+  if (!['ingreso', 'gasto'].includes(transaccion.tipo)) return;
+
+  const usuario = await Usuario.findById(transaccion.usuario).select('preferenciasNotificaciones');
+  const umbral = usuario?.preferenciasNotificaciones?.umbralTransaccionGrande;
+
+  if (umbral && transaccion.monto >= umbral) {
+    await notificar(transaccion.usuario, {
+      tipo: 'transaccion_grande',
+      titulo: transaccion.tipo === 'gasto' ? 'Gasto grande registrado' : 'Ingreso grande registrado',
+      mensaje: `${transaccion.descripcion}: $${transaccion.monto.toFixed(2)}`,
+      datos: { transaccion: transaccion._id, monto: transaccion.monto }
+    });
+  }
+}
+
+// Aviso a cada participante de un gasto dividido (menos a quien lo pagó)
+export async function notificarGastoCompartido(gasto) {
+  const pagador = await Usuario.findById(gasto.pagador).select('nombre');
+
+  for (const { usuario, monto } of gasto.participantes) {
+    if (String(usuario) === String(gasto.pagador)) continue;
+
+    await notificar(usuario, {
+      tipo: 'gasto_compartido',
+      titulo: `${pagador?.nombre || 'Alguien'} dividió un gasto contigo`,
+      mensaje: `Tu parte de "${gasto.descripcion}" es $${monto.toFixed(2)}.`,
+      datos: { gastoCompartido: gasto._id, monto }
+    });
+  }
+}
+
+// Aviso a la otra persona de un pago de gastos compartidos registrado
+export function notificarLiquidacion(liquidacion, destinatarioId, registradaPor) {
+  const datos = { liquidacion: liquidacion._id, monto: liquidacion.monto };
+
+  if (liquidacion.estado === 'pendiente') {
+    return notificar(destinatarioId, {
+      tipo: 'gasto_compartido',
+      titulo: 'Confirma un pago de gastos compartidos',
+      mensaje: `${registradaPor.nombre} indicó que te pagó $${liquidacion.monto.toFixed(2)}. Confírmalo para saldar la deuda.`,
+      datos
+    });
+  }
+
+  const pago = String(liquidacion.de) === String(destinatarioId) ? 'un pago tuyo' : 'un pago para ti';
+
+  return notificar(destinatarioId, {
+    tipo: 'gasto_compartido',
+    titulo: 'Pago de gastos compartidos registrado',
+    mensaje: `${registradaPor.nombre} registró ${pago} de $${liquidacion.monto.toFixed(2)}.`,
+    datos
+  });
+}
@@ -0,0 +1,291 @@
+// services/portabilidad.js
+// Exportación completa de los datos de un usuario, importación en una cuenta
+// nueva y borrado definitivo de la cuenta
+import mongoose from 'mongoose';
+import Usuario from '../models/usuario.js';
+import Categoria from '../models/categoria.js';
+import Cuenta from '../models/cuenta.js';
+import Meta from '../models/meta.js';
+import AporteMeta from '../models/aporteMeta.js';
+import ConfiguracionAhorro from '../models/configuracionAhorro.js';
+import Presupuesto from '../models/presupuesto.js';
+import Recurrente from '../models/recurrente.js';
+import Regla from '../models/regla.js';
+import Transaccion from '../models/transacciones.js';
+import Deuda from '../models/deuda.js';
+import PagoDeuda from '../models/pagoDeuda.js';
+import Sesion from '../models/sesion.js';
+import Notificacion from '../models/notificacion.js';
+import Webhook from '../models/webhook.js';
+import EntregaWebhook from '../models/entregaWebhook.js';
+import TokenUsuario from '../models/tokenUsuario.js';
+import Auditoria from '../models/auditoria.js';
+import { enviarCorreo } from './mailer.js';
+import { salirDeTodosLosHogares } from './hogares.js';
+import { eliminarGastosCompartidosDeUsuario } from './gastosCompartidos.js';
+import { sinAuditoria } from '../utils/contextoSolicitud.js';
+
+// Identificador y versión del formato del archivo exportado
+export const FORMATO_ARCHIVO = 'finsmart-exportacion';
+export const VERSION_ARCHIVO = 1;
+
+// Colecciones con datos del usuario que se exportan e importan. `referencias`
+// indica los campos que apuntan a documentos de otra colección del archivo;
+// al importar se les asignan los IDs nuevos. Una ruta `lista.campo` apunta al
+// campo de cada elemento de una lista.
+export const COLECCIONES_USUARIO = [
+  { nombre: 'categorias', modelo: Categoria, referencias: { padre: 'categorias' } },
+  { nombre: 'cuentas', modelo: Cuenta },
+  { nombre: 'metas', modelo: Meta },
+  { nombre: 'presupuestos', modelo: Presupuesto },
+  { nombre: 'recurrentes', modelo: Recurrente, referencias: { cuenta: 'cuentas' } },
+  { nombre: 'reglas', modelo: Regla },
+  {
+    nombre: 'transacciones',
+    modelo: Transaccion,
+    referencias: { cuenta: 'cuentas', cuentaDestino: 'cuentas', recurrente: 'recurrentes' }
+  },
+  {
+    nombre: 'aportesMetas',
+    modelo: AporteMeta,
+    referencias: { meta: 'metas', transaccion: 'transacciones' }
+  },
+  { nombre: 'configuracionAhorro', modelo: ConfiguracionAhorro, referencias: { 'pesos.meta': 'metas' } },
+  { nombre: 'deudas', modelo: Deuda },
+  {
+    nombre: 'pagosDeudas',
+    modelo: PagoDeuda,
+    referencias: { deuda: 'deudas', transaccion: 'transacciones' }
+  }
+];
+
+// Colecciones que se borran con la cuenta pero no se importan
+const COLECCIONES_SOLO_BORRADO = [Sesion, TokenUsuario, Notificacion, Webhook, EntregaWebhook];
+
+function errorImportacion(mensaje, codigo) {
+  const error = new Error(mensaje);
+  error.name = 'ImportacionError';
+  error.codigo = codigo;
+  return error;
+}
+
+// Quitar los campos que dependen de la cuenta de origen (la pertenencia a un
+// hogar no se traslada: lo importado queda como personal)
+function limpiarDocumento({ usuario, hogar, __v, ...documento }) {
+  return documento;
+}
+
+// Archivo JSON versionado con todo lo que se guarda del usuario
+// (incluye las transacciones eliminadas y las categorías archivadas)
+export async function exportarDatosUsuario(usuarioId) {
+  const usuario = await Usuario.findById(usuarioId);
+
+  const datos = {};
+  for (const { nombre, modelo } of COLECCIONES_USUARIO) {
+    const documentos = await modelo.find({ usuario: usuarioId }).sort({ _id: 1 }).lean();
+    datos[nombre] = documentos.map(limpiarDocumento);
+  }
+
+  // Las sesiones se incluyen como registro informativo, sin los hashes de los tokens
+  const sesiones = await Sesion.find({ usuario: usuarioId })
+    .select('ip userAgent createdAt ultimoUso expiraEn revocadaEn motivoRevocacion')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const historialCambios = await Auditoria.find({ propietario: usuarioId })
+    .select('-_id -propietario -__v')
+    .sort({ fecha: 1 })
+    .lean();
+
+  return {
+    formato: FORMATO_ARCHIVO,
+    version: VERSION_ARCHIVO,
+    exportadoEn: new Date(),
+    perfil: {
+      nombre: usuario.nombre,
+      email: usuario.email,
+      rol: usuario.rol,
+      emailVerificado: usuario.emailVerificado,
+      emailVerificadoEn: usuario.emailVerificadoEn,
+      dosFactoresActivo: Boolean(usuario.dosFactores?.activo),
+      fechaRegistro: usuario.fechaRegistro,
+      eliminacionProgramada: usuario.eliminacionProgramada,
+      preferenciasNotificaciones: usuario.preferenciasNotificaciones
+    },
+    datos,
+    registros: {
+      sesiones: sesiones.map(({ _id, ...sesion }) => sesion),
+      historialCambios
+    }
+  };
+}
+
+// Comprobar que el archivo tiene el formato esperado y una versión soportada
+export function validarArchivo(archivo) {
+  if (!archivo || typeof archivo !== 'object' || archivo.formato !== FORMATO_ARCHIVO) {
+    throw errorImportacion('El archivo no es una exportación de FinSmart', 'INVALID_ARCHIVE');
+  }
+
+  if (!Number.isInteger(archivo.version) || archivo.version < 1 || archivo.version > VERSION_ARCHIVO) {
+    throw errorImportacion(`Versión de archivo no soportada: ${archivo.version}`, 'UNSUPPORTED_VERSION');
+  }
+
+  if (!archivo.datos || typeof archivo.datos !== 'object') {
+    throw errorImportacion('El archivo no contiene datos', 'INVALID_ARCHIVE');
+  }
+
+  for (const { nombre } of COLECCIONES_USUARIO) {
+    const documentos = archivo.datos[nombre];
+    if (documentos !== undefined && !Array.isArray(documentos)) {
+      throw errorImportacion(`La sección "${nombre}" debe ser una lista`, 'INVALID_ARCHIVE');
+    }
+    if (documentos?.some(documento => !documento || typeof documento !== 'object' || Array.isArray(documento))) {
+      throw errorImportacion(`La sección "${nombre}" contiene elementos inválidos`, 'INVALID_ARCHIVE');
+    }
+  }
+}
+
+// Una cuenta es nueva si solo tiene las categorías predeterminadas
+export async function cuentaSinDatos(usuarioId) {
+  const existentes = await Promise.all([
+    ...COLECCIONES_USUARIO
+      .filter(({ modelo }) => modelo !== Categoria)
+      .map(({ modelo }) => modelo.exists({ usuario: usuarioId })),
+    Categoria.exists({ usuario: usuarioId, sistema: false })
+  ]);
+
+  return existentes.every(existe => !existe);
+}
+
+// Asignar IDs nuevos a todos los documentos del archivo y reescribir las
+// referencias entre ellos. Las referencias a documentos que no están en el
+// archivo se descartan.
+export function remapearDocumentos(datos, usuarioId) {
+  const mapas = {};
+  for (const { nombre } of COLECCIONES_USUARIO) {
+    mapas[nombre] = new Map();
+    for (const documento of datos[nombre] || []) {
+      if (documento._id != null) {
+        mapas[nombre].set(String(documento._id), new mongoose.Types.ObjectId());
+      }
+    }
+  }
+
+  const resultado = {};
+  for (const { nombre, referencias = {} } of COLECCIONES_USUARIO) {
+    resultado[nombre] = (datos[nombre] || []).map(original => {
+      const { _id, ...documento } = limpiarDocumento(original);
+
+      const nuevoId = (coleccion, id) => mapas[coleccion].get(String(id)) || null;
+
+      for (const [ruta, coleccion] of Object.entries(referencias)) {
+        const [campo, subcampo] = ruta.split('.');
+
+        if (subcampo) {
+          // Los elementos que apuntan a documentos ausentes se quitan de la lista
+          if (Array.isArray(documento[campo])) {
+            documento[campo] = documento[campo]
+              .map(elemento => ({ ...elemento, [subcampo]: nuevoId(coleccion, elemento?.[subcampo]) }))
+              .filter(elemento => elemento[subcampo]);
+          }
+        } else if (documento[campo] != null) {
+          documento[campo] = nuevoId(coleccion, documento[campo]);
+        }
+      }
+
+      return {
+        ...documento,
+        _id: (_id != null && mapas[nombre].get(String(_id))) || new mongoose.Types.ObjectId(),
+        usuario: usuarioId
+      };
+    });
+  }
+
+  return resultado;
+}
+
+// Restaurar un archivo exportado en una cuenta nueva. Si falla algún documento
+// se deshace todo lo insertado y la cuenta queda como estaba.
+export async function importarDatosUsuario(usuarioId, archivo) {
+  validarArchivo(archivo);
+
+  if (!(await cuentaSinDatos(usuarioId))) {
+    throw errorImportacion(
+      'Solo se puede importar en una cuenta sin datos. Crea una cuenta nueva para restaurar el archivo',
+      'ACCOUNT_NOT_EMPTY'
+    );
+  }
+
+  const documentos = remapearDocumentos(archivo.datos, new mongoose.Types.ObjectId(usuarioId));
+
+  // Las categorías del archivo reemplazan a las predeterminadas de la cuenta nueva
+  await Categoria.deleteMany({ usuario: usuarioId });
+
+  const importados = {};
+  try {
+    for (const { nombre, modelo } of COLECCIONES_USUARIO) {
+      const insertados = await modelo.insertMany(documentos[nombre], { ordered: true });
+      importados[nombre] = insertados.length;
+    }
+  } catch (error) {
+    await Promise.all(COLECCIONES_USUARIO.map(({ modelo }) => modelo.deleteMany({ usuario: usuarioId })));
+    await Categoria.asegurarPredeterminadas(usuarioId);
+    throw error;
+  }
+
+  // Archivos sin categorías: la cuenta conserva las predeterminadas
+  await Categoria.asegurarPredeterminadas(usuarioId);
+
+  return importados;
+}
+
+// Días entre la solicitud de borrar la cuenta y el borrado definitivo
+export const diasGraciaEliminacion = () => parseInt(process.env.DIAS_GRACIA_ELIMINACION) || 30;
+
+// Programar el borrado de la cuenta y cerrar sus sesiones. Durante el periodo
+// de gracia el usuario puede iniciar sesión y cancelarlo.
+export async function programarEliminacion(usuario) {
+  const ahora = new Date();
+  usuario.eliminacionSolicitadaEn = ahora;
+  usuario.eliminacionProgramada = new Date(ahora.getTime() + diasGraciaEliminacion() * 24 * 60 * 60 * 1000);
+  await usuario.save();
+
+  return usuario.eliminacionProgramada;
+}
+
+// Avisar por correo que la cuenta se borrará y cómo evitarlo
+export async function enviarAvisoEliminacion(usuario) {
+  await enviarCorreo({
+    para: usuario.email,
+    asunto: 'Tu cuenta de FinSmart se eliminará',
+    texto: `Hola ${usuario.nombre}:\n\n` +
+      `Recibimos tu solicitud para eliminar tu cuenta. Todos tus datos se borrarán definitivamente el ` +
+      `${usuario.eliminacionProgramada.toISOString().slice(0, 10)}.\n\n` +
+      'Si cambias de opinión, inicia sesión antes de esa fecha y cancela la eliminación. ' +
+      'Si no fuiste tú, cambia tu contraseña de inmediato.'
+  });
+}
+
+export async function cancelarEliminacion(usuarioId) {
+  const resultado = await Usuario.updateOne(
+    { _id: usuarioId, eliminacionProgramada: { $ne: null } },
+    { $set: { eliminacionProgramada: null }, $unset: { eliminacionSolicitadaEn: '' } }
+  );
+  return resultado.modifiedCount > 0;
+}
+
+// Borrar definitivamente al usuario y todos sus documentos, incluido su
+// historial de auditoría (el borrado no deja registros con sus datos)
+export async function eliminarCuentaDefinitivamente(usuarioId) {
+  await sinAuditoria(async () => {
+    // Antes de borrar sus datos deja sus hogares (la propiedad pasa a otro miembro)
+    await salirDeTodosLosHogares(usuarioId);
+    await eliminarGastosCompartidosDeUsuario(usuarioId);
+    await Promise.all([
+      ...COLECCIONES_USUARIO.map(({ modelo }) => modelo.deleteMany({ usuario: usuarioId })),
+      ...COLECCIONES_SOLO_BORRADO.map(modelo => modelo.deleteMany({ usuario: usuarioId })),
+      Auditoria.deleteMany({ propietario: usuarioId })
+    ]);
+    await Usuario.deleteOne({ _id: usuarioId });
+  });
+}
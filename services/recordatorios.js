@@ -0,0 +1,101 @@
+// services/recordatorios.js
+// Recordatorios de metas: el mensaje se arma con el progreso y el pronóstico
+// de la meta y se entrega por los canales que eligió el usuario
+import { enviarCorreo } from './mailer.js';
+import { notificar } from './notificaciones.js';
+import { emitirEvento } from './webhooks.js';
+
+const formatoMonto = monto => `$${Number(monto).toFixed(2)}`;
+
+const ESTADOS_PRONOSTICO = {
+  en_camino: 'Vas en camino de lograrla a tiempo.',
+  en_riesgo: 'A tu ritmo actual no llegarás a tiempo, pero tus ingresos alcanzan para ponerte al día.',
+  atrasada: 'Vas atrasado: considera ajustar el monto o la fecha límite.'
+};
+
+// Mensaje del recordatorio a partir de la meta y su pronóstico (ver utils/pronosticoMetas.js)
+export function generarMensajeRecordatorio(meta, pronostico) {
+  const progreso = Math.min((meta.montoActual / meta.montoObjetivo) * 100, 100);
+  const lineas = [
+    `Llevas ${formatoMonto(meta.montoActual)} de ${formatoMonto(meta.montoObjetivo)} (${progreso.toFixed(0)}%).`
+  ];
+
+  if (pronostico?.requeridoMensual != null) {
+    lineas.push(
+      `Para llegar al ${meta.fechaLimite.toISOString().slice(0, 10)} necesitas ahorrar ` +
+      `${formatoMonto(pronostico.requeridoMensual)} al mes (${formatoMonto(pronostico.requeridoSemanal)} por semana).`
+    );
+  }
+
+  if (ESTADOS_PRONOSTICO[pronostico?.estado]) {
+    lineas.push(ESTADOS_PRONOSTICO[pronostico.estado]);
+  }
+
+  return {
+    titulo: `Recordatorio: ${meta.titulo}`,
+    texto: lineas.join(' '),
+    datos: {
+      meta: meta._id,
+      progreso,
+      faltante: pronostico?.faltante,
+      requeridoMensual: pronostico?.requeridoMensual,
+      requeridoSemanal: pronostico?.requeridoSemanal,
+      estadoPronostico: pronostico?.estado
+    }
+  };
+}
+
+// Canales de entrega. Cada uno recibe { usuario, meta, mensaje }.
+const canales = new Map();
+
+// Registrar (o reemplazar) un canal de entrega
+export function registrarCanalRecordatorio(nombre, enviar) {
+  canales.set(nombre, { nombre, enviar });
+}
+
+registrarCanalRecordatorio('app', ({ usuario, mensaje }) => notificar(usuario._id, {
+  tipo: 'recordatorio_meta',
+  titulo: mensaje.titulo,
+  mensaje: mensaje.texto,
+  datos: mensaje.datos
+}));
+
+registrarCanalRecordatorio('email', ({ usuario, mensaje }) => enviarCorreo({
+  para: usuario.email,
+  asunto: mensaje.titulo,
+  texto: `Hola ${usuario.nombre}:\n\n${mensaje.texto}`
+}));
+
+// Por los webhooks registrados del usuario: el envío va firmado, se reintenta
+// y queda en el registro de entregas (ver services/webhooks.js)
+registrarCanalRecordatorio('webhook', async ({ usuario, meta, mensaje }) => {
+  const entregas = await emitirEvento(usuario._id, 'meta.recordatorio', { meta: meta._id, ...mensaje });
+
+  if (entregas.length === 0) {
+    throw new Error('No hay webhooks activos suscritos a meta.recordatorio');
+  }
+});
+
+// Entregar el mensaje por cada canal de la meta. Un canal que falla no impide
+// los demás; se devuelve el resultado de cada uno.
+export async function enviarRecordatorio(usuario, meta, mensaje) {
+  const resultados = {};
+
+  for (const nombre of meta.recordatorios.canales || []) {
+    const canal = canales.get(nombre);
+    if (!canal) {
+      resultados[nombre] = 'desconocido';
+      continue;
+    }
+
+    try {
+      await canal.enviar({ usuario, meta, mensaje });
+      resultados[nombre] = 'enviado';
+    } catch (error) {
+      console.error(`Error enviando recordatorio de la meta ${meta._id} por ${nombre}:`, error.message);
+      resultados[nombre] = 'error';
+    }
+  }
+
+  return resultados;
+}
@@ -0,0 +1,50 @@
+// services/reglas.js
+import Transaccion from '../models/transacciones.js';
+
+// Valores que tendría una transacción después de aplicarle la regla
+function resultadoRegla(regla, transaccion) {
+  const { categoria, subcategoria, etiquetas } = regla.acciones;
+
+  return {
+    categoria: categoria || transaccion.categoria,
+    subcategoria: categoria ? subcategoria : transaccion.subcategoria,
+    etiquetas: [...new Set([...(transaccion.etiquetas || []), ...etiquetas])]
+  };
+}
+
+// Simular la regla sobre el historial: transacciones que cambiarían y cómo (no guarda nada)
+export async function simularRegla(regla, limite = 50) {
+  const filtro = regla.filtroCambios();
+
+  const [transacciones, total] = await Promise.all([
+    Transaccion.find(filtro)
+      .sort({ fecha: -1 })
+      .limit(limite)
+      .select('fecha tipo descripcion monto metodo_pago categoria subcategoria etiquetas')
+      .lean(),
+    Transaccion.countDocuments(filtro)
+  ]);
+
+  return {
+    total,
+    cambios: transacciones.map(transaccion => ({
+      _id: transaccion._id,
+      fecha: transaccion.fecha,
+      tipo: transaccion.tipo,
+      descripcion: transaccion.descripcion,
+      monto: transaccion.monto,
+      antes: {
+        categoria: transaccion.categoria,
+        subcategoria: transaccion.subcategoria,
+        etiquetas: transaccion.etiquetas || []
+      },
+      despues: resultadoRegla(regla, transaccion)
+    }))
+  };
+}
+
+// Aplicar la regla a las transacciones existentes que la cumplen
+export async function aplicarRegla(regla) {
+  const resultado = await Transaccion.updateMany(regla.filtroCambios(), regla.actualizacion());
+  return { actualizadas: resultado.modifiedCount };
+}
@@ -0,0 +1,150 @@
+// services/sesiones.js
+import jwt from 'jsonwebtoken';
+import Sesion, { MAX_TOKENS_ANTERIORES } from '../models/sesion.js';
+import Usuario from '../models/usuario.js';
+import { generarTokenAleatorio, hashToken } from '../utils/tokens.js';
+
+// La configuración se lee en cada uso porque dotenv se carga después de los imports
+export const secretoJWT = () => process.env.JWT_SECRET || 'secreto_super_seguro_cambiar_en_produccion';
+
+// Duración del token de acceso (corta: se renueva con el refresh token)
+const duracionTokenAcceso = () => process.env.ACCESS_TOKEN_EXPIRA || '15m';
+
+// Días de validez de una sesión desde el login
+const diasSesion = () => parseInt(process.env.REFRESH_TOKEN_DIAS) || 30;
+
+// Error de autenticación con código para el cliente
+export function errorAuth(mensaje, codigo) {
+  const error = new Error(mensaje);
+  error.name = 'AuthError';
+  error.codigo = codigo;
+  return error;
+}
+
+// Token de acceso JWT asociado a una sesión
+export function generarTokenAcceso(usuario, sesionId) {
+  return jwt.sign(
+    {
+      id: usuario._id,
+      nombre: usuario.nombre,
+      email: usuario.email,
+      rol: usuario.rol,
+      sid: sesionId.toString()
+    },
+    secretoJWT(),
+    {
+      expiresIn: duracionTokenAcceso(),
+      issuer: 'FinSmart',
+      subject: usuario._id.toString()
+    }
+  );
+}
+
+// Iniciar una sesión nueva (login o registro)
+export async function crearSesion(usuario, { ip, userAgent } = {}) {
+  const refreshToken = generarTokenAleatorio();
+
+  const sesion = await Sesion.create({
+    usuario: usuario._id,
+    tokenHash: hashToken(refreshToken),
+    expiraEn: new Date(Date.now() + diasSesion() * 24 * 60 * 60 * 1000),
+    ip,
+    userAgent: userAgent?.slice(0, 500)
+  });
+
+  return {
+    token: generarTokenAcceso(usuario, sesion._id),
+    refreshToken,
+    sesion
+  };
+}
+
+// Canjear un refresh token por un par nuevo. Si se presenta un token ya rotado
+// se asume que fue robado y se revoca la sesión completa.
+export async function renovarSesion(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const ahora = new Date();
+  const nuevoToken = generarTokenAleatorio();
+
+  // Rotación atómica: solo una petición puede canjear el token vigente
+  const sesion = await Sesion.findOneAndUpdate(
+    { tokenHash: hash, revocadaEn: null, expiraEn: { $gt: ahora } },
+    {
+      $set: { tokenHash: hashToken(nuevoToken), ultimoUso: ahora },
+      $push: { tokensAnteriores: { $each: [hash], $slice: -MAX_TOKENS_ANTERIORES } }
+    },
+    { new: true }
+  );
+
+  if (!sesion) {
+    const reutilizada = await Sesion.findOneAndUpdate(
+      { tokensAnteriores: hash, revocadaEn: null },
+      { revocadaEn: ahora, motivoRevocacion: 'reutilizacion' }
+    );
+
+    if (reutilizada) {
+      console.warn(`⚠️ Reutilización de refresh token detectada; sesión ${reutilizada._id} revocada`);
+      throw errorAuth('Sesión revocada por seguridad. Inicia sesión nuevamente', 'TOKEN_REUSED');
+    }
+
+    throw errorAuth('Refresh token inválido o expirado', 'REFRESH_INVALID');
+  }
+
+  const usuario = await Usuario.findById(sesion.usuario);
+  if (!usuario || !usuario.activo) {
+    await revocarSesion(sesion._id, 'logout');
+    throw errorAuth('Usuario no válido o inactivo', 'USER_INVALID');
+  }
+
+  return {
+    token: generarTokenAcceso(usuario, sesion._id),
+    refreshToken: nuevoToken,
+    sesion
+  };
+}
+
+// Buscar la sesión a la que pertenece un refresh token (vigente o ya rotado)
+export async function sesionDeRefreshToken(refreshToken) {
+  const hash = hashToken(refreshToken);
+  return Sesion.findOne({ $or: [{ tokenHash: hash }, { tokensAnteriores: hash }] });
+}
+
+// Revocar una sesión
+export async function revocarSesion(sesionId, motivo) {
+  await Sesion.updateOne(
+    { _id: sesionId, revocadaEn: null },
+    { revocadaEn: new Date(), motivoRevocacion: motivo }
+  );
+}
+
+// Revocar todas las sesiones activas de un usuario
+export async function revocarSesionesUsuario(usuarioId, motivo) {
+  const resultado = await Sesion.updateMany(
+    { usuario: usuarioId, revocadaEn: null },
+    { revocadaEn: new Date(), motivoRevocacion: motivo }
+  );
+  return resultado.modifiedCount;
+}
+
+// Verificar un token de acceso: firma, vigencia y que su sesión no esté revocada
+export async function verificarTokenAcceso(token) {
+  const decoded = jwt.verify(token, secretoJWT());
+
+  // Los tokens de desafío de dos pasos nunca llevan sesión, así que tampoco pasan
+  if (!decoded.sid) {
+    throw errorAuth('Token sin sesión. Inicia sesión nuevamente', 'SESSION_REQUIRED');
+  }
+
+  const sesionActiva = await Sesion.exists({
+    _id: decoded.sid,
+    usuario: decoded.id,
+    revocadaEn: null,
+    expiraEn: { $gt: new Date() }
+  });
+
+  if (!sesionActiva) {
+    throw errorAuth('La sesión fue cerrada o expiró', 'SESSION_REVOKED');
+  }
+
+  return decoded;
+}
@@ -0,0 +1,263 @@
+// services/tiempoReal.js
+// Eventos en tiempo real por usuario (Server-Sent Events). Los cambios de
+// transacciones y metas de un hogar llegan a todos sus miembros. Los eventos se
+// publican en memoria y se guardan unos minutos para que un cliente que se
+// reconecta con Last-Event-ID reciba lo que se perdió.
+//
+// El bus es del proceso: con varias instancias del servidor, cada cliente solo
+// recibe los cambios hechos en la instancia a la que está conectado.
+import { EventEmitter } from 'events';
+import jwt from 'jsonwebtoken';
+import Hogar from '../models/hogar.js';
+import Sesion from '../models/sesion.js';
+import Usuario from '../models/usuario.js';
+import { errorAuth, secretoJWT } from './sesiones.js';
+
+// Eventos que se guardan por usuario y por cuánto tiempo
+const MAX_EVENTOS_HISTORIAL = 200;
+const RETENCION_HISTORIAL_MS = 15 * 60 * 1000;
+
+// El ticket permite abrir el stream con EventSource, que no envía encabezados
+const AUDIENCIA_TICKET = 'FinSmart:tiempo-real';
+const DURACION_TICKET = '1m';
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Los IDs llevan el inicio del proceso para detectar reconexiones tras un reinicio
+const inicioProceso = Date.now().toString(36);
+let secuencia = 0;
+
+const historiales = new Map();
+// Número del último evento descartado de cada usuario (para detectar huecos)
+const descartados = new Map();
+
+const numeroEvento = id => parseInt(String(id).split('-')[1]);
+
+function descartarPrimero(usuarioId, eventos) {
+  descartados.set(usuarioId, numeroEvento(eventos.shift().id));
+}
+
+function limpiarHistoriales(ahora = Date.now()) {
+  for (const [usuarioId, eventos] of historiales) {
+    while (eventos.length > 0 && ahora - eventos[0].fecha > RETENCION_HISTORIAL_MS) {
+      descartarPrimero(usuarioId, eventos);
+    }
+    if (eventos.length === 0) historiales.delete(usuarioId);
+  }
+}
+
+setInterval(limpiarHistoriales, 60 * 1000).unref();
+
+// Publicar un evento para todas las conexiones del usuario
+export function publicarEvento(usuarioId, evento, datos) {
+  const clave = String(usuarioId);
+  const registro = {
+    id: `${inicioProceso}-${++secuencia}`,
+    evento,
+    datos: JSON.parse(JSON.stringify(datos)),
+    fecha: Date.now()
+  };
+
+  const historial = historiales.get(clave) || [];
+  historial.push(registro);
+  if (historial.length > MAX_EVENTOS_HISTORIAL) descartarPrimero(clave, historial);
+  historiales.set(clave, historial);
+
+  bus.emit(clave, registro);
+  return registro;
+}
+
+// Recibir los eventos del usuario; devuelve la función para dejar de escuchar
+export function suscribir(usuarioId, oyente) {
+  const clave = String(usuarioId);
+  bus.on(clave, oyente);
+  return () => bus.off(clave, oyente);
+}
+
+// Eventos posteriores a `ultimoId`. `completo` es false si no se puede saber
+// qué se perdió (servidor reiniciado o historial ya descartado): el cliente
+// debe volver a cargar los datos.
+export function eventosDesde(usuarioId, ultimoId) {
+  const clave = String(usuarioId);
+  const ultimo = numeroEvento(ultimoId);
+
+  if (String(ultimoId).split('-')[0] !== inicioProceso || Number.isNaN(ultimo)) {
+    return { eventos: [], completo: false };
+  }
+
+  return {
+    eventos: (historiales.get(clave) || []).filter(registro => numeroEvento(registro.id) > ultimo),
+    completo: ultimo >= (descartados.get(clave) || 0)
+  };
+}
+
+// Ticket de un minuto para abrir el stream desde el navegador (?ticket=...)
+export function generarTicket(usuarioId, sesionId) {
+  return jwt.sign(
+    { id: usuarioId, sesion: String(sesionId), tipo: 'ticket_tiempo_real' },
+    secretoJWT(),
+    {
+      expiresIn: DURACION_TICKET,
+      issuer: 'FinSmart',
+      audience: AUDIENCIA_TICKET,
+      subject: String(usuarioId)
+    }
+  );
+}
+
+// Verificar el ticket y que su sesión siga activa; devuelve el usuario
+export async function verificarTicket(ticket) {
+  let decoded;
+  try {
+    decoded = jwt.verify(ticket, secretoJWT(), { audience: AUDIENCIA_TICKET });
+    if (decoded.tipo !== 'ticket_tiempo_real') throw new Error('Tipo de token incorrecto');
+  } catch {
+    throw errorAuth('El ticket de tiempo real es inválido o expiró', 'TICKET_INVALID');
+  }
+
+  const usuario = await verificarSesionStream(decoded.id, decoded.sesion);
+  return { id: usuario._id, nombre: usuario.nombre, email: usuario.email, rol: usuario.rol, sesion: decoded.sesion };
+}
+
+// Verificar que la sesión de un stream siga activa y su usuario también (se
+// revisa al abrirlo y en cada latido: cerrar sesión, cambiar la contraseña o
+// eliminar la cuenta cierran los streams abiertos). Devuelve el usuario.
+export async function verificarSesionStream(usuarioId, sesionId) {
+  const [sesionActiva, usuario] = await Promise.all([
+    Sesion.exists({ _id: sesionId, usuario: usuarioId, revocadaEn: null, expiraEn: { $gt: new Date() } }),
+    Usuario.findById(usuarioId).select('nombre email rol activo')
+  ]);
+
+  if (!sesionActiva) {
+    throw errorAuth('La sesión fue cerrada o expiró', 'SESSION_REVOKED');
+  }
+  if (!usuario?.activo) {
+    throw errorAuth('Usuario no válido o inactivo', 'USER_INVALID');
+  }
+
+  return usuario;
+}
+
+// Usuarios que ven los documentos: sus autores y los miembros de sus hogares
+async function destinatarios(documentos) {
+  const usuarios = new Set();
+  const hogares = new Set();
+
+  for (const documento of documentos.filter(Boolean)) {
+    usuarios.add(String(documento.usuario?._id || documento.usuario));
+    if (documento.hogar) hogares.add(String(documento.hogar._id || documento.hogar));
+  }
+
+  if (hogares.size > 0) {
+    const miembros = await Hogar.find({ _id: { $in: [...hogares] } }).select('miembros.usuario').lean();
+    miembros.forEach(hogar => hogar.miembros.forEach(({ usuario }) => usuarios.add(String(usuario))));
+  }
+
+  return [...usuarios];
+}
+
+// Publicar un evento para quienes ven los documentos (antes y después del
+// cambio, por si pasó de un hogar a otro). Sin hogar se publica en el momento.
+function publicarADestinatarios(documentos, evento, datos) {
+  if (!documentos.some(documento => documento?.hogar)) {
+    const [documento] = documentos.filter(Boolean);
+    publicarEvento(documento.usuario?._id || documento.usuario, evento, datos);
+    return;
+  }
+
+  destinatarios(documentos)
+    .then(usuarios => usuarios.forEach(usuarioId => publicarEvento(usuarioId, evento, datos)))
+    .catch(error => console.error(`Error publicando ${evento} en tiempo real:`, error));
+}
+
+// Efecto de una transacción en las estadísticas (signo = 1 al crearla, -1 al eliminarla)
+function efectoTransaccion(transaccion, signo) {
+  const delta = {
+    totalIngresos: 0,
+    totalGastos: 0,
+    balance: 0,
+    cantidadIngresos: 0,
+    cantidadGastos: 0,
+    saldosCuentas: {}
+  };
+  if (!transaccion) return delta;
+
+  const { tipo, monto } = transaccion;
+  const sumarSaldo = (cuenta, cantidad) => {
+    if (!cuenta) return;
+    const clave = String(cuenta._id || cuenta);
+    delta.saldosCuentas[clave] = (delta.saldosCuentas[clave] || 0) + cantidad;
+  };
+
+  if (tipo === 'ingreso') {
+    delta.totalIngresos = signo * monto;
+    delta.balance = signo * monto;
+    delta.cantidadIngresos = signo;
+    sumarSaldo(transaccion.cuenta, signo * monto);
+  } else if (tipo === 'gasto') {
+    delta.totalGastos = signo * monto;
+    delta.balance = -signo * monto;
+    delta.cantidadGastos = signo;
+    sumarSaldo(transaccion.cuenta, -signo * monto);
+  } else if (tipo === 'transferencia') {
+    sumarSaldo(transaccion.cuenta, -signo * monto);
+    sumarSaldo(transaccion.cuentaDestino, signo * (transaccion.montoDestino || monto));
+  }
+
+  return delta;
+}
+
+const redondear = monto => Math.round(monto * 100) / 100;
+
+// Sumar los efectos de varias transacciones
+function combinarEfectos(efectos) {
+  const delta = {};
+  for (const campo of ['totalIngresos', 'totalGastos', 'balance', 'cantidadIngresos', 'cantidadGastos']) {
+    delta[campo] = redondear(efectos.reduce((acc, efecto) => acc + efecto[campo], 0));
+  }
+
+  delta.saldosCuentas = {};
+  for (const { saldosCuentas } of efectos) {
+    for (const [cuenta, cantidad] of Object.entries(saldosCuentas)) {
+      delta.saldosCuentas[cuenta] = redondear((delta.saldosCuentas[cuenta] || 0) + cantidad);
+    }
+  }
+  for (const [cuenta, cantidad] of Object.entries(delta.saldosCuentas)) {
+    if (cantidad === 0) delete delta.saldosCuentas[cuenta];
+  }
+
+  return delta;
+}
+
+/**
+ * Cambio en las estadísticas de transacciones (las de GET /api/transacciones)
+ * y en el saldo de cada cuenta al pasar de `antes` a `despues`. Crear:
+ * antes = null; eliminar: despues = null.
+ */
+export const deltaTransaccion = (antes, despues) =>
+  combinarEfectos([efectoTransaccion(antes, -1), efectoTransaccion(despues, 1)]);
+
+// Publicar el cambio de una transacción con su efecto en estadísticas y saldos
+export function publicarTransaccion(evento, { antes = null, despues = null }) {
+  publicarADestinatarios([antes, despues], evento, {
+    transaccion: despues || antes,
+    delta: deltaTransaccion(antes, despues)
+  });
+}
+
+// Publicar transacciones creadas en bloque (importación) con su efecto total
+export function publicarTransaccionesCreadas(usuarioId, transacciones) {
+  return publicarEvento(usuarioId, 'transacciones.importadas', {
+    cantidad: transacciones.length,
+    delta: combinarEfectos(transacciones.map(transaccion => efectoTransaccion(transaccion, 1)))
+  });
+}
+
+// Publicar el cambio de una meta con la diferencia de saldo
+export function publicarMeta(evento, meta, montoAnterior = meta.montoActual) {
+  publicarADestinatarios([meta], evento, {
+    meta,
+    delta: { montoActual: redondear((evento === 'meta.eliminada' ? 0 : meta.montoActual) - montoAnterior) }
+  });
+}
@@ -0,0 +1,124 @@
+// services/transacciones.js
+import Transaccion from '../models/transacciones.js';
+import Presupuesto from '../models/presupuesto.js';
+import Cuenta from '../models/cuenta.js';
+import { CATEGORIA_POR_DEFECTO } from '../models/categoria.js';
+import { clasificarCategoria } from './categorias.js';
+import { asignarIngresoAMetas } from './metas.js';
+import { obtenerHogar } from './hogares.js';
+import { notificarTransaccion } from './notificaciones.js';
+import { emitirEvento } from './webhooks.js';
+import { publicarTransaccion } from './tiempoReal.js';
+
+// Verificar que la cuenta exista, pertenezca al usuario y esté activa
+export async function verificarCuenta(usuarioId, cuentaId) {
+  const cuenta = await Cuenta.findOne({ _id: cuentaId, usuario: usuarioId, activa: true });
+
+  if (!cuenta) {
+    const error = new Error('Cuenta no encontrada');
+    error.name = 'NotFoundError';
+    throw error;
+  }
+
+  return cuenta;
+}
+
+// Crear una transacción aplicando los mismos efectos que POST /api/transacciones
+// (clasificación automática, ahorro automático en metas, alertas de presupuesto,
+// notificaciones y eventos de webhooks)
+export async function crearTransaccion(usuarioId, datos) {
+  const { descripcion, categoria, ...otrosDatos } = datos;
+
+  if (otrosDatos.cuenta) {
+    await verificarCuenta(usuarioId, otrosDatos.cuenta);
+  }
+
+  // Para compartirla con un hogar hay que ser propietario o editor
+  if (otrosDatos.hogar) {
+    await obtenerHogar(usuarioId, otrosDatos.hogar, 'escritura');
+  }
+
+  const nuevaTransaccion = new Transaccion({
+    ...otrosDatos,
+    descripcion,
+    categoria,
+    categoriaConfirmada: Boolean(categoria),
+    usuario: usuarioId
+  });
+
+  // Clasificar automáticamente (reglas y palabras clave) si no se proporciona categoría
+  if (!categoria) {
+    const clasificacion = await clasificarCategoria(usuarioId, nuevaTransaccion);
+    nuevaTransaccion.set({
+      categoria: clasificacion.categoria,
+      subcategoria: nuevaTransaccion.subcategoria || clasificacion.subcategoria,
+      etiquetas: [...new Set([...nuevaTransaccion.etiquetas, ...(clasificacion.etiquetas || [])])]
+    });
+  }
+
+  const transaccion = await nuevaTransaccion.save();
+
+  // Si es un ingreso personal, repartir una parte entre las metas activas
+  // (según la configuración de ahorro automático del usuario)
+  const asignacionesAhorro = transaccion.tipo === 'ingreso' && !transaccion.hogar
+    ? await asignarIngresoAMetas(usuarioId, transaccion)
+    : [];
+
+  // Si es un gasto, verificar umbrales del presupuesto de su categoría
+  const alertasPresupuesto = await Presupuesto.verificarUmbrales(transaccion);
+
+  // Avisos en la aplicación (alertas de presupuesto y montos grandes)
+  await notificarTransaccion(transaccion, alertasPresupuesto);
+
+  // Eventos para los webhooks y las conexiones en tiempo real del usuario
+  publicarTransaccion('transaccion.creada', { despues: transaccion });
+  await emitirEvento(usuarioId, 'transaccion.creada', { transaccion });
+  for (const alerta of alertasPresupuesto.filter(alerta => alerta.umbral >= 100)) {
+    await emitirEvento(usuarioId, 'presupuesto.excedido', { ...alerta, transaccion: transaccion._id });
+  }
+
+  return { transaccion, alertasPresupuesto, asignacionesAhorro };
+}
+
+// Crear una transferencia entre dos cuentas del usuario.
+// No cuenta como ingreso ni gasto en las estadísticas.
+export async function crearTransferencia(usuarioId, datos) {
+  const { cuentaOrigen, cuentaDestino, monto, montoDestino, fecha, descripcion, notas } = datos;
+
+  if (String(cuentaOrigen) === String(cuentaDestino)) {
+    const error = new Error('La cuenta origen y destino deben ser distintas');
+    error.name = 'TransferenciaError';
+    throw error;
+  }
+
+  const [origen, destino] = await Promise.all([
+    verificarCuenta(usuarioId, cuentaOrigen),
+    verificarCuenta(usuarioId, cuentaDestino)
+  ]);
+
+  if (origen.moneda !== destino.moneda && !montoDestino) {
+    const error = new Error('Las cuentas tienen distinta moneda: indica el monto destino');
+    error.name = 'TransferenciaError';
+    throw error;
+  }
+
+  const transferencia = new Transaccion({
+    usuario: usuarioId,
+    tipo: 'transferencia',
+    cuenta: origen._id,
+    cuentaDestino: destino._id,
+    monto,
+    montoDestino: origen.moneda !== destino.moneda ? montoDestino : undefined,
+    fecha,
+    descripcion: descripcion || `Transferencia de ${origen.nombre} a ${destino.nombre}`,
+    categoria: CATEGORIA_POR_DEFECTO,
+    metodo_pago: 'transferencia',
+    notas
+  });
+
+  await transferencia.save();
+  publicarTransaccion('transaccion.creada', { despues: transferencia });
+  await emitirEvento(usuarioId, 'transaccion.creada', { transaccion: transferencia });
+
+  return transferencia;
+}
@@ -0,0 +1,173 @@
+// services/webhooks.js
+// Eventos salientes: cada evento se guarda como una entrega por webhook suscrito,
+// se envía firmado con HMAC-SHA256 y se reintenta con espera exponencial
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Webhook from '../models/webhook.js';
+import EntregaWebhook from '../models/entregaWebhook.js';
+import { secretoJWT } from './sesiones.js';
+import { postSaliente } from './httpSaliente.js';
+import { cifrar, descifrar } from '../utils/cifrado.js';
+
+// Intentos antes de dar una entrega por fallida (esperas de 30s, 1m, 2m, 4m... ~1h en total)
+export const MAX_INTENTOS_ENTREGA = 8;
+const ESPERA_BASE_MS = 30 * 1000;
+
+// Tiempo que una instancia reserva una entrega mientras la envía
+const RESERVA_ENTREGA_MS = 2 * 60 * 1000;
+const TIMEOUT_ENVIO_MS = 10 * 1000;
+
+// Clave para cifrar los secretos de firma (se lee en cada uso, como el resto de la configuración)
+const claveCifrado = () => process.env.CLAVE_CIFRADO_WEBHOOKS || secretoJWT();
+
+export const generarSecretoWebhook = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+export const cifrarSecretoWebhook = secreto => cifrar(secreto, claveCifrado());
+
+// Espera antes del intento siguiente al número `intentos`
+export const esperaReintento = intentos => ESPERA_BASE_MS * 2 ** (intentos - 1);
+
+/**
+ * Firma de un envío: HMAC-SHA256 de "<timestamp>.<cuerpo>" con el secreto del
+ * webhook. Se envía en X-FinSmart-Firma como "t=<timestamp>,v1=<firma hex>";
+ * el receptor la recalcula con el cuerpo crudo y descarta timestamps viejos.
+ */
+export function firmarPayload(secreto, timestamp, cuerpo) {
+  return crypto.createHmac('sha256', secreto).update(`${timestamp}.${cuerpo}`).digest('hex');
+}
+
+// Serializar documentos de Mongoose como los devuelve la API
+const aJSON = datos => JSON.parse(JSON.stringify(datos));
+
+// Registrar un evento para los webhooks activos del usuario suscritos a él.
+// Sin sesión, las entregas se intentan enseguida; dentro de una transacción de
+// MongoDB las envía el programador después de confirmarla.
+export async function emitirEvento(usuarioId, evento, datos, { session = null } = {}) {
+  try {
+    const webhooks = await Webhook.find({ usuario: usuarioId, activo: true, eventos: evento })
+      .select('_id')
+      .session(session);
+
+    if (webhooks.length === 0) return [];
+
+    const creadoEn = new Date();
+    const entregas = await EntregaWebhook.insertMany(webhooks.map(webhook => {
+      const _id = new mongoose.Types.ObjectId();
+      return {
+        _id,
+        webhook: webhook._id,
+        usuario: usuarioId,
+        evento,
+        payload: { id: String(_id), evento, creadoEn, datos: aJSON(datos) }
+      };
+    }), { session });
+
+    if (!session) {
+      for (const entrega of entregas) {
+        intentarEntrega(entrega._id).catch(error =>
+          console.error(`Error enviando la entrega ${entrega._id}:`, error));
+      }
+    }
+
+    return entregas;
+  } catch (error) {
+    console.error(`Error emitiendo evento ${evento}:`, error);
+    return [];
+  }
+}
+
+// Enviar el cuerpo firmado a la URL del webhook y devolver el resultado del
+// intento. Solo se guarda el código de estado: el cuerpo de la respuesta no se
+// lee para que el webhook no sirva para consultar servicios de terceros.
+export async function enviarPayload(webhook, entrega) {
+  const cuerpo = JSON.stringify(entrega.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const firma = firmarPayload(descifrar(webhook.secreto, claveCifrado()), timestamp, cuerpo);
+  const inicio = Date.now();
+
+  try {
+    const { codigo, exito } = await postSaliente(webhook.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FinSmart-Webhooks',
+        'X-FinSmart-Evento': entrega.evento,
+        'X-FinSmart-Entrega': String(entrega._id),
+        'X-FinSmart-Firma': `t=${timestamp},v1=${firma}`
+      },
+      cuerpo,
+      timeoutMs: TIMEOUT_ENVIO_MS
+    });
+
+    return {
+      fecha: new Date(inicio),
+      codigo,
+      duracionMs: Date.now() - inicio,
+      exito
+    };
+  } catch (error) {
+    return {
+      fecha: new Date(inicio),
+      duracionMs: Date.now() - inicio,
+      error: ['TimeoutError', 'UrlSalienteError'].includes(error.name) ? error.message : (error.code || error.message),
+      exito: false
+    };
+  }
+}
+
+// Intentar una entrega pendiente. Se reserva de forma atómica para que dos
+// instancias del servidor no la envíen a la vez.
+export async function intentarEntrega(entregaId, ahora = new Date()) {
+  const entrega = await EntregaWebhook.findOneAndUpdate(
+    { _id: entregaId, estado: 'pendiente', proximoIntento: { $lte: ahora } },
+    { proximoIntento: new Date(ahora.getTime() + RESERVA_ENTREGA_MS) },
+    { new: true }
+  );
+  if (!entrega) return null;
+
+  const webhook = await Webhook.findById(entrega.webhook);
+  if (!webhook?.activo) {
+    entrega.estado = 'fallida';
+    entrega.intentos.push({ fecha: ahora, error: 'Webhook eliminado o desactivado' });
+    return entrega.save();
+  }
+
+  const { exito, ...intento } = await enviarPayload(webhook, entrega);
+  entrega.intentos.push(intento);
+
+  if (exito) {
+    entrega.estado = 'entregada';
+    entrega.entregadaEn = new Date();
+    await Webhook.updateOne({ _id: webhook._id }, { fallosConsecutivos: 0, ultimaEntrega: entrega.entregadaEn });
+  } else if (entrega.intentos.length >= MAX_INTENTOS_ENTREGA) {
+    entrega.estado = 'fallida';
+    await Webhook.updateOne({ _id: webhook._id }, { $inc: { fallosConsecutivos: 1 } });
+  } else {
+    entrega.proximoIntento = new Date(Date.now() + esperaReintento(entrega.intentos.length));
+  }
+
+  return entrega.save();
+}
+
+// Enviar un evento de prueba al webhook y devolver el resultado sin reintentos
+export async function enviarEventoPrueba(webhook) {
+  const _id = new mongoose.Types.ObjectId();
+  const entrega = new EntregaWebhook({
+    _id,
+    webhook: webhook._id,
+    usuario: webhook.usuario,
+    evento: 'webhook.prueba',
+    payload: {
+      id: String(_id),
+      evento: 'webhook.prueba',
+      creadoEn: new Date(),
+      datos: { webhook: String(webhook._id), mensaje: 'Evento de prueba de FinSmart' }
+    }
+  });
+
+  const { exito, ...intento } = await enviarPayload(webhook, entrega);
+  entrega.intentos.push(intento);
+  entrega.estado = exito ? 'entregada' : 'fallida';
+  if (exito) entrega.entregadaEn = new Date();
+
+  return entrega.save();
+}
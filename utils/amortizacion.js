@@ -0,0 +1,260 @@
+// utils/amortizacion.js
+// Tabla de amortización de un préstamo (sistema francés: cuota fija), estado
+// de una deuda según sus pagos reales y planificador para liquidar varias
+// deudas (bola de nieve o avalancha). Los montos se calculan en centavos.
+
+export const FRECUENCIAS_PAGO = ['semanal', 'quincenal', 'mensual', 'trimestral', 'anual'];
+
+export const PAGOS_POR_AÑO = { semanal: 52, quincenal: 26, mensual: 12, trimestral: 4, anual: 1 };
+
+// Estrategias del planificador: bola de nieve (menor saldo primero) y
+// avalancha (mayor tasa de interés primero)
+export const ESTRATEGIAS_PAGO = ['bola_de_nieve', 'avalancha'];
+
+// Tope de meses que simula el planificador (50 años)
+const MAX_MESES_PLAN = 600;
+const MS_DIA = 24 * 60 * 60 * 1000;
+
+const aCentavos = monto => Math.round(monto * 100);
+const aMonto = centavos => centavos / 100;
+
+// Sumar meses conservando el día (o el último día si el mes es más corto)
+function sumarMeses(fechaBase, meses) {
+  const fecha = new Date(fechaBase);
+  const dia = fecha.getDate();
+  // Ir al día 1 para evitar desbordes (ej. 31 de enero + 1 mes)
+  fecha.setDate(1);
+  fecha.setMonth(fecha.getMonth() + meses);
+  const ultimoDia = new Date(fecha.getFullYear(), fecha.getMonth() + 1, 0).getDate();
+  fecha.setDate(Math.min(dia, ultimoDia));
+  return fecha;
+}
+
+// Fecha del pago número `numero` (el primero vence un periodo después del inicio)
+export function fechaPago(fechaInicio, frecuencia, numero) {
+  const fecha = new Date(fechaInicio);
+
+  switch (frecuencia) {
+    case 'semanal':
+      fecha.setDate(fecha.getDate() + 7 * numero);
+      return fecha;
+    case 'quincenal':
+      fecha.setDate(fecha.getDate() + 14 * numero);
+      return fecha;
+    case 'trimestral':
+      return sumarMeses(fecha, 3 * numero);
+    case 'anual':
+      return sumarMeses(fecha, 12 * numero);
+    default:
+      return sumarMeses(fecha, numero);
+  }
+}
+
+// Tasa de interés de cada periodo de pago
+const tasaPeriodica = (tasaAnual, frecuencia) => (tasaAnual || 0) / 100 / PAGOS_POR_AÑO[frecuencia];
+
+/**
+ * Cuota fija que liquida el préstamo en `numeroPagos` pagos.
+ *
+ * @param {number} principal - Monto prestado
+ * @param {number} tasaAnual - Tasa de interés nominal anual en porcentaje (ej. 12)
+ * @param {number} numeroPagos - Cantidad de pagos
+ * @param {string} frecuencia - Una de FRECUENCIAS_PAGO
+ */
+export function calcularCuota(principal, tasaAnual, numeroPagos, frecuencia = 'mensual') {
+  const tasa = tasaPeriodica(tasaAnual, frecuencia);
+  const cuota = tasa === 0
+    ? principal / numeroPagos
+    : principal * tasa / (1 - (1 + tasa) ** -numeroPagos);
+
+  return aMonto(Math.ceil(Math.round(cuota * 1e6) / 1e4));
+}
+
+/**
+ * Tabla de amortización: cuota, interés, capital y saldo de cada pago. La
+ * cuota se redondea hacia arriba al centavo, así que el último pago es algo
+ * menor y deja el saldo exactamente en cero.
+ *
+ * @returns {Array<{ numero, fecha, cuota, interes, capital, saldo }>}
+ */
+export function calcularAmortizacion({ principal, tasaInteres = 0, plazo, frecuencia = 'mensual', fechaInicio = new Date() }) {
+  const tasa = tasaPeriodica(tasaInteres, frecuencia);
+  const cuota = aCentavos(calcularCuota(principal, tasaInteres, plazo, frecuencia));
+  let saldo = aCentavos(principal);
+  const tabla = [];
+
+  for (let numero = 1; numero <= plazo && saldo > 0; numero++) {
+    const interes = Math.round(saldo * tasa);
+    const capital = numero === plazo ? saldo : Math.min(saldo, cuota - interes);
+    saldo -= capital;
+
+    tabla.push({
+      numero,
+      fecha: fechaPago(fechaInicio, frecuencia, numero),
+      cuota: aMonto(capital + interes),
+      interes: aMonto(interes),
+      capital: aMonto(capital),
+      saldo: aMonto(saldo)
+    });
+  }
+
+  return tabla;
+}
+
+/**
+ * Aplicar los pagos reales a una deuda. El interés se devenga por días
+ * (tasa anual / 365) sobre el saldo desde el inicio o el pago anterior; cada
+ * pago cubre primero ese interés y el resto reduce el capital.
+ *
+ * @param {Object} deuda - { principal, tasaInteres, fechaInicio }
+ * @param {Array} pagos - [{ monto, fecha }] en cualquier orden
+ * @param {Date} hoy - Fecha hasta la que se calcula el interés pendiente
+ * @returns {{ pagos, saldoPendiente, capitalPagado, interesPagado, totalPagado, interesPendiente }}
+ *   `pagos` trae el interés y el capital de cada pago, en orden de fecha
+ */
+export function aplicarPagos({ principal, tasaInteres = 0, fechaInicio }, pagos, hoy = new Date()) {
+  const tasaDiaria = (tasaInteres || 0) / 100 / 365;
+  const interesEntre = (saldo, desde, hasta) =>
+    Math.max(0, Math.round(saldo * tasaDiaria * Math.max(0, (new Date(hasta) - new Date(desde)) / MS_DIA)));
+
+  let saldo = aCentavos(principal);
+  let interesAcumulado = 0;
+  let ultimaFecha = new Date(fechaInicio);
+  let interesPagado = 0;
+  let totalPagado = 0;
+
+  const ordenados = [...pagos].sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+  const aplicados = ordenados.map(pago => {
+    const monto = aCentavos(pago.monto);
+    if (new Date(pago.fecha) > ultimaFecha) {
+      interesAcumulado += interesEntre(saldo, ultimaFecha, pago.fecha);
+      ultimaFecha = new Date(pago.fecha);
+    }
+
+    const interes = Math.min(monto, interesAcumulado);
+    const capital = Math.min(saldo, monto - interes);
+    interesAcumulado -= interes;
+    saldo -= capital;
+    interesPagado += interes;
+    totalPagado += interes + capital;
+
+    return { ...pago, interes: aMonto(interes), capital: aMonto(capital), excedente: aMonto(monto - interes - capital) };
+  });
+
+  const interesPendiente = saldo > 0 ? interesAcumulado + interesEntre(saldo, ultimaFecha, hoy) : 0;
+
+  return {
+    pagos: aplicados,
+    saldoPendiente: aMonto(saldo),
+    capitalPagado: aMonto(aCentavos(principal) - saldo),
+    interesPagado: aMonto(interesPagado),
+    totalPagado: aMonto(totalPagado),
+    interesPendiente: aMonto(interesPendiente)
+  };
+}
+
+// Orden en que cada estrategia dirige el pago extra
+const ORDEN_ESTRATEGIA = {
+  bola_de_nieve: (a, b) => a.saldo - b.saldo || b.tasa - a.tasa,
+  avalancha: (a, b) => b.tasa - a.tasa || a.saldo - b.saldo
+};
+
+/**
+ * Simular mes a mes el pago de varias deudas. Cada mes se pagan las cuotas
+ * mínimas y el pago extra (más las cuotas de las deudas ya liquidadas) va a
+ * la primera deuda según la estrategia.
+ *
+ * @param {Array} deudas - [{ id, titulo, saldo, tasaInteres, pagoMensual }]
+ * @param {Object} opciones - { estrategia, pagoExtra, fechaInicio }
+ * @returns {{ estrategia, completo, meses, fechaFin, interesTotal, totalPagado, orden }}
+ *   `orden` trae cada deuda con el mes en que se liquida; `completo` es false
+ *   si no se liquidan en MAX_MESES_PLAN (cuotas que no cubren el interés)
+ */
+export function simularPlanPago(deudas, { estrategia = 'avalancha', pagoExtra = 0, fechaInicio = new Date() } = {}) {
+  const estado = deudas.map(deuda => ({
+    id: String(deuda.id),
+    titulo: deuda.titulo,
+    saldo: aCentavos(deuda.saldo),
+    tasa: (deuda.tasaInteres || 0) / 100 / 12,
+    minimo: aCentavos(deuda.pagoMensual),
+    interesPagado: 0,
+    mesLiquidacion: null
+  }));
+
+  const extra = aCentavos(pagoExtra);
+  let interesTotal = 0;
+  let totalPagado = 0;
+  let mes = 0;
+
+  while (estado.some(deuda => deuda.saldo > 0) && mes < MAX_MESES_PLAN) {
+    mes++;
+    const pendientes = estado.filter(deuda => deuda.saldo > 0);
+
+    for (const deuda of pendientes) {
+      const interes = Math.round(deuda.saldo * deuda.tasa);
+      deuda.saldo += interes;
+      deuda.interesPagado += interes;
+      interesTotal += interes;
+    }
+
+    // Lo disponible este mes: las cuotas de todas las deudas más el extra
+    let disponible = extra + estado.reduce((acc, deuda) => acc + deuda.minimo, 0);
+
+    for (const deuda of pendientes) {
+      const pago = Math.min(deuda.saldo, deuda.minimo, disponible);
+      deuda.saldo -= pago;
+      disponible -= pago;
+    }
+
+    for (const deuda of [...pendientes].sort(ORDEN_ESTRATEGIA[estrategia])) {
+      if (disponible <= 0) break;
+      const pago = Math.min(deuda.saldo, disponible);
+      deuda.saldo -= pago;
+      disponible -= pago;
+    }
+
+    totalPagado += extra + estado.reduce((acc, deuda) => acc + deuda.minimo, 0) - disponible;
+
+    for (const deuda of pendientes) {
+      if (deuda.saldo === 0) deuda.mesLiquidacion = mes;
+    }
+  }
+
+  const completo = estado.every(deuda => deuda.saldo === 0);
+
+  return {
+    estrategia,
+    completo,
+    meses: completo ? mes : null,
+    fechaFin: completo ? sumarMeses(fechaInicio, mes) : null,
+    interesTotal: aMonto(interesTotal),
+    totalPagado: aMonto(totalPagado),
+    orden: [...estado]
+      .sort((a, b) => (a.mesLiquidacion ?? Infinity) - (b.mesLiquidacion ?? Infinity))
+      .map(deuda => ({
+        deuda: deuda.id,
+        titulo: deuda.titulo,
+        mesLiquidacion: deuda.mesLiquidacion,
+        fechaLiquidacion: deuda.mesLiquidacion ? sumarMeses(fechaInicio, deuda.mesLiquidacion) : null,
+        interesPagado: aMonto(deuda.interesPagado)
+      }))
+  };
+}
+
+// Comparar bola de nieve y avalancha con el mismo pago extra
+export function compararEstrategias(deudas, opciones = {}) {
+  const [bolaDeNieve, avalancha] = ESTRATEGIAS_PAGO.map(estrategia =>
+    simularPlanPago(deudas, { ...opciones, estrategia }));
+
+  const ahorroInteres = aMonto(aCentavos(bolaDeNieve.interesTotal) - aCentavos(avalancha.interesTotal));
+
+  return {
+    bolaDeNieve,
+    avalancha,
+    // Lo que ahorra la avalancha en intereses (negativo si cuesta más)
+    ahorroInteresAvalancha: ahorroInteres,
+    recomendada: ahorroInteres > 0 || (ahorroInteres === 0 && (avalancha.meses ?? Infinity) < (bolaDeNieve.meses ?? Infinity))
+      ? 'avalancha'
+      : 'bola_de_nieve'
+  };
+}
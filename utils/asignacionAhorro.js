@@ -0,0 +1,121 @@
+// utils/asignacionAhorro.js
+// Reparto de un monto de ahorro entre metas. Los cálculos se hacen en
+// centavos para que la suma de las asignaciones coincida con el monto.
+
+const ORDEN_PRIORIDAD = { alta: 0, media: 1, baja: 2 };
+
+const aCentavos = monto => Math.round(monto * 100);
+const aMonto = centavos => centavos / 100;
+
+// Fecha límite para ordenar (las metas sin fecha van al final)
+const tiempoLimite = meta => (meta.fechaLimite ? new Date(meta.fechaLimite).getTime() : Infinity);
+
+const porPrioridad = (a, b) =>
+  (ORDEN_PRIORIDAD[a.prioridad] ?? 1) - (ORDEN_PRIORIDAD[b.prioridad] ?? 1) ||
+  tiempoLimite(a) - tiempoLimite(b);
+
+const porFechaLimite = (a, b) =>
+  tiempoLimite(a) - tiempoLimite(b) ||
+  (ORDEN_PRIORIDAD[a.prioridad] ?? 1) - (ORDEN_PRIORIDAD[b.prioridad] ?? 1);
+
+// Monto a ahorrar de un ingreso según la configuración
+export function montoAhorro(montoIngreso, { modo, porcentaje, montoFijo }) {
+  const centavos = modo === 'monto_fijo'
+    ? Math.min(aCentavos(montoFijo), aCentavos(montoIngreso))
+    : Math.floor(aCentavos(montoIngreso) * porcentaje / 100);
+
+  return aMonto(Math.max(0, centavos));
+}
+
+// Llenar las metas en orden hasta agotar el monto
+function repartirEnOrden(disponible, items) {
+  const resultado = new Map();
+  for (const item of items) {
+    if (disponible <= 0) break;
+    const asignado = Math.min(disponible, item.faltante);
+    resultado.set(item.id, asignado);
+    disponible -= asignado;
+  }
+  return resultado;
+}
+
+// Repartir en proporción a los pesos sin superar lo que le falta a cada meta;
+// el excedente de las metas que se completan se vuelve a repartir entre las demás
+function repartirPorPesos(disponible, items) {
+  const resultado = new Map(items.map(item => [item.id, 0]));
+  let pendientes = items.filter(item => item.peso > 0 && item.faltante > 0);
+
+  while (disponible > 0 && pendientes.length > 0) {
+    const pesoTotal = pendientes.reduce((acc, item) => acc + item.peso, 0);
+    let repartido = 0;
+
+    for (const item of pendientes) {
+      const cupo = item.faltante - resultado.get(item.id);
+      const parte = Math.min(cupo, Math.floor(disponible * item.peso / pesoTotal));
+      resultado.set(item.id, resultado.get(item.id) + parte);
+      repartido += parte;
+    }
+
+    // Centavos sobrantes por redondeo: uno por meta, en orden
+    let sobrante = disponible - repartido;
+    for (const item of pendientes) {
+      if (sobrante <= 0) break;
+      if (resultado.get(item.id) < item.faltante) {
+        resultado.set(item.id, resultado.get(item.id) + 1);
+        repartido++;
+        sobrante--;
+      }
+    }
+
+    if (repartido === 0) break;
+    disponible -= repartido;
+    pendientes = pendientes.filter(item => resultado.get(item.id) < item.faltante);
+  }
+
+  return resultado;
+}
+
+/**
+ * Calcular cuánto asignar a cada meta.
+ *
+ * @param {number} monto - Monto total a repartir
+ * @param {Array} metas - Metas activas ({ _id, montoObjetivo, montoActual, prioridad, fechaLimite })
+ * @param {Object} configuracion - { estrategia, pesos: [{ meta, peso }] }
+ * @returns {Array<{ meta, monto }>} Asignaciones mayores a 0 (en orden de llenado si la estrategia es ordenada)
+ */
+export function calcularAsignaciones(monto, metas, { estrategia = 'prioridad', pesos = [] } = {}) {
+  const items = metas
+    .map(meta => ({
+      id: String(meta._id),
+      meta,
+      faltante: Math.max(0, aCentavos(meta.montoObjetivo) - aCentavos(meta.montoActual))
+    }))
+    .filter(item => item.faltante > 0);
+
+  const disponible = aCentavos(monto);
+  if (disponible <= 0 || items.length === 0) return [];
+
+  let orden = items;
+  let resultado;
+  switch (estrategia) {
+    case 'proporcional':
+      resultado = repartirPorPesos(disponible, items.map(item => ({ ...item, peso: item.faltante })));
+      break;
+    case 'pesos': {
+      const pesoPorMeta = new Map(pesos.map(({ meta, peso }) => [String(meta), peso]));
+      resultado = repartirPorPesos(disponible, items.map(item => ({ ...item, peso: pesoPorMeta.get(item.id) || 0 })));
+      break;
+    }
+    case 'fecha_limite':
+      orden = [...items].sort((a, b) => porFechaLimite(a.meta, b.meta));
+      resultado = repartirEnOrden(disponible, orden);
+      break;
+    default:
+      orden = [...items].sort((a, b) => porPrioridad(a.meta, b.meta));
+      resultado = repartirEnOrden(disponible, orden);
+  }
+
+  return orden
+    .filter(item => resultado.get(item.id) > 0)
+    .map(item => ({ meta: item.meta, monto: aMonto(resultado.get(item.id)) }));
+}
@@ -0,0 +1,111 @@
+// utils/bayes.js
+// Clasificador naive Bayes multinomial sobre características de una transacción
+
+// Palabras demasiado frecuentes para aportar información
+const PALABRAS_VACIAS = new Set([
+  'de', 'del', 'la', 'el', 'los', 'las', 'en', 'y', 'a', 'por', 'para', 'con',
+  'un', 'una', 'al', 'pago', 'compra', 'cargo', 'abono'
+]);
+
+// Límites (en unidades de moneda) de los rangos de monto
+const RANGOS_MONTO = [10, 50, 100, 500, 1000, 5000];
+
+// Separar la descripción en palabras normalizadas (sin acentos ni números)
+export function tokenizar(descripcion = '') {
+  return descripcion
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z]+/)
+    .filter(palabra => palabra.length > 2 && !PALABRAS_VACIAS.has(palabra));
+}
+
+// Rango del monto para usarlo como característica discreta
+export function rangoMonto(monto) {
+  const valor = Math.abs(Number(monto));
+  if (!Number.isFinite(valor)) return null;
+
+  const indice = RANGOS_MONTO.findIndex(limite => valor < limite);
+  return indice === -1 ? `>=${RANGOS_MONTO.at(-1)}` : `<${RANGOS_MONTO[indice]}`;
+}
+
+// Características de una transacción: palabras de la descripción, rango de monto,
+// método de pago y tipo
+export function caracteristicas({ descripcion, monto, metodo_pago, tipo }) {
+  const resultado = new Set(tokenizar(descripcion).map(palabra => `p:${palabra}`));
+
+  const rango = monto !== undefined && monto !== null ? rangoMonto(monto) : null;
+  if (rango) resultado.add(`m:${rango}`);
+  if (metodo_pago) resultado.add(`mp:${metodo_pago}`);
+  if (tipo) resultado.add(`t:${tipo}`);
+
+  return [...resultado];
+}
+
+// Entrenar un modelo con ejemplos { caracteristicas, etiqueta }
+export function entrenar(ejemplos) {
+  const modelo = {
+    totalEjemplos: 0,
+    ejemplosPorEtiqueta: new Map(),
+    frecuencias: new Map(),
+    totalPorEtiqueta: new Map(),
+    vocabulario: new Set()
+  };
+
+  for (const { caracteristicas: lista, etiqueta } of ejemplos) {
+    modelo.totalEjemplos++;
+    modelo.ejemplosPorEtiqueta.set(etiqueta, (modelo.ejemplosPorEtiqueta.get(etiqueta) || 0) + 1);
+
+    if (!modelo.frecuencias.has(etiqueta)) modelo.frecuencias.set(etiqueta, new Map());
+    const frecuencias = modelo.frecuencias.get(etiqueta);
+
+    for (const caracteristica of lista) {
+      frecuencias.set(caracteristica, (frecuencias.get(caracteristica) || 0) + 1);
+      modelo.vocabulario.add(caracteristica);
+    }
+    modelo.totalPorEtiqueta.set(etiqueta, (modelo.totalPorEtiqueta.get(etiqueta) || 0) + lista.length);
+  }
+
+  return modelo;
+}
+
+// Verificar si el modelo vio alguna de las palabras de la descripción
+export function conocePalabras(modelo, lista) {
+  return lista.some(caracteristica => caracteristica.startsWith('p:') && modelo.vocabulario.has(caracteristica));
+}
+
+// Probabilidad de cada etiqueta (suavizado de Laplace), ordenadas de mayor a menor.
+// `etiquetasValidas` descarta del resultado las etiquetas que ya no se pueden asignar,
+// sin repartir entre las restantes la probabilidad de las descartadas.
+export function predecir(modelo, lista, etiquetasValidas) {
+  const etiquetas = [...modelo.ejemplosPorEtiqueta.keys()];
+  if (etiquetas.length === 0) return [];
+
+  const tamañoVocabulario = modelo.vocabulario.size;
+  // Las características nunca vistas no aportan información a ninguna etiqueta
+  const conocidas = lista.filter(caracteristica => modelo.vocabulario.has(caracteristica));
+
+  const puntajes = etiquetas.map(etiqueta => {
+    const frecuencias = modelo.frecuencias.get(etiqueta);
+    const denominador = modelo.totalPorEtiqueta.get(etiqueta) + tamañoVocabulario;
+
+    let logProbabilidad = Math.log(
+      (modelo.ejemplosPorEtiqueta.get(etiqueta) + 1) / (modelo.totalEjemplos + etiquetas.length)
+    );
+    for (const caracteristica of conocidas) {
+      logProbabilidad += Math.log(((frecuencias.get(caracteristica) || 0) + 1) / denominador);
+    }
+
+    return { etiqueta, logProbabilidad };
+  });
+
+  // Normalizar con softmax (restando el máximo para evitar desbordes)
+  const maximo = Math.max(...puntajes.map(p => p.logProbabilidad));
+  const exponenciales = puntajes.map(p => Math.exp(p.logProbabilidad - maximo));
+  const suma = exponenciales.reduce((acc, valor) => acc + valor, 0);
+
+  return puntajes
+    .map((p, i) => ({ etiqueta: p.etiqueta, probabilidad: exponenciales[i] / suma }))
+    .filter(p => !etiquetasValidas || etiquetasValidas.has(p.etiqueta))
+    .sort((a, b) => b.probabilidad - a.probabilidad);
+}
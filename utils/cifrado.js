@@ -0,0 +1,23 @@
+// utils/cifrado.js
+// Cifrado simétrico (AES-256-GCM) para secretos que deben poder recuperarse,
+// a diferencia de los tokens, que solo se guardan como hash
+import crypto from 'crypto';
+
+const derivarClave = clave => crypto.createHash('sha256').update(clave).digest();
+
+// Devuelve "iv.tag.datos" en base64url
+export function cifrar(texto, clave) {
+  const iv = crypto.randomBytes(12);
+  const cifrador = crypto.createCipheriv('aes-256-gcm', derivarClave(clave), iv);
+  const datos = Buffer.concat([cifrador.update(texto, 'utf8'), cifrador.final()]);
+
+  return [iv, cifrador.getAuthTag(), datos].map(parte => parte.toString('base64url')).join('.');
+}
+
+export function descifrar(cifrado, clave) {
+  const [iv, tag, datos] = cifrado.split('.').map(parte => Buffer.from(parte, 'base64url'));
+  const descifrador = crypto.createDecipheriv('aes-256-gcm', derivarClave(clave), iv);
+  descifrador.setAuthTag(tag);
+
+  return Buffer.concat([descifrador.update(datos), descifrador.final()]).toString('utf8');
+}
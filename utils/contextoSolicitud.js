@@ -0,0 +1,21 @@
+// utils/contextoSolicitud.js
+// Contexto de la solicitud HTTP en curso, disponible en cualquier función
+// asíncrona que se ejecute a partir de ella (por ejemplo, hooks de Mongoose)
+import { AsyncLocalStorage } from 'async_hooks';
+
+const almacen = new AsyncLocalStorage();
+
+// Ejecutar `fn` dentro del contexto de una solicitud
+export function ejecutarConSolicitud(req, fn) {
+  return almacen.run({ req }, fn);
+}
+
+// Contexto actual o undefined fuera de una solicitud (tareas programadas, scripts)
+export function obtenerContexto() {
+  return almacen.getStore();
+}
+
+// Ejecutar `fn` sin registrar auditoría (por ejemplo, al borrar una cuenta)
+export function sinAuditoria(fn) {
+  return almacen.run({ ...almacen.getStore(), auditoriaDesactivada: true }, fn);
+}
@@ -0,0 +1,120 @@
+// utils/csv.js
+
+// Detectar el delimitador más probable a partir de la primera línea
+export function detectarDelimitador(texto) {
+  const primeraLinea = texto.split(/\r?\n/, 1)[0] || '';
+  const candidatos = [',', ';', '\t', '|'];
+
+  return candidatos.reduce((mejor, actual) => {
+    const cuenta = primeraLinea.split(actual).length;
+    return cuenta > primeraLinea.split(mejor).length ? actual : mejor;
+  }, ',');
+}
+
+// Parsear texto CSV (RFC 4180: comillas dobles y saltos de línea dentro de campos)
+export function parsearCSV(texto, delimitador = detectarDelimitador(texto)) {
+  const filas = [];
+  let fila = [];
+  let campo = '';
+  let enComillas = false;
+
+  // Quitar BOM si existe
+  const contenido = texto.charCodeAt(0) === 0xfeff ? texto.slice(1) : texto;
+
+  for (let i = 0; i < contenido.length; i++) {
+    const caracter = contenido[i];
+
+    if (enComillas) {
+      if (caracter === '"' && contenido[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (caracter === '"') {
+        enComillas = false;
+      } else {
+        campo += caracter;
+      }
+    } else if (caracter === '"') {
+      enComillas = true;
+    } else if (caracter === delimitador) {
+      fila.push(campo);
+      campo = '';
+    } else if (caracter === '\n' || caracter === '\r') {
+      if (caracter === '\r' && contenido[i + 1] === '\n') i++;
+      fila.push(campo);
+      filas.push(fila);
+      fila = [];
+      campo = '';
+    } else {
+      campo += caracter;
+    }
+  }
+
+  if (campo !== '' || fila.length > 0) {
+    fila.push(campo);
+    filas.push(fila);
+  }
+
+  // Descartar líneas vacías
+  return filas.filter(f => f.some(c => c.trim() !== ''));
+}
+
+// Escapar un valor para escribirlo en CSV
+export function escaparCampoCSV(valor, delimitador = ',') {
+  if (valor === null || valor === undefined) return '';
+  const texto = String(valor);
+  if (texto.includes('"') || texto.includes(delimitador) || /[\r\n]/.test(texto)) {
+    return `"${texto.replace(/"/g, '""')}"`;
+  }
+  return texto;
+}
+
+// Convertir un importe textual a número según el separador decimal
+export function parsearMonto(valor, separadorDecimal = '.') {
+  if (valor === null || valor === undefined) return NaN;
+
+  let texto = String(valor).trim().replace(/[^\d,.\-()+]/g, '');
+  if (!texto) return NaN;
+
+  // Formato contable: (123.45) es negativo
+  let negativo = false;
+  if (/^\(.*\)$/.test(texto)) {
+    negativo = true;
+    texto = texto.slice(1, -1);
+  }
+
+  const separadorMiles = separadorDecimal === ',' ? '.' : ',';
+  texto = texto.split(separadorMiles).join('');
+  if (separadorDecimal === ',') texto = texto.replace(',', '.');
+
+  const numero = parseFloat(texto);
+  return negativo ? -numero : numero;
+}
+
+// Convertir una fecha textual a Date (UTC) según el formato indicado
+export function parsearFecha(valor, formato = 'YYYY-MM-DD') {
+  const texto = String(valor || '').trim();
+  const partes = texto.split(/[^\d]/).filter(Boolean).map(Number);
+  if (partes.length < 3) return null;
+
+  let año, mes, dia;
+  switch (formato) {
+    case 'DD/MM/YYYY':
+      [dia, mes, año] = partes;
+      break;
+    case 'MM/DD/YYYY':
+      [mes, dia, año] = partes;
+      break;
+    case 'YYYY-MM-DD':
+    default:
+      [año, mes, dia] = partes;
+  }
+
+  if (año < 100) año += 2000;
+
+  const fecha = new Date(Date.UTC(año, mes - 1, dia));
+  const valida = fecha.getUTCFullYear() === año &&
+    fecha.getUTCMonth() === mes - 1 &&
+    fecha.getUTCDate() === dia;
+
+  return valida ? fecha : null;
+}
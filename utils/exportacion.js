@@ -0,0 +1,210 @@
+// utils/exportacion.js
+import { escaparCampoCSV } from './csv.js';
+
+export const FORMATOS_EXPORTACION = ['csv', 'excel', 'ofx'];
+
+const ENCABEZADOS = [
+  'Fecha', 'Tipo', 'Descripción', 'Categoría', 'Subcategoría',
+  'Monto', 'Método de pago', 'Cuenta', 'Notas'
+];
+
+// Escapar texto para XML
+function escaparXML(valor) {
+  return String(valor ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Anteponer ' a los textos que una hoja de cálculo interpretaría como fórmula
+// (descripciones y notas pueden venir de archivos de bancos importados)
+function neutralizarFormula(valor) {
+  if (typeof valor !== 'string' || !/^[=+\-@\t\r]/.test(valor)) return valor;
+  return `'${valor}`;
+}
+
+// Fecha como YYYY-MM-DD en la zona horaria indicada
+function fechaISOEnZona(fecha, zonaHoraria) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: zonaHoraria,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(fecha);
+}
+
+// Monto con signo: ingresos positivos y gastos negativos. Las transferencias
+// son negativas salvo cuando la cuenta exportada es la que recibe el dinero.
+export function montoConSigno(transaccion, cuentaId) {
+  if (transaccion.tipo === 'ingreso') return transaccion.monto;
+  if (transaccion.tipo === 'transferencia' && cuentaId &&
+      String(transaccion.cuentaDestino) === String(cuentaId)) {
+    return transaccion.montoDestino ?? transaccion.monto;
+  }
+  return -transaccion.monto;
+}
+
+// Valores de una transacción en el orden de ENCABEZADOS
+function valoresFila(transaccion, { cuentas, cuenta }) {
+  return [
+    transaccion.fecha,
+    transaccion.tipo,
+    transaccion.descripcion,
+    transaccion.categoria,
+    transaccion.subcategoria,
+    montoConSigno(transaccion, cuenta),
+    transaccion.metodo_pago,
+    cuentas[transaccion.cuenta] || '',
+    transaccion.notas
+  ];
+}
+
+// CSV con formato numérico y de fecha según el locale.
+// Si el locale usa coma decimal el delimitador es punto y coma (convención de Excel).
+function formateadorCSV(opciones) {
+  const { locale, zonaHoraria } = opciones;
+
+  const formatoNumero = new Intl.NumberFormat(locale, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+    useGrouping: false
+  });
+  const formatoFecha = new Intl.DateTimeFormat(locale, {
+    timeZone: zonaHoraria,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+
+  const separadorDecimal = formatoNumero.formatToParts(1.5).find(p => p.type === 'decimal')?.value;
+  const delimitador = separadorDecimal === ',' ? ';' : ',';
+  const linea = valores => valores.map(v => escaparCampoCSV(v, delimitador)).join(delimitador) + '\r\n';
+
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // BOM para que Excel detecte UTF-8
+    encabezado: () => '\uFEFF' + linea(ENCABEZADOS),
+    fila: transaccion => {
+      // Solo las columnas de texto: la fecha y el monto se formatean aquí
+      const valores = valoresFila(transaccion, opciones).map(neutralizarFormula);
+      valores[0] = formatoFecha.format(valores[0]);
+      valores[5] = formatoNumero.format(valores[5]);
+      return linea(valores);
+    },
+    pie: () => ''
+  };
+}
+
+// Hoja de cálculo XML de Excel (SpreadsheetML 2003): Excel la abre de forma nativa
+// y muestra números y fechas con la configuración regional del usuario
+function formateadorExcel(opciones) {
+  const celda = (tipo, valor, estilo) =>
+    `<Cell${estilo ? ` ss:StyleID="${estilo}"` : ''}><Data ss:Type="${tipo}">${escaparXML(valor)}</Data></Cell>`;
+
+  return {
+    contentType: 'application/vnd.ms-excel; charset=utf-8',
+    extension: 'xls',
+    encabezado: () => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<?mso-application progid="Excel.Sheet"?>',
+      '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+      '<Styles>',
+      '<Style ss:ID="encabezado"><Font ss:Bold="1"/></Style>',
+      '<Style ss:ID="fecha"><NumberFormat ss:Format="Short Date"/></Style>',
+      '<Style ss:ID="monto"><NumberFormat ss:Format="Standard"/></Style>',
+      '</Styles>',
+      '<Worksheet ss:Name="Transacciones"><Table>',
+      `<Row>${ENCABEZADOS.map(e => celda('String', e, 'encabezado')).join('')}</Row>`,
+      ''
+    ].join('\n'),
+    fila: transaccion => {
+      const valores = valoresFila(transaccion, opciones);
+      const fecha = `${fechaISOEnZona(valores[0], opciones.zonaHoraria)}T00:00:00.000`;
+
+      return '<Row>' +
+        celda('DateTime', fecha, 'fecha') +
+        valores.slice(1, 5).map(v => celda('String', v ?? '')).join('') +
+        celda('Number', valores[5], 'monto') +
+        valores.slice(6).map(v => celda('String', v ?? '')).join('') +
+        '</Row>\n';
+    },
+    pie: () => '</Table></Worksheet></Workbook>\n'
+  };
+}
+
+// OFX 2.2 (XML) con un único extracto bancario
+function formateadorOFX(opciones) {
+  const { zonaHoraria, moneda, cuenta, desde, hasta } = opciones;
+  const fechaOFX = fecha => fechaISOEnZona(fecha, zonaHoraria).replace(/-/g, '');
+  const tipos = { ingreso: 'CREDIT', gasto: 'DEBIT', transferencia: 'XFER' };
+  let saldo = opciones.saldo ?? 0;
+  const acumularSaldo = opciones.saldo === undefined;
+
+  return {
+    contentType: 'application/x-ofx; charset=utf-8',
+    extension: 'ofx',
+    encabezado: () => [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+      '<OFX>',
+      '<SIGNONMSGSRSV1><SONRS>',
+      '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      `<DTSERVER>${fechaOFX(new Date())}</DTSERVER><LANGUAGE>SPA</LANGUAGE>`,
+      '</SONRS></SIGNONMSGSRSV1>',
+      '<BANKMSGSRSV1><STMTTRNRS><TRNUID>0</TRNUID>',
+      '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      `<STMTRS><CURDEF>${escaparXML(moneda)}</CURDEF>`,
+      `<BANKACCTFROM><BANKID>FINSMART</BANKID><ACCTID>${escaparXML(cuenta || 'FINSMART')}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+      `<BANKTRANLIST><DTSTART>${fechaOFX(desde)}</DTSTART><DTEND>${fechaOFX(hasta)}</DTEND>`,
+      ''
+    ].join('\n'),
+    fila: transaccion => {
+      const monto = montoConSigno(transaccion, cuenta);
+      if (acumularSaldo) saldo += monto;
+
+      // NAME admite como máximo 32 caracteres; la descripción completa va en MEMO
+      const memo = [transaccion.descripcion, transaccion.notas].filter(Boolean).join(' - ');
+
+      return '<STMTTRN>' +
+        `<TRNTYPE>${tipos[transaccion.tipo]}</TRNTYPE>` +
+        `<DTPOSTED>${fechaOFX(transaccion.fecha)}</DTPOSTED>` +
+        `<TRNAMT>${monto.toFixed(2)}</TRNAMT>` +
+        `<FITID>${escaparXML(transaccion.idExterno || transaccion._id)}</FITID>` +
+        `<NAME>${escaparXML(transaccion.descripcion.slice(0, 32))}</NAME>` +
+        `<MEMO>${escaparXML(memo.slice(0, 255))}</MEMO>` +
+        '</STMTTRN>\n';
+    },
+    pie: () => [
+      '</BANKTRANLIST>',
+      `<LEDGERBAL><BALAMT>${saldo.toFixed(2)}</BALAMT><DTASOF>${fechaOFX(new Date())}</DTASOF></LEDGERBAL>`,
+      '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+      '</OFX>',
+      ''
+    ].join('\n')
+  };
+}
+
+// Crear el formateador para el formato solicitado
+export function crearFormateador(formato, opciones = {}) {
+  const opcionesCompletas = {
+    locale: 'es',
+    zonaHoraria: 'UTC',
+    moneda: 'USD',
+    cuentas: {},
+    desde: new Date(0),
+    hasta: new Date(),
+    // Ignorar opciones sin valor para conservar los valores por defecto
+    ...Object.fromEntries(Object.entries(opciones).filter(([, valor]) => valor !== undefined))
+  };
+
+  switch (formato) {
+    case 'excel':
+      return formateadorExcel(opcionesCompletas);
+    case 'ofx':
+      return formateadorOFX(opcionesCompletas);
+    default:
+      return formateadorCSV(opcionesCompletas);
+  }
+}
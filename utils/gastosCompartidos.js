@@ -0,0 +1,188 @@
+// utils/gastosCompartidos.js
+// Reparto de un gasto entre varias personas, saldos entre ellas y
+// transferencias sugeridas para saldar cuentas. Los cálculos se hacen en
+// centavos para que las partes sumen exactamente el total.
+
+export const METODOS_DIVISION = ['igual', 'porcentaje', 'exacto', 'partes'];
+
+const aCentavos = monto => Math.round(monto * 100);
+const aMonto = centavos => centavos / 100;
+
+function errorDivision(mensaje) {
+  const error = new Error(mensaje);
+  error.name = 'DivisionError';
+  return error;
+}
+
+// Repartir `centavos` en proporción a los pesos; los centavos que sobran por
+// redondeo van a quienes tienen el mayor resto (y en empate, al primero)
+function repartirProporcional(centavos, pesos) {
+  const pesoTotal = pesos.reduce((acc, peso) => acc + peso, 0);
+  const partes = pesos.map(peso => {
+    const exacta = centavos * peso / pesoTotal;
+    return { centavos: Math.floor(exacta), resto: exacta - Math.floor(exacta) };
+  });
+
+  let sobrante = centavos - partes.reduce((acc, parte) => acc + parte.centavos, 0);
+  const porResto = partes
+    .map((parte, indice) => ({ ...parte, indice }))
+    .sort((a, b) => b.resto - a.resto || a.indice - b.indice);
+
+  for (const { indice } of porResto) {
+    if (sobrante <= 0) break;
+    partes[indice].centavos++;
+    sobrante--;
+  }
+
+  return partes.map(parte => parte.centavos);
+}
+
+/**
+ * Dividir un monto entre participantes.
+ *
+ * @param {number} monto - Total del gasto
+ * @param {string} metodo - igual | porcentaje (valores que suman 100) |
+ *   exacto (valores que suman el total) | partes (valores proporcionales, ej. 2 y 1)
+ * @param {Array<{ usuario, valor }>} participantes - `valor` no se usa con 'igual'
+ * @returns {Array<{ usuario, valor, monto }>} La parte de cada participante
+ */
+export function dividirMonto(monto, metodo, participantes) {
+  if (!METODOS_DIVISION.includes(metodo)) {
+    throw errorDivision(`Método de división inválido. Disponibles: ${METODOS_DIVISION.join(', ')}`);
+  }
+  if (participantes.length === 0) {
+    throw errorDivision('Indica al menos un participante');
+  }
+
+  const total = aCentavos(monto);
+  const valores = participantes.map(p => Number(p.valor));
+
+  if (metodo !== 'igual' && valores.some(valor => !Number.isFinite(valor) || valor < 0)) {
+    throw errorDivision('Cada participante necesita un valor mayor o igual a 0');
+  }
+
+  let centavos;
+  switch (metodo) {
+    case 'porcentaje': {
+      const suma = valores.reduce((acc, valor) => acc + valor, 0);
+      if (Math.abs(suma - 100) > 0.01) {
+        throw errorDivision(`Los porcentajes deben sumar 100 (suman ${Math.round(suma * 100) / 100})`);
+      }
+      centavos = repartirProporcional(total, valores);
+      break;
+    }
+    case 'exacto': {
+      centavos = valores.map(aCentavos);
+      const suma = centavos.reduce((acc, parte) => acc + parte, 0);
+      if (suma !== total) {
+        throw errorDivision(`Los montos deben sumar $${aMonto(total).toFixed(2)} (suman $${aMonto(suma).toFixed(2)})`);
+      }
+      break;
+    }
+    case 'partes':
+      if (valores.every(valor => valor === 0)) {
+        throw errorDivision('Al menos un participante debe tener partes');
+      }
+      centavos = repartirProporcional(total, valores);
+      break;
+    default:
+      centavos = repartirProporcional(total, participantes.map(() => 1));
+  }
+
+  return participantes.map((participante, indice) => ({
+    usuario: participante.usuario,
+    valor: metodo === 'igual' ? undefined : valores[indice],
+    monto: aMonto(centavos[indice])
+  }));
+}
+
+// Deudas que generan los gastos divididos y las liquidaciones: cada
+// participante le debe su parte a quien pagó, y quien liquida reduce su deuda
+function movimientos(divisiones, liquidaciones) {
+  const lista = [];
+
+  for (const division of divisiones) {
+    for (const { usuario, monto } of division.participantes) {
+      if (String(usuario) !== String(division.pagador)) {
+        lista.push({ deudor: String(usuario), acreedor: String(division.pagador), centavos: aCentavos(monto) });
+      }
+    }
+  }
+
+  for (const { de, para, monto } of liquidaciones) {
+    lista.push({ deudor: String(para), acreedor: String(de), centavos: aCentavos(monto) });
+  }
+
+  return lista;
+}
+
+/**
+ * Saldo de un usuario con cada persona con la que comparte gastos.
+ * Positivo: la otra persona le debe; negativo: el usuario le debe a ella.
+ *
+ * @returns {Map<string, number>} ID de la otra persona a saldo
+ */
+export function saldosPorPersona(usuarioId, divisiones, liquidaciones) {
+  const yo = String(usuarioId);
+  const saldos = new Map();
+
+  for (const { deudor, acreedor, centavos } of movimientos(divisiones, liquidaciones)) {
+    if (acreedor === yo && deudor !== yo) {
+      saldos.set(deudor, (saldos.get(deudor) || 0) + centavos);
+    } else if (deudor === yo && acreedor !== yo) {
+      saldos.set(acreedor, (saldos.get(acreedor) || 0) - centavos);
+    }
+  }
+
+  return new Map([...saldos].map(([otro, centavos]) => [otro, aMonto(centavos)]));
+}
+
+// Saldo neto de cada persona del grupo (positivo: le deben; negativo: debe)
+export function saldosNetos(divisiones, liquidaciones) {
+  const netos = new Map();
+
+  for (const { deudor, acreedor, centavos } of movimientos(divisiones, liquidaciones)) {
+    netos.set(acreedor, (netos.get(acreedor) || 0) + centavos);
+    netos.set(deudor, (netos.get(deudor) || 0) - centavos);
+  }
+
+  return new Map([...netos].map(([usuario, centavos]) => [usuario, aMonto(centavos)]));
+}
+
+/**
+ * Transferencias para dejar en cero los saldos netos de un grupo. Quien más
+ * debe le paga a quien más le deben hasta que uno de los dos queda en cero;
+ * así se usan como máximo n - 1 transferencias. Pueden saldar deudas
+ * indirectas (si A le debe a B y B a C, A le paga directamente a C).
+ *
+ * @param {Map<string, number>} netos - Resultado de saldosNetos
+ * @returns {Array<{ de, para, monto }>}
+ */
+export function sugerirTransferencias(netos) {
+  const deudores = [];
+  const acreedores = [];
+  for (const [usuario, monto] of netos) {
+    const centavos = aCentavos(monto);
+    if (centavos < 0) deudores.push({ usuario, centavos: -centavos });
+    if (centavos > 0) acreedores.push({ usuario, centavos });
+  }
+
+  const porMonto = (a, b) => b.centavos - a.centavos || a.usuario.localeCompare(b.usuario);
+  deudores.sort(porMonto);
+  acreedores.sort(porMonto);
+
+  const transferencias = [];
+  let i = 0;
+  let j = 0;
+  while (i < deudores.length && j < acreedores.length) {
+    const centavos = Math.min(deudores[i].centavos, acreedores[j].centavos);
+    transferencias.push({ de: deudores[i].usuario, para: acreedores[j].usuario, monto: aMonto(centavos) });
+
+    deudores[i].centavos -= centavos;
+    acreedores[j].centavos -= centavos;
+    if (deudores[i].centavos === 0) i++;
+    if (acreedores[j].centavos === 0) j++;
+  }
+
+  return transferencias;
+}
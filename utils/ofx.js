@@ -0,0 +1,75 @@
+// utils/ofx.js
+// Parser tolerante para OFX 1.x (SGML, etiquetas sin cerrar) y OFX 2.x (XML)
+
+// Decodificar las entidades XML más comunes
+function decodificarEntidades(texto) {
+  return texto
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Obtener el valor de un elemento hoja dentro de un bloque
+function valorEtiqueta(bloque, etiqueta) {
+  const coincidencia = bloque.match(new RegExp(`<${etiqueta}>([^<\\r\\n]*)`, 'i'));
+  return coincidencia ? decodificarEntidades(coincidencia[1].trim()) : '';
+}
+
+// Convertir fechas OFX (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]) a Date (UTC, solo el día)
+export function parsearFechaOFX(valor) {
+  const coincidencia = String(valor || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!coincidencia) return null;
+
+  const [, año, mes, dia] = coincidencia.map(Number);
+  const fecha = new Date(Date.UTC(año, mes - 1, dia));
+  return fecha.getUTCMonth() === mes - 1 ? fecha : null;
+}
+
+// Número de la cuenta de un estado de cuenta (STMTRS o CCSTMTRS)
+function cuentaDelEstado(estado) {
+  const origen = estado.match(/<(BANKACCTFROM|CCACCTFROM)>[\s\S]*?<\/\1>/i);
+  return origen ? valorEtiqueta(origen[0], 'ACCTID') : '';
+}
+
+// Extraer los movimientos (STMTTRN) de un archivo OFX, con la cuenta de la
+// que vienen (un archivo puede traer varias y el FITID solo es único en cada una)
+export function parsearOFX(texto) {
+  const estados = texto.match(/<(STMTRS|CCSTMTRS)>[\s\S]*?<\/\1>/gi) || [texto];
+
+  const bloques = estados.flatMap(estado => {
+    const cuentaExterna = cuentaDelEstado(estado) || undefined;
+    return (estado.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || []).map(bloque => ({ bloque, cuentaExterna }));
+  });
+
+  return bloques.map(({ bloque, cuentaExterna }, i) => {
+    const nombre = valorEtiqueta(bloque, 'NAME');
+    const memo = valorEtiqueta(bloque, 'MEMO');
+    const montoTexto = valorEtiqueta(bloque, 'TRNAMT');
+
+    let descripcion = nombre || memo;
+    if (nombre && memo && memo.toLowerCase() !== nombre.toLowerCase()) {
+      descripcion = `${nombre} - ${memo}`;
+    }
+
+    // Algunos bancos usan coma como separador decimal
+    const monto = parseFloat(
+      montoTexto.includes('.') ? montoTexto.replace(/,/g, '') : montoTexto.replace(',', '.')
+    );
+
+    return {
+      fila: i + 1,
+      fecha: parsearFechaOFX(valorEtiqueta(bloque, 'DTPOSTED')),
+      descripcion: descripcion.replace(/\s+/g, ' '),
+      monto,
+      idExterno: valorEtiqueta(bloque, 'FITID') || undefined,
+      cuentaExterna
+    };
+  });
+}
+
+// Verificar si un texto parece un archivo OFX
+export function esOFX(texto) {
+  return /OFXHEADER|<OFX>/i.test(texto.slice(0, 2048));
+}
@@ -0,0 +1,87 @@
+// utils/pronosticoMetas.js
+// Proyección del avance de una meta a partir de su ritmo de ahorro reciente
+
+const MS_DIA = 24 * 60 * 60 * 1000;
+const DIAS_MES = 30.44;
+
+// Días de historial que se usan para medir el ritmo de ahorro
+export const VENTANA_PRONOSTICO_DIAS = 90;
+
+// Con menos historial que esto el ritmo se calcula como si hubiera pasado este
+// tiempo, para no extrapolar un aporte aislado
+const DIAS_MINIMOS_HISTORIAL = 30;
+
+const redondear = monto => Math.round(monto * 100) / 100;
+
+/**
+ * Pronosticar cuándo se completará una meta y cuánto hace falta ahorrar para
+ * llegar a la fecha límite.
+ *
+ * @param {Object} meta - { montoObjetivo, montoActual, fechaInicio, fechaLimite, createdAt }
+ * @param {Object} datos
+ * @param {Array<{ fecha, monto }>} datos.movimientos - Aportes, retiros y asignaciones de la ventana (sin ajustes)
+ * @param {number} datos.ingresoNetoMensual - Ingresos menos gastos del usuario por mes (sin movimientos de metas)
+ * @param {Date} [datos.hoy]
+ * @returns {Object} Ritmo de ahorro, fecha estimada, montos requeridos y estado
+ */
+export function pronosticarMeta(meta, { movimientos = [], ingresoNetoMensual = 0, hoy = new Date() } = {}) {
+  const faltante = redondear(Math.max(0, meta.montoObjetivo - meta.montoActual));
+
+  // Ritmo: lo ahorrado en la ventana entre los días observados (desde el inicio de la meta si es más reciente)
+  const inicioVentana = hoy.getTime() - VENTANA_PRONOSTICO_DIAS * MS_DIA;
+  const inicioMeta = new Date(meta.fechaInicio || meta.createdAt || hoy).getTime();
+  const diasObservados = Math.max(DIAS_MINIMOS_HISTORIAL, (hoy.getTime() - Math.max(inicioVentana, inicioMeta)) / MS_DIA);
+  const ahorradoEnVentana = movimientos
+    .filter(({ fecha }) => new Date(fecha).getTime() >= inicioVentana)
+    .reduce((acc, { monto }) => acc + monto, 0);
+  const ritmoDiario = Math.max(0, ahorradoEnVentana / diasObservados);
+
+  const pronostico = {
+    faltante,
+    ritmoMensual: redondear(ritmoDiario * DIAS_MES),
+    fechaEstimada: null,
+    diasRestantes: null,
+    requeridoMensual: null,
+    requeridoSemanal: null,
+    ingresoNetoMensual: redondear(ingresoNetoMensual),
+    estado: null
+  };
+
+  if (faltante === 0) {
+    pronostico.estado = 'completada';
+    return pronostico;
+  }
+
+  if (ritmoDiario > 0) {
+    pronostico.fechaEstimada = new Date(hoy.getTime() + Math.ceil(faltante / ritmoDiario) * MS_DIA);
+  }
+
+  if (!meta.fechaLimite) {
+    pronostico.estado = 'sin_fecha_limite';
+    return pronostico;
+  }
+
+  const diasRestantes = Math.ceil((new Date(meta.fechaLimite).getTime() - hoy.getTime()) / MS_DIA);
+  pronostico.diasRestantes = diasRestantes;
+
+  if (diasRestantes <= 0) {
+    pronostico.estado = 'atrasada';
+    return pronostico;
+  }
+
+  // Con menos de una semana o un mes se requiere el faltante completo
+  pronostico.requeridoMensual = redondear(faltante / Math.max(1, diasRestantes / DIAS_MES));
+  pronostico.requeridoSemanal = redondear(faltante / Math.max(1, diasRestantes / 7));
+
+  // En camino: al ritmo actual se llega a tiempo. En riesgo: no se llega, pero
+  // el ingreso neto alcanza para cubrir lo requerido. Atrasada: ni eso.
+  if (pronostico.fechaEstimada && pronostico.fechaEstimada <= new Date(meta.fechaLimite)) {
+    pronostico.estado = 'en_camino';
+  } else if (ingresoNetoMensual >= pronostico.requeridoMensual) {
+    pronostico.estado = 'en_riesgo';
+  } else {
+    pronostico.estado = 'atrasada';
+  }
+
+  return pronostico;
+}
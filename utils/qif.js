@@ -0,0 +1,79 @@
+// utils/qif.js
+import { parsearFecha, parsearMonto } from './csv.js';
+
+// Extraer los movimientos de un archivo QIF (Quicken Interchange Format)
+export function parsearQIF(texto, { formatoFecha = 'MM/DD/YYYY', separadorDecimal = '.' } = {}) {
+  const movimientos = [];
+  let actual = {};
+  let omitirSeccion = false;
+
+  const registrar = () => {
+    if (Object.keys(actual).length === 0) return;
+
+    const { fecha, monto, beneficiario, memo } = actual;
+    let descripcion = beneficiario || memo || '';
+    if (beneficiario && memo && memo.toLowerCase() !== beneficiario.toLowerCase()) {
+      descripcion = `${beneficiario} - ${memo}`;
+    }
+
+    movimientos.push({
+      fila: movimientos.length + 1,
+      fecha: parsearFecha(fecha, formatoFecha),
+      descripcion: descripcion.replace(/\s+/g, ' ').trim(),
+      monto: parsearMonto(monto, separadorDecimal)
+    });
+    actual = {};
+  };
+
+  for (const lineaCruda of texto.split(/\r?\n/)) {
+    const linea = lineaCruda.trim();
+    if (!linea) continue;
+
+    // Encabezados de sección: solo se importan cuentas bancarias, efectivo y tarjetas;
+    // los bloques !Account describen cuentas, no movimientos
+    if (linea.startsWith('!')) {
+      registrar();
+      const encabezado = linea.toLowerCase();
+      if (encabezado.startsWith('!type:')) {
+        omitirSeccion = !/^!type:(bank|cash|ccard|oth a|oth l)/.test(encabezado);
+      } else if (encabezado.startsWith('!account')) {
+        omitirSeccion = true;
+      }
+      continue;
+    }
+
+    if (omitirSeccion) continue;
+
+    const codigo = linea[0];
+    const valor = linea.slice(1).trim();
+
+    switch (codigo) {
+      case 'D':
+        actual.fecha = valor;
+        break;
+      case 'T':
+      case 'U':
+        actual.monto = valor;
+        break;
+      case 'P':
+        actual.beneficiario = valor;
+        break;
+      case 'M':
+        actual.memo = valor;
+        break;
+      case '^':
+        registrar();
+        break;
+      default:
+        break;
+    }
+  }
+
+  registrar();
+  return movimientos;
+}
+
+// Verificar si un texto parece un archivo QIF
+export function esQIF(texto) {
+  return /^\s*!(Type|Account|Option)/i.test(texto);
+}
@@ -0,0 +1,127 @@
+// utils/regexSegura.js
+// Validación de las expresiones regulares que escriben los usuarios (reglas
+// de clasificación). Se evalúan en el servidor y en MongoDB con cada
+// transacción, así que se rechazan los patrones que pueden tardar un tiempo
+// exponencial (ReDoS): repeticiones anidadas como (a+)+, alternativas
+// repetidas como (a|ab)*, referencias hacia atrás y patrones demasiado largos.
+
+export const LONGITUD_MAXIMA_REGEX = 100;
+
+// Repeticiones sin límite (*, +, {n,}) permitidas en un patrón
+const MAX_REPETICIONES_ILIMITADAS = 3;
+
+// Leer el cuantificador que empieza en `indice`, si hay uno
+function leerCuantificador(patron, indice) {
+  const caracter = patron[indice];
+  if (caracter === '*' || caracter === '+') {
+    return { fin: indice + 1, repite: true, ilimitado: true };
+  }
+  if (caracter === '?') {
+    return { fin: indice + 1, repite: false, ilimitado: false };
+  }
+  if (caracter === '{') {
+    const llaves = /^\{(\d+)(,(\d*))?\}/.exec(patron.slice(indice));
+    if (!llaves) return null;
+
+    const minimo = Number(llaves[1]);
+    const maximo = llaves[2] ? (llaves[3] === '' ? Infinity : Number(llaves[3])) : minimo;
+    return { fin: indice + llaves[0].length, repite: maximo > 1, ilimitado: maximo === Infinity };
+  }
+  return null;
+}
+
+// Índice siguiente al final de una clase de caracteres [...] que empieza en `indice`
+function finDeClase(patron, indice) {
+  let i = indice + 1;
+  if (patron[i] === '^') i++;
+  if (patron[i] === ']') i++;
+  while (i < patron.length && patron[i] !== ']') {
+    i += patron[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+/**
+ * Motivo por el que un patrón no se acepta, o null si es seguro.
+ *
+ * @param {string} patron - Expresión regular (sin delimitadores ni banderas)
+ * @returns {string|null}
+ */
+export function motivoRegexInsegura(patron) {
+  if (patron.length > LONGITUD_MAXIMA_REGEX) {
+    return `La expresión regular no puede exceder ${LONGITUD_MAXIMA_REGEX} caracteres`;
+  }
+
+  try {
+    new RegExp(patron, 'i');
+  } catch {
+    return 'La expresión regular no es válida';
+  }
+
+  if (/\\[1-9]|\\k</.test(patron)) {
+    return 'La expresión regular no puede usar referencias hacia atrás';
+  }
+
+  // Por cada grupo abierto: si contiene repeticiones o alternativas
+  const grupos = [{ repite: false, alterna: false }];
+  let ilimitadas = 0;
+  let i = 0;
+
+  while (i < patron.length) {
+    const caracter = patron[i];
+    let grupoCerrado = null;
+
+    if (caracter === '\\') {
+      i += 2;
+    } else if (caracter === '[') {
+      i = finDeClase(patron, i);
+    } else if (caracter === '(') {
+      grupos.push({ repite: false, alterna: false });
+      i++;
+      // Prefijos (?:, (?=, (?!, (?<=, (?<!, (?<nombre>
+      if (patron[i] === '?') {
+        const prefijo = /^\?(:|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(patron.slice(i));
+        i += prefijo ? prefijo[0].length : 1;
+      }
+      continue;
+    } else if (caracter === ')') {
+      grupoCerrado = grupos.pop();
+      i++;
+    } else if (caracter === '|') {
+      grupos.at(-1).alterna = true;
+      i++;
+      continue;
+    } else {
+      i++;
+    }
+
+    const cuantificador = leerCuantificador(patron, i);
+    if (cuantificador) {
+      i = cuantificador.fin;
+      if (patron[i] === '?') i++; // cuantificador no codicioso
+
+      if (cuantificador.repite) {
+        if (grupoCerrado?.repite) {
+          return 'La expresión regular no puede tener repeticiones anidadas como (a+)+';
+        }
+        if (grupoCerrado?.alterna) {
+          return 'La expresión regular no puede repetir un grupo con alternativas como (a|b)+';
+        }
+        grupos.at(-1).repite = true;
+        if (cuantificador.ilimitado) ilimitadas++;
+      }
+    }
+
+    // Lo que contiene un grupo cuenta también para los grupos que lo contienen
+    if (grupoCerrado) {
+      grupos.at(-1).repite ||= grupoCerrado.repite;
+      grupos.at(-1).alterna ||= grupoCerrado.alterna;
+    }
+  }
+
+  if (ilimitadas > MAX_REPETICIONES_ILIMITADAS) {
+    return `La expresión regular puede tener como máximo ${MAX_REPETICIONES_ILIMITADAS} repeticiones sin límite (*, + o {n,})`;
+  }
+
+  return null;
+}
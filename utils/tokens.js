@@ -0,0 +1,12 @@
+// utils/tokens.js
+import crypto from 'crypto';
+
+// Token opaco aleatorio, apto para URLs
+export function generarTokenAleatorio(bytes = 48) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Hash de un token aleatorio (tiene suficiente entropía para no necesitar sal)
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
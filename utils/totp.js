@@ -0,0 +1,104 @@
+// utils/totp.js
+// Contraseñas de un solo uso basadas en tiempo (RFC 6238) con HMAC-SHA1,
+// 6 dígitos y periodos de 30 segundos (compatible con Google Authenticator y similares)
+import crypto from 'crypto';
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIODO_SEGUNDOS = 30;
+const DIGITOS = 6;
+
+// Codificar bytes en base32 (RFC 4648, sin relleno)
+export function codificarBase32(buffer) {
+  let bits = 0;
+  let valor = 0;
+  let resultado = '';
+
+  for (const byte of buffer) {
+    valor = (valor << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      resultado += ALFABETO_BASE32[(valor >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    resultado += ALFABETO_BASE32[(valor << (5 - bits)) & 31];
+  }
+
+  return resultado;
+}
+
+// Decodificar base32 ignorando espacios, guiones y relleno
+export function decodificarBase32(texto) {
+  const limpio = texto.toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let valor = 0;
+
+  for (const caracter of limpio) {
+    const indice = ALFABETO_BASE32.indexOf(caracter);
+    if (indice === -1) throw new Error('Secreto base32 inválido');
+
+    valor = (valor << 5) | indice;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((valor >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Secreto aleatorio de 160 bits en base32
+export function generarSecreto() {
+  return codificarBase32(crypto.randomBytes(20));
+}
+
+// Número de periodo para un instante
+export function pasoActual(fecha = Date.now()) {
+  return Math.floor(fecha / 1000 / PERIODO_SEGUNDOS);
+}
+
+// Código para un periodo (HOTP con el contador igual al periodo)
+export function generarCodigo(secreto, paso = pasoActual()) {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(paso));
+
+  const hmac = crypto.createHmac('sha1', decodificarBase32(secreto)).update(contador).digest();
+  const desplazamiento = hmac[hmac.length - 1] & 0xf;
+  const binario = hmac.readUInt32BE(desplazamiento) & 0x7fffffff;
+
+  return String(binario % 10 ** DIGITOS).padStart(DIGITOS, '0');
+}
+
+// Verificar un código tolerando `ventana` periodos de desfase de reloj.
+// Devuelve el periodo que coincide (para evitar reutilizarlo) o null.
+export function verificarCodigo(secreto, codigo, { ventana = 1, fecha = Date.now() } = {}) {
+  const normalizado = String(codigo).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITOS}}$`).test(normalizado)) return null;
+
+  const actual = pasoActual(fecha);
+  for (let desfase = -ventana; desfase <= ventana; desfase++) {
+    const esperado = Buffer.from(generarCodigo(secreto, actual + desfase));
+    if (crypto.timingSafeEqual(esperado, Buffer.from(normalizado))) {
+      return actual + desfase;
+    }
+  }
+
+  return null;
+}
+
+// URI otpauth:// para registrar la cuenta en una app autenticadora (o mostrarla como QR)
+export function uriOtpauth(secreto, cuenta, emisor = 'FinSmart') {
+  const etiqueta = encodeURIComponent(`${emisor}:${cuenta}`);
+  const parametros = new URLSearchParams({
+    secret: secreto,
+    issuer: emisor,
+    algorithm: 'SHA1',
+    digits: String(DIGITOS),
+    period: String(PERIODO_SEGUNDOS)
+  });
+
+  return `otpauth://totp/${etiqueta}?${parametros}`;
+}